@@ -1,12 +1,19 @@
+import { useEffect } from 'react';
 import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import { StudentProvider, useStudent } from './contexts/StudentContext';
-import { AdminRoute, SuperAdminRoute, StudentRoute } from './components/common/ProtectedRoute';
+import { AdminRoute, SuperAdminRoute, StudentRoute, InstructorRoute, GuardianRoute } from './components/common/ProtectedRoute';
 import { StudentHeader, AdminHeader } from './components/common/Header';
+import { PERMISSIONS } from './constants';
+import { processMessageQueue, MESSAGE_QUEUE_POLL_MS } from './lib/messagingService';
+import { runAutoApprovals, promoteDueWaitlists, ENROLLMENT_SWEEP_POLL_MS } from './lib/enrollmentService';
 
 // Pages
 import StudentLogin from './pages/StudentLogin';
 import AdminLogin from './pages/AdminLogin';
+import AcceptInvite from './pages/AcceptInvite';
+import InstructorLogin from './pages/InstructorLogin';
+import GuardianLogin from './pages/GuardianLogin';
 
 // Student Components
 import EnrollmentPage from './components/student/EnrollmentPage';
@@ -24,6 +31,18 @@ import AdminSettings from './components/admin/AdminSettings';
 import ArchiveViewer from './components/admin/ArchiveViewer';
 import ClassManagement from './components/admin/ClassManagement';
 import AttendancePage from './components/admin/AttendancePage';
+import RoomManagement from './components/admin/RoomManagement';
+import InstructorManagement from './components/admin/InstructorManagement';
+import AuditLogViewer from './components/admin/AuditLogViewer';
+import GuardianManagement from './components/admin/GuardianManagement';
+import MessageLog from './components/admin/MessageLog';
+import AnnouncementComposer from './components/admin/AnnouncementComposer';
+
+// Instructor Components
+import InstructorPortal from './components/instructor/InstructorPortal';
+
+// Guardian Components
+import GuardianPortal from './components/guardian/GuardianPortal';
 
 // Layout Components
 function StudentLayout({ children }) {
@@ -38,7 +57,32 @@ function StudentLayout({ children }) {
 }
 
 function AdminLayout({ children }) {
-  const { admin, logoutAdmin } = useAuth();
+  const { admin, logoutAdmin, hasPermission } = useAuth();
+  const canSendMessages = hasPermission(PERMISSIONS.EDIT_STUDENTS);
+  const canApprove = hasPermission(PERMISSIONS.APPROVE_ENROLLMENTS);
+
+  // Open staff sessions deliver queued guardian messages (see messagingService)
+  useEffect(() => {
+    if (!canSendMessages) return;
+
+    const drainQueue = () => processMessageQueue()
+      .catch(error => console.error('Message queue error:', error));
+    drainQueue();
+    const timer = setInterval(drainQueue, MESSAGE_QUEUE_POLL_MS);
+    return () => clearInterval(timer);
+  }, [canSendMessages]);
+
+  // ...fill seats freed by student cancellations and apply auto-approval rules to new requests
+  useEffect(() => {
+    if (!canApprove) return;
+
+    const sweep = () => promoteDueWaitlists()
+      .then(() => runAutoApprovals())
+      .catch(error => console.error('Enrollment sweep error:', error));
+    sweep();
+    const timer = setInterval(sweep, ENROLLMENT_SWEEP_POLL_MS);
+    return () => clearInterval(timer);
+  }, [canApprove]);
   
   return (
     <div className="min-h-screen bg-slate-50 font-sans text-slate-900">
@@ -48,6 +92,28 @@ function AdminLayout({ children }) {
   );
 }
 
+function InstructorLayout({ children }) {
+  const { instructor, logoutInstructor } = useAuth();
+
+  return (
+    <div className="min-h-screen bg-slate-50 font-sans text-slate-900">
+      <AdminHeader admin={instructor} onLogout={logoutInstructor} />
+      {children}
+    </div>
+  );
+}
+
+function GuardianLayout({ children }) {
+  const { guardian, logoutGuardian } = useAuth();
+
+  return (
+    <div className="min-h-screen bg-slate-50 font-sans text-slate-900">
+      <AdminHeader admin={guardian} onLogout={logoutGuardian} />
+      {children}
+    </div>
+  );
+}
+
 function App() {
   return (
     <BrowserRouter>
@@ -99,6 +165,7 @@ function App() {
 
             {/* Admin Routes */}
             <Route path="/admin" element={<AdminLogin />} />
+            <Route path="/admin/accept-invite" element={<AcceptInvite />} />
             <Route
               path="/admin/dashboard"
               element={
@@ -112,17 +179,47 @@ function App() {
             <Route
               path="/admin/students"
               element={
-                <AdminRoute>
+                <AdminRoute permission={PERMISSIONS.VIEW_STUDENTS}>
                   <AdminLayout>
                     <StudentManagement />
                   </AdminLayout>
                 </AdminRoute>
               }
             />
+            <Route
+              path="/admin/guardians"
+              element={
+                <AdminRoute permission={PERMISSIONS.VIEW_STUDENTS}>
+                  <AdminLayout>
+                    <GuardianManagement />
+                  </AdminLayout>
+                </AdminRoute>
+              }
+            />
+            <Route
+              path="/admin/messages"
+              element={
+                <AdminRoute permission={PERMISSIONS.VIEW_STUDENTS}>
+                  <AdminLayout>
+                    <MessageLog />
+                  </AdminLayout>
+                </AdminRoute>
+              }
+            />
+            <Route
+              path="/admin/announcements"
+              element={
+                <AdminRoute permission={PERMISSIONS.EDIT_STUDENTS}>
+                  <AdminLayout>
+                    <AnnouncementComposer />
+                  </AdminLayout>
+                </AdminRoute>
+              }
+            />
             <Route
               path="/admin/courses"
               element={
-                <AdminRoute>
+                <AdminRoute permission={PERMISSIONS.MANAGE_COURSES}>
                   <AdminLayout>
                     <CourseManagement />
                   </AdminLayout>
@@ -132,7 +229,7 @@ function App() {
             <Route
               path="/admin/seasons"
               element={
-                <AdminRoute>
+                <AdminRoute permission={PERMISSIONS.MANAGE_SEASONS}>
                   <AdminLayout>
                     <SeasonManagement />
                   </AdminLayout>
@@ -142,7 +239,7 @@ function App() {
             <Route
               path="/admin/requests"
               element={
-                <AdminRoute>
+                <AdminRoute permission={PERMISSIONS.APPROVE_ENROLLMENTS}>
                   <AdminLayout>
                     <EnrollmentRequests />
                   </AdminLayout>
@@ -152,17 +249,27 @@ function App() {
             <Route
               path="/admin/settings"
               element={
-                <SuperAdminRoute>
+                <AdminRoute permission={[PERMISSIONS.MANAGE_ADMINS, PERMISSIONS.DELETE_DATA, PERMISSIONS.APPROVE_ENROLLMENTS]}>
                   <AdminLayout>
                     <AdminSettings />
                   </AdminLayout>
+                </AdminRoute>
+              }
+            />
+            <Route
+              path="/admin/audit-log"
+              element={
+                <SuperAdminRoute>
+                  <AdminLayout>
+                    <AuditLogViewer />
+                  </AdminLayout>
                 </SuperAdminRoute>
               }
             />
             <Route
               path="/admin/archive"
               element={
-                <AdminRoute>
+                <AdminRoute permission={PERMISSIONS.MANAGE_SEASONS}>
                   <AdminLayout>
                     <ArchiveViewer />
                   </AdminLayout>
@@ -172,17 +279,37 @@ function App() {
             <Route
               path="/admin/classes"
               element={
-                <AdminRoute>
+                <AdminRoute permission={PERMISSIONS.VIEW_STUDENTS}>
                   <AdminLayout>
                     <ClassManagement />
                   </AdminLayout>
                 </AdminRoute>
               }
             />
+            <Route
+              path="/admin/rooms"
+              element={
+                <AdminRoute permission={PERMISSIONS.MANAGE_COURSES}>
+                  <AdminLayout>
+                    <RoomManagement />
+                  </AdminLayout>
+                </AdminRoute>
+              }
+            />
+            <Route
+              path="/admin/instructors"
+              element={
+                <AdminRoute permission={PERMISSIONS.MANAGE_COURSES}>
+                  <AdminLayout>
+                    <InstructorManagement />
+                  </AdminLayout>
+                </AdminRoute>
+              }
+            />
             <Route
               path="/admin/attendance"
               element={
-                <AdminRoute>
+                <AdminRoute permission={PERMISSIONS.MANAGE_ATTENDANCE}>
                   <AdminLayout>
                     <AttendancePage />
                   </AdminLayout>
@@ -190,6 +317,43 @@ function App() {
               }
             />
 
+            {/* Instructor Routes */}
+            <Route path="/instructor" element={<InstructorLogin />} />
+            <Route
+              path="/instructor/schedule"
+              element={
+                <InstructorRoute>
+                  <InstructorLayout>
+                    <InstructorPortal />
+                  </InstructorLayout>
+                </InstructorRoute>
+              }
+            />
+
+            <Route
+              path="/instructor/attendance"
+              element={
+                <InstructorRoute>
+                  <InstructorLayout>
+                    <AttendancePage />
+                  </InstructorLayout>
+                </InstructorRoute>
+              }
+            />
+
+            {/* Guardian Routes */}
+            <Route path="/guardian" element={<GuardianLogin />} />
+            <Route
+              path="/guardian/children"
+              element={
+                <GuardianRoute>
+                  <GuardianLayout>
+                    <GuardianPortal />
+                  </GuardianLayout>
+                </GuardianRoute>
+              }
+            />
+
             {/* Catch all */}
             <Route path="*" element={<Navigate to="/" replace />} />
           </Routes>
@@ -5,7 +5,8 @@ import { getAllStudents } from '../../lib/studentService';
 import { getAllCourses } from '../../lib/courseService';
 import { subscribeToPendingEnrollments, getAllEnrollments } from '../../lib/enrollmentService';
 import { getAllSeasons } from '../../lib/seasonService';
-import { ENROLLMENT_STATUS, CATEGORY_COLORS, STATUS_CONFIG } from '../../constants';
+import { useAuth } from '../../contexts/AuthContext';
+import { ENROLLMENT_STATUS, CATEGORY_COLORS, STATUS_CONFIG, PERMISSIONS } from '../../constants';
 import LoadingSpinner from '../common/LoadingSpinner';
 import {
   BarChart,
@@ -141,14 +142,16 @@ const aggregateDailyTrend = (enrollments, days = 14) => {
 };
 
 // Helper function to aggregate instructor data
+// Groups by registry instructorId, falling back to the trimmed name for older courses
 const aggregateInstructorData = (courses) => {
   const instructorMap = {};
   
   courses.forEach(course => {
-    const instructor = course.instructor || '미지정';
+    const name = (course.instructor || '').trim() || '미지정';
+    const instructor = course.instructorId || name;
     if (!instructorMap[instructor]) {
       instructorMap[instructor] = {
-        name: instructor,
+        name,
         courseCount: 0,
         totalEnrolled: 0,
         totalCapacity: 0,
@@ -311,6 +314,10 @@ const calculateCoursesPerStudent = (students, enrollments) => {
 
 export default function AdminDashboard() {
   const navigate = useNavigate();
+  const { hasPermission } = useAuth();
+  // Student and enrollment reads follow the same permissions as firestore.rules
+  const canViewStudents = hasPermission(PERMISSIONS.VIEW_STUDENTS);
+  const canViewRequests = canViewStudents || hasPermission(PERMISSIONS.APPROVE_ENROLLMENTS);
   const [stats, setStats] = useState({
     totalStudents: 0,
     totalCourses: 0,
@@ -337,10 +344,10 @@ export default function AdminDashboard() {
     const loadStats = async () => {
       try {
         const [students, courses, seasons, allEnrollments] = await Promise.all([
-          getAllStudents(),
+          canViewStudents ? getAllStudents() : [],
           getAllCourses(),
           getAllSeasons(),
-          getAllEnrollments(),
+          canViewStudents ? getAllEnrollments() : [],
         ]);
 
         const approved = allEnrollments.filter(e => e.status === ENROLLMENT_STATUS.APPROVED);
@@ -369,6 +376,8 @@ export default function AdminDashboard() {
 
     loadStats();
 
+    if (!canViewRequests) return;
+
     // Subscribe to pending enrollments
     const unsubscribe = subscribeToPendingEnrollments((pending) => {
       setPendingRequests(pending);
@@ -376,7 +385,7 @@ export default function AdminDashboard() {
     });
 
     return () => unsubscribe();
-  }, []);
+  }, [canViewStudents, canViewRequests]);
 
   // 기간 필터링 함수
   const filterByDateRange = useMemo(() => {
@@ -0,0 +1,304 @@
+import { useState, useEffect } from 'react';
+import { X, UserPlus, Search, AlertTriangle, Check } from 'lucide-react';
+import { getAllStudents } from '../../lib/studentService';
+import { getActiveSeasons } from '../../lib/seasonService';
+import { getCoursesBySeason, getCourse } from '../../lib/courseService';
+import { adminEnrollStudent, getStudentEnrollments } from '../../lib/enrollmentService';
+import { checkConflicts, formatSchedules } from '../../lib/utils';
+import { ENROLLMENT_STATUS } from '../../constants';
+
+/**
+ * Enroll a student on their behalf (already approved).
+ * Pass `student` to fix the student (student list) or `course` to fix the course (roster).
+ */
+export default function AdminEnrollModal({ student: presetStudent, course: presetCourse, adminUid, onClose, onSuccess }) {
+  const [students, setStudents] = useState([]);
+  const [studentQuery, setStudentQuery] = useState('');
+  const [student, setStudent] = useState(presetStudent || null);
+  const [seasons, setSeasons] = useState([]);
+  const [seasonId, setSeasonId] = useState(presetCourse?.seasonId || '');
+  const [courses, setCourses] = useState(presetCourse ? [presetCourse] : []);
+  const [selectedIds, setSelectedIds] = useState(presetCourse ? [presetCourse.id] : []);
+  const [schedule, setSchedule] = useState({ courseIds: new Set(), courses: [] });
+  const [overrideCapacity, setOverrideCapacity] = useState(false);
+  const [justification, setJustification] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (!presetStudent) {
+      getAllStudents()
+        .then(setStudents)
+        .catch(error => console.error('Failed to load students:', error));
+    }
+    if (!presetCourse) {
+      getActiveSeasons()
+        .then(data => {
+          setSeasons(data);
+          if (data.length > 0) setSeasonId(data[0].id);
+        })
+        .catch(error => console.error('Failed to load seasons:', error));
+    }
+  }, [presetStudent, presetCourse]);
+
+  useEffect(() => {
+    if (presetCourse || !seasonId) return;
+    getCoursesBySeason(seasonId)
+      .then(setCourses)
+      .catch(error => console.error('Failed to load courses:', error));
+  }, [seasonId, presetCourse]);
+
+  // Student's current timetable, for conflict and duplicate indicators
+  useEffect(() => {
+    if (!student) return;
+
+    const loadSchedule = async () => {
+      try {
+        const enrollments = await getStudentEnrollments(student.id);
+        const scheduled = enrollments.filter(e =>
+          e.status === ENROLLMENT_STATUS.APPROVED || e.status === ENROLLMENT_STATUS.PENDING
+        );
+        const scheduledCourses = await Promise.all(scheduled.map(e => getCourse(e.courseId)));
+        setSchedule({
+          courseIds: new Set(enrollments.map(e => e.courseId)),
+          courses: scheduledCourses.filter(Boolean),
+        });
+      } catch (error) {
+        console.error('Failed to load schedule:', error);
+      }
+    };
+
+    loadSchedule();
+  }, [student]);
+
+  const statusOf = (course) => {
+    if (schedule.courseIds.has(course.id)) return { blocked: true, label: '이미 신청' };
+    const conflicts = checkConflicts(course, schedule.courses.filter(c => c.seasonId === course.seasonId));
+    if (conflicts.length > 0) {
+      return { blocked: true, label: `시간 중복: ${conflicts.map(c => c.title).join(', ')}` };
+    }
+    return { blocked: false, isFull: (course.enrolled || 0) >= course.capacity };
+  };
+
+  const toggleCourse = (courseId) => {
+    setSelectedIds(prev =>
+      prev.includes(courseId) ? prev.filter(id => id !== courseId) : [...prev, courseId]
+    );
+  };
+
+  const selectedCourses = courses.filter(c => selectedIds.includes(c.id));
+  const hasFullCourse = selectedCourses.some(c => (c.enrolled || 0) >= c.capacity);
+  const hasBlockedCourse = student && selectedCourses.some(c => statusOf(c).blocked);
+
+  const filteredStudents = studentQuery
+    ? students.filter(s => s.name?.includes(studentQuery) || s.phone?.includes(studentQuery))
+    : students;
+
+  const handleSubmit = async () => {
+    if (!student || selectedIds.length === 0) return;
+    if (hasFullCourse && !overrideCapacity) {
+      alert('정원이 마감된 강좌가 있습니다. 정원 초과 등록을 선택하고 사유를 입력해주세요.');
+      return;
+    }
+    if (hasFullCourse && !justification.trim()) {
+      alert('정원 초과 등록 사유를 입력해주세요.');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const results = await adminEnrollStudent(student.id, selectedIds, adminUid, {
+        overrideCapacity: hasFullCourse && overrideCapacity,
+        justification,
+      });
+      const succeeded = results.filter(r => r.success);
+      const failed = results.filter(r => !r.success);
+
+      let message = `${student.name} 학생을 ${succeeded.length}개 강좌에 등록했습니다.`;
+      if (failed.length > 0) {
+        message += `\n\n실패 (${failed.length}건):\n${failed.map(r => `- ${r.error}`).join('\n')}`;
+      }
+      alert(message);
+
+      if (succeeded.length > 0) onSuccess?.();
+      else setSubmitting(false);
+    } catch (error) {
+      alert(error.message || '등록에 실패했습니다.');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} />
+      <div className="relative bg-white rounded-2xl shadow-xl max-w-xl w-full max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="p-6 border-b border-gray-100 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-[#00b6b2]/10 rounded-xl flex items-center justify-center">
+              <UserPlus className="w-5 h-5 text-[#00b6b2]" />
+            </div>
+            <div>
+              <h2 className="text-xl font-bold text-slate-900">관리자 수강 등록</h2>
+              <p className="text-sm text-slate-500">승인 상태로 바로 등록되며 학생에게 알림이 전송됩니다.</p>
+            </div>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-slate-100 rounded-lg">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-5">
+          {/* Student */}
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">학생</label>
+            {student ? (
+              <div className="flex items-center justify-between px-4 py-2.5 bg-slate-50 rounded-xl">
+                <span className="font-medium text-slate-900">
+                  {student.name}
+                  <span className="ml-2 text-sm text-slate-500">{student.class || '반 미배정'}</span>
+                </span>
+                {!presetStudent && (
+                  <button
+                    onClick={() => setStudent(null)}
+                    className="text-sm text-slate-500 hover:text-[#00b6b2]"
+                  >
+                    변경
+                  </button>
+                )}
+              </div>
+            ) : (
+              <>
+                <div className="relative mb-2">
+                  <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" />
+                  <input
+                    type="text"
+                    value={studentQuery}
+                    onChange={(e) => setStudentQuery(e.target.value)}
+                    placeholder="이름 또는 전화번호 검색"
+                    className="w-full pl-9 pr-4 py-2.5 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+                  />
+                </div>
+                <div className="max-h-48 overflow-y-auto border border-gray-200 rounded-xl divide-y divide-gray-100">
+                  {filteredStudents.slice(0, 50).map(s => (
+                    <button
+                      key={s.id}
+                      onClick={() => setStudent(s)}
+                      className="w-full text-left px-4 py-2 text-sm hover:bg-slate-50"
+                    >
+                      <span className="font-medium text-slate-900">{s.name}</span>
+                      <span className="ml-2 text-slate-500">{s.class || '반 미배정'}</span>
+                    </button>
+                  ))}
+                  {filteredStudents.length === 0 && (
+                    <p className="px-4 py-3 text-sm text-slate-400">검색 결과가 없습니다.</p>
+                  )}
+                </div>
+              </>
+            )}
+          </div>
+
+          {/* Courses */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <label className="block text-sm font-medium text-slate-700">강좌</label>
+              {!presetCourse && (
+                <select
+                  value={seasonId}
+                  onChange={(e) => {
+                    setSeasonId(e.target.value);
+                    setSelectedIds([]);
+                  }}
+                  className="px-3 py-1.5 text-sm border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+                >
+                  {seasons.map(season => (
+                    <option key={season.id} value={season.id}>{season.name}</option>
+                  ))}
+                </select>
+              )}
+            </div>
+            <div className="max-h-64 overflow-y-auto border border-gray-200 rounded-xl divide-y divide-gray-100">
+              {courses.map(course => {
+                const status = student ? statusOf(course) : { blocked: false };
+                const isFull = (course.enrolled || 0) >= course.capacity;
+                const selected = selectedIds.includes(course.id);
+                return (
+                  <button
+                    key={course.id}
+                    onClick={() => !status.blocked && toggleCourse(course.id)}
+                    disabled={status.blocked}
+                    className={`w-full text-left px-4 py-3 flex items-start gap-3 ${
+                      status.blocked ? 'opacity-60 cursor-not-allowed' : 'hover:bg-slate-50'
+                    }`}
+                  >
+                    <div className={`mt-0.5 w-4 h-4 rounded border flex items-center justify-center flex-shrink-0 ${
+                      selected ? 'bg-[#00b6b2] border-[#00b6b2]' : 'border-gray-300'
+                    }`}>
+                      {selected && <Check className="w-3 h-3 text-white" />}
+                    </div>
+                    <div className="flex-1 min-w-0">
+                      <div className="flex items-center gap-2">
+                        <span className="font-medium text-slate-900 truncate">{course.title}</span>
+                        <span className={`text-xs ${isFull ? 'text-red-600 font-medium' : 'text-slate-500'}`}>
+                          {course.enrolled || 0}/{course.capacity}{isFull && ' 마감'}
+                        </span>
+                      </div>
+                      <p className="text-xs text-slate-500">{formatSchedules(course)}</p>
+                      {status.label && (
+                        <p className="text-xs text-red-600 mt-0.5">{status.label}</p>
+                      )}
+                    </div>
+                  </button>
+                );
+              })}
+              {courses.length === 0 && (
+                <p className="px-4 py-3 text-sm text-slate-400">등록 가능한 강좌가 없습니다.</p>
+              )}
+            </div>
+          </div>
+
+          {/* Capacity override */}
+          {hasFullCourse && (
+            <div className="p-4 bg-amber-50 border border-amber-200 rounded-xl space-y-3">
+              <label className="flex items-start gap-2 text-sm text-amber-800">
+                <input
+                  type="checkbox"
+                  checked={overrideCapacity}
+                  onChange={(e) => setOverrideCapacity(e.target.checked)}
+                  className="mt-0.5"
+                />
+                <span>
+                  <AlertTriangle className="w-4 h-4 inline mr-1" />
+                  정원이 마감된 강좌가 포함되어 있습니다. 정원을 초과하여 등록합니다.
+                </span>
+              </label>
+              {overrideCapacity && (
+                <textarea
+                  value={justification}
+                  onChange={(e) => setJustification(e.target.value)}
+                  placeholder="정원 초과 등록 사유 (등록 이력에 기록됩니다)"
+                  rows={2}
+                  className="w-full px-3 py-2 text-sm border border-amber-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-400 resize-none"
+                />
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="p-6 border-t border-gray-100 flex gap-3">
+          <button
+            onClick={onClose}
+            className="flex-1 px-4 py-3 border border-gray-200 text-slate-600 rounded-xl hover:bg-slate-50"
+          >
+            취소
+          </button>
+          <button
+            onClick={handleSubmit}
+            disabled={submitting || !student || selectedIds.length === 0 || hasBlockedCourse}
+            className="flex-1 px-4 py-3 bg-[#00b6b2] text-white rounded-xl hover:bg-[#009da0] disabled:opacity-50"
+          >
+            {submitting ? '등록 중...' : `${selectedIds.length}개 강좌 등록`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,14 +1,27 @@
 import { useState, useEffect } from 'react';
-import { UserPlus, Shield, Trash2, X, Database, AlertTriangle, Calendar } from 'lucide-react';
-import { collection, getDocs, deleteDoc, doc, writeBatch, query, where } from 'firebase/firestore';
+import { UserPlus, Shield, Trash2, X, Database, AlertTriangle, Calendar, RefreshCw, CheckCircle2, MessageSquare, Plus, KeyRound, Edit2, Copy, Check, Users, BellOff } from 'lucide-react';
+import { collection, getDocs, doc, writeBatch, query, where } from 'firebase/firestore';
 import { db } from '../../lib/firebase';
 import { useAuth } from '../../contexts/AuthContext';
 import { getAllSeasons } from '../../lib/seasonService';
+import { getRejectionTemplates, createRejectionTemplate, deleteRejectionTemplate } from '../../lib/rejectionTemplateService';
+import { checkDataIntegrity, applyIntegrityFixes, countIntegrityIssues } from '../../lib/integrityService';
+import { getAllRoles, createRole, updateRole, deleteRole, updateAdminRole } from '../../lib/roleService';
+import { appendAuditLog, commitAuditedWrites } from '../../lib/auditLogService';
+import { getPendingAdminInvites, revokeAdminInvite, isInviteExpired, getInviteLink } from '../../lib/adminInviteService';
+import { getAcademySettings, updateAcademySettings } from '../../lib/settingsService';
+import { cleanupReadNotifications } from '../../lib/notificationService';
+import { formatDateTime } from '../../lib/utils';
+import { PERMISSIONS, PERMISSION_LABELS, DEFAULT_ADMIN_PERMISSIONS, AUDIT_ENTITY, ADMIN_INVITE_EXPIRY_DAYS, MESSAGE_CHANNEL, MESSAGE_CHANNEL_LABELS } from '../../constants';
 import LoadingSpinner from '../common/LoadingSpinner';
 
 export default function AdminSettings() {
-  const { admin, inviteAdmin, logoutAdmin } = useAuth();
+  const { admin, inviteAdmin, hasPermission, isSuperAdmin } = useAuth();
+  const canManageAdmins = hasPermission(PERMISSIONS.MANAGE_ADMINS);
+  const canDeleteData = hasPermission(PERMISSIONS.DELETE_DATA);
   const [admins, setAdmins] = useState([]);
+  const [invites, setInvites] = useState([]);
+  const [roles, setRoles] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showInviteModal, setShowInviteModal] = useState(false);
   const [seasons, setSeasons] = useState([]);
@@ -17,12 +30,16 @@ export default function AdminSettings() {
 
   const loadAdmins = async () => {
     try {
-      const snapshot = await getDocs(collection(db, 'admins'));
+      const [snapshot, roleList] = await Promise.all([
+        getDocs(collection(db, 'admins')),
+        getAllRoles(),
+      ]);
       const adminList = snapshot.docs.map(doc => ({
         uid: doc.id,
         ...doc.data(),
       }));
       setAdmins(adminList);
+      setRoles(roleList);
     } catch (error) {
       console.error('Failed to load admins:', error);
     } finally {
@@ -30,6 +47,14 @@ export default function AdminSettings() {
     }
   };
 
+  const loadInvites = async () => {
+    try {
+      setInvites(await getPendingAdminInvites());
+    } catch (error) {
+      console.error('Failed to load invites:', error);
+    }
+  };
+
   const loadSeasons = async () => {
     try {
       const data = await getAllSeasons();
@@ -57,9 +82,42 @@ export default function AdminSettings() {
 
   useEffect(() => {
     loadAdmins();
-    loadSeasons();
-    loadCollectionCounts();
-  }, []);
+    if (canManageAdmins) {
+      loadInvites();
+    }
+    if (canDeleteData) {
+      loadSeasons();
+      loadCollectionCounts();
+    }
+  }, [canManageAdmins, canDeleteData]);
+
+  const handleRoleChange = async (adminUser, value) => {
+    // value: 'superadmin' | 'admin' | custom role id
+    const customRole = roles.find(r => r.id === value) || null;
+    const role = value === 'superadmin' ? 'superadmin' : 'admin';
+
+    try {
+      await updateAdminRole(adminUser.uid, role, customRole);
+      loadAdmins();
+    } catch (error) {
+      console.error('Role change failed:', error);
+      alert(error.message || '권한 변경에 실패했습니다.');
+    }
+  };
+
+  const handleRevokeInvite = async (invite) => {
+    if (!isInviteExpired(invite) && !confirm(`"${invite.name}" 초대를 취소하시겠습니까? 초대 링크는 더 이상 사용할 수 없습니다.`)) {
+      return;
+    }
+
+    try {
+      await revokeAdminInvite(invite.id, admin.uid);
+      setInvites(invites.filter(i => i.id !== invite.id));
+    } catch (error) {
+      console.error('Revoke invite failed:', error);
+      alert(error.message || '초대 취소에 실패했습니다.');
+    }
+  };
 
   const handleDelete = async (uid, name) => {
     if (uid === admin.uid) {
@@ -72,7 +130,16 @@ export default function AdminSettings() {
     }
 
     try {
-      await deleteDoc(doc(db, 'admins', uid));
+      const batch = writeBatch(db);
+      batch.delete(doc(db, 'admins', uid));
+      appendAuditLog(batch, {
+        action: 'delete',
+        entityType: AUDIT_ENTITY.ADMIN,
+        entityId: uid,
+        label: name,
+        before: admins.find(a => a.uid === uid),
+      });
+      await batch.commit();
       setAdmins(admins.filter(a => a.uid !== uid));
       // Note: This only removes from Firestore. The Firebase Auth user remains.
       // For complete deletion, you'd need Firebase Admin SDK or Cloud Functions.
@@ -93,161 +160,251 @@ export default function AdminSettings() {
           <Shield className="w-6 h-6 text-[#00b6b2]" />
           관리자 설정
         </h1>
-        <button
-          onClick={() => setShowInviteModal(true)}
-          className="flex items-center gap-2 px-4 py-2 bg-[#00b6b2] text-white rounded-xl font-medium hover:bg-[#009da0] transition-colors"
-        >
-          <UserPlus className="w-4 h-4" />
-          관리자 추가
-        </button>
-      </div>
-
-      {/* Admin List */}
-      <div className="bg-white rounded-2xl border border-gray-200 overflow-hidden">
-        <table className="w-full">
-          <thead className="bg-slate-50 text-slate-500 text-sm">
-            <tr>
-              <th className="text-left p-4 font-medium">이름</th>
-              <th className="text-left p-4 font-medium">아이디</th>
-              <th className="text-left p-4 font-medium">권한</th>
-              <th className="text-right p-4 font-medium">관리</th>
-            </tr>
-          </thead>
-          <tbody className="divide-y divide-gray-100">
-            {admins.map((adminUser) => (
-              <tr key={adminUser.uid} className="hover:bg-slate-50/50">
-                <td className="p-4 font-medium text-slate-900">
-                  {adminUser.name}
-                  {adminUser.uid === admin.uid && (
-                    <span className="ml-2 text-xs text-slate-400">(나)</span>
-                  )}
-                </td>
-                <td className="p-4 text-slate-600">
-                  {adminUser.email?.replace('@academy.local', '')}
-                </td>
-                <td className="p-4">
-                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
-                    adminUser.role === 'superadmin' 
-                      ? 'bg-purple-100 text-purple-700'
-                      : 'bg-blue-100 text-blue-700'
-                  }`}>
-                    {adminUser.role === 'superadmin' ? '최고 관리자' : '관리자'}
-                  </span>
-                </td>
-                <td className="p-4">
-                  <div className="flex items-center justify-end">
-                    {adminUser.uid !== admin.uid && adminUser.role !== 'superadmin' && (
-                      <button
-                        onClick={() => handleDelete(adminUser.uid, adminUser.name)}
-                        className="p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
-                      >
-                        <Trash2 className="w-4 h-4" />
-                      </button>
-                    )}
-                  </div>
-                </td>
-              </tr>
-            ))}
-          </tbody>
-        </table>
+        {canManageAdmins && (
+          <button
+            onClick={() => setShowInviteModal(true)}
+            className="flex items-center gap-2 px-4 py-2 bg-[#00b6b2] text-white rounded-xl font-medium hover:bg-[#009da0] transition-colors"
+          >
+            <UserPlus className="w-4 h-4" />
+            관리자 초대
+          </button>
+        )}
       </div>
 
-      <div className="mt-6 p-4 bg-amber-50 rounded-xl border border-amber-200">
-        <p className="text-sm text-amber-800">
-          <strong>참고:</strong> 관리자 추가 시 새 계정이 생성되며, 현재 세션에서 로그아웃됩니다. 
-          다시 로그인해주세요.
-        </p>
-      </div>
+      {canManageAdmins && (
+        <>
+          {/* Admin List */}
+          <div className="bg-white rounded-2xl border border-gray-200 overflow-hidden">
+            <table className="w-full">
+              <thead className="bg-slate-50 text-slate-500 text-sm">
+                <tr>
+                  <th className="text-left p-4 font-medium">이름</th>
+                  <th className="text-left p-4 font-medium">아이디</th>
+                  <th className="text-left p-4 font-medium">권한</th>
+                  <th className="text-right p-4 font-medium">관리</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {admins.map((adminUser) => (
+                  <tr key={adminUser.uid} className="hover:bg-slate-50/50">
+                    <td className="p-4 font-medium text-slate-900">
+                      {adminUser.name}
+                      {adminUser.uid === admin.uid && (
+                        <span className="ml-2 text-xs text-slate-400">(나)</span>
+                      )}
+                    </td>
+                    <td className="p-4 text-slate-600">
+                      {adminUser.email?.replace('@academy.local', '')}
+                    </td>
+                    <td className="p-4">
+                      {adminUser.uid === admin.uid || (adminUser.role === 'superadmin' && !isSuperAdmin) ? (
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                          adminUser.role === 'superadmin' 
+                            ? 'bg-purple-100 text-purple-700'
+                            : 'bg-blue-100 text-blue-700'
+                        }`}>
+                          {adminUser.role === 'superadmin' ? '최고 관리자' : adminUser.roleName || '관리자'}
+                        </span>
+                      ) : (
+                        <RoleSelect
+                          value={adminUser.role === 'superadmin' ? 'superadmin' : adminUser.roleId || 'admin'}
+                          roles={roles}
+                          allowSuperAdmin={isSuperAdmin}
+                          onChange={(value) => handleRoleChange(adminUser, value)}
+                          className="px-2 py-1 text-sm bg-slate-50 border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+                        />
+                      )}
+                    </td>
+                    <td className="p-4">
+                      <div className="flex items-center justify-end">
+                        {adminUser.uid !== admin.uid && (adminUser.role !== 'superadmin' || isSuperAdmin) && (
+                          <button
+                            onClick={() => handleDelete(adminUser.uid, adminUser.name)}
+                            className="p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
 
-      {/* 데이터 관리 섹션 */}
-      <div className="mt-10">
-        <h2 className="text-xl font-bold text-slate-900 flex items-center gap-2 mb-6">
-          <Database className="w-6 h-6 text-red-500" />
-          데이터 관리
-        </h2>
-
-        {/* 학기별 데이터 삭제 */}
-        <div className="bg-white rounded-2xl border border-gray-200 p-6 mb-6">
-          <h3 className="font-bold text-slate-900 mb-4 flex items-center gap-2">
-            <Calendar className="w-5 h-5 text-amber-500" />
-            학기별 데이터 삭제
-          </h3>
-          <p className="text-sm text-slate-500 mb-4">
-            선택한 학기의 강좌 및 수강신청 데이터만 삭제합니다. 학기 정보는 유지됩니다.
-          </p>
-          <SeasonDataDelete 
-            seasons={seasons} 
-            onDelete={() => loadCollectionCounts()}
+          <PendingInvites
+            invites={invites}
+            roleLabelOf={(invite) => invite.role === 'superadmin' ? '최고 관리자' : invite.roleName || '관리자'}
+            onRevoke={handleRevokeInvite}
           />
+
+          {/* 역할 관리 */}
+          <div className="mt-10">
+            <h2 className="text-xl font-bold text-slate-900 flex items-center gap-2 mb-6">
+              <KeyRound className="w-6 h-6 text-[#00b6b2]" />
+              역할 관리
+            </h2>
+            <div className="bg-white rounded-2xl border border-gray-200 p-6">
+              <p className="text-sm text-slate-500 mb-4">
+                관리자에게 배정할 역할과 권한을 정합니다. 역할을 수정하면 해당 역할의 관리자 권한도 함께 바뀝니다.
+              </p>
+              <RoleSettings roles={roles} adminUid={admin.uid} onChange={loadAdmins} />
+            </div>
+          </div>
+        </>
+      )}
+
+      {/* 보호자 확인·알림 */}
+      {hasPermission(PERMISSIONS.APPROVE_ENROLLMENTS) && (
+        <div className="mt-10">
+          <h2 className="text-xl font-bold text-slate-900 flex items-center gap-2 mb-6">
+            <Users className="w-6 h-6 text-[#00b6b2]" />
+            보호자 확인·알림
+          </h2>
+          <div className="bg-white rounded-2xl border border-gray-200 p-6">
+            <GuardianSettings adminUid={admin.uid} />
+          </div>
         </div>
+      )}
 
-        {/* 개별 컬렉션 삭제 */}
-        <div className="bg-white rounded-2xl border border-gray-200 p-6 mb-6">
-          <h3 className="font-bold text-slate-900 mb-4">개별 데이터 초기화</h3>
-          <div className="space-y-3">
-            <CollectionDeleteRow 
-              label="수강신청" 
-              collection="enrollments" 
-              count={collectionCounts.enrollments || 0}
-              icon="📋"
-              onDelete={() => setDeleteModal({ collection: 'enrollments', label: '수강신청' })}
-            />
-            <CollectionDeleteRow 
-              label="강좌" 
-              collection="courses" 
-              count={collectionCounts.courses || 0}
-              icon="📚"
-              onDelete={() => setDeleteModal({ collection: 'courses', label: '강좌' })}
-            />
-            <CollectionDeleteRow 
-              label="학생" 
-              collection="students" 
-              count={collectionCounts.students || 0}
-              icon="👥"
-              onDelete={() => setDeleteModal({ collection: 'students', label: '학생' })}
-            />
-            <CollectionDeleteRow 
-              label="알림" 
-              collection="notifications" 
-              count={collectionCounts.notifications || 0}
-              icon="🔔"
-              onDelete={() => setDeleteModal({ collection: 'notifications', label: '알림' })}
-            />
-            <CollectionDeleteRow 
-              label="출석" 
-              collection="attendance" 
-              count={collectionCounts.attendance || 0}
-              icon="✅"
-              onDelete={() => setDeleteModal({ collection: 'attendance', label: '출석' })}
+      {/* 반려 사유 템플릿 */}
+      {hasPermission(PERMISSIONS.APPROVE_ENROLLMENTS) && (
+        <div className="mt-10">
+          <h2 className="text-xl font-bold text-slate-900 flex items-center gap-2 mb-6">
+            <MessageSquare className="w-6 h-6 text-[#00b6b2]" />
+            반려 사유 템플릿
+          </h2>
+          <div className="bg-white rounded-2xl border border-gray-200 p-6">
+            <p className="text-sm text-slate-500 mb-4">
+              수강신청 반려 시 선택할 수 있는 사유입니다. 선택 후 내용을 수정할 수도 있습니다.
+            </p>
+            <RejectionTemplateSettings adminUid={admin.uid} />
+          </div>
+        </div>
+      )}
+
+      {/* 데이터 관리 섹션 */}
+      {canDeleteData && (
+        <div className="mt-10">
+          <h2 className="text-xl font-bold text-slate-900 flex items-center gap-2 mb-6">
+            <Database className="w-6 h-6 text-red-500" />
+            데이터 관리
+          </h2>
+
+          {/* 데이터 정합성 점검 */}
+          <div className="bg-white rounded-2xl border border-gray-200 p-6 mb-6">
+            <h3 className="font-bold text-slate-900 mb-4 flex items-center gap-2">
+              <RefreshCw className="w-5 h-5 text-[#00b6b2]" />
+              데이터 정합성 점검
+            </h3>
+            <p className="text-sm text-slate-500 mb-4">
+              강좌 신청 인원과 반 학생 수를 실제 데이터로 다시 계산하고, 삭제된 학생·강좌를 가리키는 기록을 찾습니다.
+              미리보기를 확인한 뒤 수정을 적용하세요.
+            </p>
+            <IntegrityCheck onApplied={() => loadCollectionCounts()} />
+          </div>
+
+          {/* 읽은 알림 정리 */}
+          <div className="bg-white rounded-2xl border border-gray-200 p-6 mb-6">
+            <h3 className="font-bold text-slate-900 mb-4 flex items-center gap-2">
+              <BellOff className="w-5 h-5 text-[#00b6b2]" />
+              읽은 알림 정리
+            </h3>
+            <p className="text-sm text-slate-500 mb-4">
+              학생이 읽은 알림은 보관 기간이 지나면 자동으로 삭제됩니다. 보관함에 옮긴 알림은 삭제되지 않습니다.
+              자동 삭제가 반영되기 전에 바로 정리하려면 아래 버튼을 사용하세요.
+            </p>
+            <NotificationCleanup
+              adminUid={admin.uid}
+              canEditRetention={hasPermission(PERMISSIONS.APPROVE_ENROLLMENTS)}
+              onCleaned={() => loadCollectionCounts()}
             />
-            <CollectionDeleteRow 
-              label="반" 
-              collection="classes" 
-              count={collectionCounts.classes || 0}
-              icon="🏫"
-              onDelete={() => setDeleteModal({ collection: 'classes', label: '반' })}
+          </div>
+
+          {/* 학기별 데이터 삭제 */}
+          <div className="bg-white rounded-2xl border border-gray-200 p-6 mb-6">
+            <h3 className="font-bold text-slate-900 mb-4 flex items-center gap-2">
+              <Calendar className="w-5 h-5 text-amber-500" />
+              학기별 데이터 삭제
+            </h3>
+            <p className="text-sm text-slate-500 mb-4">
+              선택한 학기의 강좌 및 수강신청 데이터만 삭제합니다. 학기 정보는 유지됩니다.
+            </p>
+            <SeasonDataDelete 
+              seasons={seasons} 
+              onDelete={() => loadCollectionCounts()}
             />
           </div>
-        </div>
 
-        {/* 전체 초기화 */}
-        <div className="bg-red-50 rounded-2xl border border-red-200 p-6">
-          <h3 className="font-bold text-red-700 mb-2 flex items-center gap-2">
-            <AlertTriangle className="w-5 h-5" />
-            전체 데이터 초기화
-          </h3>
-          <p className="text-sm text-red-600 mb-4">
-            모든 데이터(학생, 강좌, 수강신청, 알림, 출석, 반)를 삭제합니다. 
-            학기 정보와 관리자 정보는 유지됩니다.
-          </p>
-          <button
-            onClick={() => setDeleteModal({ collection: 'all', label: '전체 데이터' })}
-            className="w-full py-3 bg-red-600 text-white rounded-xl font-medium hover:bg-red-700 transition-colors"
-          >
-            전체 초기화 실행
-          </button>
+          {/* 개별 컬렉션 삭제 */}
+          <div className="bg-white rounded-2xl border border-gray-200 p-6 mb-6">
+            <h3 className="font-bold text-slate-900 mb-4">개별 데이터 초기화</h3>
+            <div className="space-y-3">
+              <CollectionDeleteRow 
+                label="수강신청" 
+                collection="enrollments" 
+                count={collectionCounts.enrollments || 0}
+                icon="📋"
+                onDelete={() => setDeleteModal({ collection: 'enrollments', label: '수강신청' })}
+              />
+              <CollectionDeleteRow 
+                label="강좌" 
+                collection="courses" 
+                count={collectionCounts.courses || 0}
+                icon="📚"
+                onDelete={() => setDeleteModal({ collection: 'courses', label: '강좌' })}
+              />
+              <CollectionDeleteRow 
+                label="학생" 
+                collection="students" 
+                count={collectionCounts.students || 0}
+                icon="👥"
+                onDelete={() => setDeleteModal({ collection: 'students', label: '학생' })}
+              />
+              <CollectionDeleteRow 
+                label="알림" 
+                collection="notifications" 
+                count={collectionCounts.notifications || 0}
+                icon="🔔"
+                onDelete={() => setDeleteModal({ collection: 'notifications', label: '알림' })}
+              />
+              <CollectionDeleteRow 
+                label="출석" 
+                collection="attendance" 
+                count={collectionCounts.attendance || 0}
+                icon="✅"
+                onDelete={() => setDeleteModal({ collection: 'attendance', label: '출석' })}
+              />
+              <CollectionDeleteRow 
+                label="반" 
+                collection="classes" 
+                count={collectionCounts.classes || 0}
+                icon="🏫"
+                onDelete={() => setDeleteModal({ collection: 'classes', label: '반' })}
+              />
+            </div>
+          </div>
+
+          {/* 전체 초기화 */}
+          <div className="bg-red-50 rounded-2xl border border-red-200 p-6">
+            <h3 className="font-bold text-red-700 mb-2 flex items-center gap-2">
+              <AlertTriangle className="w-5 h-5" />
+              전체 데이터 초기화
+            </h3>
+            <p className="text-sm text-red-600 mb-4">
+              모든 데이터(학생, 강좌, 수강신청, 알림, 출석, 반)를 삭제합니다. 
+              학기 정보와 관리자 정보는 유지됩니다.
+            </p>
+            <button
+              onClick={() => setDeleteModal({ collection: 'all', label: '전체 데이터' })}
+              className="w-full py-3 bg-red-600 text-white rounded-xl font-medium hover:bg-red-700 transition-colors"
+            >
+              전체 초기화 실행
+            </button>
+          </div>
         </div>
-      </div>
+      )}
 
       {/* Delete Confirmation Modal */}
       {deleteModal && (
@@ -269,12 +426,12 @@ export default function AdminSettings() {
       {/* Invite Modal */}
       {showInviteModal && (
         <InviteAdminModal
+          roles={roles}
+          allowSuperAdmin={isSuperAdmin}
           onClose={() => setShowInviteModal(false)}
-          onSuccess={async () => {
+          onSuccess={() => {
             setShowInviteModal(false);
-            // After creating a new admin, we need to re-login
-            alert('관리자가 추가되었습니다. 다시 로그인해주세요.');
-            await logoutAdmin();
+            loadInvites();
           }}
           inviteAdmin={inviteAdmin}
         />
@@ -307,6 +464,430 @@ function CollectionDeleteRow({ label, collection, count, icon, onDelete }) {
   );
 }
 
+function GuardianSettings({ adminUid }) {
+  const [settings, setSettings] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        setSettings(await getAcademySettings());
+      } catch (error) {
+        console.error('Failed to load academy settings:', error);
+      }
+    };
+
+    loadSettings();
+  }, []);
+
+  const handleChange = async (updates) => {
+    setSaving(true);
+    try {
+      await updateAcademySettings(updates, adminUid);
+      setSettings({ ...settings, ...updates });
+    } catch (error) {
+      console.error('Failed to update academy settings:', error);
+      alert(error.message || '설정 변경에 실패했습니다.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!settings) {
+    return <LoadingSpinner message="설정 로딩 중..." />;
+  }
+
+  return (
+    <div className="space-y-6">
+      <label className="flex items-start gap-3 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={settings.requireGuardianConsent}
+          onChange={(e) => handleChange({ requireGuardianConsent: e.target.checked })}
+          disabled={saving}
+          className="mt-1 w-4 h-4 text-[#00b6b2] rounded focus:ring-[#00b6b2]"
+        />
+        <span>
+          <span className="block text-sm font-medium text-slate-900">수강신청 전 보호자 확인 필요</span>
+          <span className="block text-sm text-slate-500 mt-1">
+            보호자 계정이 연결된 학생은 보호자가 신청 강좌를 확인한 뒤에만 수강신청을 제출할 수 있습니다.
+            보호자 계정이 없는 학생에게는 적용되지 않습니다.
+          </span>
+        </span>
+      </label>
+      <div className="border-t border-gray-100 pt-6">
+        <label className="flex items-start gap-3 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.absenceAlertsEnabled}
+            onChange={(e) => handleChange({ absenceAlertsEnabled: e.target.checked })}
+            disabled={saving}
+            className="mt-1 w-4 h-4 text-[#00b6b2] rounded focus:ring-[#00b6b2]"
+          />
+          <span>
+            <span className="block text-sm font-medium text-slate-900">결석·지각 시 보호자에게 알림 발송</span>
+            <span className="block text-sm text-slate-500 mt-1">
+              출석 체크에서 결석 또는 지각으로 바뀐 학생의 보호자 연락처로 안내 메시지를 보냅니다.
+              학생 정보에서 학생별로 수신을 거부할 수 있습니다.
+              메시지는 대기열에 쌓였다가 학생 정보 수정 권한이 있는 관리자 화면에서 순서대로 발송됩니다.
+            </span>
+          </span>
+        </label>
+        <div className="flex items-center gap-3 mt-4 ml-7">
+          <span className="text-sm text-slate-700">발송 채널</span>
+          <select
+            value={settings.absenceAlertChannel}
+            onChange={(e) => handleChange({ absenceAlertChannel: e.target.value })}
+            disabled={saving || !settings.absenceAlertsEnabled}
+            className="px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-[#00b6b2] disabled:opacity-50"
+          >
+            {Object.values(MESSAGE_CHANNEL).map(channel => (
+              <option key={channel} value={channel}>{MESSAGE_CHANNEL_LABELS[channel]}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function NotificationCleanup({ adminUid, canEditRetention, onCleaned }) {
+  const [retentionDays, setRetentionDays] = useState('');
+  const [savedDays, setSavedDays] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [cleaning, setCleaning] = useState(false);
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const settings = await getAcademySettings();
+        setRetentionDays(String(settings.notificationRetentionDays));
+        setSavedDays(settings.notificationRetentionDays);
+      } catch (error) {
+        console.error('Failed to load academy settings:', error);
+      }
+    };
+
+    loadSettings();
+  }, []);
+
+  const handleSave = async () => {
+    const days = Number(retentionDays);
+    if (!Number.isInteger(days) || days < 1) {
+      alert('보관 기간은 1일 이상의 정수로 입력해주세요.');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await updateAcademySettings({ notificationRetentionDays: days }, adminUid);
+      setSavedDays(days);
+    } catch (error) {
+      console.error('Failed to update academy settings:', error);
+      alert(error.message || '설정 변경에 실패했습니다.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCleanup = async () => {
+    if (!confirm(`읽은 지 ${savedDays}일이 지난 알림을 모두 삭제합니다. 계속하시겠습니까?`)) {
+      return;
+    }
+
+    setCleaning(true);
+    try {
+      const deleted = await cleanupReadNotifications();
+      alert(`${deleted}건의 알림이 삭제되었습니다.`);
+      onCleaned();
+    } catch (error) {
+      console.error('Notification cleanup failed:', error);
+      alert('정리에 실패했습니다: ' + error.message);
+    } finally {
+      setCleaning(false);
+    }
+  };
+
+  if (savedDays === null) {
+    return <LoadingSpinner message="설정 로딩 중..." />;
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-3">
+      {canEditRetention && (
+        <>
+          <span className="text-sm text-slate-700">읽은 뒤</span>
+          <input
+            type="number"
+            min="1"
+            value={retentionDays}
+            onChange={(e) => setRetentionDays(e.target.value)}
+            className="w-20 px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+          />
+          <span className="text-sm text-slate-700">일 보관</span>
+          <button
+            onClick={handleSave}
+            disabled={saving || Number(retentionDays) === savedDays}
+            className="px-4 py-2 bg-[#00b6b2] text-white rounded-xl text-sm font-medium hover:bg-[#009da0] disabled:opacity-50 transition-colors"
+          >
+            저장
+          </button>
+        </>
+      )}
+      <button
+        onClick={handleCleanup}
+        disabled={cleaning}
+        className="flex items-center gap-2 px-4 py-2 bg-white border border-gray-200 text-slate-600 rounded-xl text-sm font-medium hover:bg-slate-50 transition-colors disabled:opacity-50"
+      >
+        <Trash2 className="w-4 h-4" />
+        {cleaning ? '정리 중...' : '지금 정리'}
+      </button>
+    </div>
+  );
+}
+
+function RejectionTemplateSettings({ adminUid }) {
+  const [templates, setTemplates] = useState([]);
+  const [text, setText] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const loadTemplates = async () => {
+    try {
+      setTemplates(await getRejectionTemplates());
+    } catch (error) {
+      console.error('Failed to load rejection templates:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadTemplates();
+  }, []);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+
+    setSaving(true);
+    try {
+      await createRejectionTemplate(text, adminUid);
+      setText('');
+      await loadTemplates();
+    } catch (error) {
+      console.error('Failed to add template:', error);
+      alert(error.message || '추가에 실패했습니다.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!confirm(`"${template.text}" 템플릿을 삭제하시겠습니까?`)) return;
+
+    try {
+      await deleteRejectionTemplate(template.id);
+      setTemplates(templates.filter(t => t.id !== template.id));
+    } catch (error) {
+      console.error('Failed to delete template:', error);
+      alert('삭제에 실패했습니다.');
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      {templates.map(template => (
+        <div key={template.id} className="flex items-center justify-between p-3 bg-slate-50 rounded-lg">
+          <span className="text-sm text-slate-700">{template.text}</span>
+          <button
+            onClick={() => handleDelete(template)}
+            className="p-1.5 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+      {templates.length === 0 && (
+        <p className="text-sm text-slate-400">등록된 템플릿이 없습니다.</p>
+      )}
+      <form onSubmit={handleAdd} className="flex gap-2">
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder="예: 강좌 폐강으로 인한 반려"
+          className="flex-1 px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+        />
+        <button
+          type="submit"
+          disabled={saving || !text.trim()}
+          className="flex items-center gap-1 px-4 py-2.5 bg-[#00b6b2] text-white rounded-xl font-medium hover:bg-[#009da0] disabled:opacity-50"
+        >
+          <Plus className="w-4 h-4" />
+          추가
+        </button>
+      </form>
+    </div>
+  );
+}
+
+function IntegrityCheck({ onApplied }) {
+  const [report, setReport] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [applying, setApplying] = useState(false);
+
+  const handleCheck = async () => {
+    setChecking(true);
+    try {
+      setReport(await checkDataIntegrity());
+    } catch (error) {
+      console.error('Integrity check failed:', error);
+      alert('점검에 실패했습니다: ' + error.message);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleApply = async () => {
+    const issueCount = countIntegrityIssues(report);
+    if (!confirm(`${issueCount}건을 수정합니다. 고아 기록은 영구 삭제됩니다. 계속하시겠습니까?`)) {
+      return;
+    }
+
+    setApplying(true);
+    try {
+      const written = await applyIntegrityFixes(report);
+      alert(`${written}건이 수정되었습니다.`);
+      setReport(await checkDataIntegrity());
+      onApplied();
+    } catch (error) {
+      console.error('Integrity fix failed:', error);
+      alert('수정에 실패했습니다: ' + error.message);
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const missingLabel = (missing) => missing === 'student' ? '학생 없음' : '강좌 없음';
+  const issueCount = countIntegrityIssues(report);
+
+  return (
+    <div className="space-y-4">
+      <button
+        onClick={handleCheck}
+        disabled={checking || applying}
+        className="flex items-center gap-2 px-4 py-2 bg-white border border-gray-200 text-slate-600 rounded-xl font-medium hover:bg-slate-50 transition-colors disabled:opacity-50"
+      >
+        <RefreshCw className={`w-4 h-4 ${checking ? 'animate-spin' : ''}`} />
+        {report ? '다시 점검' : '점검 실행'}
+      </button>
+
+      {report && issueCount === 0 && (
+        <div className="flex items-center gap-2 p-3 bg-green-50 text-green-700 rounded-lg text-sm">
+          <CheckCircle2 className="w-4 h-4" />
+          문제가 발견되지 않았습니다.
+        </div>
+      )}
+
+      {report && issueCount > 0 && (
+        <>
+          <div className="max-h-96 overflow-y-auto space-y-4">
+            <IntegritySection title="강좌 신청 인원" items={report.enrolledCounts}>
+              {c => (
+                <>
+                  <span className="text-slate-700">{c.title || c.courseId}</span>
+                  <span className="text-slate-500">{c.stored} → <strong className="text-slate-900">{c.actual}</strong></span>
+                </>
+              )}
+            </IntegritySection>
+            <IntegritySection title="반 학생 수" items={report.classCounts}>
+              {c => (
+                <>
+                  <span className="text-slate-700">{c.name}</span>
+                  <span className="text-slate-500">{c.stored} → <strong className="text-slate-900">{c.actual}</strong></span>
+                </>
+              )}
+            </IntegritySection>
+            <IntegritySection title="고아 수강신청 (삭제)" items={report.orphanEnrollments}>
+              {e => (
+                <>
+                  <span className="text-slate-700">{e.studentId} · {e.courseId}</span>
+                  <span className="text-red-600">{missingLabel(e.missing)}</span>
+                </>
+              )}
+            </IntegritySection>
+            <IntegritySection title="고아 알림 (삭제)" items={report.orphanNotifications}>
+              {n => (
+                <>
+                  <span className="text-slate-700">{n.studentId} · {n.title}</span>
+                  <span className="text-red-600">학생 없음</span>
+                </>
+              )}
+            </IntegritySection>
+            <IntegritySection title="만료 예정 공지 알림 (읽음 통계 유지)" items={report.expiringAnnouncements}>
+              {n => (
+                <>
+                  <span className="text-slate-700">{n.studentId} · {n.title}</span>
+                  <span className="text-slate-500">만료 해제</span>
+                </>
+              )}
+            </IntegritySection>
+            <IntegritySection title="보관 여부 없는 알림 (알림함에 표시)" items={report.unflaggedNotifications}>
+              {n => (
+                <>
+                  <span className="text-slate-700">{n.studentId} · {n.title}</span>
+                  <span className="text-slate-500">보관 안 함</span>
+                </>
+              )}
+            </IntegritySection>
+            <IntegritySection title="고아 출석 기록 (삭제)" items={report.orphanAttendance}>
+              {a => (
+                <>
+                  <span className="text-slate-700">{a.date} · {a.studentId} · {a.courseId}</span>
+                  <span className="text-red-600">{missingLabel(a.missing)}</span>
+                </>
+              )}
+            </IntegritySection>
+            <IntegritySection title="수강신청 학생 정보 (강사 명단용)" items={report.staleStudentSnapshots}>
+              {e => (
+                <>
+                  <span className="text-slate-700">{e.studentId}</span>
+                  <span className="text-slate-500">
+                    {e.stored.studentName ?? '-'} · {e.stored.studentClass || '반 미배정'} → <strong className="text-slate-900">{e.actual.studentName} · {e.actual.studentClass || '반 미배정'}</strong>
+                  </span>
+                </>
+              )}
+            </IntegritySection>
+          </div>
+
+          <button
+            onClick={handleApply}
+            disabled={applying || checking}
+            className="w-full py-2.5 bg-[#00b6b2] text-white rounded-xl font-medium hover:bg-[#009da0] disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {applying ? '수정 중...' : `${issueCount}건 수정 적용`}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+function IntegritySection({ title, items, children }) {
+  if (items.length === 0) return null;
+
+  return (
+    <div>
+      <h4 className="text-sm font-medium text-slate-700 mb-2">{title} ({items.length}건)</h4>
+      <div className="border border-gray-200 rounded-lg divide-y divide-gray-100">
+        {items.map((item, idx) => (
+          <div key={item.id || item.courseId || item.classId || idx} className="flex items-center justify-between px-3 py-2 text-sm">
+            {children(item)}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
 function SeasonDataDelete({ seasons, onDelete }) {
   const [selectedSeasonId, setSelectedSeasonId] = useState('');
   const [loading, setLoading] = useState(false);
@@ -334,15 +915,17 @@ function SeasonDataDelete({ seasons, onDelete }) {
       const coursesSnapshot = await getDocs(coursesQuery);
 
       // Batch 삭제
-      const batchSize = 450;
       const allDocs = [...enrollmentsSnapshot.docs, ...coursesSnapshot.docs];
-      
-      for (let i = 0; i < allDocs.length; i += batchSize) {
-        const batch = writeBatch(db);
-        const chunk = allDocs.slice(i, i + batchSize);
-        chunk.forEach(doc => batch.delete(doc.ref));
-        await batch.commit();
-      }
+      await commitAuditedWrites(allDocs.map(d => batch => batch.delete(d.ref)), {
+        action: 'deleteSeasonData',
+        entityType: AUDIT_ENTITY.SEASON,
+        entityId: selectedSeasonId,
+        label: selectedSeason.name,
+        before: {
+          courses: coursesSnapshot.docs.map(d => ({ id: d.id, ...d.data() })),
+          enrollmentCount: enrollmentsSnapshot.size,
+        },
+      });
 
       alert(`${selectedSeason.name} 학기의 데이터가 삭제되었습니다.\n- 수강신청: ${enrollmentsSnapshot.size}건\n- 강좌: ${coursesSnapshot.size}건`);
       setSelectedSeasonId('');
@@ -407,14 +990,15 @@ function DeleteConfirmModal({ collection, label, count, onClose, onSuccess }) {
   const deleteCollectionData = async (collectionName) => {
     const { collection: firestoreCollection } = await import('firebase/firestore');
     const snapshot = await getDocs(firestoreCollection(db, collectionName));
-    const batchSize = 450;
     
-    for (let i = 0; i < snapshot.docs.length; i += batchSize) {
-      const batch = writeBatch(db);
-      const chunk = snapshot.docs.slice(i, i + batchSize);
-      chunk.forEach(d => batch.delete(d.ref));
-      await batch.commit();
-    }
+    // Document counts only: a full snapshot of a collection would not fit in one entry
+    await commitAuditedWrites(snapshot.docs.map(d => batch => batch.delete(d.ref)), {
+      action: 'wipe',
+      entityType: AUDIT_ENTITY.COLLECTION,
+      entityId: collectionName,
+      label: collectionName,
+      before: { count: snapshot.size },
+    });
     
     return snapshot.size;
   };
@@ -504,15 +1088,15 @@ function DeleteConfirmModal({ collection, label, count, onClose, onSuccess }) {
   );
 }
 
-function InviteAdminModal({ onClose, onSuccess, inviteAdmin }) {
+function InviteAdminModal({ roles, allowSuperAdmin, onClose, onSuccess, inviteAdmin }) {
   const [formData, setFormData] = useState({
     id: '',
-    password: '',
     name: '',
     role: 'admin',
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [inviteToken, setInviteToken] = useState(null);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -522,10 +1106,6 @@ function InviteAdminModal({ onClose, onSuccess, inviteAdmin }) {
       setError('아이디는 3자 이상이어야 합니다.');
       return;
     }
-    if (formData.password.length < 6) {
-      setError('비밀번호는 6자 이상이어야 합니다.');
-      return;
-    }
     if (!formData.name.trim()) {
       setError('이름을 입력해주세요.');
       return;
@@ -534,25 +1114,52 @@ function InviteAdminModal({ onClose, onSuccess, inviteAdmin }) {
     setLoading(true);
     try {
       const email = `${formData.id}@academy.local`;
-      await inviteAdmin(email, formData.password, formData.name, formData.role);
-      onSuccess();
+      const customRole = roles.find(r => r.id === formData.role) || null;
+      const role = formData.role === 'superadmin' ? 'superadmin' : 'admin';
+      const token = await inviteAdmin(email, formData.name, role, customRole);
+      setInviteToken(token);
     } catch (err) {
       console.error('Invite error:', err);
-      if (err.code === 'auth/email-already-in-use') {
-        setError('이미 사용 중인 아이디입니다.');
-      } else {
-        setError(err.message);
-      }
+      setError(err.message);
+    } finally {
       setLoading(false);
     }
   };
 
+  if (inviteToken) {
+    return (
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+        <div className="absolute inset-0 bg-black/50" onClick={onSuccess} />
+        <div className="relative bg-white rounded-2xl shadow-xl max-w-md w-full p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-xl font-bold text-slate-900">초대 링크</h2>
+            <button onClick={onSuccess} className="p-2 hover:bg-slate-100 rounded-lg">
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+          <p className="text-sm text-slate-600 mb-3">
+            <strong>{formData.name}</strong>님에게 아래 링크를 전달해주세요.
+            링크에서 비밀번호를 설정하면 아이디 <strong>{formData.id}</strong>로 로그인할 수 있습니다.
+            ({ADMIN_INVITE_EXPIRY_DAYS}일 후 만료)
+          </p>
+          <InviteLinkField token={inviteToken} />
+          <button
+            onClick={onSuccess}
+            className="w-full mt-6 py-2.5 bg-[#00b6b2] text-white rounded-xl font-medium hover:bg-[#009da0]"
+          >
+            완료
+          </button>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
       <div className="absolute inset-0 bg-black/50" onClick={onClose} />
       <div className="relative bg-white rounded-2xl shadow-xl max-w-md w-full p-6">
         <div className="flex items-center justify-between mb-6">
-          <h2 className="text-xl font-bold text-slate-900">관리자 추가</h2>
+          <h2 className="text-xl font-bold text-slate-900">관리자 초대</h2>
           <button onClick={onClose} className="p-2 hover:bg-slate-100 rounded-lg">
             <X className="w-5 h-5" />
           </button>
@@ -570,17 +1177,6 @@ function InviteAdminModal({ onClose, onSuccess, inviteAdmin }) {
               required
             />
           </div>
-          <div>
-            <label className="block text-sm font-medium text-slate-700 mb-1">비밀번호</label>
-            <input
-              type="password"
-              value={formData.password}
-              onChange={(e) => setFormData({ ...formData, password: e.target.value })}
-              className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
-              placeholder="••••••••"
-              required
-            />
-          </div>
           <div>
             <label className="block text-sm font-medium text-slate-700 mb-1">이름</label>
             <input
@@ -593,15 +1189,17 @@ function InviteAdminModal({ onClose, onSuccess, inviteAdmin }) {
             />
           </div>
           <div>
-            <label className="block text-sm font-medium text-slate-700 mb-1">권한</label>
-            <select
+            <label className="block text-sm font-medium text-slate-700 mb-1">역할</label>
+            <RoleSelect
               value={formData.role}
-              onChange={(e) => setFormData({ ...formData, role: e.target.value })}
+              roles={roles}
+              allowSuperAdmin={allowSuperAdmin}
+              onChange={(role) => setFormData({ ...formData, role })}
               className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
-            >
-              <option value="admin">관리자</option>
-              <option value="superadmin">최고 관리자</option>
-            </select>
+            />
+            <p className="text-xs text-slate-500 mt-1">
+              {describePermissions(formData.role, roles)}
+            </p>
           </div>
 
           {error && (
@@ -621,7 +1219,7 @@ function InviteAdminModal({ onClose, onSuccess, inviteAdmin }) {
               disabled={loading}
               className="flex-1 py-2.5 bg-[#00b6b2] text-white rounded-xl font-medium hover:bg-[#009da0] disabled:opacity-50"
             >
-              {loading ? '추가 중...' : '추가하기'}
+              {loading ? '초대 중...' : '초대 링크 만들기'}
             </button>
           </div>
         </form>
@@ -629,3 +1227,246 @@ function InviteAdminModal({ onClose, onSuccess, inviteAdmin }) {
     </div>
   );
 }
+
+function InviteLinkField({ token }) {
+  const [copied, setCopied] = useState(false);
+  const link = getInviteLink(token);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopied(true);
+    } catch (error) {
+      console.error('Copy failed:', error);
+      alert('복사에 실패했습니다. 링크를 직접 선택해 복사해주세요.');
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <input
+        type="text"
+        readOnly
+        value={link}
+        onFocus={(e) => e.target.select()}
+        className="flex-1 min-w-0 px-3 py-2 text-sm bg-slate-50 border border-slate-200 rounded-xl text-slate-600"
+      />
+      <button
+        onClick={handleCopy}
+        className="flex items-center gap-1 px-3 py-2 text-sm border border-slate-200 rounded-xl text-slate-700 hover:bg-slate-50"
+      >
+        {copied ? <Check className="w-4 h-4 text-green-600" /> : <Copy className="w-4 h-4" />}
+        {copied ? '복사됨' : '복사'}
+      </button>
+    </div>
+  );
+}
+
+function PendingInvites({ invites, roleLabelOf, onRevoke }) {
+  const [openId, setOpenId] = useState(null);
+
+  if (invites.length === 0) return null;
+
+  return (
+    <div className="mt-6 bg-white rounded-2xl border border-gray-200 overflow-hidden">
+      <div className="px-4 py-3 bg-slate-50 text-sm font-medium text-slate-500">
+        대기 중인 초대 ({invites.length})
+      </div>
+      <ul className="divide-y divide-gray-100">
+        {invites.map(invite => {
+          const expired = isInviteExpired(invite);
+          return (
+            <li key={invite.id} className="p-4">
+              <div className="flex items-center justify-between gap-3">
+                <div className="text-sm">
+                  <span className="font-medium text-slate-900">{invite.name}</span>
+                  <span className="ml-2 text-slate-500">{invite.email.replace('@academy.local', '')}</span>
+                  <span className="ml-2 text-xs text-slate-400">{roleLabelOf(invite)}</span>
+                  <div className={`text-xs mt-0.5 ${expired ? 'text-red-500' : 'text-slate-400'}`}>
+                    {expired ? '만료됨' : `${formatDateTime(invite.expiresAt)} 만료`}
+                  </div>
+                </div>
+                <div className="flex items-center gap-2">
+                  {!expired && (
+                    <button
+                      onClick={() => setOpenId(openId === invite.id ? null : invite.id)}
+                      className="px-3 py-1.5 text-sm border border-slate-200 rounded-lg text-slate-700 hover:bg-slate-50"
+                    >
+                      링크
+                    </button>
+                  )}
+                  <button
+                    onClick={() => onRevoke(invite)}
+                    className="px-3 py-1.5 text-sm bg-red-50 text-red-600 rounded-lg hover:bg-red-100"
+                  >
+                    {expired ? '정리' : '초대 취소'}
+                  </button>
+                </div>
+              </div>
+              {openId === invite.id && (
+                <div className="mt-3">
+                  <InviteLinkField token={invite.id} />
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+// Permission labels granted by a role choice ('superadmin' | 'admin' | custom role id)
+const describePermissions = (value, roles) => {
+  if (value === 'superadmin') return '모든 권한';
+  const permissions = roles.find(r => r.id === value)?.permissions || DEFAULT_ADMIN_PERMISSIONS;
+  return permissions.map(p => PERMISSION_LABELS[p]).join(', ') || '권한 없음';
+};
+
+function RoleSelect({ value, roles, allowSuperAdmin, onChange, className }) {
+  return (
+    <select value={value} onChange={(e) => onChange(e.target.value)} className={className}>
+      <option value="admin">관리자 (기본 권한)</option>
+      {roles.map(role => (
+        <option key={role.id} value={role.id}>{role.name}</option>
+      ))}
+      {allowSuperAdmin && <option value="superadmin">최고 관리자</option>}
+    </select>
+  );
+}
+
+function RoleSettings({ roles, adminUid, onChange }) {
+  const [editing, setEditing] = useState(null); // null | 'new' | role
+  const [name, setName] = useState('');
+  const [permissions, setPermissions] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const startEdit = (role) => {
+    setEditing(role || 'new');
+    setName(role?.name || '');
+    setPermissions(role?.permissions || []);
+  };
+
+  const togglePermission = (permission) => {
+    setPermissions(prev =>
+      prev.includes(permission) ? prev.filter(p => p !== permission) : [...prev, permission]
+    );
+  };
+
+  const handleSave = async () => {
+    if (!name.trim()) {
+      alert('역할 이름을 입력해주세요.');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (editing === 'new') {
+        await createRole(name, permissions, adminUid);
+      } else {
+        await updateRole(editing.id, { name, permissions });
+      }
+      setEditing(null);
+      onChange();
+    } catch (error) {
+      console.error('Failed to save role:', error);
+      alert(error.message || '저장에 실패했습니다.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (role) => {
+    if (!confirm(`"${role.name}" 역할을 삭제하시겠습니까?`)) return;
+
+    try {
+      await deleteRole(role.id);
+      onChange();
+    } catch (error) {
+      console.error('Failed to delete role:', error);
+      alert(error.message || '삭제에 실패했습니다.');
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      {roles.map(role => (
+        <div key={role.id} className="flex items-start justify-between gap-3 p-3 bg-slate-50 rounded-xl">
+          <div>
+            <div className="font-medium text-slate-900">{role.name}</div>
+            <div className="text-xs text-slate-500 mt-0.5">
+              {role.permissions.map(p => PERMISSION_LABELS[p]).join(', ') || '권한 없음'}
+            </div>
+          </div>
+          <div className="flex items-center gap-1 flex-shrink-0">
+            <button
+              onClick={() => startEdit(role)}
+              className="p-2 text-slate-400 hover:text-[#00b6b2] hover:bg-white rounded-lg transition-colors"
+              title="수정"
+            >
+              <Edit2 className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => handleDelete(role)}
+              className="p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+              title="삭제"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      ))}
+      {roles.length === 0 && !editing && (
+        <p className="text-sm text-slate-400">등록된 역할이 없습니다. 기본 관리자는 데이터 삭제와 관리자 관리를 제외한 모든 권한을 가집니다.</p>
+      )}
+
+      {editing ? (
+        <div className="p-4 border border-slate-200 rounded-xl space-y-3">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="역할 이름 (예: 데스크 조교)"
+            className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+          />
+          <div className="grid grid-cols-2 gap-2">
+            {Object.values(PERMISSIONS).map(permission => (
+              <label key={permission} className="flex items-center gap-2 text-sm text-slate-700">
+                <input
+                  type="checkbox"
+                  checked={permissions.includes(permission)}
+                  onChange={() => togglePermission(permission)}
+                  className="w-4 h-4 text-[#00b6b2] rounded focus:ring-[#00b6b2]"
+                />
+                {PERMISSION_LABELS[permission]}
+              </label>
+            ))}
+          </div>
+          <div className="flex gap-2 justify-end">
+            <button
+              onClick={() => setEditing(null)}
+              className="px-4 py-2 text-sm border border-slate-200 text-slate-600 rounded-xl hover:bg-slate-50"
+            >
+              취소
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="px-4 py-2 text-sm bg-[#00b6b2] text-white rounded-xl hover:bg-[#009da0] disabled:opacity-50"
+            >
+              {saving ? '저장 중...' : '저장'}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button
+          onClick={() => startEdit(null)}
+          className="flex items-center gap-1 text-sm text-[#00b6b2] hover:underline"
+        >
+          <Plus className="w-4 h-4" />
+          역할 추가
+        </button>
+      )}
+    </div>
+  );
+}
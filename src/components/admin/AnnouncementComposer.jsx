@@ -0,0 +1,454 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Megaphone, Eye, Send, Search, Pin, Clock, Info } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+  resolveAnnouncementRecipients,
+  sendAnnouncement,
+  getAnnouncements,
+  getAnnouncementReadStats
+} from '../../lib/announcementService';
+import { getAllStudents } from '../../lib/studentService';
+import { getAllClasses } from '../../lib/classService';
+import { getAllCourses } from '../../lib/courseService';
+import { getAllSeasons } from '../../lib/seasonService';
+import { formatDateTime } from '../../lib/utils';
+import { ANNOUNCEMENT_TARGET, ANNOUNCEMENT_TARGET_LABELS } from '../../constants';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const inputClassName = 'w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2]';
+
+const EMPTY_FORM = {
+  targetType: ANNOUNCEMENT_TARGET.CLASS,
+  targetId: '',
+  studentIds: [],
+  title: '',
+  message: '',
+  pinned: false,
+  scheduledAt: '',
+};
+
+/**
+ * 공지 보내기: an info notification to every student in a class, course roster,
+ * season or hand-picked list, with preview, scheduling, pinning and read receipts
+ */
+export default function AnnouncementComposer() {
+  const { admin } = useAuth();
+  const [students, setStudents] = useState([]);
+  const [classes, setClasses] = useState([]);
+  const [courses, setCourses] = useState([]);
+  const [seasons, setSeasons] = useState([]);
+  const [announcements, setAnnouncements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [studentSearch, setStudentSearch] = useState('');
+  // { recipientCount } once previewed; cleared whenever the form changes
+  const [preview, setPreview] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const loadAnnouncements = async () => {
+    try {
+      setAnnouncements(await getAnnouncements());
+    } catch (error) {
+      console.error('Failed to load announcements:', error);
+    }
+  };
+
+  useEffect(() => {
+    const loadData = async () => {
+      try {
+        const [studentData, classData, courseData, seasonData] = await Promise.all([
+          getAllStudents(),
+          getAllClasses(),
+          getAllCourses(),
+          getAllSeasons(),
+        ]);
+        setStudents(studentData);
+        setClasses(classData);
+        setCourses(courseData);
+        setSeasons(seasonData);
+      } catch (error) {
+        console.error('Failed to load announcement targets:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadData();
+    loadAnnouncements();
+  }, []);
+
+  const seasonNames = useMemo(
+    () => Object.fromEntries(seasons.map(s => [s.id, s.name])),
+    [seasons]
+  );
+
+  // Selected students first, then search matches
+  const studentOptions = useMemo(() => {
+    const query = studentSearch.trim();
+    return students.filter(s =>
+      formData.studentIds.includes(s.id) ||
+      (query && (s.name.includes(query) || s.phone?.includes(query)))
+    );
+  }, [students, studentSearch, formData.studentIds]);
+
+  const updateForm = (updates) => {
+    setFormData({ ...formData, ...updates });
+    setPreview(null);
+  };
+
+  const toggleStudent = (studentId) => {
+    updateForm({
+      studentIds: formData.studentIds.includes(studentId)
+        ? formData.studentIds.filter(id => id !== studentId)
+        : [...formData.studentIds, studentId],
+    });
+  };
+
+  const targetLabelOf = () => {
+    switch (formData.targetType) {
+      case ANNOUNCEMENT_TARGET.CLASS:
+        return formData.targetId;
+      case ANNOUNCEMENT_TARGET.COURSE:
+        return courses.find(c => c.id === formData.targetId)?.title || '';
+      case ANNOUNCEMENT_TARGET.SEASON:
+        return seasonNames[formData.targetId] || '';
+      default:
+        return `${formData.studentIds.length}명 직접 선택`;
+    }
+  };
+
+  const buildTarget = () => ({
+    type: formData.targetType,
+    id: formData.targetType === ANNOUNCEMENT_TARGET.STUDENTS ? null : formData.targetId,
+    label: targetLabelOf(),
+    studentIds: formData.studentIds,
+  });
+
+  const validate = () => {
+    if (formData.targetType === ANNOUNCEMENT_TARGET.STUDENTS
+      ? formData.studentIds.length === 0
+      : !formData.targetId) {
+      alert('공지 대상을 선택해주세요.');
+      return false;
+    }
+    if (!formData.title.trim() || !formData.message.trim()) {
+      alert('제목과 내용을 입력해주세요.');
+      return false;
+    }
+    return true;
+  };
+
+  const handlePreview = async () => {
+    if (!validate()) return;
+
+    setWorking(true);
+    try {
+      const recipientIds = await resolveAnnouncementRecipients(buildTarget());
+      setPreview({ recipientCount: recipientIds.length });
+    } catch (error) {
+      console.error('Failed to resolve recipients:', error);
+      alert(error.message || '대상 학생을 불러오지 못했습니다.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleSend = async () => {
+    if (!preview || !validate()) return;
+
+    const scheduledAt = formData.scheduledAt ? new Date(formData.scheduledAt) : null;
+    const when = scheduledAt ? `${formatDateTime(scheduledAt)}에` : '지금';
+    if (!confirm(`${targetLabelOf()} 학생 ${preview.recipientCount}명에게 ${when} 공지를 보내시겠습니까?`)) return;
+
+    setWorking(true);
+    try {
+      const { recipientCount } = await sendAnnouncement({
+        title: formData.title,
+        message: formData.message,
+        target: buildTarget(),
+        pinned: formData.pinned,
+        scheduledAt,
+      }, admin.uid);
+      alert(scheduledAt
+        ? `${recipientCount}명에게 공지가 예약되었습니다.`
+        : `${recipientCount}명에게 공지를 보냈습니다.`);
+      setFormData(EMPTY_FORM);
+      setPreview(null);
+      await loadAnnouncements();
+    } catch (error) {
+      console.error('Failed to send announcement:', error);
+      alert(error.message || '공지 발송에 실패했습니다.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 py-20">
+        <LoadingSpinner message="공지 대상을 불러오는 중..." />
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <h1 className="text-2xl font-bold text-slate-900 flex items-center gap-2 mb-8">
+        <Megaphone className="w-6 h-6 text-slate-600" />
+        공지 보내기
+      </h1>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        {/* Composer */}
+        <div className="bg-white rounded-2xl border border-gray-200 p-6 space-y-4 h-fit">
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">대상</label>
+            <div className="flex flex-wrap gap-2">
+              {Object.values(ANNOUNCEMENT_TARGET).map(type => (
+                <button
+                  key={type}
+                  type="button"
+                  onClick={() => updateForm({ targetType: type, targetId: '' })}
+                  className={`px-4 py-2 rounded-xl text-sm font-medium transition-colors ${
+                    formData.targetType === type
+                      ? 'bg-[#00b6b2] text-white'
+                      : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+                  }`}
+                >
+                  {ANNOUNCEMENT_TARGET_LABELS[type]}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {formData.targetType === ANNOUNCEMENT_TARGET.CLASS && (
+            <select
+              value={formData.targetId}
+              onChange={(e) => updateForm({ targetId: e.target.value })}
+              className={inputClassName}
+            >
+              <option value="">반 선택</option>
+              {classes.map(cls => (
+                <option key={cls.id} value={cls.name}>{cls.name}</option>
+              ))}
+            </select>
+          )}
+
+          {formData.targetType === ANNOUNCEMENT_TARGET.COURSE && (
+            <select
+              value={formData.targetId}
+              onChange={(e) => updateForm({ targetId: e.target.value })}
+              className={inputClassName}
+            >
+              <option value="">강좌 선택 (승인된 수강생)</option>
+              {courses.map(course => (
+                <option key={course.id} value={course.id}>
+                  {course.title}{seasonNames[course.seasonId] ? ` · ${seasonNames[course.seasonId]}` : ''}
+                </option>
+              ))}
+            </select>
+          )}
+
+          {formData.targetType === ANNOUNCEMENT_TARGET.SEASON && (
+            <select
+              value={formData.targetId}
+              onChange={(e) => updateForm({ targetId: e.target.value })}
+              className={inputClassName}
+            >
+              <option value="">학기 선택 (승인된 수강생)</option>
+              {seasons.map(season => (
+                <option key={season.id} value={season.id}>{season.name}</option>
+              ))}
+            </select>
+          )}
+
+          {formData.targetType === ANNOUNCEMENT_TARGET.STUDENTS && (
+            <div>
+              <div className="relative mb-2">
+                <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" />
+                <input
+                  type="text"
+                  value={studentSearch}
+                  onChange={(e) => setStudentSearch(e.target.value)}
+                  className={`${inputClassName} pl-9`}
+                  placeholder="학생 이름 또는 연락처로 검색"
+                />
+              </div>
+              <div className="max-h-48 overflow-y-auto border border-slate-200 rounded-xl divide-y divide-slate-100">
+                {studentOptions.length === 0 ? (
+                  <p className="text-sm text-slate-400 px-4 py-3">검색해서 학생을 선택하세요.</p>
+                ) : (
+                  studentOptions.map(student => (
+                    <label key={student.id} className="flex items-center gap-3 px-4 py-2 text-sm hover:bg-slate-50 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={formData.studentIds.includes(student.id)}
+                        onChange={() => toggleStudent(student.id)}
+                        className="w-4 h-4 text-[#00b6b2] rounded focus:ring-[#00b6b2]"
+                      />
+                      <span className="text-slate-900">{student.name}</span>
+                      <span className="text-slate-400">{student.class || '-'} · {student.phone}</span>
+                    </label>
+                  ))
+                )}
+              </div>
+              <p className="text-xs text-slate-400 mt-1">{formData.studentIds.length}명 선택됨</p>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">제목</label>
+            <input
+              type="text"
+              value={formData.title}
+              onChange={(e) => updateForm({ title: e.target.value })}
+              className={inputClassName}
+              maxLength={100}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">내용</label>
+            <textarea
+              value={formData.message}
+              onChange={(e) => updateForm({ message: e.target.value })}
+              className={`${inputClassName} resize-none`}
+              rows={5}
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">예약 발송 (선택)</label>
+              <input
+                type="datetime-local"
+                value={formData.scheduledAt}
+                onChange={(e) => updateForm({ scheduledAt: e.target.value })}
+                className={inputClassName}
+              />
+            </div>
+            <label className="flex items-center gap-2 text-sm text-slate-700 mt-6">
+              <input
+                type="checkbox"
+                checked={formData.pinned}
+                onChange={(e) => updateForm({ pinned: e.target.checked })}
+                className="w-4 h-4 text-[#00b6b2] rounded focus:ring-[#00b6b2]"
+              />
+              알림 목록 상단에 고정
+            </label>
+          </div>
+
+          {preview && (
+            <div className="border border-slate-200 rounded-xl p-4 bg-slate-50">
+              <p className="text-xs font-medium text-slate-500 mb-3">
+                미리보기 · 수신 {preview.recipientCount}명
+                {formData.scheduledAt && ` · ${formatDateTime(new Date(formData.scheduledAt))} 공개`}
+              </p>
+              <div className="bg-white rounded-xl border border-gray-200 border-l-4 border-l-blue-500 p-4 flex items-start gap-4">
+                <div className="p-2.5 rounded-xl bg-blue-100 flex-shrink-0">
+                  <Info className="w-5 h-5 text-blue-600" />
+                </div>
+                <div className="flex-1 min-w-0">
+                  <h3 className="text-base text-slate-900 font-semibold flex items-center gap-1">
+                    {formData.pinned && <Pin className="w-4 h-4 text-[#00b6b2]" />}
+                    {formData.title}
+                  </h3>
+                  <p className="text-sm mt-1 text-slate-600 whitespace-pre-wrap">{formData.message}</p>
+                </div>
+              </div>
+            </div>
+          )}
+
+          <div className="flex gap-3 pt-2">
+            <button
+              type="button"
+              onClick={handlePreview}
+              disabled={working}
+              className="flex-1 flex items-center justify-center gap-2 py-2.5 border border-slate-200 text-slate-700 rounded-xl font-medium hover:bg-slate-50 disabled:opacity-50"
+            >
+              <Eye className="w-4 h-4" />
+              미리보기
+            </button>
+            <button
+              type="button"
+              onClick={handleSend}
+              disabled={working || !preview || preview.recipientCount === 0}
+              className="flex-1 flex items-center justify-center gap-2 py-2.5 bg-[#00b6b2] text-white rounded-xl font-medium hover:bg-[#009da0] disabled:opacity-50"
+            >
+              {formData.scheduledAt ? <Clock className="w-4 h-4" /> : <Send className="w-4 h-4" />}
+              {formData.scheduledAt ? '예약하기' : '보내기'}
+            </button>
+          </div>
+          {!preview && (
+            <p className="text-xs text-slate-400">미리보기로 수신 인원을 확인한 뒤 보낼 수 있습니다.</p>
+          )}
+        </div>
+
+        {/* History */}
+        <div>
+          <h2 className="text-lg font-bold text-slate-900 mb-4">보낸 공지</h2>
+          {announcements.length === 0 ? (
+            <div className="bg-white rounded-2xl border border-gray-200 p-12 text-center text-slate-400">
+              보낸 공지가 없습니다.
+            </div>
+          ) : (
+            <ul className="bg-white rounded-2xl border border-gray-200 divide-y divide-gray-100">
+              {announcements.map(announcement => (
+                <AnnouncementRow key={announcement.id} announcement={announcement} />
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function AnnouncementRow({ announcement }) {
+  const [stats, setStats] = useState(null);
+  const isScheduled = announcement.scheduledAt && announcement.scheduledAt.toDate() > new Date();
+
+  useEffect(() => {
+    getAnnouncementReadStats(announcement.id)
+      .then(setStats)
+      .catch(error => console.error('Failed to load read stats:', error));
+  }, [announcement.id]);
+
+  const readRate = stats?.total ? Math.round((stats.read / stats.total) * 100) : 0;
+
+  return (
+    <li className="px-4 py-4">
+      <div className="flex items-start justify-between gap-3">
+        <div className="min-w-0">
+          <p className="font-medium text-slate-900 flex items-center gap-1">
+            {announcement.pinned && <Pin className="w-4 h-4 text-[#00b6b2] flex-shrink-0" />}
+            <span className="truncate">{announcement.title}</span>
+          </p>
+          <p className="text-xs text-slate-500 mt-1">
+            {ANNOUNCEMENT_TARGET_LABELS[announcement.targetType]} · {announcement.targetLabel} · {announcement.recipientCount}명
+          </p>
+          <p className="text-xs text-slate-400 mt-0.5">
+            {isScheduled
+              ? `${formatDateTime(announcement.scheduledAt)} 예약`
+              : formatDateTime(announcement.scheduledAt || announcement.createdAt)}
+          </p>
+        </div>
+        {isScheduled ? (
+          <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800 flex-shrink-0">
+            예약됨
+          </span>
+        ) : (
+          <div className="text-right flex-shrink-0">
+            <p className="text-sm font-semibold text-slate-900">
+              {stats ? `${stats.read} / ${stats.total}명 읽음` : '-'}
+            </p>
+            {stats && (
+              <div className="w-28 h-1.5 bg-slate-100 rounded-full mt-1.5 overflow-hidden">
+                <div className="h-full bg-[#00b6b2]" style={{ width: `${readRate}%` }} />
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </li>
+  );
+}
@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
 import { Calendar, Users, Check, X, Clock, FileText, Download, Save, CheckCircle2, XCircle, AlertCircle } from 'lucide-react';
-import { getAllCourses } from '../../lib/courseService';
+import { getAllCourses, getCoursesByInstructor } from '../../lib/courseService';
 import { getAllSeasons } from '../../lib/seasonService';
 import { getEnrollmentsByCourse } from '../../lib/enrollmentService';
 import { getStudent } from '../../lib/studentService';
@@ -15,8 +15,12 @@ import { exportAttendanceData } from '../../lib/excelUtils';
 import { useAuth } from '../../contexts/AuthContext';
 import LoadingSpinner from '../common/LoadingSpinner';
 
+/**
+ * Attendance for admins (all courses) and instructors (only the courses assigned to them)
+ */
 export default function AttendancePage() {
-  const { admin } = useAuth();
+  const { admin, instructor } = useAuth();
+  const checker = admin || instructor;
   const [courses, setCourses] = useState([]);
   const [seasons, setSeasons] = useState([]);
   const [selectedSeason, setSelectedSeason] = useState('all');
@@ -34,11 +38,14 @@ export default function AttendancePage() {
     const loadData = async () => {
       try {
         const [coursesData, seasonsData] = await Promise.all([
-          getAllCourses(),
+          instructor ? getCoursesByInstructor(instructor.id) : getAllCourses(),
           getAllSeasons(),
         ]);
         setCourses(coursesData);
-        setSeasons(seasonsData);
+        // Instructors only choose among seasons they teach in
+        setSeasons(instructor
+          ? seasonsData.filter(s => coursesData.some(c => c.seasonId === s.id))
+          : seasonsData);
       } catch (error) {
         console.error('Failed to load data:', error);
       } finally {
@@ -46,7 +53,7 @@ export default function AttendancePage() {
       }
     };
     loadData();
-  }, []);
+  }, [instructor]);
 
   // Filter courses by season
   const filteredCourses = courses.filter(course => 
@@ -69,15 +76,15 @@ export default function AttendancePage() {
         const enrollments = await getEnrollmentsByCourse(selectedCourse.id);
         const approvedEnrollments = enrollments.filter(e => e.status === 'approved');
         
-        // Enrich with student info
+        // Enrich with student info (instructors may not read student records: use the enrollment snapshot)
         const enrichedStudents = await Promise.all(
           approvedEnrollments.map(async (enrollment) => {
-            const student = await getStudent(enrollment.studentId);
+            const student = instructor ? null : await getStudent(enrollment.studentId);
             return {
               ...enrollment,
               student,
-              name: student?.name || enrollment.studentId,
-              class: student?.class || '',
+              name: student?.name || enrollment.studentName || enrollment.studentId,
+              class: student?.class ?? enrollment.studentClass ?? '',
             };
           })
         );
@@ -108,7 +115,7 @@ export default function AttendancePage() {
     };
 
     loadStudentsAndAttendance();
-  }, [selectedCourse, selectedDate]);
+  }, [selectedCourse, selectedDate, instructor]);
 
   const handleStatusChange = (studentId, status) => {
     setAttendanceData(prev => ({
@@ -160,7 +167,7 @@ export default function AttendancePage() {
         return;
       }
 
-      await bulkCheckAttendance(selectedCourse.id, selectedDate, attendanceList, admin.uid);
+      await bulkCheckAttendance(selectedCourse.id, selectedDate, attendanceList, checker.uid);
       
       // Refresh stats
       const courseStats = await getAttendanceStats(selectedCourse.id);
@@ -0,0 +1,273 @@
+import { useState, useEffect, useMemo } from 'react';
+import { collection, getDocs } from 'firebase/firestore';
+import { ScrollText, Download, Search, ChevronDown, ChevronUp } from 'lucide-react';
+import { db } from '../../lib/firebase';
+import { getAuditLogs } from '../../lib/auditLogService';
+import { getAllInstructors } from '../../lib/instructorService';
+import { exportToExcel } from '../../lib/excelUtils';
+import { formatDateTime } from '../../lib/utils';
+import { AUDIT_ENTITY_LABELS, AUDIT_ACTION_LABELS } from '../../constants';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+// Excel cells hold at most 32,767 characters
+const EXCEL_CELL_LIMIT = 32000;
+
+const toDateInput = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Snapshot as readable JSON (Firestore timestamps shown as local time)
+ */
+const formatSnapshot = (value) => {
+  if (value == null) return '';
+  const readable = (v) => {
+    if (v && typeof v.toDate === 'function') return v.toDate().toLocaleString('ko-KR');
+    if (Array.isArray(v)) return v.map(readable);
+    if (v && typeof v === 'object') {
+      return Object.fromEntries(Object.entries(v).map(([k, inner]) => [k, readable(inner)]));
+    }
+    return v;
+  };
+  return JSON.stringify(readable(value), null, 2);
+};
+
+/**
+ * Superadmin-only view of the admin audit log with filters and Excel export
+ */
+export default function AuditLogViewer() {
+  const [entries, setEntries] = useState([]);
+  const [actorNames, setActorNames] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState(() => {
+    const weekAgo = new Date();
+    weekAgo.setDate(weekAgo.getDate() - 7);
+    return { startDate: toDateInput(weekAgo), endDate: toDateInput(new Date()), actorUid: '', entityType: '' };
+  });
+  // Date range of the loaded entries (changed with the 조회 button)
+  const [range, setRange] = useState({ startDate: filters.startDate, endDate: filters.endDate });
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    const loadEntries = async () => {
+      try {
+        const data = await getAuditLogs({
+          startDate: range.startDate ? new Date(`${range.startDate}T00:00:00`) : null,
+          endDate: range.endDate ? new Date(`${range.endDate}T23:59:59.999`) : null,
+        });
+        setEntries(data);
+      } catch (error) {
+        console.error('Failed to load audit log:', error);
+        alert('감사 로그를 불러오지 못했습니다.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadEntries();
+  }, [range]);
+
+  useEffect(() => {
+    const loadActors = async () => {
+      try {
+        const [adminsSnapshot, instructors] = await Promise.all([
+          getDocs(collection(db, 'admins')),
+          getAllInstructors(),
+        ]);
+        const names = {};
+        instructors.filter(i => i.authUid).forEach(i => { names[i.authUid] = `${i.name} (강사)`; });
+        adminsSnapshot.docs.forEach(d => { names[d.id] = d.data().name || d.data().email; });
+        setActorNames(names);
+      } catch (error) {
+        console.error('Failed to load admins:', error);
+      }
+    };
+
+    loadActors();
+  }, []);
+
+  const handleSearch = () => {
+    setLoading(true);
+    setRange({ startDate: filters.startDate, endDate: filters.endDate });
+  };
+
+  const actorOf = (entry) => actorNames[entry.actorUid] || entry.actorEmail || entry.actorUid || '-';
+
+  // Admin and entity filters apply to the loaded range without a new query
+  const filteredEntries = useMemo(() => entries
+    .filter(e => !filters.actorUid || e.actorUid === filters.actorUid)
+    .filter(e => !filters.entityType || e.entityType === filters.entityType),
+  [entries, filters.actorUid, filters.entityType]);
+
+  const actorOptions = useMemo(() => {
+    const uids = [...new Set(entries.map(e => e.actorUid).filter(Boolean))];
+    return uids
+      .map(uid => ({ uid, name: actorNames[uid] || entries.find(e => e.actorUid === uid)?.actorEmail || uid }))
+      .sort((a, b) => a.name.localeCompare(b.name, 'ko'));
+  }, [entries, actorNames]);
+
+  const handleExportExcel = () => {
+    const columns = [
+      { key: 'at', header: '일시' },
+      { key: 'actor', header: '작업자' },
+      { key: 'action', header: '작업' },
+      { key: 'entityType', header: '대상 유형' },
+      { key: 'label', header: '대상' },
+      { key: 'entityId', header: '대상 ID' },
+      { key: 'before', header: '변경 전' },
+      { key: 'after', header: '변경 후' },
+    ];
+
+    const data = filteredEntries.map(e => ({
+      at: e.at,
+      actor: actorOf(e),
+      action: AUDIT_ACTION_LABELS[e.action] || e.action,
+      entityType: AUDIT_ENTITY_LABELS[e.entityType] || e.entityType,
+      label: e.label || '',
+      entityId: e.entityId || '',
+      before: formatSnapshot(e.before).slice(0, EXCEL_CELL_LIMIT),
+      after: formatSnapshot(e.after).slice(0, EXCEL_CELL_LIMIT),
+    }));
+
+    exportToExcel(data, columns, `감사로그_${range.startDate || '전체'}_${range.endDate || ''}`, '감사 로그');
+  };
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex items-center justify-between mb-8">
+        <h1 className="text-2xl font-bold text-slate-900 flex items-center gap-2">
+          <ScrollText className="w-6 h-6 text-slate-600" />
+          감사 로그
+        </h1>
+        <button
+          onClick={handleExportExcel}
+          disabled={filteredEntries.length === 0}
+          className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-xl font-medium hover:bg-green-700 disabled:opacity-50 transition-colors"
+        >
+          <Download className="w-4 h-4" />
+          엑셀 다운로드
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-2xl border border-gray-200 p-4 mb-6 flex flex-wrap items-end gap-3">
+        <div>
+          <label className="block text-xs font-medium text-slate-500 mb-1">시작일</label>
+          <input
+            type="date"
+            value={filters.startDate}
+            onChange={(e) => setFilters({ ...filters, startDate: e.target.value })}
+            className="px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-slate-500 mb-1">종료일</label>
+          <input
+            type="date"
+            value={filters.endDate}
+            onChange={(e) => setFilters({ ...filters, endDate: e.target.value })}
+            className="px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+          />
+        </div>
+        <button
+          onClick={handleSearch}
+          className="flex items-center gap-2 px-4 py-2 bg-[#00b6b2] text-white rounded-xl font-medium hover:bg-[#009da0] transition-colors"
+        >
+          <Search className="w-4 h-4" />
+          조회
+        </button>
+        <div className="flex-1" />
+        <div>
+          <label className="block text-xs font-medium text-slate-500 mb-1">작업자</label>
+          <select
+            value={filters.actorUid}
+            onChange={(e) => setFilters({ ...filters, actorUid: e.target.value })}
+            className="px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+          >
+            <option value="">전체</option>
+            {actorOptions.map(a => (
+              <option key={a.uid} value={a.uid}>{a.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-slate-500 mb-1">대상 유형</label>
+          <select
+            value={filters.entityType}
+            onChange={(e) => setFilters({ ...filters, entityType: e.target.value })}
+            className="px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+          >
+            <option value="">전체</option>
+            {Object.entries(AUDIT_ENTITY_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {loading ? (
+        <LoadingSpinner message="감사 로그 로딩 중..." />
+      ) : filteredEntries.length === 0 ? (
+        <div className="bg-white rounded-2xl border border-gray-200 p-12 text-center text-slate-400">
+          조건에 맞는 기록이 없습니다.
+        </div>
+      ) : (
+        <div className="bg-white rounded-2xl border border-gray-200 overflow-hidden">
+          <div className="px-4 py-3 border-b border-gray-100 text-sm text-slate-500">
+            {filteredEntries.length}건
+          </div>
+          <ul className="divide-y divide-gray-100">
+            {filteredEntries.map(entry => (
+              <AuditLogRow
+                key={entry.id}
+                entry={entry}
+                actor={actorOf(entry)}
+                expanded={expandedId === entry.id}
+                onToggle={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+              />
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function AuditLogRow({ entry, actor, expanded, onToggle }) {
+  const hasSnapshot = entry.before != null || entry.after != null;
+
+  return (
+    <li>
+      <button
+        onClick={onToggle}
+        disabled={!hasSnapshot}
+        className="w-full text-left px-4 py-3 flex items-center gap-3 text-sm hover:bg-slate-50 disabled:hover:bg-transparent"
+      >
+        <span className="text-slate-400 w-36 flex-shrink-0">{formatDateTime(entry.at)}</span>
+        <span className="font-medium text-slate-900 w-32 flex-shrink-0 truncate">{actor}</span>
+        <span className="px-2 py-0.5 rounded-full text-xs bg-slate-100 text-slate-700 flex-shrink-0">
+          {AUDIT_ENTITY_LABELS[entry.entityType] || entry.entityType}
+        </span>
+        <span className="text-slate-700 flex-shrink-0">{AUDIT_ACTION_LABELS[entry.action] || entry.action}</span>
+        <span className="text-slate-500 truncate flex-1">{entry.label || entry.entityId || ''}</span>
+        {hasSnapshot && (expanded
+          ? <ChevronUp className="w-4 h-4 text-slate-400" />
+          : <ChevronDown className="w-4 h-4 text-slate-400" />)}
+      </button>
+
+      {expanded && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3 px-4 pb-4">
+          {[['변경 전', entry.before], ['변경 후', entry.after]].map(([title, snapshot]) => (
+            <div key={title}>
+              <p className="text-xs font-medium text-slate-500 mb-1">{title}</p>
+              <pre className="text-xs bg-slate-50 border border-slate-200 rounded-xl p-3 overflow-auto max-h-80 whitespace-pre-wrap break-all">
+                {formatSnapshot(snapshot) || '-'}
+              </pre>
+            </div>
+          ))}
+        </div>
+      )}
+    </li>
+  );
+}
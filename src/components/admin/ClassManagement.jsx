@@ -14,10 +14,12 @@ import {
 import { getAllStudents } from '../../lib/studentService';
 import { getActiveSeasons } from '../../lib/seasonService';
 import { useAuth } from '../../contexts/AuthContext';
+import { PERMISSIONS } from '../../constants';
 import LoadingSpinner from '../common/LoadingSpinner';
 
 export default function ClassManagement() {
-  const { admin } = useAuth();
+  const { admin, hasPermission } = useAuth();
+  const canEdit = hasPermission(PERMISSIONS.EDIT_STUDENTS);
   const [classes, setClasses] = useState([]);
   const [seasons, setSeasons] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -101,23 +103,25 @@ export default function ClassManagement() {
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
       <div className="flex items-center justify-between mb-8">
         <h1 className="text-2xl font-bold text-slate-900">반 관리</h1>
-        <div className="flex items-center gap-2">
-          <button
-            onClick={handleRecalculate}
-            disabled={recalculating}
-            className="flex items-center gap-2 px-4 py-2 bg-white border border-gray-200 text-slate-600 rounded-xl font-medium hover:bg-slate-50 transition-colors disabled:opacity-50"
-          >
-            <RefreshCw className={`w-4 h-4 ${recalculating ? 'animate-spin' : ''}`} />
-            학생 수 재계산
-          </button>
-          <button
-            onClick={() => setShowAddModal(true)}
-            className="flex items-center gap-2 px-4 py-2 bg-[#00b6b2] text-white rounded-xl font-medium hover:bg-[#009da0] transition-colors"
-          >
-            <Plus className="w-4 h-4" />
-            반 등록
-          </button>
-        </div>
+        {canEdit && (
+          <div className="flex items-center gap-2">
+            <button
+              onClick={handleRecalculate}
+              disabled={recalculating}
+              className="flex items-center gap-2 px-4 py-2 bg-white border border-gray-200 text-slate-600 rounded-xl font-medium hover:bg-slate-50 transition-colors disabled:opacity-50"
+            >
+              <RefreshCw className={`w-4 h-4 ${recalculating ? 'animate-spin' : ''}`} />
+              학생 수 재계산
+            </button>
+            <button
+              onClick={() => setShowAddModal(true)}
+              className="flex items-center gap-2 px-4 py-2 bg-[#00b6b2] text-white rounded-xl font-medium hover:bg-[#009da0] transition-colors"
+            >
+              <Plus className="w-4 h-4" />
+              반 등록
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Search */}
@@ -184,20 +188,24 @@ export default function ClassManagement() {
                 <Users className="w-4 h-4" />
                 학생 보기
               </button>
-              <button
-                onClick={() => setEditingClass(cls)}
-                className="p-2 text-slate-400 hover:text-[#00b6b2] hover:bg-slate-100 rounded-lg transition-colors"
-                title="수정"
-              >
-                <Edit2 className="w-4 h-4" />
-              </button>
-              <button
-                onClick={() => handleDelete(cls.id, cls.name)}
-                className="p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
-                title="삭제"
-              >
-                <Trash2 className="w-4 h-4" />
-              </button>
+              {canEdit && (
+                <button
+                  onClick={() => setEditingClass(cls)}
+                  className="p-2 text-slate-400 hover:text-[#00b6b2] hover:bg-slate-100 rounded-lg transition-colors"
+                  title="수정"
+                >
+                  <Edit2 className="w-4 h-4" />
+                </button>
+              )}
+              {hasPermission(PERMISSIONS.DELETE_DATA) && (
+                <button
+                  onClick={() => handleDelete(cls.id, cls.name)}
+                  className="p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                  title="삭제"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              )}
             </div>
           </div>
         ))}
@@ -239,6 +247,7 @@ export default function ClassManagement() {
       {/* Students in Class Modal */}
       {showStudentsModal && (
         <ClassStudentsModal
+          canEdit={canEdit}
           classData={showStudentsModal}
           onClose={() => setShowStudentsModal(null)}
           onUpdate={loadData}
@@ -386,7 +395,7 @@ function ClassFormModal({ classData, seasons, onClose, onSuccess, adminUid }) {
   );
 }
 
-function ClassStudentsModal({ classData, onClose, onUpdate }) {
+function ClassStudentsModal({ classData, canEdit, onClose, onUpdate }) {
   const [students, setStudents] = useState([]);
   const [loading, setLoading] = useState(true);
 
@@ -461,13 +470,15 @@ function ClassStudentsModal({ classData, onClose, onUpdate }) {
                     <span className="font-medium text-slate-900">{student.name}</span>
                     <span className="text-sm text-slate-500 ml-2">{student.phone}</span>
                   </div>
-                  <button
-                    onClick={() => handleRemoveStudent(student.id, student.name)}
-                    className="p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
-                    title="반에서 제외"
-                  >
-                    <X className="w-4 h-4" />
-                  </button>
+                  {canEdit && (
+                    <button
+                      onClick={() => handleRemoveStudent(student.id, student.name)}
+                      className="p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                      title="반에서 제외"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  )}
                 </div>
               ))}
             </div>
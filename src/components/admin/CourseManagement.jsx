@@ -1,9 +1,12 @@
 import { useState, useEffect } from 'react';
-import { Plus, Trash2, Edit2, X, Briefcase, Users, Download, Upload, AlertTriangle, FileSpreadsheet, Calendar, CheckCircle2, XCircle, Clock, AlertCircle, Save, Lock } from 'lucide-react';
+import { Plus, Trash2, Edit2, X, Briefcase, Users, Download, Upload, AlertTriangle, FileSpreadsheet, Calendar, CheckCircle2, XCircle, Clock, AlertCircle, Save, Lock, UserPlus } from 'lucide-react';
 import { getAllCourses, createCourse, updateCourse, deleteCourse, batchCreateCourses } from '../../lib/courseService';
 import { getAllSeasons, getNonArchivedSeasons } from '../../lib/seasonService';
 import { getEnrollmentsByCourse } from '../../lib/enrollmentService';
+import { getAllRooms } from '../../lib/roomService';
+import { getAllInstructors } from '../../lib/instructorService';
 import { getStudent } from '../../lib/studentService';
+import { getCourseEnrollmentHistory } from '../../lib/enrollmentHistoryService';
 import { 
   bulkCheckAttendance, 
   getAttendanceByDate, 
@@ -12,15 +15,19 @@ import {
   ATTENDANCE_STATUS_CONFIG 
 } from '../../lib/attendanceService';
 import { useAuth } from '../../contexts/AuthContext';
-import { formatSchedule, formatSchedules, formatDateTime } from '../../lib/utils';
-import { CATEGORIES, LEVELS, DAYS, PERIODS } from '../../constants';
+import { formatSchedule, formatSchedules, formatDateTime, findRoomConflicts, findInstructorConflicts, getSlotsOutsideAvailability } from '../../lib/utils';
+import { CATEGORIES, LEVELS, DAYS, PERIODS, ALLOCATION_MODE, PERMISSIONS } from '../../constants';
 import { exportToExcel, exportCoursesToExcel, exportAttendanceSheet, exportAttendanceData, parseExcelFile, downloadTemplate, downloadCourseTemplate, parseSchedulesFromExcel } from '../../lib/excelUtils';
 import LoadingSpinner from '../common/LoadingSpinner';
+import EnrollmentTimeline from '../common/EnrollmentTimeline';
+import AdminEnrollModal from './AdminEnrollModal';
 
 export default function CourseManagement() {
-  const { admin } = useAuth();
+  const { admin, hasPermission } = useAuth();
   const [courses, setCourses] = useState([]);
   const [seasons, setSeasons] = useState([]);
+  const [rooms, setRooms] = useState([]);
+  const [instructors, setInstructors] = useState([]);
   const [selectedSeason, setSelectedSeason] = useState('all');
   const [loading, setLoading] = useState(true);
   const [showAddModal, setShowAddModal] = useState(false);
@@ -31,12 +38,16 @@ export default function CourseManagement() {
 
   const loadData = async () => {
     try {
-      const [coursesData, seasonsData] = await Promise.all([
+      const [coursesData, seasonsData, roomsData, instructorsData] = await Promise.all([
         getAllCourses(),
         getAllSeasons(),
+        getAllRooms(),
+        getAllInstructors(),
       ]);
       setCourses(coursesData);
       setSeasons(seasonsData);
+      setRooms(roomsData);
+      setInstructors(instructorsData);
     } catch (error) {
       console.error('Failed to load data:', error);
     } finally {
@@ -150,6 +161,11 @@ export default function CourseManagement() {
                   <td className="p-4">
                     <div className="flex items-center gap-2">
                       <span className="font-medium text-slate-900">{course.title}</span>
+                      {course.allocationMode === ALLOCATION_MODE.LOTTERY && (
+                        <span className="px-1.5 py-0.5 bg-purple-100 text-purple-700 text-xs rounded">
+                          {course.lotteryDrawnAt ? '추첨 완료' : `추첨 ${course.lotteryEntryCount || 0}명`}
+                        </span>
+                      )}
                       {archived && (
                         <span className="inline-flex items-center gap-1 px-1.5 py-0.5 bg-slate-200 text-slate-500 text-xs rounded">
                           <Lock className="w-3 h-3" />
@@ -185,25 +201,29 @@ export default function CourseManagement() {
                         <span className="text-xs text-slate-400 italic">읽기 전용</span>
                       ) : (
                         <>
-                          <button
-                            onClick={() => setShowAttendanceModal(course)}
-                            className="p-2 text-slate-400 hover:text-green-600 hover:bg-green-50 rounded-lg transition-colors"
-                            title="출석 체크"
-                          >
-                            <Calendar className="w-4 h-4" />
-                          </button>
+                          {hasPermission(PERMISSIONS.MANAGE_ATTENDANCE) && (
+                            <button
+                              onClick={() => setShowAttendanceModal(course)}
+                              className="p-2 text-slate-400 hover:text-green-600 hover:bg-green-50 rounded-lg transition-colors"
+                              title="출석 체크"
+                            >
+                              <Calendar className="w-4 h-4" />
+                            </button>
+                          )}
                           <button
                             onClick={() => setEditingCourse(course)}
                             className="p-2 text-slate-400 hover:text-[#00b6b2] hover:bg-slate-100 rounded-lg transition-colors"
                           >
                             <Edit2 className="w-4 h-4" />
                           </button>
-                          <button
-                            onClick={() => handleDelete(course.id, course.title)}
-                            className="p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
-                          >
-                            <Trash2 className="w-4 h-4" />
-                          </button>
+                          {hasPermission(PERMISSIONS.DELETE_DATA) && (
+                            <button
+                              onClick={() => handleDelete(course.id, course.title)}
+                              className="p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                            >
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          )}
                         </>
                       )}
                     </div>
@@ -226,6 +246,10 @@ export default function CourseManagement() {
         <CourseModal
           course={editingCourse}
           seasons={nonArchivedSeasons}
+          allSeasons={seasons}
+          allCourses={courses}
+          rooms={rooms}
+          instructors={instructors}
           onClose={() => {
             setShowAddModal(false);
             setEditingCourse(null);
@@ -243,7 +267,10 @@ export default function CourseManagement() {
       {showStudentsModal && (
         <CourseStudentsModal
           course={showStudentsModal}
+          adminUid={admin.uid}
+          canEnroll={hasPermission(PERMISSIONS.APPROVE_ENROLLMENTS)}
           onClose={() => setShowStudentsModal(null)}
+          onEnrolled={loadData}
         />
       )}
 
@@ -272,7 +299,15 @@ export default function CourseManagement() {
   );
 }
 
-function CourseModal({ course, seasons, onClose, onSuccess, adminUid }) {
+/**
+ * Season start as a timestamp (for ordering seasons)
+ */
+const getSeasonStartTime = (season) => {
+  if (!season?.startDate) return 0;
+  return new Date(season.startDate.toDate?.() || season.startDate).getTime();
+};
+
+function CourseModal({ course, seasons, allSeasons, allCourses, rooms, instructors, onClose, onSuccess, adminUid }) {
   // Initialize schedules from course or default
   const getInitialSchedules = () => {
     if (course?.schedules && course.schedules.length > 0) {
@@ -298,17 +333,75 @@ function CourseModal({ course, seasons, onClose, onSuccess, adminUid }) {
   const [formData, setFormData] = useState({
     title: course?.title || '',
     instructor: course?.instructor || '',
+    instructorId: course?.instructorId || instructors.find(i => i.name === course?.instructor?.trim())?.id || '',
     category: course?.category || '수학',
     level: course?.level || '중급',
     room: course?.room || '',
+    roomId: course?.roomId || rooms.find(r => r.name === course?.room)?.id || '',
     capacity: course?.capacity || 20,
+    allocationMode: course?.allocationMode || ALLOCATION_MODE.FCFS,
     description: course?.description || '',
     seasonId: course?.seasonId || (seasons[0]?.id || ''),
+    prerequisiteIds: course?.prerequisiteIds || [],
+    corequisiteIds: course?.corequisiteIds || [],
+  });
+  const lotteryDrawn = !!course?.lotteryDrawnAt;
+
+  // Prerequisites: courses from earlier seasons (archived included)
+  // Co-requisites: other courses in the same season
+  const currentSeason = allSeasons.find(s => s.id === formData.seasonId);
+  const seasonNameOf = (seasonId) => allSeasons.find(s => s.id === seasonId)?.name || '학기 미지정';
+  const prerequisiteOptions = allCourses.filter(c => {
+    if (c.seasonId === formData.seasonId) return false;
+    const season = allSeasons.find(s => s.id === c.seasonId);
+    return !currentSeason || getSeasonStartTime(season) <= getSeasonStartTime(currentSeason);
   });
+  const corequisiteOptions = allCourses.filter(c => 
+    c.seasonId === formData.seasonId && c.id !== course?.id
+  );
   const [schedules, setSchedules] = useState(getInitialSchedules);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
+  // Room registry: inactive rooms stay selectable for courses already booked into them.
+  // A free-text room from before the registry is kept until another room is picked.
+  const selectedRoom = rooms.find(r => r.id === formData.roomId);
+  const roomOptions = rooms.filter(r => r.isActive || r.id === formData.roomId);
+  const legacyRoom = !formData.roomId && formData.room ? formData.room : '';
+  const roomConflicts = findRoomConflicts({
+    id: course?.id,
+    seasonId: formData.seasonId,
+    room: formData.room,
+    roomId: formData.roomId || null,
+    schedules: schedules.map(s => ({
+      day: s.day,
+      startPeriod: parseInt(s.startPeriod),
+      endPeriod: parseInt(s.endPeriod),
+    })),
+  }, allCourses);
+  const overRoomCapacity = selectedRoom?.capacity > 0 && parseInt(formData.capacity) > selectedRoom.capacity;
+
+  // Instructor registry: same legacy handling as rooms
+  const selectedInstructor = instructors.find(i => i.id === formData.instructorId);
+  const instructorOptions = instructors.filter(i => i.isActive || i.id === formData.instructorId);
+  const legacyInstructor = !formData.instructorId && formData.instructor ? formData.instructor : '';
+  const normalizedSlots = schedules.map(s => ({
+    day: s.day,
+    startPeriod: parseInt(s.startPeriod),
+    endPeriod: parseInt(s.endPeriod),
+  }));
+  const instructorConflicts = findInstructorConflicts({
+    id: course?.id,
+    seasonId: formData.seasonId,
+    instructor: formData.instructor,
+    instructorId: formData.instructorId || null,
+    schedules: normalizedSlots,
+  }, allCourses);
+  const unavailableSlots = getSlotsOutsideAvailability(
+    { schedules: normalizedSlots }, 
+    selectedInstructor?.availability
+  );
+
   const addScheduleSlot = () => {
     setSchedules([...schedules, { day: '월', startPeriod: 1, endPeriod: 2 }]);
   };
@@ -373,6 +466,45 @@ function CourseModal({ course, seasons, onClose, onSuccess, adminUid }) {
       return;
     }
 
+    if (!formData.instructorId && !legacyInstructor) {
+      setError('강사를 선택해주세요.');
+      return;
+    }
+
+    if (instructorConflicts.length > 0) {
+      setError(`${formData.instructor} 강사의 다른 강좌와 시간이 겹칩니다: ${instructorConflicts.map(c => c.title).join(', ')}`);
+      return;
+    }
+
+    if (unavailableSlots.length > 0) {
+      const slots = unavailableSlots.map(s => `${s.day} ${s.startPeriod}~${s.endPeriod}교시`).join(', ');
+      if (!confirm(`${formData.instructor} 강사의 가능 시간이 아닙니다: ${slots}\n\n그래도 저장하시겠습니까?`)) {
+        return;
+      }
+    }
+
+    if (!formData.roomId && !legacyRoom) {
+      setError('강의실을 선택해주세요.');
+      return;
+    }
+
+    // Saving over a room conflict is an explicit override (courseService refuses it otherwise)
+    if (roomConflicts.length > 0) {
+      const titles = roomConflicts.map(c => `${c.title} (${formatSchedules(c)})`).join('\n');
+      if (!confirm(`${formData.room} 강의실이 같은 시간에 이미 사용 중입니다.\n${titles}\n\n강의실 중복을 허용하고 저장하시겠습니까?`)) {
+        return;
+      }
+    }
+    const allowRoomConflict = roomConflicts.length > 0;
+
+    // Drop co-requisites left over from a previously selected season
+    const corequisiteIds = formData.corequisiteIds.filter(id => 
+      corequisiteOptions.some(c => c.id === id)
+    );
+    const prerequisiteIds = formData.prerequisiteIds.filter(id => 
+      prerequisiteOptions.some(c => c.id === id)
+    );
+
     setLoading(true);
     try {
       // Prepare schedules with parsed integers
@@ -386,12 +518,14 @@ function CourseModal({ course, seasons, onClose, onSuccess, adminUid }) {
         ...formData,
         schedules: normalizedSchedules,
         capacity: parseInt(formData.capacity),
+        prerequisiteIds,
+        corequisiteIds,
       };
 
       if (course) {
-        await updateCourse(course.id, courseData);
+        await updateCourse(course.id, courseData, { allowRoomConflict });
       } else {
-        await createCourse(courseData, adminUid);
+        await createCourse(courseData, adminUid, { allowRoomConflict });
       }
       onSuccess();
     } catch (err) {
@@ -446,24 +580,45 @@ function CourseModal({ course, seasons, onClose, onSuccess, adminUid }) {
               <div className="grid grid-cols-2 gap-4">
                 <div>
                   <label className="block text-sm font-medium text-slate-700 mb-1">강사명</label>
-                  <input
-                    type="text"
-                    value={formData.instructor}
-                    onChange={(e) => setFormData({ ...formData, instructor: e.target.value })}
+                  <select
+                    value={formData.instructorId}
+                    onChange={(e) => {
+                      const instructor = instructors.find(i => i.id === e.target.value);
+                      setFormData({ ...formData, instructorId: e.target.value, instructor: instructor?.name || legacyInstructor });
+                    }}
                     className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
-                    required
-                  />
+                  >
+                    <option value="">{legacyInstructor ? `${legacyInstructor} (미등록)` : '강사 선택'}</option>
+                    {instructorOptions.map(instructor => (
+                      <option key={instructor.id} value={instructor.id}>
+                        {instructor.name}{!instructor.isActive && ' - 비활성'}
+                      </option>
+                    ))}
+                  </select>
+                  {instructors.length === 0 && (
+                    <p className="text-xs text-slate-500 mt-1">강사 관리에서 강사를 먼저 등록해주세요.</p>
+                  )}
                 </div>
                 <div>
                   <label className="block text-sm font-medium text-slate-700 mb-1">강의실</label>
-                  <input
-                    type="text"
-                    value={formData.room}
-                    onChange={(e) => setFormData({ ...formData, room: e.target.value })}
+                  <select
+                    value={formData.roomId}
+                    onChange={(e) => {
+                      const room = rooms.find(r => r.id === e.target.value);
+                      setFormData({ ...formData, roomId: e.target.value, room: room?.name || legacyRoom });
+                    }}
                     className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
-                    placeholder="301호"
-                    required
-                  />
+                  >
+                    <option value="">{legacyRoom ? `${legacyRoom} (미등록)` : '강의실 선택'}</option>
+                    {roomOptions.map(room => (
+                      <option key={room.id} value={room.id}>
+                        {room.name} ({room.capacity}명){!room.isActive && ' - 사용 중지'}
+                      </option>
+                    ))}
+                  </select>
+                  {rooms.length === 0 && (
+                    <p className="text-xs text-slate-500 mt-1">강의실 관리에서 강의실을 먼저 등록해주세요.</p>
+                  )}
                 </div>
               </div>
               <div className="grid grid-cols-2 gap-4">
@@ -577,6 +732,30 @@ function CourseModal({ course, seasons, onClose, onSuccess, adminUid }) {
                     </div>
                   ))}
                 </div>
+                {instructorConflicts.length > 0 && (
+                  <div className="mt-2 p-2 bg-red-50 border border-red-200 rounded-lg text-xs text-red-700 flex items-start gap-1.5">
+                    <AlertTriangle className="w-3.5 h-3.5 flex-shrink-0 mt-0.5" />
+                    <span>
+                      {formData.instructor} 강사 시간 중복: {instructorConflicts.map(c => `${c.title} (${formatSchedules(c)})`).join(', ')}
+                    </span>
+                  </div>
+                )}
+                {unavailableSlots.length > 0 && (
+                  <div className="mt-2 p-2 bg-amber-50 border border-amber-200 rounded-lg text-xs text-amber-800 flex items-start gap-1.5">
+                    <AlertTriangle className="w-3.5 h-3.5 flex-shrink-0 mt-0.5" />
+                    <span>
+                      강사 가능 시간 외: {unavailableSlots.map(s => `${s.day} ${s.startPeriod}~${s.endPeriod}교시`).join(', ')}
+                    </span>
+                  </div>
+                )}
+                {roomConflicts.length > 0 && (
+                  <div className="mt-2 p-2 bg-amber-50 border border-amber-200 rounded-lg text-xs text-amber-800 flex items-start gap-1.5">
+                    <AlertTriangle className="w-3.5 h-3.5 flex-shrink-0 mt-0.5" />
+                    <span>
+                      {formData.room} 강의실 중복: {roomConflicts.map(c => `${c.title} (${formatSchedules(c)})`).join(', ')}
+                    </span>
+                  </div>
+                )}
               </div>
               <div>
                 <label className="block text-sm font-medium text-slate-700 mb-1">정원</label>
@@ -588,10 +767,50 @@ function CourseModal({ course, seasons, onClose, onSuccess, adminUid }) {
                   min="1"
                   required
                 />
+                {overRoomCapacity && (
+                  <p className="text-xs text-amber-700 mt-1">
+                    {selectedRoom.name} 수용 인원({selectedRoom.capacity}명)보다 많습니다.
+                  </p>
+                )}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">배정 방식</label>
+                <select
+                  value={formData.allocationMode}
+                  onChange={(e) => setFormData({ ...formData, allocationMode: e.target.value })}
+                  disabled={lotteryDrawn}
+                  className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2] disabled:opacity-60"
+                >
+                  <option value={ALLOCATION_MODE.FCFS}>선착순</option>
+                  <option value={ALLOCATION_MODE.LOTTERY}>추첨</option>
+                </select>
+                <p className="text-xs text-slate-400 mt-1">
+                  {lotteryDrawn 
+                    ? '추첨이 완료되어 배정 방식을 변경할 수 없습니다.' 
+                    : '추첨: 정원과 관계없이 신청을 받은 뒤 신청 관리에서 추첨합니다.'}
+                </p>
               </div>
             </div>
           </div>
 
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <RequisitePicker
+              label="선수 강좌"
+              hint="이전 학기 강좌 중 하나 이상 수강 확정된 학생만 신청할 수 있습니다."
+              selectedIds={formData.prerequisiteIds}
+              options={prerequisiteOptions}
+              groupOf={c => seasonNameOf(c.seasonId)}
+              onChange={(ids) => setFormData({ ...formData, prerequisiteIds: ids })}
+            />
+            <RequisitePicker
+              label="동시 수강 강좌"
+              hint="같은 학기에 함께 신청(또는 이미 신청)해야 합니다."
+              selectedIds={formData.corequisiteIds}
+              options={corequisiteOptions}
+              onChange={(ids) => setFormData({ ...formData, corequisiteIds: ids })}
+            />
+          </div>
+
           <div>
             <label className="block text-sm font-medium text-slate-700 mb-1">강좌 설명</label>
             <textarea
@@ -628,9 +847,88 @@ function CourseModal({ course, seasons, onClose, onSuccess, adminUid }) {
   );
 }
 
-function CourseStudentsModal({ course, onClose }) {
+function RequisitePicker({ label, hint, selectedIds, options, groupOf, onChange }) {
+  const available = options.filter(c => !selectedIds.includes(c.id));
+  const titleOf = (id) => options.find(c => c.id === id)?.title || '다른 학기 강좌';
+  
+  // Group options (e.g., by season) for the dropdown
+  const groups = {};
+  available.forEach(c => {
+    const key = groupOf ? groupOf(c) : '';
+    (groups[key] = groups[key] || []).push(c);
+  });
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-slate-700 mb-1">{label}</label>
+      <select
+        value=""
+        onChange={(e) => e.target.value && onChange([...selectedIds, e.target.value])}
+        disabled={available.length === 0}
+        className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2] disabled:opacity-60"
+      >
+        <option value="">{available.length === 0 ? '선택 가능한 강좌 없음' : '+ 강좌 추가'}</option>
+        {Object.entries(groups).map(([group, courses]) => (
+          group ? (
+            <optgroup key={group} label={group}>
+              {courses.map(c => <option key={c.id} value={c.id}>{c.title}</option>)}
+            </optgroup>
+          ) : (
+            courses.map(c => <option key={c.id} value={c.id}>{c.title}</option>)
+          )
+        ))}
+      </select>
+      {selectedIds.length > 0 && (
+        <div className="flex flex-wrap gap-1.5 mt-2">
+          {selectedIds.map(id => (
+            <span key={id} className="flex items-center gap-1 px-2 py-1 bg-[#00b6b2]/10 text-[#00b6b2] text-xs rounded-lg">
+              {titleOf(id)}
+              <button
+                type="button"
+                onClick={() => onChange(selectedIds.filter(i => i !== id))}
+                className="hover:text-red-500"
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+      <p className="text-xs text-slate-400 mt-1">{hint}</p>
+    </div>
+  );
+}
+
+function CourseStudentsModal({ course, adminUid, canEnroll, onClose, onEnrolled }) {
   const [students, setStudents] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [showEnrollModal, setShowEnrollModal] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [view, setView] = useState('roster'); // roster, history
+  const [historyEntries, setHistoryEntries] = useState(null);
+  const [studentNames, setStudentNames] = useState({});
+
+  // Load the course's status history on first visit to the tab
+  useEffect(() => {
+    if (view !== 'history' || historyEntries) return;
+    
+    const loadHistory = async () => {
+      try {
+        const entries = await getCourseEnrollmentHistory(course.id);
+        const studentIds = [...new Set(entries.map(e => e.studentId))];
+        const studentDocs = await Promise.all(studentIds.map(getStudent));
+        const names = {};
+        studentIds.forEach((id, i) => { names[id] = studentDocs[i]?.name || id; });
+        setStudentNames(names);
+        setHistoryEntries(entries);
+      } catch (error) {
+        console.error('Failed to load history:', error);
+        setHistoryEntries([]);
+      }
+    };
+
+    loadHistory();
+  }, [view, historyEntries, course.id]);
 
   useEffect(() => {
     const loadStudents = async () => {
@@ -661,7 +959,7 @@ function CourseStudentsModal({ course, onClose }) {
     };
 
     loadStudents();
-  }, [course.id]);
+  }, [course.id, reloadKey]);
 
   const handleExportAttendance = () => {
     const studentData = students.map(s => ({
@@ -691,6 +989,15 @@ function CourseStudentsModal({ course, onClose }) {
             </div>
           </div>
           <div className="flex items-center gap-2">
+            {canEnroll && (
+              <button
+                onClick={() => setShowEnrollModal(true)}
+                className="flex items-center gap-2 px-3 py-1.5 text-sm bg-[#00b6b2] text-white rounded-lg hover:bg-[#009da0]"
+              >
+                <UserPlus className="w-4 h-4" />
+                학생 등록
+              </button>
+            )}
             <button
               onClick={handleExportAttendance}
               disabled={approvedStudents.length === 0}
@@ -705,8 +1012,36 @@ function CourseStudentsModal({ course, onClose }) {
           </div>
         </div>
 
+        <div className="px-6 pt-4 flex gap-2">
+          {[
+            { id: 'roster', label: '수강생' },
+            { id: 'history', label: '변경 이력' },
+          ].map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => setView(tab.id)}
+              className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                view === tab.id 
+                  ? 'bg-slate-900 text-white' 
+                  : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
         <div className="flex-1 overflow-y-auto p-6">
-          {loading ? (
+          {view === 'history' ? (
+            historyEntries ? (
+              <EnrollmentTimeline 
+                entries={historyEntries} 
+                titleOf={(entry) => studentNames[entry.studentId] || entry.studentId} 
+              />
+            ) : (
+              <LoadingSpinner message="이력 로딩 중..." />
+            )
+          ) : loading ? (
             <div className="text-center py-12">
               <div className="w-8 h-8 border-2 border-[#00b6b2] border-t-transparent rounded-full animate-spin mx-auto mb-2" />
               <p className="text-slate-500">수강생 목록 로딩 중...</p>
@@ -797,6 +1132,20 @@ function CourseStudentsModal({ course, onClose }) {
           </button>
         </div>
       </div>
+
+      {showEnrollModal && (
+        <AdminEnrollModal
+          course={course}
+          adminUid={adminUid}
+          onClose={() => setShowEnrollModal(false)}
+          onSuccess={() => {
+            setShowEnrollModal(false);
+            setReloadKey(key => key + 1);
+            setHistoryEntries(null);
+            onEnrolled?.();
+          }}
+        />
+      )}
     </div>
   );
 }
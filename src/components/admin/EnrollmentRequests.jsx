@@ -1,11 +1,41 @@
 import { useState, useEffect } from 'react';
-import { Check, X, Clock, AlertCircle, Download } from 'lucide-react';
-import { subscribeToPendingEnrollments, approveEnrollment, rejectEnrollment, batchApproveEnrollments } from '../../lib/enrollmentService';
-import { getCourse } from '../../lib/courseService';
+import { Check, X, Clock, AlertCircle, Download, Shuffle, RefreshCw, ShieldCheck, ArrowRightLeft, Zap, Trash2, ToggleLeft, ToggleRight, RotateCcw, ArrowUpCircle } from 'lucide-react';
+import { 
+  subscribeToPendingEnrollments, 
+  approveEnrollment, 
+  rejectEnrollment, 
+  batchApproveEnrollments,
+  batchRejectEnrollments,
+  reopenEnrollment,
+  getClosedEnrollments,
+  subscribeToPendingCourseSwaps,
+  approveCourseSwap,
+  rejectCourseSwap,
+  promoteWaitlist
+} from '../../lib/enrollmentService';
+import { getCourse, getCoursesBySeason, getActiveCourses } from '../../lib/courseService';
+import { getNonArchivedSeasons } from '../../lib/seasonService';
+import { getActiveClasses } from '../../lib/classService';
+import { 
+  getApprovalRules, 
+  createApprovalRule, 
+  toggleApprovalRule, 
+  deleteApprovalRule 
+} from '../../lib/approvalRuleService';
+import { getRejectionTemplates } from '../../lib/rejectionTemplateService';
 import { getStudent } from '../../lib/studentService';
 import { createApprovalNotification, createRejectionNotification } from '../../lib/notificationService';
+import { 
+  getLotteryCourses, 
+  getLotteryDraw, 
+  runLotteryDraw, 
+  generateLotterySeed, 
+  verifyLotteryDraw,
+  LOTTERY_DRAW_STATUS 
+} from '../../lib/lotteryService';
 import { useAuth } from '../../contexts/AuthContext';
 import { formatDateTime } from '../../lib/utils';
+import { STATUS_CONFIG } from '../../constants';
 import { exportToExcel } from '../../lib/excelUtils';
 import LoadingSpinner from '../common/LoadingSpinner';
 
@@ -17,6 +47,86 @@ export default function EnrollmentRequests() {
   const [processing, setProcessing] = useState({});
   const [rejectModal, setRejectModal] = useState(null);
   const [selectedIds, setSelectedIds] = useState([]);
+  const [lotteryCourses, setLotteryCourses] = useState([]);
+  const [lotteryModal, setLotteryModal] = useState(null);
+  const [swaps, setSwaps] = useState([]);
+  const [swapRejectModal, setSwapRejectModal] = useState(null);
+  const [showRulesModal, setShowRulesModal] = useState(false);
+  const [showBatchRejectModal, setShowBatchRejectModal] = useState(false);
+  const [batchRejecting, setBatchRejecting] = useState(false);
+  const [rejectTemplates, setRejectTemplates] = useState([]);
+  const [view, setView] = useState('pending'); // pending, closed
+  const [closedEnrollments, setClosedEnrollments] = useState(null);
+  const [openWaitlistCourses, setOpenWaitlistCourses] = useState([]);
+
+  const loadLotteryCourses = async () => {
+    try {
+      const data = await getLotteryCourses();
+      setLotteryCourses(data.filter(c => c.isActive));
+    } catch (error) {
+      console.error('Failed to load lottery courses:', error);
+    }
+  };
+
+  // Seats freed by student cancellations, until the staff-session sweep (promoteDueWaitlists) fills them
+  const loadOpenWaitlistCourses = async () => {
+    try {
+      const courses = await getActiveCourses();
+      setOpenWaitlistCourses(courses.filter(c => 
+        (c.waitlistCount || 0) > 0 && (c.enrolled || 0) < c.capacity
+      ));
+    } catch (error) {
+      console.error('Failed to load waitlisted courses:', error);
+    }
+  };
+
+  const handlePromoteWaitlist = async (course) => {
+    setProcessing(prev => ({ ...prev, [course.id]: true }));
+    try {
+      const count = await promoteWaitlist(course.id);
+      alert(`${course.title}: ${count}명을 대기에서 승격했습니다.`);
+      await loadOpenWaitlistCourses();
+    } catch (error) {
+      console.error('Waitlist promotion failed:', error);
+      alert(error.message || '대기자 승격에 실패했습니다.');
+    } finally {
+      setProcessing(prev => ({ ...prev, [course.id]: false }));
+    }
+  };
+
+  const loadClosedEnrollments = async () => {
+    try {
+      const closed = await getClosedEnrollments();
+      const enriched = await Promise.all(
+        closed.map(async (enrollment) => {
+          const [course, student] = await Promise.all([
+            getCourse(enrollment.courseId),
+            getStudent(enrollment.studentId),
+          ]);
+          return { ...enrollment, course, student };
+        })
+      );
+      setClosedEnrollments(enriched);
+    } catch (error) {
+      console.error('Failed to load closed enrollments:', error);
+      setClosedEnrollments([]);
+    }
+  };
+
+  useEffect(() => {
+    loadLotteryCourses();
+    loadOpenWaitlistCourses();
+    getRejectionTemplates()
+      .then(setRejectTemplates)
+      .catch(error => console.error('Failed to load rejection templates:', error));
+  }, []);
+
+  // Load rejected/cancelled enrollments on first visit to the tab
+  useEffect(() => {
+    if (view === 'closed' && !closedEnrollments) {
+      loadClosedEnrollments();
+    }
+  }, [view, closedEnrollments]);
 
   // Subscribe to pending enrollments
   useEffect(() => {
@@ -27,6 +137,25 @@ export default function EnrollmentRequests() {
     return () => unsubscribe();
   }, []);
 
+  // Subscribe to pending course swaps (titles are stored on the request)
+  useEffect(() => {
+    const unsubscribe = subscribeToPendingCourseSwaps(async (data) => {
+      try {
+        const enriched = await Promise.all(
+          data.map(async (swap) => ({
+            ...swap,
+            student: await getStudent(swap.studentId),
+          }))
+        );
+        setSwaps(enriched);
+      } catch (error) {
+        console.error('Failed to enrich swaps:', error);
+      }
+    });
+
+    return () => unsubscribe();
+  }, []);
+
   // Enrich requests with course and student data
   useEffect(() => {
     const enrichRequests = async () => {
@@ -79,7 +208,7 @@ export default function EnrollmentRequests() {
       }
     } catch (error) {
       console.error('Approve failed:', error);
-      alert('승인에 실패했습니다.');
+      alert(error.message || '승인에 실패했습니다.');
     } finally {
       setProcessing(prev => ({ ...prev, [enrollmentId]: false }));
     }
@@ -112,6 +241,35 @@ export default function EnrollmentRequests() {
     }
   };
 
+  const handleApproveSwap = async (swap) => {
+    if (!confirm(`${swap.student?.name || swap.studentId}님의 "${swap.fromCourseTitle}" → "${swap.toCourseTitle}" 변경을 승인하시겠습니까?`)) {
+      return;
+    }
+
+    setProcessing(prev => ({ ...prev, [swap.id]: true }));
+    try {
+      await approveCourseSwap(swap.id, admin.uid);
+    } catch (error) {
+      console.error('Swap approve failed:', error);
+      alert(error.message || '변경 승인에 실패했습니다.');
+    } finally {
+      setProcessing(prev => ({ ...prev, [swap.id]: false }));
+    }
+  };
+
+  const handleRejectSwap = async (swapId, reason) => {
+    setProcessing(prev => ({ ...prev, [swapId]: true }));
+    try {
+      await rejectCourseSwap(swapId, admin.uid, reason);
+      setSwapRejectModal(null);
+    } catch (error) {
+      console.error('Swap reject failed:', error);
+      alert('변경 반려에 실패했습니다.');
+    } finally {
+      setProcessing(prev => ({ ...prev, [swapId]: false }));
+    }
+  };
+
   const handleBatchApprove = async () => {
     if (selectedIds.length === 0) {
       alert('선택된 항목이 없습니다.');
@@ -123,10 +281,12 @@ export default function EnrollmentRequests() {
     }
 
     try {
-      await batchApproveEnrollments(selectedIds, admin.uid);
+      const results = await batchApproveEnrollments(selectedIds, admin.uid);
+      const approvedIds = results.filter(r => r.success).map(r => r.enrollmentId);
+      const failures = results.filter(r => !r.success);
       
-      // Create notifications for all approved enrollments
-      const notificationPromises = selectedIds.map(enrollmentId => {
+      // Create notifications for approved enrollments only
+      const notificationPromises = approvedIds.map(enrollmentId => {
         const request = enrichedRequests.find(r => r.id === enrollmentId);
         if (request) {
           return createApprovalNotification(
@@ -139,13 +299,95 @@ export default function EnrollmentRequests() {
       });
       
       await Promise.all(notificationPromises);
-      setSelectedIds([]);
+      
+      if (failures.length > 0) {
+        const nameOf = (enrollmentId) => {
+          const request = enrichedRequests.find(r => r.id === enrollmentId);
+          return request?.student?.name || request?.studentId || enrollmentId;
+        };
+        alert(
+          `${approvedIds.length}건 승인, ${failures.length}건 실패\n\n` +
+          failures.map(f => `${nameOf(f.enrollmentId)} - ${f.error}`).join('\n')
+        );
+        setSelectedIds(failures.map(f => f.enrollmentId));
+      } else {
+        setSelectedIds([]);
+      }
     } catch (error) {
       console.error('Batch approve failed:', error);
       alert('일괄 승인에 실패했습니다.');
     }
   };
 
+  const handleBatchReject = async (reason) => {
+    setBatchRejecting(true);
+    try {
+      const results = await batchRejectEnrollments(selectedIds, admin.uid, reason);
+      const rejectedIds = results.filter(r => r.success).map(r => r.enrollmentId);
+      const failures = results.filter(r => !r.success);
+
+      await Promise.all(rejectedIds.map(enrollmentId => {
+        const request = enrichedRequests.find(r => r.id === enrollmentId);
+        if (request) {
+          return createRejectionNotification(
+            request.studentId,
+            request.course?.title || '강좌',
+            request.courseId,
+            reason
+          );
+        }
+        return Promise.resolve();
+      }));
+
+      setShowBatchRejectModal(false);
+      if (failures.length > 0) {
+        const nameOf = (enrollmentId) => {
+          const request = enrichedRequests.find(r => r.id === enrollmentId);
+          return request?.student?.name || request?.studentId || enrollmentId;
+        };
+        alert(
+          `${rejectedIds.length}건 반려, ${failures.length}건 실패\n\n` +
+          failures.map(f => `${nameOf(f.enrollmentId)} - ${f.error}`).join('\n')
+        );
+        setSelectedIds(failures.map(f => f.enrollmentId));
+      } else {
+        setSelectedIds([]);
+      }
+      setClosedEnrollments(null);
+    } catch (error) {
+      console.error('Batch reject failed:', error);
+      alert('일괄 반려에 실패했습니다.');
+    } finally {
+      setBatchRejecting(false);
+    }
+  };
+
+  const handleReopen = async (enrollment) => {
+    const name = enrollment.student?.name || enrollment.studentId;
+    const title = enrollment.course?.title || enrollment.courseId;
+    if (!confirm(`${name}님의 "${title}" 신청을 다시 열겠습니까?\n정원이 찼거나 대기자가 있으면 대기 명단 끝에 추가됩니다. 학생에게 알림이 전송됩니다.`)) {
+      return;
+    }
+    // Jumping ahead of waiting students needs an explicit decision
+    const course = enrollment.course;
+    const skipWaitlist = !!course && (course.waitlistCount || 0) > 0 && (course.enrolled || 0) < course.capacity &&
+      confirm(`"${title}"에 대기 중인 학생이 ${course.waitlistCount}명 있습니다.\n대기 순번을 건너뛰고 바로 승인 대기로 되돌릴까요? (취소: 대기 명단 끝에 추가)`);
+
+    setProcessing(prev => ({ ...prev, [enrollment.id]: true }));
+    try {
+      const result = await reopenEnrollment(enrollment.id, admin.uid, '', { skipWaitlist });
+      if (result.waitlisted) {
+        alert(`${name}님의 "${title}" 신청이 대기 ${result.waitlistPosition}번으로 등록되었습니다.`);
+      }
+      await loadClosedEnrollments();
+    } catch (error) {
+      console.error('Reopen failed:', error);
+      alert(error.message || '다시 열기에 실패했습니다.');
+    } finally {
+      setProcessing(prev => ({ ...prev, [enrollment.id]: false }));
+    }
+  };
+
   const toggleSelect = (id) => {
     setSelectedIds(prev => 
       prev.includes(id) ? prev.filter(i => i !== id) : [...prev, id]
@@ -197,6 +439,13 @@ export default function EnrollmentRequests() {
           )}
         </h1>
         <div className="flex items-center gap-2">
+          <button
+            onClick={() => setShowRulesModal(true)}
+            className="flex items-center gap-2 px-4 py-2 bg-white border border-gray-200 text-slate-600 rounded-xl font-medium hover:bg-slate-50 transition-colors"
+          >
+            <Zap className="w-4 h-4" />
+            자동 승인 규칙
+          </button>
           <button
             onClick={handleExportExcel}
             disabled={enrichedRequests.length === 0}
@@ -214,10 +463,173 @@ export default function EnrollmentRequests() {
               {selectedIds.length}건 일괄 승인
             </button>
           )}
+          {selectedIds.length > 0 && (
+            <button
+              onClick={() => setShowBatchRejectModal(true)}
+              className="flex items-center gap-2 px-4 py-2 bg-red-600 text-white rounded-xl font-medium hover:bg-red-700 transition-colors"
+            >
+              <X className="w-4 h-4" />
+              {selectedIds.length}건 일괄 반려
+            </button>
+          )}
         </div>
       </div>
 
-      {enrichedRequests.length === 0 ? (
+      {/* Lottery Courses */}
+      {lotteryCourses.length > 0 && (
+        <div className="bg-purple-50 rounded-2xl border border-purple-200 p-6 mb-6">
+          <h2 className="font-bold text-purple-900 mb-4 flex items-center gap-2">
+            <Shuffle className="w-5 h-5" />
+            추첨 강좌
+          </h2>
+          <div className="space-y-2">
+            {lotteryCourses.map(course => {
+              const seatsLeft = Math.max(0, course.capacity - (course.enrolled || 0));
+              return (
+                <div key={course.id} className="flex items-center justify-between p-3 bg-white rounded-xl border border-purple-100">
+                  <div>
+                    <div className="font-medium text-slate-900">{course.title}</div>
+                    <div className="text-xs text-slate-500">
+                      {course.instructor} | 정원 {course.capacity}명 · 잔여 {seatsLeft}석
+                      {!course.lotteryDrawnAt && (
+                        <span className="ml-2 text-purple-700 font-medium">
+                          신청 {course.lotteryEntryCount || 0}명
+                        </span>
+                      )}
+                    </div>
+                  </div>
+                  {course.lotteryDrawnAt ? (
+                    <button
+                      onClick={() => setLotteryModal(course)}
+                      className="px-3 py-1.5 bg-white border border-purple-200 text-purple-700 rounded-lg text-sm font-medium hover:bg-purple-50"
+                    >
+                      추첨 결과
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => setLotteryModal(course)}
+                      disabled={!course.lotteryEntryCount}
+                      className="flex items-center gap-1 px-3 py-1.5 bg-purple-600 text-white rounded-lg text-sm font-medium hover:bg-purple-700 disabled:opacity-50"
+                    >
+                      <Shuffle className="w-4 h-4" />
+                      추첨 실행
+                    </button>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {/* Courses with free seats and a waitlist */}
+      {openWaitlistCourses.length > 0 && (
+        <div className="bg-amber-50 rounded-2xl border border-amber-200 p-6 mb-6">
+          <h2 className="font-bold text-amber-900 mb-1 flex items-center gap-2">
+            <ArrowUpCircle className="w-5 h-5" />
+            대기자 승격 필요
+          </h2>
+          <p className="text-xs text-amber-700 mb-4">학생이 취소한 자리는 여기서 대기 순번대로 채워집니다.</p>
+          <div className="space-y-2">
+            {openWaitlistCourses.map(course => (
+              <div key={course.id} className="flex items-center justify-between p-3 bg-white rounded-xl border border-amber-100">
+                <div>
+                  <div className="font-medium text-slate-900">{course.title}</div>
+                  <div className="text-xs text-slate-500">
+                    {course.instructor} | 잔여 {course.capacity - (course.enrolled || 0)}석 · 대기 {course.waitlistCount}명
+                  </div>
+                </div>
+                <button
+                  onClick={() => handlePromoteWaitlist(course)}
+                  disabled={processing[course.id]}
+                  className="flex items-center gap-1 px-3 py-1.5 bg-amber-500 text-white rounded-lg text-sm font-medium hover:bg-amber-600 disabled:opacity-50"
+                >
+                  <ArrowUpCircle className="w-4 h-4" />
+                  대기자 승격
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Course Swap Requests */}
+      {swaps.length > 0 && (
+        <div className="bg-white rounded-2xl border border-[#00b6b2]/30 p-6 mb-6">
+          <h2 className="font-bold text-slate-900 mb-4 flex items-center gap-2">
+            <ArrowRightLeft className="w-5 h-5 text-[#00b6b2]" />
+            강좌 변경 신청
+            <span className="px-2 py-0.5 bg-[#00b6b2]/10 text-[#00b6b2] text-sm rounded-full">
+              {swaps.length}건
+            </span>
+          </h2>
+          <div className="space-y-2">
+            {swaps.map(swap => (
+              <div key={swap.id} className="flex items-center justify-between p-3 bg-slate-50 rounded-xl">
+                <div>
+                  <div className="font-medium text-slate-900">
+                    {swap.student?.name || swap.studentId}
+                  </div>
+                  <div className="text-sm text-slate-600 flex items-center gap-2">
+                    <span className="line-through text-slate-400">{swap.fromCourseTitle}</span>
+                    <ArrowRightLeft className="w-3 h-3" />
+                    <span className="font-medium">{swap.toCourseTitle}</span>
+                  </div>
+                  <div className="text-xs text-slate-400">{formatDateTime(swap.requestedAt)}</div>
+                </div>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => handleApproveSwap(swap)}
+                    disabled={processing[swap.id]}
+                    className="flex items-center gap-1 px-3 py-1.5 bg-green-100 text-green-700 rounded-lg font-medium hover:bg-green-200 transition-colors disabled:opacity-50"
+                  >
+                    <Check className="w-4 h-4" />
+                    승인
+                  </button>
+                  <button
+                    onClick={() => setSwapRejectModal(swap)}
+                    disabled={processing[swap.id]}
+                    className="flex items-center gap-1 px-3 py-1.5 bg-red-100 text-red-700 rounded-lg font-medium hover:bg-red-200 transition-colors disabled:opacity-50"
+                  >
+                    <X className="w-4 h-4" />
+                    반려
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+          <p className="text-xs text-slate-500 mt-3">
+            승인 시 새 강좌 등록과 기존 강좌 취소가 한 번에 처리됩니다. 새 강좌에 자리가 없으면 기존 강좌는 유지됩니다.
+          </p>
+        </div>
+      )}
+
+      <div className="flex gap-2 mb-4">
+        {[
+          { id: 'pending', label: '승인 대기' },
+          { id: 'closed', label: '반려·취소 내역' },
+        ].map(tab => (
+          <button
+            key={tab.id}
+            onClick={() => setView(tab.id)}
+            className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+              view === tab.id 
+                ? 'bg-slate-900 text-white' 
+                : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {view === 'closed' ? (
+        <ClosedEnrollmentList
+          enrollments={closedEnrollments}
+          processing={processing}
+          onReopen={handleReopen}
+        />
+      ) : enrichedRequests.length === 0 ? (
         <div className="bg-white rounded-2xl border border-gray-200 p-12 text-center">
           <Clock className="w-12 h-12 text-slate-300 mx-auto mb-4" />
           <p className="text-slate-500">대기 중인 신청이 없습니다.</p>
@@ -263,6 +675,9 @@ export default function EnrollmentRequests() {
                   <td className="p-4">
                     <div className="font-medium text-slate-900">
                       {request.course?.title || request.courseId}
+                      {request.reopenedAt && (
+                        <span className="ml-2 px-1.5 py-0.5 bg-blue-100 text-blue-700 text-[10px] rounded">재검토</span>
+                      )}
                     </div>
                     <div className="text-xs text-slate-500">
                       {request.course?.instructor} | {request.course?.room}
@@ -301,17 +716,648 @@ export default function EnrollmentRequests() {
       {/* Reject Modal */}
       {rejectModal && (
         <RejectModal
-          request={rejectModal}
+          description={`${rejectModal.student?.name}님의 "${rejectModal.course?.title}" 신청`}
+          templates={rejectTemplates}
           onClose={() => setRejectModal(null)}
           onConfirm={(reason) => handleReject(rejectModal.id, reason)}
           loading={processing[rejectModal.id]}
         />
       )}
+
+      {/* Swap Reject Modal */}
+      {swapRejectModal && (
+        <RejectModal
+          description={`${swapRejectModal.student?.name}님의 "${swapRejectModal.fromCourseTitle} → ${swapRejectModal.toCourseTitle}" 신청`}
+          templates={rejectTemplates}
+          onClose={() => setSwapRejectModal(null)}
+          onConfirm={(reason) => handleRejectSwap(swapRejectModal.id, reason)}
+          loading={processing[swapRejectModal.id]}
+        />
+      )}
+
+      {/* Batch Reject Modal */}
+      {showBatchRejectModal && (
+        <RejectModal
+          description={`선택한 ${selectedIds.length}건의 신청 (같은 사유가 모두에게 전달됩니다)`}
+          templates={rejectTemplates}
+          onClose={() => setShowBatchRejectModal(false)}
+          onConfirm={handleBatchReject}
+          loading={batchRejecting}
+        />
+      )}
+
+      {/* Auto-approval Rules Modal */}
+      {showRulesModal && (
+        <ApprovalRulesModal
+          adminUid={admin.uid}
+          onClose={() => setShowRulesModal(false)}
+        />
+      )}
+
+      {/* Lottery Draw Modal */}
+      {lotteryModal && (
+        <LotteryDrawModal
+          course={lotteryModal}
+          adminUid={admin.uid}
+          onClose={() => setLotteryModal(null)}
+          onDrawn={loadLotteryCourses}
+        />
+      )}
+    </div>
+  );
+}
+
+function LotteryDrawModal({ course, adminUid, onClose, onDrawn }) {
+  const [seed, setSeed] = useState(generateLotterySeed);
+  const [draw, setDraw] = useState(null);
+  const [studentNames, setStudentNames] = useState({});
+  const [loading, setLoading] = useState(!!course.lotteryDrawId);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState('');
+
+  const seatsLeft = Math.max(0, course.capacity - (course.enrolled || 0));
+
+  // Load stored draw for already-drawn courses
+  useEffect(() => {
+    if (!course.lotteryDrawId) return;
+    getLotteryDraw(course.lotteryDrawId)
+      .then(setDraw)
+      .catch(err => {
+        console.error('Failed to load draw:', err);
+        setError('추첨 기록을 불러오지 못했습니다.');
+      })
+      .finally(() => setLoading(false));
+  }, [course.lotteryDrawId]);
+
+  // Resolve student names for the ranking table
+  useEffect(() => {
+    if (!draw) return;
+    Promise.all(draw.ranking.map(r => getStudent(r.studentId)))
+      .then(students => {
+        const names = {};
+        students.forEach((student, i) => {
+          names[draw.ranking[i].studentId] = student?.name || draw.ranking[i].studentId;
+        });
+        setStudentNames(names);
+      })
+      .catch(err => console.error('Failed to load students:', err));
+  }, [draw]);
+
+  // A recorded draw that stopped part-way is resumed with its stored ranking
+  const resuming = draw?.status === LOTTERY_DRAW_STATUS.APPLYING;
+
+  const handleRun = async () => {
+    const message = resuming
+      ? '중단된 추첨 결과를 이어서 반영하시겠습니까?'
+      : `시드 "${seed}"로 추첨을 실행하시겠습니까?\n실행 후에는 되돌릴 수 없습니다.`;
+    if (!confirm(message)) {
+      return;
+    }
+
+    setRunning(true);
+    setError('');
+    try {
+      const result = await runLotteryDraw(course.id, resuming ? draw.seed : seed, adminUid);
+      setDraw(result);
+      onDrawn();
+    } catch (err) {
+      console.error('Lottery draw failed:', err);
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const verified = draw ? verifyLotteryDraw(draw) : false;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} />
+      <div className="relative bg-white rounded-2xl shadow-xl max-w-lg w-full max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="p-6 border-b border-gray-100 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-purple-100 rounded-xl flex items-center justify-center">
+              <Shuffle className="w-5 h-5 text-purple-600" />
+            </div>
+            <div>
+              <h2 className="text-xl font-bold text-slate-900">{draw ? '추첨 결과' : '추첨 실행'}</h2>
+              <p className="text-sm text-slate-500">{course.title}</p>
+            </div>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-slate-100 rounded-lg">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex-1 space-y-4">
+          {loading ? (
+            <LoadingSpinner message="추첨 기록 로딩 중..." />
+          ) : draw ? (
+            <>
+              <div className="grid grid-cols-3 gap-3 text-center">
+                <div className="bg-slate-50 rounded-xl p-3">
+                  <div className="text-xl font-bold text-slate-900">{draw.ranking.length}</div>
+                  <div className="text-xs text-slate-500">신청</div>
+                </div>
+                <div className="bg-green-50 rounded-xl p-3">
+                  <div className="text-xl font-bold text-green-600">
+                    {draw.ranking.filter(r => r.result === 'approved').length}
+                  </div>
+                  <div className="text-xs text-green-600">당첨 (승인)</div>
+                </div>
+                <div className="bg-orange-50 rounded-xl p-3">
+                  <div className="text-xl font-bold text-orange-600">
+                    {draw.ranking.filter(r => r.result === 'waitlisted').length}
+                  </div>
+                  <div className="text-xs text-orange-600">대기</div>
+                </div>
+              </div>
+
+              <div className="text-sm bg-slate-50 rounded-xl p-3 space-y-1">
+                <div className="flex justify-between">
+                  <span className="text-slate-500">시드</span>
+                  <span className="font-mono text-slate-900">{draw.seed}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-slate-500">알고리즘</span>
+                  <span className="font-mono text-xs text-slate-600">{draw.algorithm}</span>
+                </div>
+                {draw.drawnAt && (
+                  <div className="flex justify-between">
+                    <span className="text-slate-500">추첨 일시</span>
+                    <span className="text-slate-900">{formatDateTime(draw.drawnAt)}</span>
+                  </div>
+                )}
+                <div className={`flex items-center gap-1 pt-1 text-xs font-medium ${verified ? 'text-green-600' : 'text-red-600'}`}>
+                  <ShieldCheck className="w-4 h-4" />
+                  {verified ? '시드 재현 검증 일치' : '시드 재현 결과가 저장된 결과와 다릅니다'}
+                </div>
+              </div>
+
+              {resuming && (
+                <div className="p-3 bg-amber-50 border border-amber-200 rounded-xl text-sm text-amber-800">
+                  추첨 결과가 {draw.ranking.length}명 중 {draw.appliedCount}명까지만 반영되었습니다. 이어서 반영해주세요.
+                </div>
+              )}
+
+              <table className="w-full text-sm">
+                <thead className="text-slate-500">
+                  <tr>
+                    <th className="text-left py-2 font-medium">순위</th>
+                    <th className="text-left py-2 font-medium">학생</th>
+                    <th className="text-right py-2 font-medium">결과</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {draw.ranking.map(r => (
+                    <tr key={r.enrollmentId}>
+                      <td className="py-2 text-slate-500">{r.rank}</td>
+                      <td className="py-2 text-slate-900">{studentNames[r.studentId] || r.studentId}</td>
+                      <td className="py-2 text-right">
+                        {r.result === 'approved' ? (
+                          <span className="px-2 py-0.5 bg-green-100 text-green-700 rounded-full text-xs font-medium">당첨</span>
+                        ) : (
+                          <span className="px-2 py-0.5 bg-orange-100 text-orange-700 rounded-full text-xs font-medium">
+                            대기 {r.waitlistPosition}번
+                          </span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          ) : (
+            <>
+              <div className="grid grid-cols-2 gap-3 text-center">
+                <div className="bg-slate-50 rounded-xl p-3">
+                  <div className="text-xl font-bold text-slate-900">{course.lotteryEntryCount || 0}명</div>
+                  <div className="text-xs text-slate-500">추첨 신청</div>
+                </div>
+                <div className="bg-green-50 rounded-xl p-3">
+                  <div className="text-xl font-bold text-green-600">{seatsLeft}석</div>
+                  <div className="text-xs text-green-600">배정 가능</div>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">추첨 시드</label>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={seed}
+                    onChange={(e) => setSeed(e.target.value)}
+                    className="flex-1 px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl font-mono focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setSeed(generateLotterySeed())}
+                    className="p-2.5 border border-slate-200 rounded-xl text-slate-500 hover:bg-slate-50"
+                    title="새 시드"
+                  >
+                    <RefreshCw className="w-4 h-4" />
+                  </button>
+                </div>
+                <p className="text-xs text-slate-400 mt-1">
+                  같은 시드와 신청 목록으로 언제든 동일한 결과를 재현할 수 있으며, 시드와 결과는 감사용으로 저장됩니다.
+                </p>
+              </div>
+
+              <div className="p-3 bg-amber-50 border border-amber-200 rounded-xl text-sm text-amber-800">
+                당첨자는 바로 수강 확정(승인)되고, 나머지는 추첨 순위대로 대기 번호가 부여됩니다. 모든 신청자에게 알림이 발송됩니다.
+                {course.lotteryDrawnAt && ' 이전 추첨이 기록되기 전에 중단되어 다시 실행할 수 있습니다 (신청은 이미 마감됨).'}
+              </div>
+            </>
+          )}
+
+          {error && (
+            <div className="text-red-500 text-sm bg-red-50 p-3 rounded-xl">{error}</div>
+          )}
+        </div>
+
+        <div className="p-6 border-t border-gray-100 flex gap-3">
+          <button
+            onClick={onClose}
+            className="flex-1 py-2.5 border border-slate-200 text-slate-700 rounded-xl font-medium hover:bg-slate-50"
+          >
+            닫기
+          </button>
+          {(!draw || resuming) && !loading && (
+            <button
+              onClick={handleRun}
+              disabled={running || (!resuming && !seed.trim())}
+              className="flex-1 py-2.5 bg-purple-600 text-white rounded-xl font-medium hover:bg-purple-700 disabled:opacity-50 flex items-center justify-center gap-2"
+            >
+              <Shuffle className="w-4 h-4" />
+              {running ? '추첨 중...' : resuming ? '이어서 반영' : '추첨 실행'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function ApprovalRulesModal({ adminUid, onClose }) {
+  const [seasons, setSeasons] = useState([]);
+  const [seasonId, setSeasonId] = useState('');
+  const [rules, setRules] = useState([]);
+  const [courses, setCourses] = useState([]);
+  const [classes, setClasses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [form, setForm] = useState({
+    name: '',
+    courseId: '',
+    classNames: [],
+    requireNoConflict: true,
+    minSeatsLeft: '',
+  });
+
+  useEffect(() => {
+    Promise.all([getNonArchivedSeasons(), getActiveClasses()])
+      .then(([seasonsData, classesData]) => {
+        setSeasons(seasonsData);
+        setClasses(classesData);
+        if (seasonsData.length > 0) {
+          setSeasonId(seasonsData[0].id);
+        } else {
+          setLoading(false);
+        }
+      })
+      .catch(err => {
+        console.error('Failed to load seasons:', err);
+        setLoading(false);
+      });
+  }, []);
+
+  const loadRules = async (targetSeasonId) => {
+    setLoading(true);
+    try {
+      const [rulesData, coursesData] = await Promise.all([
+        getApprovalRules(targetSeasonId),
+        getCoursesBySeason(targetSeasonId),
+      ]);
+      setRules(rulesData);
+      setCourses(coursesData);
+    } catch (err) {
+      console.error('Failed to load rules:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (seasonId) loadRules(seasonId);
+  }, [seasonId]);
+
+  const courseTitleOf = (courseId) => courses.find(c => c.id === courseId)?.title || '삭제된 강좌';
+
+  const describeRule = (rule) => {
+    const { classNames = [], requireNoConflict, minSeatsLeft } = rule.conditions || {};
+    const parts = [rule.courseId ? courseTitleOf(rule.courseId) : '학기 전체 강좌'];
+    parts.push(classNames.length > 0 ? `${classNames.join(', ')} 학생` : '모든 반');
+    if (requireNoConflict) parts.push('시간 중복 없음');
+    if (minSeatsLeft != null) parts.push(`잔여 ${minSeatsLeft}석 이상`);
+    return parts.join(' · ');
+  };
+
+  const toggleClassName = (name) => {
+    setForm({
+      ...form,
+      classNames: form.classNames.includes(name)
+        ? form.classNames.filter(n => n !== name)
+        : [...form.classNames, name],
+    });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!form.name.trim()) {
+      setError('규칙 이름을 입력해주세요.');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await createApprovalRule({
+        name: form.name.trim(),
+        seasonId,
+        courseId: form.courseId || null,
+        conditions: {
+          classNames: form.classNames,
+          requireNoConflict: form.requireNoConflict,
+          minSeatsLeft: form.minSeatsLeft === '' ? null : parseInt(form.minSeatsLeft),
+        },
+      }, adminUid);
+      setForm({ name: '', courseId: '', classNames: [], requireNoConflict: true, minSeatsLeft: '' });
+      await loadRules(seasonId);
+    } catch (err) {
+      console.error('Create rule failed:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (rule) => {
+    try {
+      await toggleApprovalRule(rule.id, !rule.isActive);
+      setRules(rules.map(r => r.id === rule.id ? { ...r, isActive: !rule.isActive } : r));
+    } catch (err) {
+      console.error('Toggle rule failed:', err);
+      alert('상태 변경에 실패했습니다.');
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!confirm(`"${rule.name}" 규칙을 삭제하시겠습니까?`)) {
+      return;
+    }
+
+    try {
+      await deleteApprovalRule(rule.id);
+      setRules(rules.filter(r => r.id !== rule.id));
+    } catch (err) {
+      console.error('Delete rule failed:', err);
+      alert('삭제에 실패했습니다.');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} />
+      <div className="relative bg-white rounded-2xl shadow-xl max-w-2xl w-full max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="p-6 border-b border-gray-100 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-[#00b6b2]/10 rounded-xl flex items-center justify-center">
+              <Zap className="w-5 h-5 text-[#00b6b2]" />
+            </div>
+            <div>
+              <h2 className="text-xl font-bold text-slate-900">자동 승인 규칙</h2>
+              <p className="text-sm text-slate-500">조건을 모두 만족하는 신청은 승인 권한이 있는 관리자 화면이 열려 있을 때 자동으로 수강 확정됩니다.</p>
+            </div>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-slate-100 rounded-lg">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex-1 space-y-6">
+          <select
+            value={seasonId}
+            onChange={(e) => setSeasonId(e.target.value)}
+            className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+          >
+            {seasons.map(season => (
+              <option key={season.id} value={season.id}>{season.name}</option>
+            ))}
+          </select>
+
+          {/* Rule List */}
+          {loading ? (
+            <LoadingSpinner message="규칙 로딩 중..." />
+          ) : rules.length === 0 ? (
+            <p className="text-sm text-slate-400 text-center py-4 bg-slate-50 rounded-xl">
+              등록된 규칙이 없습니다. 모든 신청은 수동으로 검토합니다.
+            </p>
+          ) : (
+            <div className="space-y-2">
+              {rules.map(rule => (
+                <div 
+                  key={rule.id} 
+                  className={`flex items-center justify-between p-3 rounded-xl border ${
+                    rule.isActive ? 'bg-white border-slate-200' : 'bg-slate-50 border-slate-100 opacity-60'
+                  }`}
+                >
+                  <div>
+                    <div className="font-medium text-slate-900">{rule.name}</div>
+                    <div className="text-xs text-slate-500">{describeRule(rule)}</div>
+                  </div>
+                  <div className="flex items-center gap-1">
+                    <button
+                      onClick={() => handleToggle(rule)}
+                      className="p-2 text-slate-400 hover:text-[#00b6b2] rounded-lg"
+                      title={rule.isActive ? '비활성화' : '활성화'}
+                    >
+                      {rule.isActive 
+                        ? <ToggleRight className="w-5 h-5 text-[#00b6b2]" /> 
+                        : <ToggleLeft className="w-5 h-5" />}
+                    </button>
+                    <button
+                      onClick={() => handleDelete(rule)}
+                      className="p-2 text-slate-400 hover:text-red-500 rounded-lg"
+                      title="삭제"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* New Rule */}
+          {seasonId && (
+            <form onSubmit={handleCreate} className="border-t border-slate-100 pt-6 space-y-4">
+              <h3 className="text-sm font-semibold text-slate-700">새 규칙</h3>
+              <div className="grid grid-cols-2 gap-4">
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  placeholder="규칙 이름 (예: A반 일반 강좌)"
+                  className="px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2] text-sm"
+                />
+                <select
+                  value={form.courseId}
+                  onChange={(e) => setForm({ ...form, courseId: e.target.value })}
+                  className="px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2] text-sm"
+                >
+                  <option value="">학기 전체 강좌</option>
+                  {courses.map(course => (
+                    <option key={course.id} value={course.id}>{course.title}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-xs text-slate-500 mb-2">대상 반 (선택하지 않으면 모든 반)</label>
+                <div className="flex flex-wrap gap-2">
+                  {classes.map(c => (
+                    <button
+                      type="button"
+                      key={c.id}
+                      onClick={() => toggleClassName(c.name)}
+                      className={`px-3 py-1 rounded-lg text-sm transition-colors ${
+                        form.classNames.includes(c.name)
+                          ? 'bg-[#00b6b2] text-white'
+                          : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+                      }`}
+                    >
+                      {c.name}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div className="flex items-center gap-6">
+                <label className="flex items-center gap-2 text-sm text-slate-700">
+                  <input
+                    type="checkbox"
+                    checked={form.requireNoConflict}
+                    onChange={(e) => setForm({ ...form, requireNoConflict: e.target.checked })}
+                    className="w-4 h-4 rounded border-slate-300 text-[#00b6b2] focus:ring-[#00b6b2]"
+                  />
+                  시간 중복 없음
+                </label>
+                <label className="flex items-center gap-2 text-sm text-slate-700">
+                  잔여석
+                  <input
+                    type="number"
+                    min="0"
+                    value={form.minSeatsLeft}
+                    onChange={(e) => setForm({ ...form, minSeatsLeft: e.target.value })}
+                    placeholder="-"
+                    className="w-20 px-3 py-1.5 bg-slate-50 border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+                  />
+                  석 이상
+                </label>
+              </div>
+
+              {error && (
+                <div className="text-red-500 text-sm bg-red-50 p-3 rounded-xl">{error}</div>
+              )}
+
+              <button
+                type="submit"
+                disabled={saving}
+                className="w-full py-2.5 bg-[#00b6b2] text-white rounded-xl font-medium hover:bg-[#009da0] disabled:opacity-50"
+              >
+                {saving ? '저장 중...' : '규칙 추가'}
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function ClosedEnrollmentList({ enrollments, processing, onReopen }) {
+  if (!enrollments) {
+    return <LoadingSpinner message="내역 로딩 중..." />;
+  }
+
+  if (enrollments.length === 0) {
+    return (
+      <div className="bg-white rounded-2xl border border-gray-200 p-12 text-center">
+        <p className="text-slate-500">반려되거나 취소된 신청이 없습니다.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-2xl border border-gray-200 overflow-hidden">
+      <table className="w-full">
+        <thead className="bg-slate-50 text-slate-500 text-sm">
+          <tr>
+            <th className="text-left p-4 font-medium">학생</th>
+            <th className="text-left p-4 font-medium">강좌</th>
+            <th className="text-left p-4 font-medium">상태</th>
+            <th className="text-left p-4 font-medium">처리일시</th>
+            <th className="text-right p-4 font-medium">관리</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {enrollments.map((enrollment) => {
+            const config = STATUS_CONFIG[enrollment.status];
+            return (
+              <tr key={enrollment.id} className="hover:bg-slate-50/50">
+                <td className="p-4 font-medium text-slate-900">
+                  {enrollment.student?.name || enrollment.studentId}
+                </td>
+                <td className="p-4">
+                  <div className="font-medium text-slate-900">
+                    {enrollment.course?.title || enrollment.courseId}
+                  </div>
+                  {enrollment.rejectionReason && (
+                    <div className="text-xs text-slate-500">사유: {enrollment.rejectionReason}</div>
+                  )}
+                </td>
+                <td className="p-4">
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${config?.color || ''}`}>
+                    {config?.label || enrollment.status}
+                  </span>
+                </td>
+                <td className="p-4 text-sm text-slate-600">
+                  {formatDateTime(enrollment.rejectedAt || enrollment.cancelledAt)}
+                </td>
+                <td className="p-4">
+                  <div className="flex items-center justify-end">
+                    <button
+                      onClick={() => onReopen(enrollment)}
+                      disabled={processing[enrollment.id] || !enrollment.course}
+                      className="flex items-center gap-1 px-3 py-1.5 bg-blue-100 text-blue-700 rounded-lg font-medium hover:bg-blue-200 transition-colors disabled:opacity-50"
+                    >
+                      <RotateCcw className="w-4 h-4" />
+                      다시 열기
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
     </div>
   );
 }
 
-function RejectModal({ request, onClose, onConfirm, loading }) {
+function RejectModal({ description, templates = [], onClose, onConfirm, loading }) {
   const [reason, setReason] = useState('');
 
   const handleSubmit = (e) => {
@@ -333,9 +1379,7 @@ function RejectModal({ request, onClose, onConfirm, loading }) {
           </div>
           <div>
             <h2 className="text-xl font-bold text-slate-900">신청 반려</h2>
-            <p className="text-sm text-slate-500">
-              {request.student?.name}님의 "{request.course?.title}" 신청
-            </p>
+            <p className="text-sm text-slate-500">{description}</p>
           </div>
         </div>
 
@@ -344,6 +1388,20 @@ function RejectModal({ request, onClose, onConfirm, loading }) {
             <label className="block text-sm font-medium text-slate-700 mb-1">
               반려 사유 <span className="text-red-500">*</span>
             </label>
+            {templates.length > 0 && (
+              <div className="flex flex-wrap gap-1.5 mb-2">
+                {templates.map(template => (
+                  <button
+                    key={template.id}
+                    type="button"
+                    onClick={() => setReason(template.text)}
+                    className="px-2 py-1 bg-slate-100 text-slate-600 rounded-lg text-xs hover:bg-slate-200"
+                  >
+                    {template.text}
+                  </button>
+                ))}
+              </div>
+            )}
             <textarea
               value={reason}
               onChange={(e) => setReason(e.target.value)}
@@ -0,0 +1,364 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Plus, Edit2, Trash2, X, Users, Search } from 'lucide-react';
+import {
+  getAllGuardians,
+  createGuardian,
+  updateGuardian,
+  deleteGuardian
+} from '../../lib/guardianService';
+import { getAllStudents } from '../../lib/studentService';
+import { useAuth } from '../../contexts/AuthContext';
+import { PERMISSIONS } from '../../constants';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const inputClassName = 'w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2]';
+
+export default function GuardianManagement() {
+  const { admin, hasPermission } = useAuth();
+  const [guardians, setGuardians] = useState([]);
+  const [students, setStudents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showAddModal, setShowAddModal] = useState(false);
+  const [editingGuardian, setEditingGuardian] = useState(null);
+
+  const canEdit = hasPermission(PERMISSIONS.EDIT_STUDENTS);
+  const canDelete = hasPermission(PERMISSIONS.DELETE_DATA);
+
+  const loadData = async () => {
+    try {
+      const [guardianData, studentData] = await Promise.all([getAllGuardians(), getAllStudents()]);
+      setGuardians(guardianData);
+      setStudents(studentData);
+    } catch (error) {
+      console.error('Failed to load guardians:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const studentNameOf = (studentId) => students.find(s => s.id === studentId)?.name || '삭제된 학생';
+
+  const handleDelete = async (guardian) => {
+    if (!confirm(`"${guardian.name}" 보호자 계정을 삭제하시겠습니까?\n연결된 학생과의 연결이 해제됩니다.`)) {
+      return;
+    }
+
+    try {
+      await deleteGuardian(guardian.id);
+      setGuardians(guardians.filter(g => g.id !== guardian.id));
+    } catch (error) {
+      console.error('Delete failed:', error);
+      alert('삭제에 실패했습니다.');
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner message="보호자 목록 로딩 중..." />;
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex items-center justify-between mb-8">
+        <h1 className="text-2xl font-bold text-slate-900 flex items-center gap-2">
+          <Users className="w-6 h-6 text-[#00b6b2]" />
+          보호자 관리
+        </h1>
+        {canEdit && (
+          <button
+            onClick={() => setShowAddModal(true)}
+            className="flex items-center gap-2 px-4 py-2 bg-[#00b6b2] text-white rounded-xl font-medium hover:bg-[#009da0] transition-colors"
+          >
+            <Plus className="w-4 h-4" />
+            보호자 등록
+          </button>
+        )}
+      </div>
+
+      <div className="bg-white rounded-2xl border border-gray-200 overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-slate-50 text-slate-500 text-sm">
+            <tr>
+              <th className="text-left p-4 font-medium">보호자</th>
+              <th className="text-left p-4 font-medium">연락처</th>
+              <th className="text-left p-4 font-medium">아이디</th>
+              <th className="text-left p-4 font-medium">연결된 학생</th>
+              <th className="text-left p-4 font-medium">상태</th>
+              <th className="text-right p-4 font-medium">관리</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {guardians.map(guardian => (
+              <tr key={guardian.id} className="hover:bg-slate-50/50">
+                <td className="p-4 font-medium text-slate-900">{guardian.name}</td>
+                <td className="p-4 text-sm text-slate-600">{guardian.phone || '-'}</td>
+                <td className="p-4 text-sm text-slate-700">{guardian.loginId}</td>
+                <td className="p-4 text-sm text-slate-600">
+                  {guardian.studentIds.map(studentNameOf).join(', ')}
+                </td>
+                <td className="p-4">
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                    guardian.isActive ? 'bg-green-100 text-green-700' : 'bg-slate-100 text-slate-500'
+                  }`}>
+                    {guardian.isActive ? '활성' : '비활성'}
+                  </span>
+                </td>
+                <td className="p-4">
+                  <div className="flex items-center justify-end gap-2">
+                    {canEdit && (
+                      <button
+                        onClick={() => setEditingGuardian(guardian)}
+                        className="p-2 text-slate-400 hover:text-[#00b6b2] hover:bg-slate-100 rounded-lg transition-colors"
+                        title="수정"
+                      >
+                        <Edit2 className="w-4 h-4" />
+                      </button>
+                    )}
+                    {canDelete && (
+                      <button
+                        onClick={() => handleDelete(guardian)}
+                        className="p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                        title="삭제"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {guardians.length === 0 && (
+          <div className="p-12 text-center text-slate-400">
+            등록된 보호자가 없습니다.
+          </div>
+        )}
+      </div>
+
+      {(showAddModal || editingGuardian) && (
+        <GuardianFormModal
+          guardian={editingGuardian}
+          students={students}
+          adminUid={admin.uid}
+          onClose={() => {
+            setShowAddModal(false);
+            setEditingGuardian(null);
+          }}
+          onSuccess={() => {
+            setShowAddModal(false);
+            setEditingGuardian(null);
+            loadData();
+          }}
+        />
+      )}
+    </div>
+  );
+}
+
+function GuardianFormModal({ guardian, students, adminUid, onClose, onSuccess }) {
+  const isEditing = !!guardian;
+  const [formData, setFormData] = useState({
+    name: guardian?.name || '',
+    phone: guardian?.phone || '',
+    loginId: '',
+    password: '',
+    studentIds: guardian?.studentIds || [],
+    isActive: guardian?.isActive ?? true,
+  });
+  const [studentSearch, setStudentSearch] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Linked students first, then search matches
+  const studentOptions = useMemo(() => {
+    const query = studentSearch.trim();
+    return students.filter(s =>
+      formData.studentIds.includes(s.id) ||
+      (query && (s.name.includes(query) || s.phone?.includes(query)))
+    );
+  }, [students, studentSearch, formData.studentIds]);
+
+  const toggleStudent = (studentId) => {
+    setFormData({
+      ...formData,
+      studentIds: formData.studentIds.includes(studentId)
+        ? formData.studentIds.filter(id => id !== studentId)
+        : [...formData.studentIds, studentId],
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!formData.name.trim()) {
+      setError('보호자 이름을 입력해주세요.');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      if (isEditing) {
+        await updateGuardian(guardian.id, {
+          name: formData.name.trim(),
+          phone: formData.phone.trim(),
+          studentIds: formData.studentIds,
+          isActive: formData.isActive,
+        });
+      } else {
+        await createGuardian({
+          name: formData.name,
+          phone: formData.phone.trim(),
+          loginId: formData.loginId.trim(),
+          password: formData.password,
+          studentIds: formData.studentIds,
+        }, adminUid);
+        alert(`${formData.name} 보호자 계정이 생성되었습니다.\n보호자 로그인: /guardian`);
+      }
+      onSuccess();
+    } catch (err) {
+      setError(err.message);
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} />
+      <div className="relative bg-white rounded-2xl shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto p-6">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-bold text-slate-900">
+            {isEditing ? '보호자 수정' : '보호자 등록'}
+          </h2>
+          <button onClick={onClose} className="p-2 hover:bg-slate-100 rounded-lg">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">이름</label>
+              <input
+                type="text"
+                value={formData.name}
+                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                className={inputClassName}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">전화번호</label>
+              <input
+                type="tel"
+                value={formData.phone}
+                onChange={(e) => setFormData({ ...formData, phone: e.target.value })}
+                className={inputClassName}
+                placeholder="010-0000-0000"
+              />
+            </div>
+          </div>
+
+          {!isEditing && (
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">아이디</label>
+                <input
+                  type="text"
+                  value={formData.loginId}
+                  onChange={(e) => setFormData({ ...formData, loginId: e.target.value })}
+                  className={inputClassName}
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">초기 비밀번호</label>
+                <input
+                  type="password"
+                  value={formData.password}
+                  onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+                  className={inputClassName}
+                  placeholder="6자 이상"
+                  required
+                />
+              </div>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">
+              연결된 학생 ({formData.studentIds.length}명)
+            </label>
+            <div className="relative mb-2">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" />
+              <input
+                type="text"
+                value={studentSearch}
+                onChange={(e) => setStudentSearch(e.target.value)}
+                className={`${inputClassName} pl-9`}
+                placeholder="학생 이름 또는 연락처로 검색"
+              />
+            </div>
+            <div className="max-h-48 overflow-y-auto border border-slate-200 rounded-xl divide-y divide-slate-100">
+              {studentOptions.length === 0 ? (
+                <p className="text-sm text-slate-400 px-4 py-3">검색해서 자녀를 선택하세요. 형제자매는 여러 명 선택할 수 있습니다.</p>
+              ) : (
+                studentOptions.map(student => (
+                  <label key={student.id} className="flex items-center gap-3 px-4 py-2 text-sm hover:bg-slate-50 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={formData.studentIds.includes(student.id)}
+                      onChange={() => toggleStudent(student.id)}
+                      className="w-4 h-4 text-[#00b6b2] rounded focus:ring-[#00b6b2]"
+                    />
+                    <span className="text-slate-900">{student.name}</span>
+                    <span className="text-slate-400">{student.class || '-'} · {student.phone}</span>
+                  </label>
+                ))
+              )}
+            </div>
+          </div>
+
+          {isEditing && (
+            <div className="flex items-center gap-3">
+              <input
+                type="checkbox"
+                id="guardianIsActive"
+                checked={formData.isActive}
+                onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                className="w-4 h-4 text-[#00b6b2] rounded focus:ring-[#00b6b2]"
+              />
+              <label htmlFor="guardianIsActive" className="text-sm text-slate-700">활성 (해제 시 로그인할 수 없습니다)</label>
+            </div>
+          )}
+
+          {error && (
+            <div className="text-red-500 text-sm bg-red-50 p-3 rounded-xl">{error}</div>
+          )}
+
+          <div className="flex gap-3 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 py-2.5 border border-slate-200 text-slate-700 rounded-xl font-medium hover:bg-slate-50"
+            >
+              취소
+            </button>
+            <button
+              type="submit"
+              disabled={loading}
+              className="flex-1 py-2.5 bg-[#00b6b2] text-white rounded-xl font-medium hover:bg-[#009da0] disabled:opacity-50"
+            >
+              {loading ? '저장 중...' : '저장하기'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
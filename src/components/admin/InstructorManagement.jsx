@@ -0,0 +1,477 @@
+import { useState, useEffect } from 'react';
+import { Plus, Edit2, Trash2, X, GraduationCap, KeyRound } from 'lucide-react';
+import {
+  getAllInstructors,
+  createInstructor,
+  updateInstructor,
+  deleteInstructor,
+  createInstructorAccount
+} from '../../lib/instructorService';
+import { useAuth } from '../../contexts/AuthContext';
+import { DAYS, PERIODS } from '../../constants';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const formatAvailability = (availability = []) => {
+  if (availability.length === 0) return '제한 없음';
+  return availability
+    .map(w => w.startPeriod === w.endPeriod
+      ? `${w.day} ${w.startPeriod}교시`
+      : `${w.day} ${w.startPeriod}-${w.endPeriod}교시`)
+    .join(', ');
+};
+
+export default function InstructorManagement() {
+  const { admin } = useAuth();
+  const [instructors, setInstructors] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showAddModal, setShowAddModal] = useState(false);
+  const [editingInstructor, setEditingInstructor] = useState(null);
+  const [accountInstructor, setAccountInstructor] = useState(null);
+
+  const loadInstructors = async () => {
+    try {
+      setInstructors(await getAllInstructors());
+    } catch (error) {
+      console.error('Failed to load instructors:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadInstructors();
+  }, []);
+
+  const handleDelete = async (instructor) => {
+    if (!confirm(`"${instructor.name}" 강사를 삭제하시겠습니까?\n담당 강좌에는 이름만 남습니다.`)) {
+      return;
+    }
+
+    try {
+      await deleteInstructor(instructor.id);
+      setInstructors(instructors.filter(i => i.id !== instructor.id));
+    } catch (error) {
+      console.error('Delete failed:', error);
+      alert('삭제에 실패했습니다.');
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner message="강사 목록 로딩 중..." />;
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex items-center justify-between mb-8">
+        <h1 className="text-2xl font-bold text-slate-900 flex items-center gap-2">
+          <GraduationCap className="w-6 h-6 text-[#00b6b2]" />
+          강사 관리
+        </h1>
+        <button
+          onClick={() => setShowAddModal(true)}
+          className="flex items-center gap-2 px-4 py-2 bg-[#00b6b2] text-white rounded-xl font-medium hover:bg-[#009da0] transition-colors"
+        >
+          <Plus className="w-4 h-4" />
+          강사 등록
+        </button>
+      </div>
+
+      <div className="bg-white rounded-2xl border border-gray-200 overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-slate-50 text-slate-500 text-sm">
+            <tr>
+              <th className="text-left p-4 font-medium">강사</th>
+              <th className="text-left p-4 font-medium">연락처</th>
+              <th className="text-left p-4 font-medium">가능 시간</th>
+              <th className="text-left p-4 font-medium">포털 계정</th>
+              <th className="text-left p-4 font-medium">상태</th>
+              <th className="text-right p-4 font-medium">관리</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {instructors.map(instructor => (
+              <tr key={instructor.id} className="hover:bg-slate-50/50">
+                <td className="p-4 font-medium text-slate-900">{instructor.name}</td>
+                <td className="p-4 text-sm text-slate-600">
+                  <div>{instructor.phone || '-'}</div>
+                  {instructor.email && <div className="text-xs text-slate-400">{instructor.email}</div>}
+                </td>
+                <td className="p-4 text-sm text-slate-600">{formatAvailability(instructor.availability)}</td>
+                <td className="p-4 text-sm">
+                  {instructor.loginId ? (
+                    <span className="text-slate-700">{instructor.loginId}</span>
+                  ) : (
+                    <button
+                      onClick={() => setAccountInstructor(instructor)}
+                      className="flex items-center gap-1 text-[#00b6b2] hover:underline"
+                    >
+                      <KeyRound className="w-3.5 h-3.5" />
+                      계정 생성
+                    </button>
+                  )}
+                </td>
+                <td className="p-4">
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                    instructor.isActive ? 'bg-green-100 text-green-700' : 'bg-slate-100 text-slate-500'
+                  }`}>
+                    {instructor.isActive ? '재직' : '비활성'}
+                  </span>
+                </td>
+                <td className="p-4">
+                  <div className="flex items-center justify-end gap-2">
+                    <button
+                      onClick={() => setEditingInstructor(instructor)}
+                      className="p-2 text-slate-400 hover:text-[#00b6b2] hover:bg-slate-100 rounded-lg transition-colors"
+                      title="수정"
+                    >
+                      <Edit2 className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(instructor)}
+                      className="p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                      title="삭제"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {instructors.length === 0 && (
+          <div className="p-12 text-center text-slate-400">
+            등록된 강사가 없습니다.
+          </div>
+        )}
+      </div>
+
+      {(showAddModal || editingInstructor) && (
+        <InstructorFormModal
+          instructor={editingInstructor}
+          adminUid={admin.uid}
+          onClose={() => {
+            setShowAddModal(false);
+            setEditingInstructor(null);
+          }}
+          onSuccess={() => {
+            setShowAddModal(false);
+            setEditingInstructor(null);
+            loadInstructors();
+          }}
+        />
+      )}
+
+      {accountInstructor && (
+        <InstructorAccountModal
+          instructor={accountInstructor}
+          onClose={() => setAccountInstructor(null)}
+          onSuccess={() => {
+            setAccountInstructor(null);
+            loadInstructors();
+          }}
+        />
+      )}
+    </div>
+  );
+}
+
+function InstructorFormModal({ instructor, adminUid, onClose, onSuccess }) {
+  const isEditing = !!instructor;
+  const [formData, setFormData] = useState({
+    name: instructor?.name || '',
+    phone: instructor?.phone || '',
+    email: instructor?.email || '',
+    availability: instructor?.availability || [],
+    isActive: instructor?.isActive ?? true,
+  });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const addWindow = () => {
+    setFormData({
+      ...formData,
+      availability: [...formData.availability, { day: DAYS[0], startPeriod: 1, endPeriod: PERIODS.length }],
+    });
+  };
+
+  const updateWindow = (index, field, value) => {
+    setFormData({
+      ...formData,
+      availability: formData.availability.map((w, i) => i === index ? { ...w, [field]: value } : w),
+    });
+  };
+
+  const removeWindow = (index) => {
+    setFormData({
+      ...formData,
+      availability: formData.availability.filter((_, i) => i !== index),
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!formData.name.trim()) {
+      setError('강사 이름을 입력해주세요.');
+      return;
+    }
+    if (formData.availability.some(w => parseInt(w.startPeriod) > parseInt(w.endPeriod))) {
+      setError('가능 시간의 시작 교시가 종료 교시보다 늦습니다.');
+      return;
+    }
+
+    const instructorData = {
+      name: formData.name,
+      phone: formData.phone.trim(),
+      email: formData.email.trim(),
+      availability: formData.availability,
+      isActive: formData.isActive,
+    };
+
+    setLoading(true);
+    try {
+      if (isEditing) {
+        await updateInstructor(instructor.id, instructorData);
+      } else {
+        await createInstructor(instructorData, adminUid);
+      }
+      onSuccess();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} />
+      <div className="relative bg-white rounded-2xl shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto p-6">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-bold text-slate-900">
+            {isEditing ? '강사 수정' : '강사 등록'}
+          </h2>
+          <button onClick={onClose} className="p-2 hover:bg-slate-100 rounded-lg">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">이름</label>
+            <input
+              type="text"
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+              required
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">전화번호</label>
+              <input
+                type="tel"
+                value={formData.phone}
+                onChange={(e) => setFormData({ ...formData, phone: e.target.value })}
+                className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+                placeholder="010-0000-0000"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">이메일</label>
+              <input
+                type="email"
+                value={formData.email}
+                onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+                className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+              />
+            </div>
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <label className="block text-sm font-medium text-slate-700">수업 가능 시간</label>
+              <button
+                type="button"
+                onClick={addWindow}
+                className="flex items-center gap-1 text-sm text-[#00b6b2] hover:underline"
+              >
+                <Plus className="w-3.5 h-3.5" />
+                시간 추가
+              </button>
+            </div>
+            {formData.availability.length === 0 ? (
+              <p className="text-sm text-slate-400 bg-slate-50 rounded-xl px-4 py-3">
+                지정하지 않으면 모든 시간에 배정할 수 있습니다.
+              </p>
+            ) : (
+              <div className="space-y-2">
+                {formData.availability.map((window, index) => (
+                  <div key={index} className="flex items-center gap-2">
+                    <select
+                      value={window.day}
+                      onChange={(e) => updateWindow(index, 'day', e.target.value)}
+                      className="px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+                    >
+                      {DAYS.map(d => <option key={d} value={d}>{d}</option>)}
+                    </select>
+                    <select
+                      value={window.startPeriod}
+                      onChange={(e) => updateWindow(index, 'startPeriod', parseInt(e.target.value))}
+                      className="flex-1 px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+                    >
+                      {PERIODS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                    </select>
+                    <span className="text-slate-400">~</span>
+                    <select
+                      value={window.endPeriod}
+                      onChange={(e) => updateWindow(index, 'endPeriod', parseInt(e.target.value))}
+                      className="flex-1 px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+                    >
+                      {PERIODS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                    </select>
+                    <button
+                      type="button"
+                      onClick={() => removeWindow(index)}
+                      className="p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded-lg"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {isEditing && (
+            <div className="flex items-center gap-3">
+              <input
+                type="checkbox"
+                id="instructorIsActive"
+                checked={formData.isActive}
+                onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                className="w-4 h-4 text-[#00b6b2] rounded focus:ring-[#00b6b2]"
+              />
+              <label htmlFor="instructorIsActive" className="text-sm text-slate-700">재직 (해제 시 새 강좌에 배정할 수 없습니다)</label>
+            </div>
+          )}
+
+          {error && (
+            <div className="text-red-500 text-sm bg-red-50 p-3 rounded-xl">{error}</div>
+          )}
+
+          <div className="flex gap-3 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 py-2.5 border border-slate-200 text-slate-700 rounded-xl font-medium hover:bg-slate-50"
+            >
+              취소
+            </button>
+            <button
+              type="submit"
+              disabled={loading}
+              className="flex-1 py-2.5 bg-[#00b6b2] text-white rounded-xl font-medium hover:bg-[#009da0] disabled:opacity-50"
+            >
+              {loading ? '저장 중...' : '저장하기'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+function InstructorAccountModal({ instructor, onClose, onSuccess }) {
+  const [loginId, setLoginId] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      await createInstructorAccount(instructor.id, loginId.trim(), password);
+      alert(`${instructor.name} 강사의 포털 계정이 생성되었습니다.\n강사 로그인: /instructor`);
+      onSuccess();
+    } catch (err) {
+      if (err.code === 'auth/email-already-in-use') {
+        setError('이미 사용 중인 아이디입니다.');
+      } else {
+        setError(err.message);
+      }
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} />
+      <div className="relative bg-white rounded-2xl shadow-xl max-w-md w-full p-6">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-bold text-slate-900">강사 포털 계정 생성</h2>
+          <button onClick={onClose} className="p-2 hover:bg-slate-100 rounded-lg">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <p className="text-sm text-slate-500 mb-4">
+          {instructor.name} 강사가 본인 시간표와 수강생 명단을 조회할 수 있는 계정입니다.
+        </p>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">아이디</label>
+            <input
+              type="text"
+              value={loginId}
+              onChange={(e) => setLoginId(e.target.value)}
+              className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">초기 비밀번호</label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+              placeholder="6자 이상"
+              required
+            />
+          </div>
+
+          {error && (
+            <div className="text-red-500 text-sm bg-red-50 p-3 rounded-xl">{error}</div>
+          )}
+
+          <div className="flex gap-3 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 py-2.5 border border-slate-200 text-slate-700 rounded-xl font-medium hover:bg-slate-50"
+            >
+              취소
+            </button>
+            <button
+              type="submit"
+              disabled={loading}
+              className="flex-1 py-2.5 bg-[#00b6b2] text-white rounded-xl font-medium hover:bg-[#009da0] disabled:opacity-50"
+            >
+              {loading ? '생성 중...' : '계정 생성'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,191 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Send, RefreshCw, ChevronDown, ChevronUp } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { getRecentMessages, retryMessage } from '../../lib/messagingService';
+import { formatDateTime } from '../../lib/utils';
+import {
+  PERMISSIONS,
+  MESSAGE_STATUS,
+  MESSAGE_STATUS_CONFIG,
+  MESSAGE_CHANNEL_LABELS
+} from '../../constants';
+import { ATTENDANCE_STATUS_CONFIG } from '../../lib/attendanceService';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const RETRYABLE_STATUSES = [MESSAGE_STATUS.FAILED, MESSAGE_STATUS.QUEUED];
+
+/**
+ * Log of absence and late alerts sent to guardians, with manual retry
+ */
+export default function MessageLog() {
+  const { hasPermission } = useAuth();
+  const canRetry = hasPermission(PERMISSIONS.EDIT_STUDENTS);
+  const [messages, setMessages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [search, setSearch] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+  const [retryingId, setRetryingId] = useState(null);
+
+  const loadMessages = async () => {
+    try {
+      setMessages(await getRecentMessages());
+    } catch (error) {
+      console.error('Failed to load messages:', error);
+      alert('발송 내역을 불러오지 못했습니다.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadMessages();
+  }, []);
+
+  const filteredMessages = useMemo(() => messages
+    .filter(m => !statusFilter || m.status === statusFilter)
+    .filter(m => !search || m.studentName?.includes(search) || m.to?.includes(search)),
+  [messages, statusFilter, search]);
+
+  const handleRetry = async (message) => {
+    setRetryingId(message.id);
+    try {
+      const sent = await retryMessage(message.id);
+      if (!sent) {
+        alert('재발송에 실패했습니다. 오류 내용을 확인해주세요.');
+      }
+      await loadMessages();
+    } catch (error) {
+      console.error('Retry message error:', error);
+      alert(error.message || '재발송에 실패했습니다.');
+    } finally {
+      setRetryingId(null);
+    }
+  };
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex items-center justify-between mb-8">
+        <h1 className="text-2xl font-bold text-slate-900 flex items-center gap-2">
+          <Send className="w-6 h-6 text-slate-600" />
+          발송 내역
+        </h1>
+        <button
+          onClick={() => { setLoading(true); loadMessages(); }}
+          className="flex items-center gap-2 px-4 py-2 border border-slate-200 text-slate-700 rounded-xl font-medium hover:bg-slate-50 transition-colors"
+        >
+          <RefreshCw className="w-4 h-4" />
+          새로고침
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-2xl border border-gray-200 p-4 mb-6 flex flex-wrap items-end gap-3">
+        <div>
+          <label className="block text-xs font-medium text-slate-500 mb-1">상태</label>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+          >
+            <option value="">전체</option>
+            {Object.entries(MESSAGE_STATUS_CONFIG).map(([value, config]) => (
+              <option key={value} value={value}>{config.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex-1 min-w-48">
+          <label className="block text-xs font-medium text-slate-500 mb-1">검색</label>
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="학생 이름 또는 수신처"
+            className="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+          />
+        </div>
+      </div>
+
+      {loading ? (
+        <LoadingSpinner message="발송 내역 로딩 중..." />
+      ) : filteredMessages.length === 0 ? (
+        <div className="bg-white rounded-2xl border border-gray-200 p-12 text-center text-slate-400">
+          발송 내역이 없습니다.
+        </div>
+      ) : (
+        <div className="bg-white rounded-2xl border border-gray-200 overflow-hidden">
+          <div className="px-4 py-3 border-b border-gray-100 text-sm text-slate-500">
+            최근 {filteredMessages.length}건
+          </div>
+          <ul className="divide-y divide-gray-100">
+            {filteredMessages.map(message => (
+              <MessageRow
+                key={message.id}
+                message={message}
+                expanded={expandedId === message.id}
+                onToggle={() => setExpandedId(expandedId === message.id ? null : message.id)}
+                canRetry={canRetry && RETRYABLE_STATUSES.includes(message.status)}
+                retrying={retryingId === message.id}
+                onRetry={() => handleRetry(message)}
+              />
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function MessageRow({ message, expanded, onToggle, canRetry, retrying, onRetry }) {
+  const statusConfig = MESSAGE_STATUS_CONFIG[message.status];
+  const eventConfig = ATTENDANCE_STATUS_CONFIG[message.event];
+
+  return (
+    <li>
+      <div className="px-4 py-3 flex items-center gap-3 text-sm">
+        <button onClick={onToggle} className="flex items-center gap-3 flex-1 min-w-0 text-left">
+          <span className="text-slate-400 w-36 flex-shrink-0">{formatDateTime(message.createdAt)}</span>
+          <span className={`px-2 py-0.5 rounded-full text-xs flex-shrink-0 ${eventConfig?.color}`}>
+            {eventConfig?.label || message.event}
+          </span>
+          <span className="font-medium text-slate-900 w-20 flex-shrink-0 truncate">{message.studentName}</span>
+          <span className="text-slate-500 flex-shrink-0">{MESSAGE_CHANNEL_LABELS[message.channel] || message.channel}</span>
+          <span className="text-slate-500 truncate flex-1">{message.to || '-'}</span>
+          <span className={`px-2 py-0.5 rounded-full text-xs font-medium flex-shrink-0 ${statusConfig?.color}`}>
+            {statusConfig?.label || message.status}
+          </span>
+          {expanded
+            ? <ChevronUp className="w-4 h-4 text-slate-400 flex-shrink-0" />
+            : <ChevronDown className="w-4 h-4 text-slate-400 flex-shrink-0" />}
+        </button>
+        {canRetry && (
+          <button
+            onClick={onRetry}
+            disabled={retrying}
+            className="flex items-center gap-1 px-3 py-1.5 bg-[#00b6b2] text-white rounded-lg text-xs font-medium hover:bg-[#009da0] disabled:opacity-50 transition-colors"
+          >
+            <RefreshCw className={`w-3 h-3 ${retrying ? 'animate-spin' : ''}`} />
+            재발송
+          </button>
+        )}
+      </div>
+
+      {expanded && (
+        <div className="px-4 pb-4 space-y-2 text-sm">
+          <p className="bg-slate-50 border border-slate-200 rounded-xl p-3 text-slate-700 whitespace-pre-wrap">
+            {message.text}
+          </p>
+          <p className="text-xs text-slate-500">
+            시도 {message.attempts}회
+            {message.provider && ` · ${message.provider}`}
+            {message.sentAt && ` · 발송 ${formatDateTime(message.sentAt)}`}
+            {message.status === MESSAGE_STATUS.QUEUED && message.nextAttemptAt && ` · 다음 시도 ${formatDateTime(message.nextAttemptAt)}`}
+          </p>
+          {message.lastError && (
+            <p className="text-xs text-red-600">오류: {message.lastError}</p>
+          )}
+        </div>
+      )}
+    </li>
+  );
+}
@@ -0,0 +1,451 @@
+import { useState, useEffect } from 'react';
+import { Plus, Edit2, Trash2, X, DoorOpen, AlertTriangle } from 'lucide-react';
+import { getAllRooms, createRoom, updateRoom, deleteRoom } from '../../lib/roomService';
+import { getNonArchivedSeasons } from '../../lib/seasonService';
+import { getCoursesBySeason } from '../../lib/courseService';
+import { useAuth } from '../../contexts/AuthContext';
+import { DAYS, PERIODS } from '../../constants';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+export default function RoomManagement() {
+  const { admin } = useAuth();
+  const [rooms, setRooms] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [view, setView] = useState('rooms'); // rooms, occupancy
+  const [showAddModal, setShowAddModal] = useState(false);
+  const [editingRoom, setEditingRoom] = useState(null);
+
+  const loadRooms = async () => {
+    try {
+      setRooms(await getAllRooms());
+    } catch (error) {
+      console.error('Failed to load rooms:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadRooms();
+  }, []);
+
+  const handleDelete = async (room) => {
+    if (!confirm(`"${room.name}" 강의실을 삭제하시겠습니까?\n이 강의실을 사용하는 강좌에는 이름만 남습니다.`)) {
+      return;
+    }
+
+    try {
+      await deleteRoom(room.id);
+      setRooms(rooms.filter(r => r.id !== room.id));
+    } catch (error) {
+      console.error('Delete failed:', error);
+      alert('삭제에 실패했습니다.');
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner message="강의실 목록 로딩 중..." />;
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex items-center justify-between mb-8">
+        <h1 className="text-2xl font-bold text-slate-900 flex items-center gap-2">
+          <DoorOpen className="w-6 h-6 text-[#00b6b2]" />
+          강의실 관리
+        </h1>
+        <button
+          onClick={() => setShowAddModal(true)}
+          className="flex items-center gap-2 px-4 py-2 bg-[#00b6b2] text-white rounded-xl font-medium hover:bg-[#009da0] transition-colors"
+        >
+          <Plus className="w-4 h-4" />
+          강의실 등록
+        </button>
+      </div>
+
+      <div className="flex gap-2 mb-6">
+        {[
+          { id: 'rooms', label: '강의실 목록' },
+          { id: 'occupancy', label: '사용 현황' },
+        ].map(tab => (
+          <button
+            key={tab.id}
+            onClick={() => setView(tab.id)}
+            className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+              view === tab.id
+                ? 'bg-slate-900 text-white'
+                : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {view === 'occupancy' ? (
+        <RoomOccupancyGrid rooms={rooms} />
+      ) : (
+        <div className="bg-white rounded-2xl border border-gray-200 overflow-hidden">
+          <table className="w-full">
+            <thead className="bg-slate-50 text-slate-500 text-sm">
+              <tr>
+                <th className="text-left p-4 font-medium">강의실</th>
+                <th className="text-left p-4 font-medium">수용 인원</th>
+                <th className="text-left p-4 font-medium">장비</th>
+                <th className="text-left p-4 font-medium">상태</th>
+                <th className="text-right p-4 font-medium">관리</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {rooms.map(room => (
+                <tr key={room.id} className="hover:bg-slate-50/50">
+                  <td className="p-4 font-medium text-slate-900">{room.name}</td>
+                  <td className="p-4 text-slate-600">{room.capacity}명</td>
+                  <td className="p-4">
+                    <div className="flex flex-wrap gap-1">
+                      {(room.equipment || []).map(item => (
+                        <span key={item} className="px-2 py-0.5 bg-slate-100 text-slate-600 text-xs rounded-full">
+                          {item}
+                        </span>
+                      ))}
+                    </div>
+                  </td>
+                  <td className="p-4">
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                      room.isActive ? 'bg-green-100 text-green-700' : 'bg-slate-100 text-slate-500'
+                    }`}>
+                      {room.isActive ? '사용' : '사용 중지'}
+                    </span>
+                  </td>
+                  <td className="p-4">
+                    <div className="flex items-center justify-end gap-2">
+                      <button
+                        onClick={() => setEditingRoom(room)}
+                        className="p-2 text-slate-400 hover:text-[#00b6b2] hover:bg-slate-100 rounded-lg transition-colors"
+                        title="수정"
+                      >
+                        <Edit2 className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(room)}
+                        className="p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                        title="삭제"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {rooms.length === 0 && (
+            <div className="p-12 text-center text-slate-400">
+              등록된 강의실이 없습니다.
+            </div>
+          )}
+        </div>
+      )}
+
+      {(showAddModal || editingRoom) && (
+        <RoomFormModal
+          room={editingRoom}
+          adminUid={admin.uid}
+          onClose={() => {
+            setShowAddModal(false);
+            setEditingRoom(null);
+          }}
+          onSuccess={() => {
+            setShowAddModal(false);
+            setEditingRoom(null);
+            loadRooms();
+          }}
+        />
+      )}
+    </div>
+  );
+}
+
+/**
+ * Room-by-period grid for one season and day. Cells with more than one course are double-booked.
+ */
+function RoomOccupancyGrid({ rooms }) {
+  const [seasons, setSeasons] = useState([]);
+  const [seasonId, setSeasonId] = useState('');
+  const [day, setDay] = useState(DAYS[0]);
+  const [courses, setCourses] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const handleSeasonChange = (id) => {
+    setLoading(true);
+    setSeasonId(id);
+  };
+
+  useEffect(() => {
+    getNonArchivedSeasons()
+      .then(data => {
+        setSeasons(data);
+        const active = data.find(s => s.isActive) || data[0];
+        if (active) handleSeasonChange(active.id);
+      })
+      .catch(error => console.error('Failed to load seasons:', error));
+  }, []);
+
+  useEffect(() => {
+    if (!seasonId) return;
+
+    let cancelled = false;
+    getCoursesBySeason(seasonId)
+      .then(data => { if (!cancelled) setCourses(data); })
+      .catch(error => console.error('Failed to load courses:', error))
+      .finally(() => { if (!cancelled) setLoading(false); });
+
+    return () => { cancelled = true; };
+  }, [seasonId]);
+
+  // Registry rooms first, then free-text rooms still used by older courses
+  const registryNames = new Set(rooms.map(r => r.name));
+  const legacyNames = [...new Set(
+    courses.filter(c => !c.roomId && c.room && !registryNames.has(c.room)).map(c => c.room)
+  )];
+  const rows = [
+    ...rooms.map(r => ({ key: r.id, name: r.name, matches: c => c.roomId === r.id || (!c.roomId && c.room === r.name) })),
+    ...legacyNames.map(name => ({ key: name, name, legacy: true, matches: c => !c.roomId && c.room === name })),
+  ];
+
+  const coursesAt = (row, period) => courses.filter(c =>
+    row.matches(c) &&
+    (c.schedules || []).some(s => s.day === day && s.startPeriod <= period && s.endPeriod >= period)
+  );
+
+  const conflictCount = rows.reduce((count, row) =>
+    count + PERIODS.filter(p => coursesAt(row, p.id).length > 1).length, 0
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-4">
+        <select
+          value={seasonId}
+          onChange={(e) => handleSeasonChange(e.target.value)}
+          className="px-4 py-2 bg-white border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+        >
+          {seasons.map(season => (
+            <option key={season.id} value={season.id}>{season.name}</option>
+          ))}
+        </select>
+        <div className="flex gap-1">
+          {DAYS.map(d => (
+            <button
+              key={d}
+              onClick={() => setDay(d)}
+              className={`w-9 h-9 rounded-full text-sm font-medium transition-all ${
+                day === d
+                  ? 'bg-[#00b6b2] text-white'
+                  : 'bg-white border border-slate-200 text-slate-500 hover:bg-slate-100'
+              }`}
+            >
+              {d}
+            </button>
+          ))}
+        </div>
+        {conflictCount > 0 && (
+          <span className="flex items-center gap-1 text-sm text-red-600 font-medium">
+            <AlertTriangle className="w-4 h-4" />
+            중복 배정 {conflictCount}건
+          </span>
+        )}
+      </div>
+
+      {loading ? (
+        <LoadingSpinner message="강좌 로딩 중..." />
+      ) : (
+        <div className="bg-white rounded-2xl border border-gray-200 overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead className="bg-slate-50 text-slate-500">
+              <tr>
+                <th className="text-left p-3 font-medium sticky left-0 bg-slate-50 min-w-[100px]">강의실</th>
+                {PERIODS.map(p => (
+                  <th key={p.id} className="p-2 font-medium text-center min-w-[80px]">
+                    {p.label}
+                    <div className="text-[10px] text-slate-400 font-normal">{p.time}</div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {rows.map(row => (
+                <tr key={row.key}>
+                  <td className="p-3 font-medium text-slate-900 sticky left-0 bg-white">
+                    {row.name}
+                    {row.legacy && <span className="ml-1 text-[10px] text-slate-400">(미등록)</span>}
+                  </td>
+                  {PERIODS.map(p => {
+                    const booked = coursesAt(row, p.id);
+                    const conflict = booked.length > 1;
+                    return (
+                      <td
+                        key={p.id}
+                        className={`p-1.5 align-top border-l border-gray-100 ${conflict ? 'bg-red-50' : ''}`}
+                        title={booked.map(c => `${c.title} (${c.instructor})`).join('\n')}
+                      >
+                        {booked.map(c => (
+                          <div
+                            key={c.id}
+                            className={`px-1.5 py-1 mb-0.5 rounded truncate ${
+                              conflict ? 'bg-red-100 text-red-800' : c.color || 'bg-slate-100 text-slate-700'
+                            }`}
+                          >
+                            {c.title}
+                          </div>
+                        ))}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {rows.length === 0 && (
+            <div className="p-12 text-center text-slate-400">
+              등록된 강의실이 없습니다.
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function RoomFormModal({ room, adminUid, onClose, onSuccess }) {
+  const isEditing = !!room;
+  const [formData, setFormData] = useState({
+    name: room?.name || '',
+    capacity: room?.capacity || 30,
+    equipment: (room?.equipment || []).join(', '),
+    isActive: room?.isActive ?? true,
+  });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!formData.name.trim()) {
+      setError('강의실 이름을 입력해주세요.');
+      return;
+    }
+
+    const roomData = {
+      name: formData.name,
+      capacity: parseInt(formData.capacity) || 0,
+      equipment: formData.equipment.split(',').map(item => item.trim()).filter(Boolean),
+      isActive: formData.isActive,
+    };
+
+    setLoading(true);
+    try {
+      if (isEditing) {
+        await updateRoom(room.id, roomData);
+      } else {
+        await createRoom(roomData, adminUid);
+      }
+      onSuccess();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} />
+      <div className="relative bg-white rounded-2xl shadow-xl max-w-md w-full p-6">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-bold text-slate-900">
+            {isEditing ? '강의실 수정' : '강의실 등록'}
+          </h2>
+          <button onClick={onClose} className="p-2 hover:bg-slate-100 rounded-lg">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">강의실 이름</label>
+              <input
+                type="text"
+                value={formData.name}
+                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+                placeholder="301호"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">수용 인원</label>
+              <input
+                type="number"
+                min={1}
+                value={formData.capacity}
+                onChange={(e) => setFormData({ ...formData, capacity: e.target.value })}
+                className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+                required
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">장비 (쉼표로 구분)</label>
+            <input
+              type="text"
+              value={formData.equipment}
+              onChange={(e) => setFormData({ ...formData, equipment: e.target.value })}
+              className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+              placeholder="프로젝터, 화이트보드"
+            />
+          </div>
+
+          {isEditing && (
+            <div className="flex items-center gap-3">
+              <input
+                type="checkbox"
+                id="roomIsActive"
+                checked={formData.isActive}
+                onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                className="w-4 h-4 text-[#00b6b2] rounded focus:ring-[#00b6b2]"
+              />
+              <label htmlFor="roomIsActive" className="text-sm text-slate-700">사용 (해제 시 새 강좌에 배정할 수 없습니다)</label>
+            </div>
+          )}
+
+          {error && (
+            <div className="text-red-500 text-sm bg-red-50 p-3 rounded-xl">{error}</div>
+          )}
+
+          <div className="flex gap-3 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 py-2.5 border border-slate-200 text-slate-700 rounded-xl font-medium hover:bg-slate-50"
+            >
+              취소
+            </button>
+            <button
+              type="submit"
+              disabled={loading}
+              className="flex-1 py-2.5 bg-[#00b6b2] text-white rounded-xl font-medium hover:bg-[#009da0] disabled:opacity-50"
+            >
+              {loading ? '저장 중...' : '저장하기'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -1,17 +1,31 @@
 import { useState, useEffect } from 'react';
-import { Plus, Calendar, ToggleLeft, ToggleRight, Trash2, X, Archive, ArchiveRestore, Eye, AlertTriangle, BarChart3 } from 'lucide-react';
-import { getAllSeasons, createSeason, updateSeason, toggleSeasonActive, deleteSeason, archiveSeason, unarchiveSeason, getSeasonStats } from '../../lib/seasonService';
+import { Plus, Calendar, ToggleLeft, ToggleRight, Trash2, X, Archive, ArchiveRestore, Eye, AlertTriangle, BarChart3, Timer, Gauge } from 'lucide-react';
+import { getAllSeasons, createSeason, updateSeason, toggleSeasonActive, deleteSeason, archiveSeason, unarchiveSeason, getSeasonStats, setRegistrationWindow, setLoadLimits } from '../../lib/seasonService';
+import { getActiveClasses } from '../../lib/classService';
 import { useAuth } from '../../contexts/AuthContext';
 import { formatDate, formatDateTime } from '../../lib/utils';
+import { CATEGORIES, PERMISSIONS } from '../../constants';
 import LoadingSpinner from '../common/LoadingSpinner';
 
+/**
+ * Convert Timestamp/Date to <input type="datetime-local"> value (local time)
+ */
+const toDateTimeLocalValue = (value) => {
+  if (!value) return '';
+  const d = value.toDate ? value.toDate() : new Date(value);
+  const offsetMs = d.getTimezoneOffset() * 60000;
+  return new Date(d.getTime() - offsetMs).toISOString().slice(0, 16);
+};
+
 export default function SeasonManagement() {
-  const { admin } = useAuth();
+  const { admin, hasPermission } = useAuth();
   const [seasons, setSeasons] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showAddModal, setShowAddModal] = useState(false);
   const [archiveModal, setArchiveModal] = useState(null);
   const [statsModal, setStatsModal] = useState(null);
+  const [windowModal, setWindowModal] = useState(null);
+  const [limitsModal, setLimitsModal] = useState(null);
   const [processing, setProcessing] = useState({});
 
   const loadSeasons = async () => {
@@ -150,8 +164,37 @@ export default function SeasonManagement() {
                 <p className="text-sm text-slate-500 mt-1">
                   {formatDate(season.startDate)} ~ {formatDate(season.endDate)}
                 </p>
+                <p className="text-xs text-slate-400 mt-1 flex items-center gap-1">
+                  <Timer className="w-3 h-3" />
+                  {season.registrationOpenAt || season.registrationCloseAt ? (
+                    <>
+                      수강신청 {season.registrationOpenAt ? formatDateTime(season.registrationOpenAt) : '-'} ~ {season.registrationCloseAt ? formatDateTime(season.registrationCloseAt) : '-'}
+                    </>
+                  ) : (
+                    '수강신청 기간 미설정'
+                  )}
+                  {Object.keys(season.registrationWindows || {}).length > 0 && (
+                    <span className="ml-1 text-[#00b6b2]">
+                      (반별 {Object.keys(season.registrationWindows).length}개)
+                    </span>
+                  )}
+                </p>
               </div>
               <div className="flex items-center gap-2">
+                <button
+                  onClick={() => setWindowModal(season)}
+                  className="p-2 text-slate-400 hover:text-[#00b6b2] hover:bg-[#00b6b2]/10 rounded-lg transition-colors"
+                  title="수강신청 기간 설정"
+                >
+                  <Timer className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => setLimitsModal(season)}
+                  className="p-2 text-slate-400 hover:text-[#00b6b2] hover:bg-[#00b6b2]/10 rounded-lg transition-colors"
+                  title="수강 한도 설정"
+                >
+                  <Gauge className="w-4 h-4" />
+                </button>
                 <button
                   onClick={() => handleViewStats(season)}
                   disabled={processing[season.id]}
@@ -192,12 +235,14 @@ export default function SeasonManagement() {
                     아카이브
                   </button>
                 )}
-                <button
-                  onClick={() => handleDelete(season.id, season.name)}
-                  className="p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
-                >
-                  <Trash2 className="w-4 h-4" />
-                </button>
+                {hasPermission(PERMISSIONS.DELETE_DATA) && (
+                  <button
+                    onClick={() => handleDelete(season.id, season.name)}
+                    className="p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
               </div>
             </div>
           </div>
@@ -314,6 +359,30 @@ export default function SeasonManagement() {
           onClose={() => setStatsModal(null)}
         />
       )}
+
+      {/* Registration Window Modal */}
+      {windowModal && (
+        <RegistrationWindowModal
+          season={windowModal}
+          onClose={() => setWindowModal(null)}
+          onSuccess={() => {
+            setWindowModal(null);
+            loadSeasons();
+          }}
+        />
+      )}
+
+      {/* Load Limits Modal */}
+      {limitsModal && (
+        <LoadLimitsModal
+          season={limitsModal}
+          onClose={() => setLimitsModal(null)}
+          onSuccess={() => {
+            setLimitsModal(null);
+            loadSeasons();
+          }}
+        />
+      )}
     </div>
   );
 }
@@ -324,6 +393,8 @@ function AddSeasonModal({ onClose, onSuccess, adminUid }) {
     startDate: '',
     endDate: '',
     changePeriodDays: 7,
+    registrationOpenAt: '',
+    registrationCloseAt: '',
     isActive: true,
   });
   const [loading, setLoading] = useState(false);
@@ -347,6 +418,12 @@ function AddSeasonModal({ onClose, onSuccess, adminUid }) {
       return;
     }
 
+    if (formData.registrationOpenAt && formData.registrationCloseAt &&
+        new Date(formData.registrationOpenAt) >= new Date(formData.registrationCloseAt)) {
+      setError('신청 마감 시각은 시작 시각 이후여야 합니다.');
+      return;
+    }
+
     setLoading(true);
     try {
       await createSeason({
@@ -354,6 +431,8 @@ function AddSeasonModal({ onClose, onSuccess, adminUid }) {
         startDate: formData.startDate ? new Date(formData.startDate) : null,
         endDate: formData.endDate ? new Date(formData.endDate) : null,
         changePeriodDays: formData.changePeriodDays,
+        registrationOpenAt: formData.registrationOpenAt ? new Date(formData.registrationOpenAt) : null,
+        registrationCloseAt: formData.registrationCloseAt ? new Date(formData.registrationCloseAt) : null,
         isActive: formData.isActive,
       }, adminUid);
       onSuccess();
@@ -429,6 +508,29 @@ function AddSeasonModal({ onClose, onSuccess, adminUid }) {
               개강일부터 정정기간 동안 학생들이 수강신청을 취소할 수 있습니다.
             </p>
           </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">수강신청 시작</label>
+              <input
+                type="datetime-local"
+                value={formData.registrationOpenAt}
+                onChange={(e) => setFormData({ ...formData, registrationOpenAt: e.target.value })}
+                className="w-full px-3 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2] text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">수강신청 마감</label>
+              <input
+                type="datetime-local"
+                value={formData.registrationCloseAt}
+                onChange={(e) => setFormData({ ...formData, registrationCloseAt: e.target.value })}
+                className="w-full px-3 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2] text-sm"
+              />
+            </div>
+          </div>
+          <p className="text-xs text-slate-400 -mt-2">
+            비워두면 제한 없이 신청할 수 있습니다. 반별 기간은 학기 추가 후 설정할 수 있습니다.
+          </p>
           <div className="flex items-center gap-3">
             <input
               type="checkbox"
@@ -468,6 +570,439 @@ function AddSeasonModal({ onClose, onSuccess, adminUid }) {
   );
 }
 
+function RegistrationWindowModal({ season, onClose, onSuccess }) {
+  const [openAt, setOpenAt] = useState(toDateTimeLocalValue(season.registrationOpenAt));
+  const [closeAt, setCloseAt] = useState(toDateTimeLocalValue(season.registrationCloseAt));
+  const [classWindows, setClassWindows] = useState(() => 
+    Object.entries(season.registrationWindows || {}).map(([className, range]) => ({
+      className,
+      openAt: toDateTimeLocalValue(range.openAt),
+      closeAt: toDateTimeLocalValue(range.closeAt),
+    }))
+  );
+  const [classes, setClasses] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getActiveClasses()
+      .then(setClasses)
+      .catch(err => console.error('Failed to load classes:', err));
+  }, []);
+
+  const availableClasses = classes.filter(c => !classWindows.some(w => w.className === c.name));
+
+  const addClassWindow = (className) => {
+    if (!className) return;
+    setClassWindows([...classWindows, { className, openAt, closeAt }]);
+  };
+
+  const updateClassWindow = (index, field, value) => {
+    setClassWindows(classWindows.map((w, i) => i === index ? { ...w, [field]: value } : w));
+  };
+
+  const removeClassWindow = (index) => {
+    setClassWindows(classWindows.filter((_, i) => i !== index));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    const overrides = {};
+    classWindows.forEach(w => {
+      overrides[w.className] = {
+        openAt: w.openAt ? new Date(w.openAt) : null,
+        closeAt: w.closeAt ? new Date(w.closeAt) : null,
+      };
+    });
+
+    setLoading(true);
+    try {
+      await setRegistrationWindow(
+        season.id,
+        openAt ? new Date(openAt) : null,
+        closeAt ? new Date(closeAt) : null,
+        overrides
+      );
+      onSuccess();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} />
+      <div className="relative bg-white rounded-2xl shadow-xl max-w-lg w-full p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-6">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-[#00b6b2]/10 rounded-xl flex items-center justify-center">
+              <Timer className="w-5 h-5 text-[#00b6b2]" />
+            </div>
+            <div>
+              <h2 className="text-xl font-bold text-slate-900">수강신청 기간</h2>
+              <p className="text-sm text-slate-500">{season.name}</p>
+            </div>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-slate-100 rounded-lg">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">기본 시작</label>
+              <input
+                type="datetime-local"
+                value={openAt}
+                onChange={(e) => setOpenAt(e.target.value)}
+                className="w-full px-3 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2] text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">기본 마감</label>
+              <input
+                type="datetime-local"
+                value={closeAt}
+                onChange={(e) => setCloseAt(e.target.value)}
+                className="w-full px-3 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2] text-sm"
+              />
+            </div>
+          </div>
+          <p className="text-xs text-slate-400 -mt-2">
+            서버 시간 기준으로 적용됩니다. 비워두면 제한 없이 신청할 수 있습니다.
+          </p>
+
+          <div className="border-t border-slate-100 pt-4">
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-sm font-semibold text-slate-700">반별 기간</h3>
+              <select
+                value=""
+                onChange={(e) => addClassWindow(e.target.value)}
+                disabled={availableClasses.length === 0}
+                className="px-3 py-1.5 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#00b6b2] disabled:opacity-50"
+              >
+                <option value="">+ 반 추가</option>
+                {availableClasses.map(c => (
+                  <option key={c.id} value={c.name}>{c.name}</option>
+                ))}
+              </select>
+            </div>
+
+            {classWindows.length === 0 ? (
+              <p className="text-sm text-slate-400 text-center py-4 bg-slate-50 rounded-xl">
+                모든 반에 기본 기간이 적용됩니다.
+              </p>
+            ) : (
+              <div className="space-y-2">
+                {classWindows.map((w, index) => (
+                  <div key={w.className} className="flex items-center gap-2 p-2 bg-slate-50 rounded-xl">
+                    <span className="w-16 text-sm font-medium text-slate-700 truncate">{w.className}</span>
+                    <input
+                      type="datetime-local"
+                      value={w.openAt}
+                      onChange={(e) => updateClassWindow(index, 'openAt', e.target.value)}
+                      className="flex-1 min-w-0 px-2 py-1.5 bg-white border border-slate-200 rounded-lg text-xs focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+                    />
+                    <span className="text-slate-400">~</span>
+                    <input
+                      type="datetime-local"
+                      value={w.closeAt}
+                      onChange={(e) => updateClassWindow(index, 'closeAt', e.target.value)}
+                      className="flex-1 min-w-0 px-2 py-1.5 bg-white border border-slate-200 rounded-lg text-xs focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => removeClassWindow(index)}
+                      className="p-1 text-slate-400 hover:text-red-500"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {error && (
+            <div className="text-red-500 text-sm bg-red-50 p-3 rounded-xl">{error}</div>
+          )}
+
+          <div className="flex gap-3 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 py-2.5 border border-slate-200 text-slate-700 rounded-xl font-medium hover:bg-slate-50"
+            >
+              취소
+            </button>
+            <button
+              type="submit"
+              disabled={loading}
+              className="flex-1 py-2.5 bg-[#00b6b2] text-white rounded-xl font-medium hover:bg-[#009da0] disabled:opacity-50"
+            >
+              {loading ? '저장 중...' : '저장하기'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+const LIMIT_CATEGORIES = CATEGORIES.filter(c => c !== '전체');
+
+/**
+ * Convert stored load limits to form values (empty string = no limit)
+ */
+const toLimitsForm = (limits = {}) => ({
+  maxCourses: limits.maxCourses ?? '',
+  maxPeriodsPerWeek: limits.maxPeriodsPerWeek ?? '',
+  categoryLimits: Object.fromEntries(LIMIT_CATEGORIES.map(category => [category, {
+    min: limits.categoryLimits?.[category]?.min ?? '',
+    max: limits.categoryLimits?.[category]?.max ?? '',
+  }])),
+});
+
+/**
+ * Convert form values back to stored load limits (blank fields are dropped)
+ */
+const fromLimitsForm = (form) => {
+  const toNumber = (value) => value === '' ? null : parseInt(value);
+  const categoryLimits = {};
+  
+  Object.entries(form.categoryLimits).forEach(([category, range]) => {
+    const min = toNumber(range.min);
+    const max = toNumber(range.max);
+    if (min != null || max != null) {
+      categoryLimits[category] = { min, max };
+    }
+  });
+  
+  return {
+    maxCourses: toNumber(form.maxCourses),
+    maxPeriodsPerWeek: toNumber(form.maxPeriodsPerWeek),
+    categoryLimits,
+  };
+};
+
+function LoadLimitsModal({ season, onClose, onSuccess }) {
+  const [forms, setForms] = useState(() => ({
+    '': toLimitsForm(season.loadLimits),
+    ...Object.fromEntries(
+      Object.entries(season.classLoadLimits || {}).map(([className, limits]) => [className, toLimitsForm(limits)])
+    ),
+  }));
+  const [scope, setScope] = useState('');
+  const [classes, setClasses] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getActiveClasses()
+      .then(setClasses)
+      .catch(err => console.error('Failed to load classes:', err));
+  }, []);
+
+  const form = forms[scope];
+  const availableClasses = classes.filter(c => !(c.name in forms));
+
+  const updateForm = (updates) => {
+    setForms({ ...forms, [scope]: { ...form, ...updates } });
+  };
+
+  const updateCategory = (category, field, value) => {
+    updateForm({
+      categoryLimits: {
+        ...form.categoryLimits,
+        [category]: { ...form.categoryLimits[category], [field]: value },
+      },
+    });
+  };
+
+  const addClassOverride = (className) => {
+    if (!className) return;
+    setForms({ ...forms, [className]: toLimitsForm() });
+    setScope(className);
+  };
+
+  const removeClassOverride = (className) => {
+    const { [className]: _removed, ...rest } = forms;
+    setForms(rest);
+    setScope('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    const { '': defaultForm, ...classForms } = forms;
+    const classLoadLimits = {};
+    Object.entries(classForms).forEach(([className, classForm]) => {
+      classLoadLimits[className] = fromLimitsForm(classForm);
+    });
+
+    setLoading(true);
+    try {
+      await setLoadLimits(season.id, fromLimitsForm(defaultForm), classLoadLimits);
+      onSuccess();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2] text-sm';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} />
+      <div className="relative bg-white rounded-2xl shadow-xl max-w-lg w-full p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-6">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-[#00b6b2]/10 rounded-xl flex items-center justify-center">
+              <Gauge className="w-5 h-5 text-[#00b6b2]" />
+            </div>
+            <div>
+              <h2 className="text-xl font-bold text-slate-900">수강 한도</h2>
+              <p className="text-sm text-slate-500">{season.name}</p>
+            </div>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-slate-100 rounded-lg">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {/* Scope: season default or per-class override */}
+          <div className="flex flex-wrap items-center gap-2">
+            {Object.keys(forms).map(key => (
+              <button
+                key={key || 'default'}
+                type="button"
+                onClick={() => setScope(key)}
+                className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                  scope === key 
+                    ? 'bg-[#00b6b2] text-white' 
+                    : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+                }`}
+              >
+                {key || '기본'}
+              </button>
+            ))}
+            <select
+              value=""
+              onChange={(e) => addClassOverride(e.target.value)}
+              disabled={availableClasses.length === 0}
+              className="px-3 py-1.5 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#00b6b2] disabled:opacity-50"
+            >
+              <option value="">+ 반 추가</option>
+              {availableClasses.map(c => (
+                <option key={c.id} value={c.name}>{c.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">최대 과목 수</label>
+              <input
+                type="number"
+                min="0"
+                value={form.maxCourses}
+                onChange={(e) => updateForm({ maxCourses: e.target.value })}
+                placeholder="제한 없음"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">주당 최대 교시</label>
+              <input
+                type="number"
+                min="0"
+                value={form.maxPeriodsPerWeek}
+                onChange={(e) => updateForm({ maxPeriodsPerWeek: e.target.value })}
+                placeholder="제한 없음"
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          <div className="border-t border-slate-100 pt-4">
+            <h3 className="text-sm font-semibold text-slate-700 mb-3">과목별 최소 / 최대</h3>
+            <div className="space-y-2">
+              {LIMIT_CATEGORIES.map(category => (
+                <div key={category} className="flex items-center gap-2">
+                  <span className="w-20 text-sm text-slate-700">{category}</span>
+                  <input
+                    type="number"
+                    min="0"
+                    value={form.categoryLimits[category].min}
+                    onChange={(e) => updateCategory(category, 'min', e.target.value)}
+                    placeholder="최소"
+                    className={inputClass}
+                  />
+                  <span className="text-slate-400">~</span>
+                  <input
+                    type="number"
+                    min="0"
+                    value={form.categoryLimits[category].max}
+                    onChange={(e) => updateCategory(category, 'max', e.target.value)}
+                    placeholder="최대"
+                    className={inputClass}
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <p className="text-xs text-slate-400">
+            {scope 
+              ? `${scope} 학생에게는 입력한 항목만 기본값 대신 적용됩니다.` 
+              : '비워둔 항목은 제한하지 않습니다.'}
+          </p>
+
+          {scope && (
+            <button
+              type="button"
+              onClick={() => removeClassOverride(scope)}
+              className="text-sm text-red-500 hover:text-red-700"
+            >
+              {scope} 반별 설정 삭제
+            </button>
+          )}
+
+          {error && (
+            <div className="text-red-500 text-sm bg-red-50 p-3 rounded-xl">{error}</div>
+          )}
+
+          <div className="flex gap-3 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 py-2.5 border border-slate-200 text-slate-700 rounded-xl font-medium hover:bg-slate-50"
+            >
+              취소
+            </button>
+            <button
+              type="submit"
+              disabled={loading}
+              className="flex-1 py-2.5 bg-[#00b6b2] text-white rounded-xl font-medium hover:bg-[#009da0] disabled:opacity-50"
+            >
+              {loading ? '저장 중...' : '저장하기'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
 function ArchiveConfirmModal({ season, onClose, onConfirm, loading }) {
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
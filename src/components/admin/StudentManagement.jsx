@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { Plus, Search, ToggleLeft, ToggleRight, Calendar, Trash2, Edit2, X, Check, Upload, Download, AlertTriangle, FileSpreadsheet, History, CalendarDays, Printer, Image, Users, Wand2, CheckSquare, Square, Filter } from 'lucide-react';
+import { Plus, Search, ToggleLeft, ToggleRight, Calendar, Trash2, Edit2, X, Check, Upload, Download, AlertTriangle, FileSpreadsheet, History, CalendarDays, Printer, Image, Users, Wand2, CheckSquare, Square, Filter, UserPlus, KeyRound, RefreshCw } from 'lucide-react';
 import html2canvas from 'html2canvas';
 import { 
   getAllStudents, 
@@ -15,6 +15,8 @@ import {
 } from '../../lib/studentService';
 import { getStudentAllEnrollments, getStudentEnrollments } from '../../lib/enrollmentService';
 import { getCourse } from '../../lib/courseService';
+import { issueStudentPin, generatePin, isValidPin } from '../../lib/studentAuthService';
+import { getStudentEnrollmentHistory, groupHistoryByEnrollment } from '../../lib/enrollmentHistoryService';
 import { 
   getActiveClasses, 
   batchAssignStudentsToClass, 
@@ -22,13 +24,18 @@ import {
 } from '../../lib/classService';
 import { useAuth } from '../../contexts/AuthContext';
 import { formatDate, formatDateTime } from '../../lib/utils';
-import { STATUS_CONFIG, ENROLLMENT_STATUS } from '../../constants';
+import { STATUS_CONFIG, ENROLLMENT_STATUS, HISTORY_ACTOR_LABELS, PERMISSIONS, STUDENT_PIN_LENGTH } from '../../constants';
 import { exportToExcel, parseExcelFile, downloadTemplate } from '../../lib/excelUtils';
 import { BigSchedule } from '../student/WeeklySchedule';
 import LoadingSpinner from '../common/LoadingSpinner';
+import EnrollmentTimeline from '../common/EnrollmentTimeline';
+import AdminEnrollModal from './AdminEnrollModal';
 
 export default function StudentManagement() {
-  const { admin } = useAuth();
+  const { admin, hasPermission } = useAuth();
+  const canEdit = hasPermission(PERMISSIONS.EDIT_STUDENTS);
+  const canDelete = hasPermission(PERMISSIONS.DELETE_DATA);
+  const canEnroll = hasPermission(PERMISSIONS.APPROVE_ENROLLMENTS);
   const [students, setStudents] = useState([]);
   const [classes, setClasses] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -40,6 +47,8 @@ export default function StudentManagement() {
   const [showBulkUploadModal, setShowBulkUploadModal] = useState(false);
   const [showHistoryModal, setShowHistoryModal] = useState(null);
   const [showScheduleModal, setShowScheduleModal] = useState(null);
+  const [showEnrollModal, setShowEnrollModal] = useState(null);
+  const [showPinModal, setShowPinModal] = useState(null);
   const [showBulkAssignModal, setShowBulkAssignModal] = useState(false);
   const [showBulkAutoAssignModal, setShowBulkAutoAssignModal] = useState(false);
   const [showBulkChangePeriodModal, setShowBulkChangePeriodModal] = useState(false);
@@ -243,20 +252,24 @@ export default function StudentManagement() {
             <Download className="w-4 h-4" />
             엑셀 다운로드
           </button>
-          <button
-            onClick={() => setShowBulkUploadModal(true)}
-            className="flex items-center gap-2 px-4 py-2 bg-slate-100 text-slate-700 rounded-xl font-medium hover:bg-slate-200 transition-colors"
-          >
-            <Upload className="w-4 h-4" />
-            일괄 업로드
-          </button>
-          <button
-            onClick={() => setShowAddModal(true)}
-            className="flex items-center gap-2 px-4 py-2 bg-[#00b6b2] text-white rounded-xl font-medium hover:bg-[#009da0] transition-colors"
-          >
-            <Plus className="w-4 h-4" />
-            학생 등록
-          </button>
+          {canEdit && (
+            <>
+              <button
+                onClick={() => setShowBulkUploadModal(true)}
+                className="flex items-center gap-2 px-4 py-2 bg-slate-100 text-slate-700 rounded-xl font-medium hover:bg-slate-200 transition-colors"
+              >
+                <Upload className="w-4 h-4" />
+                일괄 업로드
+              </button>
+              <button
+                onClick={() => setShowAddModal(true)}
+                className="flex items-center gap-2 px-4 py-2 bg-[#00b6b2] text-white rounded-xl font-medium hover:bg-[#009da0] transition-colors"
+              >
+                <Plus className="w-4 h-4" />
+                학생 등록
+              </button>
+            </>
+          )}
         </div>
       </div>
 
@@ -318,7 +331,7 @@ export default function StudentManagement() {
                 {selectedStudents.size}명 선택됨
               </span>
               
-              {selectedStudents.size > 0 && (
+              {selectedStudents.size > 0 && canEdit && (
                 <>
                   <button
                     onClick={() => setShowBulkAssignModal(true)}
@@ -341,39 +354,45 @@ export default function StudentManagement() {
                     <X className="w-4 h-4" />
                     반 제외
                   </button>
-                  <button
-                    onClick={handleBulkDelete}
-                    className="flex items-center gap-2 px-4 py-2 bg-red-100 text-red-700 rounded-xl font-medium hover:bg-red-200 transition-colors"
-                  >
-                    <Trash2 className="w-4 h-4" />
-                    삭제
-                  </button>
                 </>
               )}
+              {selectedStudents.size > 0 && canDelete && (
+                <button
+                  onClick={handleBulkDelete}
+                  className="flex items-center gap-2 px-4 py-2 bg-red-100 text-red-700 rounded-xl font-medium hover:bg-red-200 transition-colors"
+                >
+                  <Trash2 className="w-4 h-4" />
+                  삭제
+                </button>
+              )}
             </>
           )}
           
           <div className="flex-1" />
           
-          <button
-            onClick={() => handleBatchToggle(true)}
-            className="px-4 py-2 bg-green-100 text-green-700 rounded-xl font-medium hover:bg-green-200 transition-colors"
-          >
-            수강신청 열기
-          </button>
-          <button
-            onClick={() => handleBatchToggle(false)}
-            className="px-4 py-2 bg-red-100 text-red-700 rounded-xl font-medium hover:bg-red-200 transition-colors"
-          >
-            수강신청 닫기
-          </button>
-          <button
-            onClick={() => setShowBulkChangePeriodModal(true)}
-            className="flex items-center gap-2 px-4 py-2 bg-amber-100 text-amber-700 rounded-xl font-medium hover:bg-amber-200 transition-colors"
-          >
-            <Calendar className="w-4 h-4" />
-            변경기간 설정
-          </button>
+          {canEdit && (
+            <>
+              <button
+                onClick={() => handleBatchToggle(true)}
+                className="px-4 py-2 bg-green-100 text-green-700 rounded-xl font-medium hover:bg-green-200 transition-colors"
+              >
+                수강신청 열기
+              </button>
+              <button
+                onClick={() => handleBatchToggle(false)}
+                className="px-4 py-2 bg-red-100 text-red-700 rounded-xl font-medium hover:bg-red-200 transition-colors"
+              >
+                수강신청 닫기
+              </button>
+              <button
+                onClick={() => setShowBulkChangePeriodModal(true)}
+                className="flex items-center gap-2 px-4 py-2 bg-amber-100 text-amber-700 rounded-xl font-medium hover:bg-amber-200 transition-colors"
+              >
+                <Calendar className="w-4 h-4" />
+                변경기간 설정
+              </button>
+            </>
+          )}
         </div>
       </div>
 
@@ -428,12 +447,20 @@ export default function StudentManagement() {
                     <span className="text-slate-400">미배정</span>
                   )}
                 </td>
-                <td className="p-4 font-medium text-slate-900">{student.name}</td>
+                <td className="p-4 font-medium text-slate-900">
+                  {student.name}
+                  {!student.pinIssuedAt && (
+                    <span className="ml-2 px-1.5 py-0.5 bg-amber-100 text-amber-700 rounded text-xs font-medium">
+                      PIN 미발급
+                    </span>
+                  )}
+                </td>
                 <td className="p-4 text-slate-600">{student.phone}</td>
                 <td className="p-4 text-slate-600">{student.birthDate || '-'}</td>
                 <td className="p-4">
                   <button
                     onClick={() => handleToggleEnrollment(student.id, student.enrollmentOpen)}
+                    disabled={!canEdit}
                     className={`flex items-center gap-2 px-3 py-1 rounded-full text-sm font-medium transition-colors ${
                       student.enrollmentOpen
                         ? 'bg-green-100 text-green-700'
@@ -456,7 +483,8 @@ export default function StudentManagement() {
                 <td className="p-4">
                   <button
                     onClick={() => setShowChangePeriodModal(student)}
-                    className="flex items-center gap-2 text-sm text-slate-600 hover:text-[#00b6b2]"
+                    disabled={!canEdit}
+                    className="flex items-center gap-2 text-sm text-slate-600 hover:text-[#00b6b2] disabled:hover:text-slate-600"
                   >
                     <Calendar className="w-4 h-4" />
                     {student.changeStartDate && student.changeEndDate
@@ -473,13 +501,33 @@ export default function StudentManagement() {
                     >
                       <CalendarDays className="w-4 h-4" />
                     </button>
-                    <button
-                      onClick={() => setEditingStudent(student)}
-                      className="p-2 text-slate-400 hover:text-[#00b6b2] hover:bg-slate-100 rounded-lg transition-colors"
-                      title="수정"
-                    >
-                      <Edit2 className="w-4 h-4" />
-                    </button>
+                    {canEnroll && (
+                      <button
+                        onClick={() => setShowEnrollModal(student)}
+                        className="p-2 text-slate-400 hover:text-[#00b6b2] hover:bg-slate-100 rounded-lg transition-colors"
+                        title="수강 등록"
+                      >
+                        <UserPlus className="w-4 h-4" />
+                      </button>
+                    )}
+                    {canEdit && (
+                      <button
+                        onClick={() => setEditingStudent(student)}
+                        className="p-2 text-slate-400 hover:text-[#00b6b2] hover:bg-slate-100 rounded-lg transition-colors"
+                        title="수정"
+                      >
+                        <Edit2 className="w-4 h-4" />
+                      </button>
+                    )}
+                    {canEdit && (
+                      <button
+                        onClick={() => setShowPinModal(student)}
+                        className="p-2 text-slate-400 hover:text-[#00b6b2] hover:bg-slate-100 rounded-lg transition-colors"
+                        title="PIN 발급"
+                      >
+                        <KeyRound className="w-4 h-4" />
+                      </button>
+                    )}
                     <button
                       onClick={() => setShowHistoryModal(student)}
                       className="p-2 text-slate-400 hover:text-[#00b6b2] hover:bg-slate-100 rounded-lg transition-colors"
@@ -487,13 +535,15 @@ export default function StudentManagement() {
                     >
                       <History className="w-4 h-4" />
                     </button>
-                    <button
-                      onClick={() => handleDelete(student.id, student.name)}
-                      className="p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
-                      title="삭제"
-                    >
-                      <Trash2 className="w-4 h-4" />
-                    </button>
+                    {canDelete && (
+                      <button
+                        onClick={() => handleDelete(student.id, student.name)}
+                        className="p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                        title="삭제"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
                   </div>
                 </td>
               </tr>
@@ -533,6 +583,16 @@ export default function StudentManagement() {
         />
       )}
 
+      {/* Issue PIN Modal */}
+      {showPinModal && (
+        <IssuePinModal
+          student={showPinModal}
+          adminUid={admin.uid}
+          onClose={() => setShowPinModal(null)}
+          onIssued={loadData}
+        />
+      )}
+
       {/* Bulk Change Period Modal */}
       {showBulkChangePeriodModal && (
         <BulkChangePeriodModal
@@ -593,6 +653,16 @@ export default function StudentManagement() {
         />
       )}
 
+      {/* Admin Enroll Modal */}
+      {showEnrollModal && (
+        <AdminEnrollModal
+          student={showEnrollModal}
+          adminUid={admin.uid}
+          onClose={() => setShowEnrollModal(null)}
+          onSuccess={() => setShowEnrollModal(null)}
+        />
+      )}
+
       {/* Bulk Assign Modal */}
       {showBulkAssignModal && (
         <BulkAssignModal
@@ -752,6 +822,9 @@ function EditStudentModal({ student, classes, onClose, onSuccess }) {
     phone: student.phone || '',
     birthDate: student.birthDate || '',
     class: student.class || '',
+    guardianPhone: student.guardianPhone || '',
+    guardianEmail: student.guardianEmail || '',
+    absenceAlertsOptOut: student.absenceAlertsOptOut || false,
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
@@ -765,6 +838,9 @@ function EditStudentModal({ student, classes, onClose, onSuccess }) {
       await updateStudent(student.id, {
         birthDate: formData.birthDate,
         class: formData.class,
+        guardianPhone: formData.guardianPhone.replace(/[^0-9]/g, ''),
+        guardianEmail: formData.guardianEmail.trim(),
+        absenceAlertsOptOut: formData.absenceAlertsOptOut,
       });
       onSuccess();
     } catch (err) {
@@ -830,6 +906,35 @@ function EditStudentModal({ student, classes, onClose, onSuccess }) {
               />
             </div>
           </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">보호자 연락처 (알림 발송용)</label>
+            <input
+              type="tel"
+              value={formData.guardianPhone}
+              onChange={(e) => setFormData({ ...formData, guardianPhone: e.target.value })}
+              placeholder="01012345678"
+              className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">보호자 이메일</label>
+            <input
+              type="email"
+              value={formData.guardianEmail}
+              onChange={(e) => setFormData({ ...formData, guardianEmail: e.target.value })}
+              placeholder="선택 사항"
+              className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+            />
+          </div>
+          <label className="flex items-center gap-2 text-sm text-slate-700">
+            <input
+              type="checkbox"
+              checked={formData.absenceAlertsOptOut}
+              onChange={(e) => setFormData({ ...formData, absenceAlertsOptOut: e.target.checked })}
+              className="w-4 h-4 text-[#00b6b2] rounded focus:ring-[#00b6b2]"
+            />
+            결석·지각 알림 받지 않음
+          </label>
 
           {error && (
             <div className="text-red-500 text-sm bg-red-50 p-3 rounded-xl">{error}</div>
@@ -1436,6 +1541,127 @@ function ChangePeriodModal({ student, onClose, onSuccess }) {
   );
 }
 
+/**
+ * Issue or re-issue a student's login PIN (also unlocks a locked-out student).
+ * The PIN is shown once here and is only stored hashed.
+ */
+function IssuePinModal({ student, adminUid, onClose, onIssued }) {
+  const [pin, setPin] = useState(generatePin);
+  const [requireChange, setRequireChange] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [issuedPin, setIssuedPin] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!isValidPin(pin)) {
+      alert(`PIN은 숫자 ${STUDENT_PIN_LENGTH}자리여야 합니다.`);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await issueStudentPin(student.id, pin, requireChange, adminUid);
+      setIssuedPin(pin);
+      onIssued();
+    } catch (error) {
+      console.error('Failed to issue PIN:', error);
+      alert(error.message || 'PIN 발급에 실패했습니다.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} />
+      <div className="relative bg-white rounded-2xl shadow-xl max-w-md w-full p-6">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-bold text-slate-900">PIN 발급</h2>
+          <button onClick={onClose} className="p-2 hover:bg-slate-100 rounded-lg">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {issuedPin ? (
+          <div className="space-y-4">
+            <p className="text-slate-600">
+              <strong>{student.name}</strong> 학생의 PIN이 발급되었습니다.
+            </p>
+            <div className="py-4 bg-slate-50 border border-slate-200 rounded-xl text-center text-3xl font-bold tracking-[0.5em] text-slate-900">
+              {issuedPin}
+            </div>
+            <p className="text-sm text-amber-600">
+              이 화면을 닫으면 PIN을 다시 확인할 수 없습니다. 학생에게 전달한 후 닫아주세요.
+              {requireChange && ' 학생은 첫 로그인 시 새 PIN을 설정합니다.'}
+            </p>
+            <button
+              onClick={onClose}
+              className="w-full py-2.5 bg-[#00b6b2] text-white rounded-xl font-medium hover:bg-[#009da0]"
+            >
+              확인
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <p className="text-slate-600">
+              <strong>{student.name}</strong> 학생의 로그인 PIN을 {student.pinIssuedAt ? '재발급' : '발급'}합니다.
+              {student.pinIssuedAt && ' 기존 PIN은 더 이상 사용할 수 없으며, 로그인 제한도 해제됩니다.'}
+            </p>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">PIN (숫자 {STUDENT_PIN_LENGTH}자리)</label>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  maxLength={STUDENT_PIN_LENGTH}
+                  value={pin}
+                  onChange={(e) => setPin(e.target.value.replace(/[^0-9]/g, ''))}
+                  className="flex-1 px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl tracking-widest focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+                />
+                <button
+                  type="button"
+                  onClick={() => setPin(generatePin())}
+                  className="px-3 border border-slate-200 text-slate-500 rounded-xl hover:bg-slate-50"
+                  title="새로 생성"
+                >
+                  <RefreshCw className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+            <label className="flex items-center gap-2 text-sm text-slate-700">
+              <input
+                type="checkbox"
+                checked={requireChange}
+                onChange={(e) => setRequireChange(e.target.checked)}
+                className="rounded border-slate-300 text-[#00b6b2] focus:ring-[#00b6b2]"
+              />
+              첫 로그인 시 PIN 변경
+            </label>
+
+            <div className="flex gap-3 pt-4">
+              <button
+                type="button"
+                onClick={onClose}
+                className="flex-1 py-2.5 border border-slate-200 text-slate-700 rounded-xl font-medium hover:bg-slate-50"
+              >
+                취소
+              </button>
+              <button
+                type="submit"
+                disabled={loading}
+                className="flex-1 py-2.5 bg-[#00b6b2] text-white rounded-xl font-medium hover:bg-[#009da0] disabled:opacity-50"
+              >
+                {loading ? '발급 중...' : '발급하기'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
 function BulkChangePeriodModal({ targetIds, targetCount, onClose, onSuccess }) {
   const [startDate, setStartDate] = useState('');
   const [endDate, setEndDate] = useState('');
@@ -2025,12 +2251,17 @@ function BulkUploadModal({ classes, onClose, onSuccess, adminUid }) {
 
 function StudentHistoryModal({ student, onClose }) {
   const [history, setHistory] = useState([]);
+  const [timelines, setTimelines] = useState({});
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     const loadHistory = async () => {
       try {
-        const enrollments = await getStudentAllEnrollments(student.id);
+        const [enrollments, historyEntries] = await Promise.all([
+          getStudentAllEnrollments(student.id),
+          getStudentEnrollmentHistory(student.id),
+        ]);
+        setTimelines(groupHistoryByEnrollment(historyEntries));
         
         // 각 enrollment에 대해 강좌 정보 가져오기
         const enriched = await Promise.all(
@@ -2055,16 +2286,33 @@ function StudentHistoryModal({ student, onClose }) {
     const columns = [
       { key: 'date', header: '날짜' },
       { key: 'courseName', header: '강좌명' },
+      { key: 'fromStatus', header: '이전 상태' },
       { key: 'status', header: '상태' },
+      { key: 'actor', header: '처리자' },
       { key: 'reason', header: '사유' },
     ];
     
-    const data = history.map(h => ({
-      date: formatDateTime(h.enrolledAt),
-      courseName: h.course?.title || h.courseId,
-      status: STATUS_CONFIG[h.status]?.label || h.status,
-      reason: h.rejectionReason || '-'
-    }));
+    const statusLabel = (status) => status ? (STATUS_CONFIG[status]?.label || status) : '-';
+    
+    // One row per status transition (current state only for untracked enrollments)
+    const data = history.flatMap(h => timelines[h.id] 
+      ? timelines[h.id].map(entry => ({
+          date: formatDateTime(entry.at),
+          courseName: h.course?.title || h.courseId,
+          fromStatus: statusLabel(entry.fromStatus),
+          status: statusLabel(entry.toStatus),
+          actor: HISTORY_ACTOR_LABELS[entry.actorType] || entry.actorType,
+          reason: entry.reason || '-'
+        }))
+      : [{
+          date: formatDateTime(h.enrolledAt),
+          courseName: h.course?.title || h.courseId,
+          fromStatus: '-',
+          status: statusLabel(h.status),
+          actor: '-',
+          reason: h.rejectionReason || '-'
+        }]
+    );
     
     exportToExcel(data, columns, `${student.name}_신청이력`);
   };
@@ -2148,17 +2396,24 @@ function StudentHistoryModal({ student, onClose }) {
                           반려 사유: {item.rejectionReason}
                         </div>
                       )}
-                      <div className="flex gap-4 text-xs text-slate-400 mt-2">
-                        {item.approvedAt && (
-                          <span>승인: {formatDateTime(item.approvedAt)}</span>
-                        )}
-                        {item.rejectedAt && (
-                          <span>반려: {formatDateTime(item.rejectedAt)}</span>
-                        )}
-                        {item.cancelledAt && (
-                          <span>취소: {formatDateTime(item.cancelledAt)}</span>
-                        )}
-                      </div>
+                      {timelines[item.id] ? (
+                        <div className="mt-3 pt-3 border-t border-slate-200">
+                          <EnrollmentTimeline entries={timelines[item.id]} />
+                        </div>
+                      ) : (
+                        // Enrollments created before history tracking
+                        <div className="flex gap-4 text-xs text-slate-400 mt-2">
+                          {item.approvedAt && (
+                            <span>승인: {formatDateTime(item.approvedAt)}</span>
+                          )}
+                          {item.rejectedAt && (
+                            <span>반려: {formatDateTime(item.rejectedAt)}</span>
+                          )}
+                          {item.cancelledAt && (
+                            <span>취소: {formatDateTime(item.cancelledAt)}</span>
+                          )}
+                        </div>
+                      )}
                     </div>
                   </div>
                 );
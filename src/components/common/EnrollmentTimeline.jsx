@@ -0,0 +1,62 @@
+import { useState, useEffect } from 'react';
+import { collection, getDocs } from 'firebase/firestore';
+import { ArrowRight } from 'lucide-react';
+import { db } from '../../lib/firebase';
+import { formatDateTime } from '../../lib/utils';
+import { STATUS_CONFIG, HISTORY_ACTOR_TYPE, HISTORY_ACTOR_LABELS } from '../../constants';
+
+/**
+ * Status history timeline (enrollmentHistory entries, oldest first)
+ * @param {Array} entries - History entries
+ * @param {Function} titleOf - Optional label per entry (e.g., student or course name)
+ */
+export default function EnrollmentTimeline({ entries, titleOf }) {
+  const [adminNames, setAdminNames] = useState({});
+
+  useEffect(() => {
+    getDocs(collection(db, 'admins'))
+      .then(snapshot => {
+        const names = {};
+        snapshot.docs.forEach(d => { names[d.id] = d.data().name || d.data().email; });
+        setAdminNames(names);
+      })
+      .catch(error => console.error('Failed to load admins:', error));
+  }, []);
+
+  const actorOf = (entry) => {
+    const label = HISTORY_ACTOR_LABELS[entry.actorType] || entry.actorType;
+    if (entry.actorType === HISTORY_ACTOR_TYPE.ADMIN) {
+      return `${label} ${adminNames[entry.actorId] || ''}`.trim();
+    }
+    return label;
+  };
+
+  const statusBadge = (status) => {
+    const config = STATUS_CONFIG[status];
+    return (
+      <span className={`px-1.5 py-0.5 rounded text-[10px] font-medium ${config?.color || 'bg-slate-100 text-slate-700'}`}>
+        {config?.label || status}
+      </span>
+    );
+  };
+
+  if (entries.length === 0) {
+    return <p className="text-xs text-slate-400">기록된 이력이 없습니다.</p>;
+  }
+
+  return (
+    <ol className="space-y-1.5">
+      {entries.map(entry => (
+        <li key={entry.id} className="flex flex-wrap items-center gap-1.5 text-xs text-slate-600">
+          <span className="text-slate-400 w-32 flex-shrink-0">{formatDateTime(entry.at)}</span>
+          {titleOf && <span className="font-medium text-slate-900">{titleOf(entry)}</span>}
+          {entry.fromStatus ? statusBadge(entry.fromStatus) : <span className="text-slate-400">신청</span>}
+          <ArrowRight className="w-3 h-3 text-slate-400" />
+          {statusBadge(entry.toStatus)}
+          <span className="text-slate-500">· {actorOf(entry)}</span>
+          {entry.reason && <span className="text-slate-500">· {entry.reason}</span>}
+        </li>
+      ))}
+    </ol>
+  );
+}
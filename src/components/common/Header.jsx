@@ -1,6 +1,8 @@
 import { LogOut, Settings } from 'lucide-react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import NotificationBell from '../student/NotificationBell';
+import { getPermissionsFor } from '../../lib/roleService';
+import { PERMISSIONS } from '../../constants';
 
 export function StudentHeader({ student, onLogout }) {
   const navigate = useNavigate();
@@ -84,34 +86,82 @@ export function StudentHeader({ student, onLogout }) {
   );
 }
 
+// Same permissions as the routes in App.jsx
+const ADMIN_NAV_ITEMS = [
+  { id: 'dashboard', label: '대시보드', path: '/admin/dashboard' },
+  { id: 'requests', label: '신청 관리', path: '/admin/requests', permission: PERMISSIONS.APPROVE_ENROLLMENTS },
+  { id: 'students', label: '학생 관리', path: '/admin/students', permission: PERMISSIONS.VIEW_STUDENTS },
+  { id: 'classes', label: '반 관리', path: '/admin/classes', permission: PERMISSIONS.VIEW_STUDENTS },
+  { id: 'guardians', label: '보호자 관리', path: '/admin/guardians', permission: PERMISSIONS.VIEW_STUDENTS },
+  { id: 'messages', label: '발송 내역', path: '/admin/messages', permission: PERMISSIONS.VIEW_STUDENTS },
+  { id: 'announcements', label: '공지 보내기', path: '/admin/announcements', permission: PERMISSIONS.EDIT_STUDENTS },
+  { id: 'courses', label: '강좌 관리', path: '/admin/courses', permission: PERMISSIONS.MANAGE_COURSES },
+  { id: 'rooms', label: '강의실 관리', path: '/admin/rooms', permission: PERMISSIONS.MANAGE_COURSES },
+  { id: 'instructors', label: '강사 관리', path: '/admin/instructors', permission: PERMISSIONS.MANAGE_COURSES },
+  { id: 'attendance', label: '출석 체크', path: '/admin/attendance', permission: PERMISSIONS.MANAGE_ATTENDANCE },
+  { id: 'seasons', label: '학기 관리', path: '/admin/seasons', permission: PERMISSIONS.MANAGE_SEASONS },
+  { id: 'audit', label: '감사 로그', path: '/admin/audit-log', superAdminOnly: true },
+];
+
+const SETTINGS_PERMISSIONS = [PERMISSIONS.MANAGE_ADMINS, PERMISSIONS.DELETE_DATA, PERMISSIONS.APPROVE_ENROLLMENTS];
+
+// Instructors only see their own timetable and attendance for their courses
+const INSTRUCTOR_NAV_ITEMS = [
+  { id: 'schedule', label: '내 시간표', path: '/instructor/schedule' },
+  { id: 'attendance', label: '출석 체크', path: '/instructor/attendance' },
+];
+
+// Guardians only see their children's timetables, enrollments and attendance
+const GUARDIAN_NAV_ITEMS = [
+  { id: 'children', label: '자녀 현황', path: '/guardian/children' },
+];
+
+const ROLE_LABELS = {
+  superadmin: '최고 관리자',
+  admin: '관리자',
+  instructor: '강사',
+  guardian: '보호자',
+};
+
 export function AdminHeader({ admin, onLogout }) {
   const navigate = useNavigate();
   const location = useLocation();
+  const isInstructor = admin?.role === 'instructor';
+  const isGuardian = admin?.role === 'guardian';
+  const homePath = isInstructor ? '/instructor/schedule' : isGuardian ? '/guardian/children' : '/admin/dashboard';
   
   const getActiveTab = () => {
     const path = location.pathname;
+    if (path.includes('schedule')) return 'schedule';
+    if (path.includes('children')) return 'children';
+    if (path.includes('guardians')) return 'guardians';
+    if (path.includes('messages')) return 'messages';
+    if (path.includes('announcements')) return 'announcements';
     if (path.includes('students')) return 'students';
     if (path.includes('classes')) return 'classes';
     if (path.includes('courses')) return 'courses';
+    if (path.includes('rooms')) return 'rooms';
+    if (path.includes('instructors')) return 'instructors';
     if (path.includes('seasons')) return 'seasons';
     if (path.includes('requests')) return 'requests';
     if (path.includes('enrollments')) return 'enrollments';
     if (path.includes('attendance')) return 'attendance';
     if (path.includes('settings')) return 'settings';
+    if (path.includes('audit-log')) return 'audit';
     return 'dashboard';
   };
   
   const activeTab = getActiveTab();
 
-  const navItems = [
-    { id: 'dashboard', label: '대시보드', path: '/admin/dashboard' },
-    { id: 'requests', label: '신청 관리', path: '/admin/requests' },
-    { id: 'students', label: '학생 관리', path: '/admin/students' },
-    { id: 'classes', label: '반 관리', path: '/admin/classes' },
-    { id: 'courses', label: '강좌 관리', path: '/admin/courses' },
-    { id: 'attendance', label: '출석 체크', path: '/admin/attendance' },
-    { id: 'seasons', label: '학기 관리', path: '/admin/seasons' },
-  ];
+  const permissions = getPermissionsFor(isInstructor || isGuardian ? null : admin);
+  const navItems = isInstructor
+    ? INSTRUCTOR_NAV_ITEMS
+    : isGuardian
+    ? GUARDIAN_NAV_ITEMS
+    : ADMIN_NAV_ITEMS
+      .filter(item => !item.permission || permissions.includes(item.permission))
+      .filter(item => !item.superAdminOnly || admin?.role === 'superadmin');
+  const canOpenSettings = SETTINGS_PERMISSIONS.some(p => permissions.includes(p));
 
   return (
     <header className="sticky top-0 z-50 bg-white/90 backdrop-blur-md border-b border-gray-200">
@@ -119,12 +169,14 @@ export function AdminHeader({ admin, onLogout }) {
         <div className="flex justify-between items-center h-16">
           <div 
             className="flex items-center gap-2 cursor-pointer" 
-            onClick={() => navigate('/admin/dashboard')}
+            onClick={() => navigate(homePath)}
           >
             <img src="/logo.png" alt="ETOOS247.ICHEON" className="w-12 h-12 object-contain" />
             <span className="text-xl font-bold tracking-tight text-slate-900">
               ETOOS247<span className="text-[#00b6b2]">.ICHEON</span>
-              <span className="ml-2 text-xs bg-slate-800 text-white px-2 py-0.5 rounded uppercase tracking-wider">Admin</span>
+              <span className="ml-2 text-xs bg-slate-800 text-white px-2 py-0.5 rounded uppercase tracking-wider">
+                {isInstructor ? 'Instructor' : isGuardian ? 'Guardian' : 'Admin'}
+              </span>
             </span>
           </div>
           
@@ -145,7 +197,7 @@ export function AdminHeader({ admin, onLogout }) {
           </nav>
 
           <div className="flex items-center gap-4">
-            {admin?.role === 'superadmin' && (
+            {canOpenSettings && (
               <button 
                 onClick={() => navigate('/admin/settings')}
                 className={`p-2 rounded-lg transition-all ${
@@ -162,7 +214,7 @@ export function AdminHeader({ admin, onLogout }) {
               <div className="text-right hidden sm:block">
                 <div className="text-sm font-semibold text-slate-700">{admin?.name}</div>
                 <div className="text-xs text-slate-500">
-                  {admin?.role === 'superadmin' ? '최고 관리자' : '관리자'}
+                  {admin?.roleName || ROLE_LABELS[admin?.role] || '관리자'}
                 </div>
               </div>
               <button 
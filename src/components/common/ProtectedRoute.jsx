@@ -3,22 +3,39 @@ import { useAuth } from '../../contexts/AuthContext';
 import { useStudent } from '../../contexts/StudentContext';
 import { FullPageLoader } from './LoadingSpinner';
 
-export function AdminRoute({ children }) {
-  const { admin, loading, isAuthenticated } = useAuth();
+/**
+ * @param {string|string[]} [permission] - Required permission; with an array, any one of them
+ */
+export function AdminRoute({ children, permission }) {
+  const { loading, isAuthenticated, isInstructor, isGuardian, hasPermission } = useAuth();
 
   if (loading) {
     return <FullPageLoader message="인증 확인 중..." />;
   }
 
+  // Instructors share Firebase Auth with admins but only have the instructor pages
+  if (isInstructor) {
+    return <Navigate to="/instructor/schedule" replace />;
+  }
+
+  if (isGuardian) {
+    return <Navigate to="/guardian/children" replace />;
+  }
+
   if (!isAuthenticated) {
     return <Navigate to="/admin" replace />;
   }
 
+  const required = [].concat(permission || []);
+  if (required.length > 0 && !required.some(hasPermission)) {
+    return <Navigate to="/admin/dashboard" replace />;
+  }
+
   return children;
 }
 
 export function SuperAdminRoute({ children }) {
-  const { admin, loading, isAuthenticated, isSuperAdmin } = useAuth();
+  const { loading, isAuthenticated, isSuperAdmin } = useAuth();
 
   if (loading) {
     return <FullPageLoader message="인증 확인 중..." />;
@@ -35,14 +52,43 @@ export function SuperAdminRoute({ children }) {
   return children;
 }
 
+export function InstructorRoute({ children }) {
+  const { instructor, loading } = useAuth();
+
+  if (loading) {
+    return <FullPageLoader message="인증 확인 중..." />;
+  }
+
+  if (!instructor) {
+    return <Navigate to="/instructor" replace />;
+  }
+
+  return children;
+}
+
+export function GuardianRoute({ children }) {
+  const { guardian, loading } = useAuth();
+
+  if (loading) {
+    return <FullPageLoader message="인증 확인 중..." />;
+  }
+
+  if (!guardian) {
+    return <Navigate to="/guardian" replace />;
+  }
+
+  return children;
+}
+
 export function StudentRoute({ children }) {
-  const { student, loading, isLoggedIn } = useStudent();
+  const { loading, isLoggedIn, pinChangeRequired } = useStudent();
 
   if (loading) {
     return <FullPageLoader message="로딩 중..." />;
   }
 
-  if (!isLoggedIn) {
+  // The first-login PIN reset happens on the login page
+  if (!isLoggedIn || pinChangeRequired) {
     return <Navigate to="/" replace />;
   }
 
@@ -0,0 +1,321 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Bell, BookOpen, Calendar, CheckCircle2, XCircle, ShieldCheck } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { getStudent } from '../../lib/studentService';
+import { getCourse } from '../../lib/courseService';
+import { getStudentAllEnrollments } from '../../lib/enrollmentService';
+import {
+  subscribeToNotifications,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  ATTENDANCE_ALERT_TYPE
+} from '../../lib/notificationService';
+import { subscribeToStudentConsents, respondToGuardianConsent } from '../../lib/guardianService';
+import { formatRelativeTime, formatDateTime } from '../../lib/utils';
+import { ENROLLMENT_STATUS, STATUS_CONFIG, GUARDIAN_CONSENT_STATUS } from '../../constants';
+import { BigSchedule } from '../student/WeeklySchedule';
+import { AttendanceOverview } from '../student/MyAttendancePage';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+// Recent notifications shown per child
+const NOTIFICATION_LIMIT = 10;
+
+/**
+ * Read-only guardian portal: each linked child's timetable, enrollment statuses,
+ * attendance and notifications. Confirming enrollment requests is the only action.
+ */
+export default function GuardianPortal() {
+  const { guardian } = useAuth();
+  const [children, setChildren] = useState([]);
+  const [selectedChildId, setSelectedChildId] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!guardian?.studentIds) return;
+
+    const loadChildren = async () => {
+      try {
+        const students = await Promise.all(guardian.studentIds.map(getStudent));
+        const linked = students.filter(Boolean);
+        setChildren(linked);
+        setSelectedChildId(linked[0]?.id || null);
+      } catch (error) {
+        console.error('Failed to load children:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadChildren();
+  }, [guardian?.studentIds]);
+
+  const selectedChild = children.find(c => c.id === selectedChildId);
+
+  if (loading) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 py-20">
+        <LoadingSpinner message="자녀 정보를 불러오는 중..." />
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-10 animate-fade-in">
+      <div className="flex flex-col md:flex-row md:items-center justify-between mb-8 gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-slate-900">
+            {guardian?.name}님의 <span className="text-[#00b6b2]">자녀 현황</span>
+          </h1>
+          <p className="text-slate-500 mt-2">
+            수강 신청 현황과 출석을 확인할 수 있습니다. 변경이 필요하면 학원에 문의해주세요.
+          </p>
+        </div>
+        {children.length > 1 && (
+          <div className="flex gap-2">
+            {children.map(child => (
+              <button
+                key={child.id}
+                onClick={() => setSelectedChildId(child.id)}
+                className={`px-4 py-2 rounded-xl text-sm font-medium transition-colors ${
+                  selectedChildId === child.id
+                    ? 'bg-[#00b6b2] text-white'
+                    : 'bg-white border border-gray-200 text-slate-600 hover:bg-slate-50'
+                }`}
+              >
+                {child.name}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {selectedChild ? (
+        <ChildOverview key={selectedChild.id} child={selectedChild} guardianUid={guardian.uid} />
+      ) : (
+        <div className="bg-white rounded-2xl border border-gray-200 p-12 text-center text-slate-400">
+          연결된 학생이 없습니다. 학원에 문의해주세요.
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ChildOverview({ child, guardianUid }) {
+  const [enrollments, setEnrollments] = useState([]);
+  const [consents, setConsents] = useState([]);
+  const [notifications, setNotifications] = useState([]);
+  const [courseMap, setCourseMap] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [responding, setResponding] = useState(null);
+  const [mutedMessageTypes, setMutedMessageTypes] = useState(null);
+
+  useEffect(() => {
+    const loadEnrollments = async () => {
+      try {
+        setEnrollments(await getStudentAllEnrollments(child.id));
+      } catch (error) {
+        console.error('Failed to load enrollments:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadEnrollments();
+  }, [child.id]);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToStudentConsents(child.id, setConsents);
+    return () => unsubscribe();
+  }, [child.id]);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToNotifications(child.id, setNotifications, NOTIFICATION_LIMIT);
+    return () => unsubscribe();
+  }, [child.id]);
+
+  useEffect(() => {
+    getNotificationPreferences(child.id)
+      .then(preferences => setMutedMessageTypes(preferences.mutedMessageTypes))
+      .catch(error => console.error('Failed to load notification preferences:', error));
+  }, [child.id]);
+
+  // Course details for enrollments and consent requests
+  useEffect(() => {
+    const unknownIds = [...new Set([
+      ...enrollments.map(e => e.courseId),
+      ...consents.flatMap(c => c.courseIds),
+    ])].filter(id => !(id in courseMap));
+    if (unknownIds.length === 0) return;
+
+    Promise.all(unknownIds.map(getCourse))
+      .then(results => {
+        const loaded = {};
+        unknownIds.forEach((id, i) => { loaded[id] = results[i]; });
+        setCourseMap(prev => ({ ...prev, ...loaded }));
+      })
+      .catch(error => console.error('Failed to load courses:', error));
+  }, [enrollments, consents, courseMap]);
+
+  const { approvedCourses, pendingCourses } = useMemo(() => {
+    const coursesWith = (status) => enrollments
+      .filter(e => e.status === status && courseMap[e.courseId])
+      .map(e => courseMap[e.courseId]);
+    return {
+      approvedCourses: coursesWith(ENROLLMENT_STATUS.APPROVED),
+      pendingCourses: coursesWith(ENROLLMENT_STATUS.PENDING),
+    };
+  }, [enrollments, courseMap]);
+
+  const pendingConsents = consents.filter(c => c.status === GUARDIAN_CONSENT_STATUS.PENDING);
+  const courseTitleOf = (courseId) => courseMap[courseId]?.title || '강좌';
+
+  const handleRespond = async (consent, confirmed) => {
+    const message = confirmed
+      ? `${child.name} 학생의 수강 신청(${consent.courseIds.length}개 강좌)을 확인하시겠습니까?`
+      : `${child.name} 학생의 수강 신청을 거절하시겠습니까?`;
+    if (!confirm(message)) return;
+
+    setResponding(consent.id);
+    try {
+      await respondToGuardianConsent(consent.id, guardianUid, confirmed);
+    } catch (error) {
+      console.error('Consent response error:', error);
+      alert('처리에 실패했습니다. 다시 시도해주세요.');
+    } finally {
+      setResponding(null);
+    }
+  };
+
+  const handleAttendanceAlertsToggle = async (enabled) => {
+    const next = enabled
+      ? mutedMessageTypes.filter(t => t !== ATTENDANCE_ALERT_TYPE)
+      : [...mutedMessageTypes, ATTENDANCE_ALERT_TYPE];
+    try {
+      await updateNotificationPreferences(child.id, { mutedMessageTypes: next });
+      setMutedMessageTypes(next);
+    } catch (error) {
+      console.error('Failed to update notification preferences:', error);
+      alert('설정 변경에 실패했습니다.');
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner message="수강 정보를 불러오는 중..." />;
+  }
+
+  return (
+    <div className="space-y-8">
+      {/* Enrollment requests waiting for the guardian */}
+      {pendingConsents.map(consent => (
+        <div key={consent.id} className="bg-amber-50 border border-amber-200 rounded-2xl p-6">
+          <h3 className="font-semibold text-amber-900 flex items-center gap-2 mb-2">
+            <ShieldCheck className="w-5 h-5" />
+            보호자 확인 요청
+          </h3>
+          <p className="text-sm text-amber-800 mb-3">
+            {child.name} 학생이 아래 강좌의 수강 신청 확인을 요청했습니다. ({formatDateTime(consent.requestedAt)})
+          </p>
+          <ul className="text-sm text-amber-900 list-disc list-inside mb-4">
+            {consent.courseIds.map(courseId => (
+              <li key={courseId}>{courseTitleOf(courseId)}</li>
+            ))}
+          </ul>
+          <div className="flex gap-2">
+            <button
+              onClick={() => handleRespond(consent, true)}
+              disabled={responding === consent.id}
+              className="flex items-center gap-1 px-4 py-2 bg-[#00b6b2] text-white rounded-xl text-sm font-medium hover:bg-[#009da0] disabled:opacity-50 transition-colors"
+            >
+              <CheckCircle2 className="w-4 h-4" />
+              확인
+            </button>
+            <button
+              onClick={() => handleRespond(consent, false)}
+              disabled={responding === consent.id}
+              className="flex items-center gap-1 px-4 py-2 bg-white border border-red-200 text-red-600 rounded-xl text-sm font-medium hover:bg-red-50 disabled:opacity-50 transition-colors"
+            >
+              <XCircle className="w-4 h-4" />
+              거절
+            </button>
+          </div>
+        </div>
+      ))}
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
+        <div className="lg:col-span-3">
+          <BigSchedule enrolledCourses={approvedCourses} pendingCourses={pendingCourses} />
+        </div>
+
+        {/* Enrollment statuses */}
+        <div className="lg:col-span-1 bg-white rounded-2xl border border-gray-200 p-6 shadow-sm h-fit">
+          <h3 className="font-bold text-slate-900 mb-4 flex items-center gap-2">
+            <BookOpen className="w-5 h-5 text-[#00b6b2]" />
+            수강 신청 현황
+          </h3>
+          {enrollments.length === 0 ? (
+            <p className="text-sm text-slate-400">신청한 강좌가 없습니다.</p>
+          ) : (
+            <ul className="space-y-3">
+              {enrollments.map(enrollment => (
+                <li key={enrollment.id} className="flex items-start justify-between gap-2 text-sm">
+                  <span className="text-slate-700">{courseTitleOf(enrollment.courseId)}</span>
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium flex-shrink-0 ${STATUS_CONFIG[enrollment.status]?.color}`}>
+                    {STATUS_CONFIG[enrollment.status]?.label}
+                    {enrollment.status === ENROLLMENT_STATUS.WAITLISTED && enrollment.waitlistPosition
+                      ? ` ${enrollment.waitlistPosition}번`
+                      : ''}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      <div>
+        <h3 className="text-xl font-bold text-slate-900 mb-4 flex items-center gap-2">
+          <Calendar className="w-5 h-5 text-[#00b6b2]" />
+          출석 현황
+        </h3>
+        <AttendanceOverview student={child} enrollments={enrollments} />
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between gap-4 mb-4">
+          <h3 className="text-xl font-bold text-slate-900 flex items-center gap-2">
+            <Bell className="w-5 h-5 text-[#00b6b2]" />
+            최근 알림
+          </h3>
+          {mutedMessageTypes && (
+            <label className="flex items-center gap-2 text-sm text-slate-600 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={!mutedMessageTypes.includes(ATTENDANCE_ALERT_TYPE)}
+                onChange={(e) => handleAttendanceAlertsToggle(e.target.checked)}
+                className="w-4 h-4 text-[#00b6b2] rounded focus:ring-[#00b6b2]"
+              />
+              결석·지각 문자 받기
+            </label>
+          )}
+        </div>
+        {notifications.length === 0 ? (
+          <div className="bg-white rounded-2xl border border-gray-200 p-8 text-center text-slate-400">
+            알림이 없습니다.
+          </div>
+        ) : (
+          <ul className="bg-white rounded-2xl border border-gray-200 divide-y divide-gray-100">
+            {notifications.map(notification => (
+              <li key={notification.id} className="px-4 py-3">
+                <div className="flex items-center justify-between gap-2">
+                  <span className="font-medium text-slate-900 text-sm">{notification.title}</span>
+                  <span className="text-xs text-slate-400 flex-shrink-0">{formatRelativeTime(notification.createdAt)}</span>
+                </div>
+                <p className="text-sm text-slate-500 mt-1">{notification.message}</p>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,189 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Users, ChevronDown, ChevronUp, MapPin } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { getCoursesByInstructor } from '../../lib/courseService';
+import { getNonArchivedSeasons } from '../../lib/seasonService';
+import { getEnrollmentsByCourse } from '../../lib/enrollmentService';
+import { formatSchedules } from '../../lib/utils';
+import { ENROLLMENT_STATUS, STATUS_CONFIG } from '../../constants';
+import { BigSchedule } from '../student/WeeklySchedule';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+/**
+ * Read-only instructor portal: own timetable per season and the roster of each course
+ */
+export default function InstructorPortal() {
+  const { instructor } = useAuth();
+  const [courses, setCourses] = useState([]);
+  const [seasons, setSeasons] = useState([]);
+  const [seasonId, setSeasonId] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [expandedCourseId, setExpandedCourseId] = useState(null);
+
+  useEffect(() => {
+    if (!instructor?.id) return;
+
+    const loadData = async () => {
+      try {
+        const [courseData, seasonData] = await Promise.all([
+          getCoursesByInstructor(instructor.id),
+          getNonArchivedSeasons(),
+        ]);
+        // Only seasons in which this instructor teaches
+        const teachingSeasons = seasonData.filter(s => courseData.some(c => c.seasonId === s.id));
+        setCourses(courseData);
+        setSeasons(teachingSeasons);
+        const active = teachingSeasons.find(s => s.isActive) || teachingSeasons[0];
+        if (active) setSeasonId(active.id);
+      } catch (error) {
+        console.error('Failed to load instructor courses:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadData();
+  }, [instructor?.id]);
+
+  const seasonCourses = useMemo(
+    () => courses.filter(c => c.seasonId === seasonId),
+    [courses, seasonId]
+  );
+
+  if (loading) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 py-20">
+        <LoadingSpinner message="시간표를 불러오는 중..." />
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-10 animate-fade-in">
+      <div className="flex flex-col md:flex-row md:items-center justify-between mb-8 gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-slate-900">
+            {instructor?.name} 강사님의 <span className="text-[#00b6b2]">시간표</span>
+          </h1>
+          <p className="text-slate-500 mt-2">
+            담당 강좌와 수강생 명단입니다. 변경이 필요하면 관리자에게 문의해주세요.
+          </p>
+        </div>
+        {seasons.length > 1 && (
+          <select
+            value={seasonId}
+            onChange={(e) => {
+              setSeasonId(e.target.value);
+              setExpandedCourseId(null);
+            }}
+            className="px-4 py-2 bg-white border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#00b6b2]"
+          >
+            {seasons.map(season => (
+              <option key={season.id} value={season.id}>{season.name}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {seasonCourses.length === 0 ? (
+        <div className="bg-white rounded-2xl border border-gray-200 p-12 text-center text-slate-400">
+          배정된 강좌가 없습니다.
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
+          <div className="lg:col-span-3">
+            <BigSchedule enrolledCourses={seasonCourses} />
+          </div>
+
+          <div className="lg:col-span-1 space-y-4">
+            {seasonCourses.map(course => (
+              <CourseRosterCard
+                key={course.id}
+                course={course}
+                expanded={expandedCourseId === course.id}
+                onToggle={() => setExpandedCourseId(expandedCourseId === course.id ? null : course.id)}
+              />
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function CourseRosterCard({ course, expanded, onToggle }) {
+  const [roster, setRoster] = useState(null);
+
+  useEffect(() => {
+    if (!expanded || roster) return;
+
+    const loadRoster = async () => {
+      try {
+        // Instructors may not read student records: names come from the enrollment snapshot
+        const enrollments = await getEnrollmentsByCourse(course.id);
+        const students = enrollments.map(enrollment => ({
+          id: enrollment.studentId,
+          name: enrollment.studentName || enrollment.studentId,
+          class: enrollment.studentClass,
+          status: enrollment.status,
+        }));
+        setRoster(students.sort((a, b) => a.name.localeCompare(b.name, 'ko')));
+      } catch (error) {
+        console.error('Failed to load roster:', error);
+        setRoster([]);
+      }
+    };
+
+    loadRoster();
+  }, [expanded, roster, course.id]);
+
+  return (
+    <div className="bg-white rounded-2xl border border-gray-200 shadow-sm overflow-hidden">
+      <button onClick={onToggle} className="w-full text-left p-4 hover:bg-slate-50">
+        <div className="flex items-start justify-between gap-2">
+          <div>
+            <h3 className="font-bold text-slate-900">{course.title}</h3>
+            <p className="text-xs text-slate-500 mt-1">{formatSchedules(course)}</p>
+            {course.room && (
+              <p className="text-xs text-slate-500 flex items-center gap-1 mt-0.5">
+                <MapPin className="w-3 h-3" />
+                {course.room}
+              </p>
+            )}
+          </div>
+          {expanded ? <ChevronUp className="w-4 h-4 text-slate-400" /> : <ChevronDown className="w-4 h-4 text-slate-400" />}
+        </div>
+        <div className="flex items-center gap-1 text-xs text-slate-500 mt-2">
+          <Users className="w-3.5 h-3.5" />
+          {course.enrolled || 0}/{course.capacity}명
+        </div>
+      </button>
+
+      {expanded && (
+        <div className="border-t border-gray-100 p-4">
+          {!roster ? (
+            <p className="text-sm text-slate-400">명단을 불러오는 중...</p>
+          ) : roster.length === 0 ? (
+            <p className="text-sm text-slate-400">수강생이 없습니다.</p>
+          ) : (
+            <ul className="space-y-2">
+              {roster.map(student => (
+                <li key={student.id} className="flex items-center justify-between text-sm">
+                  <span className="text-slate-900">
+                    {student.name}
+                    <span className="ml-2 text-xs text-slate-500">{student.class || '반 미배정'}</span>
+                  </span>
+                  {student.status === ENROLLMENT_STATUS.PENDING && (
+                    <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_CONFIG[ENROLLMENT_STATUS.PENDING].color}`}>
+                      {STATUS_CONFIG[ENROLLMENT_STATUS.PENDING].label}
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,6 @@
 import { useState, useMemo } from 'react';
 import { Trash2, AlertCircle } from 'lucide-react';
-import { formatSchedule } from '../../lib/utils';
+import { formatSchedule, countWeeklyPeriods } from '../../lib/utils';
 import { WeeklySchedule } from './WeeklySchedule';
 import ConfirmationModal from './ConfirmationModal';
 
@@ -22,10 +22,27 @@ const formatCurrency = (amount) => {
   return new Intl.NumberFormat('ko-KR').format(amount) + '원';
 };
 
-export default function CartSidebar({ cart, enrolledCourses = [], onRemove, onSubmit, studentName, loading }) {
+export default function CartSidebar({ 
+  cart, 
+  enrolledCourses = [], 
+  onRemove, 
+  onSubmit, 
+  studentName, 
+  loading, 
+  loadLimits = null,
+  limitViolations = [],
+  disabled = false, 
+  disabledMessage = '' 
+}) {
   const [showModal, setShowModal] = useState(false);
   
   const extraFee = useMemo(() => calculateExtraFee(cart.length), [cart.length]);
+  
+  const weeklyPeriods = useMemo(
+    () => [...enrolledCourses, ...cart].reduce((sum, course) => sum + countWeeklyPeriods(course), 0),
+    [enrolledCourses, cart]
+  );
+  const hasViolations = limitViolations.length > 0;
 
   const handleSubmitClick = () => {
     setShowModal(true);
@@ -81,6 +98,22 @@ export default function CartSidebar({ cart, enrolledCourses = [], onRemove, onSu
               <span className="text-slate-500">총 강좌 수</span>
               <span className="font-medium text-slate-900">{cart.length} 과목</span>
             </div>
+            {loadLimits?.maxCourses != null && (
+              <div className="flex justify-between text-sm">
+                <span className="text-slate-500">신청 한도</span>
+                <span className="font-medium text-slate-900">
+                  {enrolledCourses.length + cart.length} / {loadLimits.maxCourses} 과목
+                </span>
+              </div>
+            )}
+            {loadLimits?.maxPeriodsPerWeek != null && (
+              <div className="flex justify-between text-sm">
+                <span className="text-slate-500">주당 교시</span>
+                <span className="font-medium text-slate-900">
+                  {weeklyPeriods} / {loadLimits.maxPeriodsPerWeek} 교시
+                </span>
+              </div>
+            )}
             <div className="flex justify-between text-sm">
               <span className="text-slate-500">추가 금액</span>
               <span className={`font-bold ${extraFee > 0 ? 'text-orange-500' : 'text-green-600'}`}>
@@ -95,14 +128,28 @@ export default function CartSidebar({ cart, enrolledCourses = [], onRemove, onSu
                 </p>
               </div>
             )}
+            {hasViolations && cart.length > 0 && (
+              <div className="flex items-start gap-2 mt-2 p-2 bg-red-50 rounded-lg">
+                <AlertCircle className="w-4 h-4 text-red-500 flex-shrink-0 mt-0.5" />
+                <ul className="text-xs text-red-700 space-y-0.5">
+                  {limitViolations.map(violation => (
+                    <li key={violation}>{violation}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
           </div>
 
           <button 
             onClick={handleSubmitClick}
-            disabled={cart.length === 0 || loading}
+            disabled={cart.length === 0 || loading || disabled || hasViolations}
             className="w-full mt-6 bg-[#00b6b2] hover:bg-[#009da0] text-white py-3 rounded-xl font-semibold shadow-lg shadow-[#00b6b2]/30 transition-all active:scale-95 disabled:opacity-50 disabled:cursor-not-allowed"
           >
-            {loading ? '처리 중...' : '신청 제출하기'}
+            {loading 
+              ? '처리 중...' 
+              : disabled 
+                ? (disabledMessage || '신청 불가') 
+                : hasViolations ? '수강 한도 초과' : '신청 제출하기'}
           </button>
         </div>
 
@@ -120,6 +167,7 @@ export default function CartSidebar({ cart, enrolledCourses = [], onRemove, onSu
         onConfirm={handleConfirm}
         cart={cart}
         studentName={studentName}
+        limitViolations={limitViolations}
         loading={loading}
       />
     </>
@@ -21,6 +21,7 @@ export default function ConfirmationModal({
   onConfirm, 
   cart, 
   studentName, 
+  limitViolations = [],
   loading 
 }) {
   if (!isOpen) return null;
@@ -123,6 +124,23 @@ export default function ConfirmationModal({
             </div>
           )}
 
+          {/* Load Limit Violations */}
+          {limitViolations.length > 0 && (
+            <div className="mt-4 p-4 bg-red-50 rounded-xl border border-red-200">
+              <div className="flex gap-3">
+                <AlertTriangle className="w-5 h-5 text-red-600 flex-shrink-0 mt-0.5" />
+                <div className="text-sm text-red-800">
+                  <p className="font-semibold mb-1">수강 한도를 벗어났습니다.</p>
+                  <ul className="text-red-700 list-disc list-inside">
+                    {limitViolations.map(violation => (
+                      <li key={violation}>{violation}</li>
+                    ))}
+                  </ul>
+                </div>
+              </div>
+            </div>
+          )}
+
           {/* Warning Notice */}
           <div className="mt-4 p-4 bg-amber-50 rounded-xl border border-amber-200">
             <div className="flex gap-3">
@@ -149,7 +167,7 @@ export default function ConfirmationModal({
           </button>
           <button
             onClick={onConfirm}
-            disabled={loading}
+            disabled={loading || limitViolations.length > 0}
             className="flex-1 py-3 px-4 rounded-xl bg-[#00b6b2] text-white font-bold hover:bg-[#009da0] transition-colors shadow-lg shadow-[#00b6b2]/30 disabled:opacity-50"
           >
             {loading ? '처리 중...' : '신청서 제출하기'}
@@ -1,19 +1,26 @@
-import { User, Clock, Briefcase, Plus, Check, X, Clock3 } from 'lucide-react';
+import { User, Clock, Briefcase, Plus, Check, Clock3, Shuffle } from 'lucide-react';
 import { formatSchedule, formatSchedules } from '../../lib/utils';
-import { STATUS_CONFIG } from '../../constants';
+import { STATUS_CONFIG, ENROLLMENT_STATUS, ALLOCATION_MODE } from '../../constants';
 
-export default function CourseCard({ course, onAdd, isInCart, enrollmentStatus }) {
+export default function CourseCard({ course, onAdd, isInCart, enrollmentStatus, waitlistPosition }) {
   const isFull = course.enrolled >= course.capacity;
+  // A seat freed while others wait goes to the waitlist first (joinsWaitlist in enrollmentService)
+  const hasQueue = (course.waitlistCount || 0) > 0;
+  // Lottery courses accept entries regardless of capacity until the draw
+  const isLotteryOpen = course.allocationMode === ALLOCATION_MODE.LOTTERY && !course.lotteryDrawnAt;
   const isEnrolled = !!enrollmentStatus;
   const statusConfig = enrollmentStatus ? STATUS_CONFIG[enrollmentStatus] : null;
+  const statusLabel = enrollmentStatus === ENROLLMENT_STATUS.WAITLISTED && waitlistPosition
+    ? `대기 ${waitlistPosition}번`
+    : statusConfig?.label;
 
   const getButtonState = () => {
     if (isEnrolled) {
       return {
         disabled: true,
         className: 'bg-slate-100 text-slate-500 cursor-default',
-        icon: <Check className="w-4 h-4" />,
-        text: statusConfig?.label || '신청됨',
+        icon: enrollmentStatus === ENROLLMENT_STATUS.WAITLISTED ? <Clock3 className="w-4 h-4" /> : <Check className="w-4 h-4" />,
+        text: statusLabel || '신청됨',
       };
     }
     if (isInCart) {
@@ -24,12 +31,21 @@ export default function CourseCard({ course, onAdd, isInCart, enrollmentStatus }
         text: '담기 완료',
       };
     }
-    if (isFull) {
+    if (isLotteryOpen) {
       return {
-        disabled: true,
-        className: 'bg-gray-100 text-gray-400 cursor-not-allowed',
-        icon: <X className="w-4 h-4" />,
-        text: '신청 마감',
+        disabled: false,
+        className: 'bg-purple-600 text-white hover:bg-purple-700 shadow-md hover:shadow-purple-600/30',
+        icon: <Shuffle className="w-4 h-4" />,
+        text: '추첨 신청',
+      };
+    }
+    if (isFull || hasQueue) {
+      // Full or queued courses accept waitlist requests
+      return {
+        disabled: false,
+        className: 'bg-orange-500 text-white hover:bg-orange-600 shadow-md hover:shadow-orange-500/30',
+        icon: <Clock3 className="w-4 h-4" />,
+        text: '대기 신청',
       };
     }
     return {
@@ -47,7 +63,7 @@ export default function CourseCard({ course, onAdd, isInCart, enrollmentStatus }
       {/* Status Badge for enrolled courses */}
       {isEnrolled && (
         <div className={`absolute -top-2 -right-2 px-2 py-1 rounded-full text-xs font-bold ${statusConfig?.color}`}>
-          {statusConfig?.label}
+          {statusLabel}
         </div>
       )}
       
@@ -81,13 +97,23 @@ export default function CourseCard({ course, onAdd, isInCart, enrollmentStatus }
           <Briefcase className="w-4 h-4 text-slate-400" />
           <span>{course.room}</span>
         </div>
+        {isLotteryOpen && (
+          <div className="flex items-center gap-2 text-purple-700">
+            <Shuffle className="w-4 h-4" />
+            <span>추첨 강좌 · 신청 {course.lotteryEntryCount || 0}명</span>
+          </div>
+        )}
         <div className="flex items-center gap-2">
           <div className="w-4 h-4 flex items-center justify-center">
             <div className={`w-2 h-2 rounded-full ${isFull ? 'bg-red-500' : 'bg-green-500'}`} />
           </div>
           <span className={isFull ? 'text-red-500 font-medium' : 'text-slate-600'}>
             {course.enrolled} / {course.capacity} 명
-            {isFull && <span className="ml-1 text-xs">(마감)</span>}
+            {isFull && (
+              <span className="ml-1 text-xs">
+                (마감{course.waitlistCount > 0 ? ` · 대기 ${course.waitlistCount}명` : ''})
+              </span>
+            )}
           </span>
         </div>
       </div>
@@ -1,11 +1,25 @@
 import { useState, useEffect, useMemo } from 'react';
-import { Search, Filter } from 'lucide-react';
+import { Search, Filter, Timer, ShieldCheck } from 'lucide-react';
 import { useStudent } from '../../contexts/StudentContext';
-import { subscribeToCourses } from '../../lib/courseService';
+import { subscribeToCourses, getCourse } from '../../lib/courseService';
 import { submitEnrollmentRequest } from '../../lib/enrollmentService';
 import { getActiveSeasons } from '../../lib/seasonService';
-import { checkConflicts } from '../../lib/utils';
-import { CATEGORIES } from '../../constants';
+import { getServerTimeOffset } from '../../lib/serverTime';
+import { getAcademySettings } from '../../lib/settingsService';
+import { subscribeToStudentConsents, requestGuardianConsent } from '../../lib/guardianService';
+import { 
+  checkConflicts, 
+  getRegistrationWindow, 
+  getRegistrationPhase, 
+  REGISTRATION_PHASE, 
+  formatCountdown, 
+  formatDateTime,
+  getLoadLimits,
+  checkLoadLimits,
+  getMissingRequisites,
+  formatMissingRequisites 
+} from '../../lib/utils';
+import { CATEGORIES, ENROLLMENT_STATUS, GUARDIAN_CONSENT_STATUS } from '../../constants';
 import CourseCard from './CourseCard';
 import CartSidebar from './CartSidebar';
 import LoadingSpinner from '../common/LoadingSpinner';
@@ -26,6 +40,14 @@ export default function EnrollmentPage() {
   // Cart state
   const [cart, setCart] = useState([]);
 
+  // Server-synced clock for the registration window countdown
+  const [serverOffset, setServerOffset] = useState(0);
+  const [now, setNow] = useState(() => new Date());
+
+  // Guardian confirmation (academy setting, only for students with a linked guardian)
+  const [requireGuardianConsent, setRequireGuardianConsent] = useState(false);
+  const [consents, setConsents] = useState([]);
+
   // Alert modal state
   const [alertModal, setAlertModal] = useState({
     isOpen: false,
@@ -66,6 +88,37 @@ export default function EnrollmentPage() {
     loadSeasons();
   }, []);
 
+  // Measure server time offset once; the browser clock is not trusted
+  useEffect(() => {
+    getServerTimeOffset()
+      .then(setServerOffset)
+      .catch(error => console.error('Failed to sync server time:', error));
+  }, []);
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      setNow(new Date(Date.now() + serverOffset));
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [serverOffset]);
+
+  useEffect(() => {
+    getAcademySettings()
+      .then(settings => setRequireGuardianConsent(settings.requireGuardianConsent))
+      .catch(error => console.error('Failed to load academy settings:', error));
+  }, []);
+
+  const hasGuardian = student?.guardianIds?.length > 0;
+
+  useEffect(() => {
+    if (!hasGuardian) return;
+    const unsubscribe = subscribeToStudentConsents(student.id, setConsents);
+    return () => unsubscribe();
+  }, [hasGuardian, student?.id]);
+
+  const consentRequired = requireGuardianConsent && hasGuardian;
+  const seasonConsent = consents.find(c => c.seasonId === selectedSeason) || null;
+
   // Subscribe to courses when season changes
   useEffect(() => {
     if (!selectedSeason) {
@@ -85,6 +138,35 @@ export default function EnrollmentPage() {
     return () => unsubscribe();
   }, [selectedSeason]);
 
+  // Titles of requisite courses outside the selected season (prerequisites from past seasons)
+  const [externalTitles, setExternalTitles] = useState({});
+
+  useEffect(() => {
+    const knownIds = new Set(courses.map(c => c.id));
+    const unknownIds = [...new Set(courses.flatMap(c => c.prerequisiteIds || []))]
+      .filter(id => !knownIds.has(id) && !(id in externalTitles));
+    if (unknownIds.length === 0) return;
+
+    Promise.all(unknownIds.map(getCourse))
+      .then(results => {
+        const titles = {};
+        unknownIds.forEach((id, i) => { titles[id] = results[i]?.title || '삭제된 강좌'; });
+        setExternalTitles(prev => ({ ...prev, ...titles }));
+      })
+      .catch(error => console.error('Failed to load prerequisite courses:', error));
+  }, [courses, externalTitles]);
+
+  const courseTitleOf = (courseId) => 
+    courses.find(c => c.id === courseId)?.title || externalTitles[courseId] || '강좌';
+
+  // Approved enrollments from any season satisfy prerequisites
+  const completedCourseIds = useMemo(() => 
+    enrollments
+      .filter(enrollment => enrollment.status === ENROLLMENT_STATUS.APPROVED)
+      .map(enrollment => enrollment.courseId),
+    [enrollments]
+  );
+
   // Create a map of enrolled course IDs to their status
   const enrollmentStatusMap = useMemo(() => {
     const map = {};
@@ -94,11 +176,43 @@ export default function EnrollmentPage() {
     return map;
   }, [enrollments]);
 
+  // Waitlist position per course (waitlisted enrollments only)
+  const waitlistPositionMap = useMemo(() => {
+    const map = {};
+    enrollments
+      .filter(enrollment => enrollment.status === ENROLLMENT_STATUS.WAITLISTED)
+      .forEach(enrollment => {
+        map[enrollment.courseId] = enrollment.waitlistPosition;
+      });
+    return map;
+  }, [enrollments]);
+
+  const registrationWindow = useMemo(() => {
+    const season = seasons.find(s => s.id === selectedSeason);
+    return getRegistrationWindow(season, student?.class);
+  }, [seasons, selectedSeason, student]);
+
+  const registrationPhase = getRegistrationPhase(registrationWindow, now);
+  const isRegistrationOpen = 
+    registrationPhase === REGISTRATION_PHASE.UNSET || 
+    registrationPhase === REGISTRATION_PHASE.OPEN;
+
   // Get enrolled courses for conflict checking
   const enrolledCourses = useMemo(() => {
     return courses.filter(course => enrollmentStatusMap[course.id]);
   }, [courses, enrollmentStatusMap]);
 
+  // Course load limits (season default with per-class overrides)
+  const loadLimits = useMemo(() => {
+    const season = seasons.find(s => s.id === selectedSeason);
+    return getLoadLimits(season, student?.class);
+  }, [seasons, selectedSeason, student]);
+
+  const limitViolations = useMemo(
+    () => checkLoadLimits([...enrolledCourses, ...cart], loadLimits),
+    [enrolledCourses, cart, loadLimits]
+  );
+
   // Filter courses
   const filteredCourses = useMemo(() => {
     return courses.filter(course => {
@@ -123,6 +237,18 @@ export default function EnrollmentPage() {
       return;
     }
 
+    // Check prerequisites (co-requisites are checked on submit, once the cart is complete)
+    const { prerequisites } = getMissingRequisites(course, { completedCourseIds });
+    if (prerequisites.length > 0) {
+      showAlert(
+        '선수 강좌 미이수',
+        `"${course.title}"은(는) 선수 강좌를 수강한 학생만 신청할 수 있습니다:`,
+        formatMissingRequisites({ prerequisites, corequisites: [] }, courseTitleOf),
+        'warning'
+      );
+      return;
+    }
+
     // Check for time conflicts with enrolled courses
     const enrolledConflicts = checkConflicts(course, enrolledCourses);
     if (enrolledConflicts.length > 0) {
@@ -156,13 +282,65 @@ export default function EnrollmentPage() {
 
   const handleSubmit = async () => {
     if (cart.length === 0) return;
+
+    if (!isRegistrationOpen) {
+      showAlert('신청 불가', '수강신청 기간이 아닙니다.', [], 'warning');
+      return;
+    }
+
+    if (limitViolations.length > 0) {
+      showAlert('수강 한도 초과', '아래 조건을 확인해주세요:', limitViolations, 'warning');
+      return;
+    }
+
+    // Co-requisites must be held already or submitted together
+    const heldCourseIds = [...enrolledCourses, ...cart].map(c => c.id);
+    const requisiteIssues = cart.flatMap(course => {
+      const missing = getMissingRequisites(course, { completedCourseIds, heldCourseIds });
+      return formatMissingRequisites(missing, courseTitleOf).map(message => `${course.title}: ${message}`);
+    });
+    if (requisiteIssues.length > 0) {
+      showAlert('신청 조건 미충족', '아래 강좌를 확인해주세요:', requisiteIssues, 'warning');
+      return;
+    }
+
+    // Guardian confirms the exact cart first; a changed cart needs a new confirmation
+    const courseIds = cart.map(c => c.id);
+    const consentCovers = (status) =>
+      seasonConsent?.status === status &&
+      courseIds.every(id => seasonConsent.courseIds.includes(id));
+    if (consentRequired && !consentCovers(GUARDIAN_CONSENT_STATUS.CONFIRMED)) {
+      if (consentCovers(GUARDIAN_CONSENT_STATUS.PENDING)) {
+        showAlert('보호자 확인 대기', '보호자가 아직 신청 강좌를 확인하지 않았습니다. 확인 후 다시 신청해주세요.', [], 'info');
+        return;
+      }
+
+      setSubmitting(true);
+      try {
+        await requestGuardianConsent(student.id, selectedSeason, courseIds);
+        showAlert(
+          '보호자 확인 요청',
+          '보호자에게 아래 강좌의 확인을 요청했습니다. 보호자가 확인하면 다시 신청해주세요.',
+          cart.map(c => c.title),
+          'info'
+        );
+      } catch (error) {
+        console.error('Consent request error:', error);
+        showAlert('오류', '보호자 확인 요청에 실패했습니다.', [], 'error');
+      } finally {
+        setSubmitting(false);
+      }
+      return;
+    }
     
     setSubmitting(true);
     try {
-      const courseIds = cart.map(c => c.id);
       const results = await submitEnrollmentRequest(student.id, courseIds, selectedSeason);
       
       const failures = results.filter(r => !r.success);
+      const waitlisted = results.filter(r => r.success && r.waitlisted);
+      const lotteryEntries = results.filter(r => r.success && r.lottery);
+      const titleOf = (courseId) => cart.find(c => c.id === courseId)?.title || courseId;
       if (failures.length > 0) {
         showAlert(
           '신청 실패',
@@ -170,10 +348,20 @@ export default function EnrollmentPage() {
           failures.map(f => f.error),
           'error'
         );
+      } else if (waitlisted.length > 0 || lotteryEntries.length > 0) {
+        showAlert(
+          '신청 완료',
+          '정원이 찬 강좌는 대기 신청되었고, 추첨 강좌는 추첨 후 결과를 알림으로 보내드립니다.',
+          [
+            ...waitlisted.map(w => `${titleOf(w.courseId)}: 대기 ${w.waitlistPosition}번`),
+            ...lotteryEntries.map(l => `${titleOf(l.courseId)}: 추첨 신청 (추첨 후 결과 알림)`),
+          ],
+          'success'
+        );
       } else {
         showAlert(
           '신청 완료',
-          '수강 신청이 완료되었습니다. 관리자 승인 후 수강 확정됩니다.',
+          '수강 신청이 완료되었습니다. 승인되면 알림으로 알려드립니다.',
           [],
           'success'
         );
@@ -183,7 +371,7 @@ export default function EnrollmentPage() {
       setCart([]);
     } catch (error) {
       console.error('Submit error:', error);
-      showAlert('오류', '신청 처리 중 오류가 발생했습니다.', [], 'error');
+      showAlert('오류', error.message || '신청 처리 중 오류가 발생했습니다.', [], 'error');
     } finally {
       setSubmitting(false);
     }
@@ -225,6 +413,15 @@ export default function EnrollmentPage() {
         </div>
       )}
 
+      {/* Registration Window */}
+      <RegistrationWindowBanner 
+        range={registrationWindow} 
+        phase={registrationPhase} 
+        now={now} 
+      />
+
+      {consentRequired && <GuardianConsentBanner consent={seasonConsent} />}
+
       {/* Filter & Search Bar */}
       <div className="flex flex-col md:flex-row justify-between items-center gap-4 mb-10 sticky top-20 z-40 bg-white/80 backdrop-blur-sm p-4 rounded-2xl border border-gray-100 shadow-sm">
         <div className="flex items-center gap-2 overflow-x-auto w-full md:w-auto pb-2 md:pb-0 hide-scrollbar">
@@ -274,6 +471,7 @@ export default function EnrollmentPage() {
                 onAdd={addToCart} 
                 isInCart={cart.some(c => c.id === course.id)}
                 enrollmentStatus={enrollmentStatusMap[course.id]}
+                waitlistPosition={waitlistPositionMap[course.id]}
               />
             ))}
             
@@ -306,6 +504,10 @@ export default function EnrollmentPage() {
             onSubmit={handleSubmit}
             studentName={student?.name}
             loading={submitting}
+            loadLimits={loadLimits}
+            limitViolations={limitViolations}
+            disabled={!isRegistrationOpen}
+            disabledMessage={registrationPhase === REGISTRATION_PHASE.BEFORE ? '신청 시작 전' : '신청 마감'}
           />
         </div>
       </div>
@@ -322,3 +524,69 @@ export default function EnrollmentPage() {
     </main>
   );
 }
+
+function RegistrationWindowBanner({ range, phase, now }) {
+  if (phase === REGISTRATION_PHASE.UNSET) return null;
+
+  const config = {
+    [REGISTRATION_PHASE.BEFORE]: {
+      className: 'bg-amber-50 border-amber-200 text-amber-800',
+      title: '수강신청 시작까지',
+      countdown: formatCountdown(range.openAt - now),
+    },
+    [REGISTRATION_PHASE.OPEN]: {
+      className: 'bg-green-50 border-green-200 text-green-800',
+      title: range.closeAt ? '수강신청 마감까지' : '수강신청 진행 중',
+      countdown: range.closeAt ? formatCountdown(range.closeAt - now) : null,
+    },
+    [REGISTRATION_PHASE.CLOSED]: {
+      className: 'bg-slate-50 border-slate-200 text-slate-600',
+      title: '수강신청 기간이 종료되었습니다',
+      countdown: null,
+    },
+  }[phase];
+
+  return (
+    <div className={`mb-6 flex flex-col sm:flex-row sm:items-center justify-between gap-2 p-4 rounded-2xl border ${config.className}`}>
+      <div className="flex items-center gap-2">
+        <Timer className="w-5 h-5" />
+        <span className="font-semibold">{config.title}</span>
+        {config.countdown && (
+          <span className="font-mono text-lg font-bold tabular-nums">{config.countdown}</span>
+        )}
+      </div>
+      <div className="text-xs opacity-80">
+        {range.className && <span className="mr-2">[{range.className}]</span>}
+        {range.openAt ? formatDateTime(range.openAt) : '-'} ~ {range.closeAt ? formatDateTime(range.closeAt) : '-'}
+        <span className="ml-2">(서버 시간 기준)</span>
+      </div>
+    </div>
+  );
+}
+
+function GuardianConsentBanner({ consent }) {
+  const config = {
+    [GUARDIAN_CONSENT_STATUS.PENDING]: {
+      className: 'bg-amber-50 border-amber-200 text-amber-800',
+      message: '보호자 확인을 기다리고 있습니다.',
+    },
+    [GUARDIAN_CONSENT_STATUS.CONFIRMED]: {
+      className: 'bg-green-50 border-green-200 text-green-800',
+      message: '보호자가 확인했습니다. 확인받은 강좌를 신청할 수 있습니다.',
+    },
+    [GUARDIAN_CONSENT_STATUS.DECLINED]: {
+      className: 'bg-red-50 border-red-200 text-red-800',
+      message: '보호자가 신청을 거절했습니다. 강좌를 다시 선택해 확인을 요청해주세요.',
+    },
+  }[consent?.status] || {
+    className: 'bg-slate-50 border-slate-200 text-slate-600',
+    message: '수강신청 전 보호자 확인이 필요합니다. 강좌를 담고 신청하면 보호자에게 확인이 요청됩니다.',
+  };
+
+  return (
+    <div className={`mb-6 flex items-center gap-2 p-4 rounded-2xl border ${config.className}`}>
+      <ShieldCheck className="w-5 h-5 flex-shrink-0" />
+      <span className="text-sm font-medium">{config.message}</span>
+    </div>
+  );
+}
@@ -1,10 +1,15 @@
 import { useState, useEffect, useMemo } from 'react';
-import { Printer, Image, Clock3 } from 'lucide-react';
+import { Printer, Image, Clock3, Shuffle, ArrowRightLeft, X, AlertTriangle } from 'lucide-react';
 import html2canvas from 'html2canvas';
 import { useStudent } from '../../contexts/StudentContext';
-import { getCourse } from '../../lib/courseService';
-import { cancelEnrollment } from '../../lib/enrollmentService';
-import { formatSchedule, isWithinChangePeriod } from '../../lib/utils';
+import { getCourse, getActiveCourses } from '../../lib/courseService';
+import { 
+  cancelEnrollment, 
+  requestCourseSwap, 
+  cancelCourseSwap, 
+  subscribeToStudentCourseSwaps 
+} from '../../lib/enrollmentService';
+import { formatSchedule, formatSchedules, isWithinChangePeriod, checkConflicts } from '../../lib/utils';
 import { STATUS_CONFIG, ENROLLMENT_STATUS } from '../../constants';
 import { BigSchedule } from './WeeklySchedule';
 import LoadingSpinner from '../common/LoadingSpinner';
@@ -14,6 +19,15 @@ export default function MySchedulePage() {
   const [courses, setCourses] = useState([]);
   const [loading, setLoading] = useState(true);
   const [cancelling, setCancelling] = useState(null);
+  const [swaps, setSwaps] = useState([]);
+  const [swapSource, setSwapSource] = useState(null);
+
+  // Pending course swaps
+  useEffect(() => {
+    if (!student?.id) return;
+    const unsubscribe = subscribeToStudentCourseSwaps(student.id, setSwaps);
+    return () => unsubscribe();
+  }, [student?.id]);
 
   // Load course details for enrollments
   useEffect(() => {
@@ -27,7 +41,12 @@ export default function MySchedulePage() {
       try {
         const coursePromises = enrollments.map(async (enrollment) => {
           const course = await getCourse(enrollment.courseId);
-          return course ? { ...course, enrollmentId: enrollment.id, status: enrollment.status } : null;
+          return course ? { 
+            ...course, 
+            enrollmentId: enrollment.id, 
+            status: enrollment.status,
+            waitlistPosition: enrollment.waitlistPosition || null,
+          } : null;
         });
 
         const loadedCourses = (await Promise.all(coursePromises)).filter(Boolean);
@@ -43,10 +62,19 @@ export default function MySchedulePage() {
   }, [enrollments]);
 
   // Separate courses by status
-  const { approvedCourses, pendingCourses } = useMemo(() => {
+  const { approvedCourses, pendingCourses, waitlistedCourses, lotteryCourses } = useMemo(() => {
     const approved = courses.filter(c => c.status === ENROLLMENT_STATUS.APPROVED);
     const pending = courses.filter(c => c.status === ENROLLMENT_STATUS.PENDING);
-    return { approvedCourses: approved, pendingCourses: pending };
+    const waitlisted = courses
+      .filter(c => c.status === ENROLLMENT_STATUS.WAITLISTED)
+      .sort((a, b) => (a.waitlistPosition || 0) - (b.waitlistPosition || 0));
+    const lottery = courses.filter(c => c.status === ENROLLMENT_STATUS.LOTTERY);
+    return { 
+      approvedCourses: approved, 
+      pendingCourses: pending, 
+      waitlistedCourses: waitlisted, 
+      lotteryCourses: lottery,
+    };
   }, [courses]);
 
   const canCancel = useMemo(() => {
@@ -100,6 +128,25 @@ export default function MySchedulePage() {
     }
   };
 
+  const handleCancelSwap = async (swapId) => {
+    if (!confirm('강좌 변경 신청을 철회하시겠습니까?')) {
+      return;
+    }
+
+    try {
+      await cancelCourseSwap(swapId);
+    } catch (error) {
+      console.error('Swap cancel failed:', error);
+      alert('철회 처리 중 오류가 발생했습니다.');
+    }
+  };
+
+  const swapByEnrollmentId = useMemo(() => {
+    const map = {};
+    swaps.forEach(swap => { map[swap.fromEnrollmentId] = swap; });
+    return map;
+  }, [swaps]);
+
   if (loading) {
     return (
       <div className="max-w-7xl mx-auto px-4 py-20">
@@ -160,6 +207,9 @@ export default function MySchedulePage() {
                   onCancel={handleCancel}
                   canCancel={canCancel}
                   cancelling={cancelling === course.enrollmentId}
+                  onSwap={canCancel ? setSwapSource : null}
+                  pendingSwap={swapByEnrollmentId[course.enrollmentId]}
+                  onCancelSwap={handleCancelSwap}
                 />
               ))}
               {approvedCourses.length === 0 && (
@@ -193,6 +243,56 @@ export default function MySchedulePage() {
             </div>
           )}
           
+          {/* Waitlisted Courses */}
+          {waitlistedCourses.length > 0 && (
+            <div className="bg-orange-50 rounded-2xl border border-orange-200 p-6">
+              <h3 className="font-bold text-orange-800 mb-4 flex items-center gap-2">
+                <Clock3 className="w-4 h-4" />
+                대기 신청 ({waitlistedCourses.length})
+              </h3>
+              <div className="space-y-4">
+                {waitlistedCourses.map(course => (
+                  <CourseListItem 
+                    key={course.id}
+                    course={course}
+                    onCancel={handleCancel}
+                    canCancel={true} // Can always leave the waitlist
+                    cancelling={cancelling === course.enrollmentId}
+                    isWaitlisted
+                  />
+                ))}
+              </div>
+              <p className="text-xs text-orange-700 mt-4">
+                자리가 나면 순서대로 신청 대기로 전환되며 알림을 보내드립니다.
+              </p>
+            </div>
+          )}
+          
+          {/* Lottery Entries */}
+          {lotteryCourses.length > 0 && (
+            <div className="bg-purple-50 rounded-2xl border border-purple-200 p-6">
+              <h3 className="font-bold text-purple-800 mb-4 flex items-center gap-2">
+                <Shuffle className="w-4 h-4" />
+                추첨 대기 ({lotteryCourses.length})
+              </h3>
+              <div className="space-y-4">
+                {lotteryCourses.map(course => (
+                  <CourseListItem 
+                    key={course.id}
+                    course={course}
+                    onCancel={handleCancel}
+                    canCancel={true} // Can always withdraw before the draw
+                    cancelling={cancelling === course.enrollmentId}
+                    isLottery
+                  />
+                ))}
+              </div>
+              <p className="text-xs text-purple-700 mt-4">
+                추첨 후 당첨 시 바로 수강 확정되며, 결과는 알림으로 안내됩니다.
+              </p>
+            </div>
+          )}
+
           {/* Change Period Info */}
           <div className={`rounded-2xl p-6 border ${canCancel ? 'bg-green-50 border-green-200' : 'bg-slate-50 border-slate-200'}`}>
             <h3 className={`font-bold mb-2 ${canCancel ? 'text-green-800' : 'text-slate-600'}`}>
@@ -216,33 +316,213 @@ export default function MySchedulePage() {
           </div>
         </div>
       </div>
+
+      {swapSource && (
+        <SwapCourseModal
+          studentId={student.id}
+          fromCourse={swapSource}
+          currentCourses={[...approvedCourses, ...pendingCourses]}
+          onClose={() => setSwapSource(null)}
+          onSuccess={() => {
+            setSwapSource(null);
+            alert('강좌 변경을 신청했습니다. 관리자 승인 시 기존 강좌가 새 강좌로 교체됩니다.');
+          }}
+        />
+      )}
     </div>
   );
 }
 
-function CourseListItem({ course, onCancel, canCancel, cancelling, isPending }) {
+function CourseListItem({ 
+  course, 
+  onCancel, 
+  canCancel, 
+  cancelling, 
+  isPending, 
+  isWaitlisted, 
+  isLottery,
+  onSwap,
+  pendingSwap,
+  onCancelSwap,
+}) {
   const statusConfig = STATUS_CONFIG[course.status];
+  const containerClass = isLottery
+    ? 'bg-purple-100/50 border-purple-200'
+    : isWaitlisted
+      ? 'bg-orange-100/50 border-orange-200'
+      : isPending ? 'bg-yellow-100/50 border-yellow-200' : 'bg-slate-50 border-slate-100';
   
   return (
-    <div className={`flex gap-3 items-start p-3 rounded-xl border ${isPending ? 'bg-yellow-100/50 border-yellow-200' : 'bg-slate-50 border-slate-100'}`}>
+    <div className={`flex gap-3 items-start p-3 rounded-xl border ${containerClass}`}>
       <div className={`w-1 h-full min-h-[40px] rounded-full ${course.color?.replace('text-', 'bg-').replace('100', '500') || 'bg-slate-300'}`} />
       <div className="flex-1">
-        <div className="font-semibold text-sm text-slate-900">{course.title}</div>
+        <div className="font-semibold text-sm text-slate-900 flex items-center gap-2">
+          {course.title}
+          {isWaitlisted && course.waitlistPosition && (
+            <span className={`px-1.5 py-0.5 rounded text-[10px] font-bold ${statusConfig?.color}`}>
+              대기 {course.waitlistPosition}번
+            </span>
+          )}
+        </div>
         <div className="text-xs text-slate-500 mt-1">
           {formatSchedule(course.day, course.startPeriod, course.endPeriod)}
         </div>
         <div className="text-xs text-slate-400 mt-0.5">
           {course.room} | {course.instructor}
         </div>
-        {(canCancel || isPending) && (
+        {pendingSwap && (
+          <div className="mt-2 text-xs text-[#00b6b2] flex items-center gap-1">
+            <ArrowRightLeft className="w-3 h-3" />
+            {pendingSwap.toCourseTitle || '다른 강좌'}(으)로 변경 승인 대기
+            <button
+              onClick={() => onCancelSwap(pendingSwap.id)}
+              className="ml-1 text-slate-400 hover:text-red-500 underline"
+            >
+              철회
+            </button>
+          </div>
+        )}
+        <div className="flex gap-3">
+          {(canCancel || isPending || isWaitlisted || isLottery) && (
+            <button
+              onClick={() => onCancel(course.enrollmentId, course.title)}
+              disabled={cancelling || !!pendingSwap}
+              className="mt-2 text-xs text-red-500 hover:text-red-700 font-medium disabled:opacity-50"
+            >
+              {cancelling ? '취소 중...' : '수강 취소'}
+            </button>
+          )}
+          {onSwap && !pendingSwap && (
+            <button
+              onClick={() => onSwap(course)}
+              className="mt-2 text-xs text-[#00b6b2] hover:text-[#009da0] font-medium"
+            >
+              강좌 변경
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function SwapCourseModal({ studentId, fromCourse, currentCourses, onClose, onSuccess }) {
+  const [candidates, setCandidates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    const loadCandidates = async () => {
+      try {
+        const courses = await getActiveCourses(fromCourse.seasonId);
+        const heldIds = new Set(currentCourses.map(c => c.id));
+        setCandidates(courses.filter(c => !heldIds.has(c.id)));
+      } catch (error) {
+        console.error('Failed to load courses:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadCandidates();
+  }, [fromCourse.seasonId, currentCourses]);
+
+  // Conflicts are checked against the timetable *without* the course being swapped out
+  const remainingCourses = useMemo(
+    () => currentCourses.filter(c => c.id !== fromCourse.id),
+    [currentCourses, fromCourse.id]
+  );
+
+  const handleSubmit = async () => {
+    if (!selectedId) return;
+
+    setSubmitting(true);
+    try {
+      await requestCourseSwap(studentId, fromCourse.enrollmentId, selectedId);
+      onSuccess();
+    } catch (error) {
+      console.error('Swap request failed:', error);
+      alert(error.message || '변경 신청 중 오류가 발생했습니다.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/50 backdrop-blur-sm" onClick={onClose} />
+      <div className="relative bg-white rounded-2xl shadow-2xl max-w-lg w-full max-h-[90vh] overflow-hidden animate-fade-in-up">
+        <div className="bg-slate-900 text-white p-6 flex items-center justify-between">
+          <div>
+            <h2 className="text-xl font-bold">강좌 변경 신청</h2>
+            <p className="text-slate-400 text-sm mt-1">
+              "{fromCourse.title}" 대신 수강할 강좌를 선택하세요.
+            </p>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-white/10 rounded-lg transition-colors">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 max-h-[55vh] overflow-y-auto space-y-2">
+          {loading ? (
+            <LoadingSpinner message="강좌 목록을 불러오는 중..." />
+          ) : candidates.length === 0 ? (
+            <p className="text-sm text-slate-400 text-center py-8">변경 가능한 강좌가 없습니다.</p>
+          ) : (
+            candidates.map(course => {
+              const conflicts = checkConflicts(course, remainingCourses);
+              const isFull = (course.enrolled || 0) >= course.capacity;
+              const disabled = conflicts.length > 0 || isFull;
+              
+              return (
+                <button
+                  key={course.id}
+                  onClick={() => setSelectedId(course.id)}
+                  disabled={disabled}
+                  className={`w-full text-left p-3 rounded-xl border transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+                    selectedId === course.id
+                      ? 'border-[#00b6b2] bg-[#00b6b2]/5'
+                      : 'border-slate-200 hover:border-slate-300'
+                  }`}
+                >
+                  <div className="flex items-center justify-between">
+                    <span className="font-semibold text-sm text-slate-900">{course.title}</span>
+                    <span className={`text-xs ${isFull ? 'text-red-500' : 'text-slate-500'}`}>
+                      {course.enrolled || 0}/{course.capacity}
+                    </span>
+                  </div>
+                  <div className="text-xs text-slate-500 mt-1">
+                    {formatSchedules(course.schedules)} | {course.instructor}
+                  </div>
+                  {conflicts.length > 0 && (
+                    <div className="text-xs text-red-500 mt-1 flex items-center gap-1">
+                      <AlertTriangle className="w-3 h-3" />
+                      {conflicts.map(c => c.title).join(', ')}와(과) 시간이 겹칩니다.
+                    </div>
+                  )}
+                </button>
+              );
+            })
+          )}
+        </div>
+
+        <div className="p-6 border-t border-slate-100 flex gap-3">
           <button
-            onClick={() => onCancel(course.enrollmentId, course.title)}
-            disabled={cancelling}
-            className="mt-2 text-xs text-red-500 hover:text-red-700 font-medium disabled:opacity-50"
+            onClick={onClose}
+            className="flex-1 py-3 border border-slate-200 text-slate-600 rounded-xl hover:bg-slate-50"
           >
-            {cancelling ? '취소 중...' : '수강 취소'}
+            취소
           </button>
-        )}
+          <button
+            onClick={handleSubmit}
+            disabled={!selectedId || submitting}
+            className="flex-1 py-3 bg-[#00b6b2] text-white rounded-xl font-semibold hover:bg-[#009da0] disabled:opacity-50"
+          >
+            {submitting ? '신청 중...' : '변경 신청'}
+          </button>
+        </div>
       </div>
     </div>
   );
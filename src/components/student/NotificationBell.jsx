@@ -1,15 +1,19 @@
 import { useState, useEffect, useRef } from 'react';
-import { Bell, Check, CheckCheck, X, Info, ChevronRight } from 'lucide-react';
+import { Bell, Check, CheckCheck, X, Info, ChevronRight, Pin, CalendarClock } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
 import { useStudent } from '../../contexts/StudentContext';
 import { 
   subscribeToNotifications, 
+  subscribeToUnreadCount,
   markAsRead, 
   markAllAsRead,
   NOTIFICATION_TYPES 
 } from '../../lib/notificationService';
 import { formatRelativeTime } from '../../lib/utils';
 
+// Latest notifications shown in the dropdown
+const DROPDOWN_LIMIT = 5;
+
 export default function NotificationBell() {
   const navigate = useNavigate();
   const { student } = useStudent();
@@ -22,12 +26,14 @@ export default function NotificationBell() {
   useEffect(() => {
     if (!student?.id) return;
 
-    const unsubscribe = subscribeToNotifications(student.id, (notifs) => {
-      setNotifications(notifs);
-      setUnreadCount(notifs.filter(n => !n.read).length);
-    });
+    const unsubscribe = subscribeToNotifications(student.id, setNotifications, DROPDOWN_LIMIT);
+    // Counted separately: the dropdown only loads the latest few
+    const unsubscribeCount = subscribeToUnreadCount(student.id, setUnreadCount);
 
-    return () => unsubscribe();
+    return () => {
+      unsubscribe();
+      unsubscribeCount();
+    };
   }, [student?.id]);
 
   // Close dropdown when clicking outside
@@ -70,6 +76,8 @@ export default function NotificationBell() {
         return <Check className="w-4 h-4 text-green-600" />;
       case NOTIFICATION_TYPES.REJECTION:
         return <X className="w-4 h-4 text-red-600" />;
+      case NOTIFICATION_TYPES.COURSE_CHANGED:
+        return <CalendarClock className="w-4 h-4 text-amber-600" />;
       default:
         return <Info className="w-4 h-4 text-blue-600" />;
     }
@@ -82,12 +90,14 @@ export default function NotificationBell() {
         return `${baseStyle} border-l-4 border-l-green-500`;
       case NOTIFICATION_TYPES.REJECTION:
         return `${baseStyle} border-l-4 border-l-red-500`;
+      case NOTIFICATION_TYPES.COURSE_CHANGED:
+        return `${baseStyle} border-l-4 border-l-amber-500`;
       default:
         return `${baseStyle} border-l-4 border-l-blue-500`;
     }
   };
 
-  const recentNotifications = notifications.slice(0, 5);
+  const recentNotifications = notifications.slice(0, DROPDOWN_LIMIT);
 
   return (
     <div className="relative" ref={dropdownRef}>
@@ -143,12 +153,15 @@ export default function NotificationBell() {
                           ? 'bg-green-100' 
                           : notification.type === NOTIFICATION_TYPES.REJECTION 
                             ? 'bg-red-100' 
-                            : 'bg-blue-100'
+                            : notification.type === NOTIFICATION_TYPES.COURSE_CHANGED
+                              ? 'bg-amber-100'
+                              : 'bg-blue-100'
                       }`}>
                         {getNotificationIcon(notification.type)}
                       </div>
                       <div className="flex-1 min-w-0">
-                        <p className={`text-sm ${notification.read ? 'text-slate-600' : 'text-slate-900 font-medium'}`}>
+                        <p className={`text-sm flex items-center gap-1 ${notification.read ? 'text-slate-600' : 'text-slate-900 font-medium'}`}>
+                          {notification.pinned && <Pin className="w-3 h-3 text-[#00b6b2] flex-shrink-0" />}
                           {notification.title}
                         </p>
                         <p className="text-xs text-slate-500 mt-0.5 line-clamp-2">
@@ -1,12 +1,21 @@
 import { useState, useEffect, useMemo } from 'react';
-import { Bell, Check, X, Info, CheckCheck, Filter } from 'lucide-react';
+import { Bell, Check, X, Info, CheckCheck, Filter, Pin, CalendarClock, Archive, ArchiveRestore, Trash2, Settings } from 'lucide-react';
 import { useStudent } from '../../contexts/StudentContext';
 import { 
   subscribeToNotifications, 
+  subscribeToArchivedNotifications,
   markAsRead, 
   markAllAsRead,
-  NOTIFICATION_TYPES 
+  archiveNotification,
+  unarchiveNotification,
+  deleteNotification,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  NOTIFICATION_TYPES,
+  NOTIFICATION_TYPE_LABELS,
+  NOTIFICATION_PAGE_SIZE
 } from '../../lib/notificationService';
+import { getAcademySettings } from '../../lib/settingsService';
 import { formatRelativeTime, formatDateTime } from '../../lib/utils';
 import LoadingSpinner from '../common/LoadingSpinner';
 
@@ -15,6 +24,8 @@ const FILTER_OPTIONS = [
   { id: NOTIFICATION_TYPES.APPROVAL, label: '승인' },
   { id: NOTIFICATION_TYPES.REJECTION, label: '반려' },
   { id: NOTIFICATION_TYPES.INFO, label: '안내' },
+  { id: NOTIFICATION_TYPES.COURSE_CHANGED, label: '강좌 변경' },
+  { id: 'archived', label: '보관함' },
 ];
 
 export default function NotificationsPage() {
@@ -23,24 +34,38 @@ export default function NotificationsPage() {
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState('all');
   const [expandedId, setExpandedId] = useState(null);
+  const [archivedNotifications, setArchivedNotifications] = useState([]);
+  // Latest N notifications are watched; 더 보기 raises N
+  const [pageSize, setPageSize] = useState(NOTIFICATION_PAGE_SIZE);
+  const [hasMore, setHasMore] = useState(false);
+  const [showPreferences, setShowPreferences] = useState(false);
 
   // Subscribe to notifications
   useEffect(() => {
     if (!student?.id) return;
 
-    const unsubscribe = subscribeToNotifications(student.id, (notifs) => {
+    const unsubscribe = subscribeToNotifications(student.id, (notifs, page) => {
       setNotifications(notifs);
+      setHasMore(page.hasMore);
       setLoading(false);
-    });
+    }, pageSize);
 
+    return () => unsubscribe();
+  }, [student?.id, pageSize]);
+
+  useEffect(() => {
+    if (!student?.id) return;
+
+    const unsubscribe = subscribeToArchivedNotifications(student.id, setArchivedNotifications);
     return () => unsubscribe();
   }, [student?.id]);
 
   // Filter notifications
   const filteredNotifications = useMemo(() => {
     if (filter === 'all') return notifications;
+    if (filter === 'archived') return archivedNotifications;
     return notifications.filter(n => n.type === filter);
-  }, [notifications, filter]);
+  }, [notifications, archivedNotifications, filter]);
 
   // Count by type
   const counts = useMemo(() => {
@@ -49,8 +74,10 @@ export default function NotificationsPage() {
       [NOTIFICATION_TYPES.APPROVAL]: notifications.filter(n => n.type === NOTIFICATION_TYPES.APPROVAL).length,
       [NOTIFICATION_TYPES.REJECTION]: notifications.filter(n => n.type === NOTIFICATION_TYPES.REJECTION).length,
       [NOTIFICATION_TYPES.INFO]: notifications.filter(n => n.type === NOTIFICATION_TYPES.INFO).length,
+      [NOTIFICATION_TYPES.COURSE_CHANGED]: notifications.filter(n => n.type === NOTIFICATION_TYPES.COURSE_CHANGED).length,
+      archived: archivedNotifications.length,
     };
-  }, [notifications]);
+  }, [notifications, archivedNotifications]);
 
   const unreadCount = notifications.filter(n => !n.read).length;
 
@@ -67,12 +94,41 @@ export default function NotificationsPage() {
     }
   };
 
+  const handleArchiveToggle = async (e, notification) => {
+    e.stopPropagation();
+    try {
+      if (notification.archived) {
+        await unarchiveNotification(notification.id);
+      } else {
+        await archiveNotification(notification.id);
+      }
+      setExpandedId(null);
+    } catch (error) {
+      console.error('Archive notification error:', error);
+      alert('처리에 실패했습니다. 다시 시도해주세요.');
+    }
+  };
+
+  const handleDelete = async (e, notification) => {
+    e.stopPropagation();
+    if (!confirm('이 알림을 삭제하시겠습니까?')) return;
+
+    try {
+      await deleteNotification(notification.id);
+    } catch (error) {
+      console.error('Delete notification error:', error);
+      alert('삭제에 실패했습니다. 다시 시도해주세요.');
+    }
+  };
+
   const getNotificationIcon = (type) => {
     switch (type) {
       case NOTIFICATION_TYPES.APPROVAL:
         return <Check className="w-5 h-5 text-green-600" />;
       case NOTIFICATION_TYPES.REJECTION:
         return <X className="w-5 h-5 text-red-600" />;
+      case NOTIFICATION_TYPES.COURSE_CHANGED:
+        return <CalendarClock className="w-5 h-5 text-amber-600" />;
       default:
         return <Info className="w-5 h-5 text-blue-600" />;
     }
@@ -85,6 +141,8 @@ export default function NotificationsPage() {
         return `border-l-4 border-l-green-500 ${baseOpacity}`;
       case NOTIFICATION_TYPES.REJECTION:
         return `border-l-4 border-l-red-500 ${baseOpacity}`;
+      case NOTIFICATION_TYPES.COURSE_CHANGED:
+        return `border-l-4 border-l-amber-500 ${baseOpacity}`;
       default:
         return `border-l-4 border-l-blue-500 ${baseOpacity}`;
     }
@@ -96,6 +154,8 @@ export default function NotificationsPage() {
         return 'bg-green-100';
       case NOTIFICATION_TYPES.REJECTION:
         return 'bg-red-100';
+      case NOTIFICATION_TYPES.COURSE_CHANGED:
+        return 'bg-amber-100';
       default:
         return 'bg-blue-100';
     }
@@ -125,17 +185,28 @@ export default function NotificationsPage() {
           </div>
         </div>
         
-        {unreadCount > 0 && (
+        <div className="flex items-center gap-2">
+          {unreadCount > 0 && (
+            <button
+              onClick={handleMarkAllAsRead}
+              className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-[#00b6b2] hover:bg-[#00b6b2]/10 rounded-xl transition-colors"
+            >
+              <CheckCheck className="w-4 h-4" />
+              모두 읽음 처리
+            </button>
+          )}
           <button
-            onClick={handleMarkAllAsRead}
-            className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-[#00b6b2] hover:bg-[#00b6b2]/10 rounded-xl transition-colors"
+            onClick={() => setShowPreferences(!showPreferences)}
+            className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-slate-600 hover:bg-slate-100 rounded-xl transition-colors"
           >
-            <CheckCheck className="w-4 h-4" />
-            모두 읽음 처리
+            <Settings className="w-4 h-4" />
+            알림 설정
           </button>
-        )}
+        </div>
       </div>
 
+      {showPreferences && <NotificationPreferencesPanel studentId={student.id} />}
+
       {/* Filter Tabs */}
       <div className="flex items-center gap-2 mb-6 overflow-x-auto pb-2 hide-scrollbar">
         <Filter className="w-4 h-4 text-slate-400 flex-shrink-0" />
@@ -168,7 +239,7 @@ export default function NotificationsPage() {
         <div className="bg-white rounded-2xl border border-gray-200 p-12 text-center">
           <Bell className="w-16 h-16 text-slate-200 mx-auto mb-4" />
           <p className="text-slate-500 text-lg">
-            {filter === 'all' ? '알림이 없습니다' : '해당 유형의 알림이 없습니다'}
+            {filter === 'all' ? '알림이 없습니다' : filter === 'archived' ? '보관한 알림이 없습니다' : '해당 유형의 알림이 없습니다'}
           </p>
           {filter !== 'all' && (
             <button 
@@ -210,6 +281,9 @@ export default function NotificationsPage() {
                       
                       {/* Status indicator */}
                       <div className="flex items-center gap-2 flex-shrink-0">
+                        {notification.pinned && (
+                          <Pin className="w-4 h-4 text-[#00b6b2]" />
+                        )}
                         {!notification.read && (
                           <div className="w-2.5 h-2.5 bg-[#00b6b2] rounded-full" />
                         )}
@@ -240,6 +314,23 @@ export default function NotificationsPage() {
                             {notification.courseId}
                           </div>
                         )}
+                        <div className="flex gap-2 mt-4">
+                          <button
+                            onClick={(e) => handleArchiveToggle(e, notification)}
+                            className="flex items-center gap-1 px-3 py-1.5 text-xs font-medium text-slate-600 bg-slate-100 hover:bg-slate-200 rounded-lg transition-colors"
+                          >
+                            {notification.archived
+                              ? <><ArchiveRestore className="w-3.5 h-3.5" />보관 해제</>
+                              : <><Archive className="w-3.5 h-3.5" />보관</>}
+                          </button>
+                          <button
+                            onClick={(e) => handleDelete(e, notification)}
+                            className="flex items-center gap-1 px-3 py-1.5 text-xs font-medium text-red-600 bg-red-50 hover:bg-red-100 rounded-lg transition-colors"
+                          >
+                            <Trash2 className="w-3.5 h-3.5" />
+                            삭제
+                          </button>
+                        </div>
                       </div>
                     )}
                   </div>
@@ -247,8 +338,83 @@ export default function NotificationsPage() {
               </div>
             </div>
           ))}
+          {hasMore && filter !== 'archived' && (
+            <button
+              onClick={() => setPageSize(pageSize + NOTIFICATION_PAGE_SIZE)}
+              className="w-full py-3 text-sm font-medium text-[#00b6b2] hover:bg-slate-50 rounded-xl transition-colors"
+            >
+              이전 알림 더 보기
+            </button>
+          )}
         </div>
       )}
     </main>
   );
 }
+
+function NotificationPreferencesPanel({ studentId }) {
+  const [mutedTypes, setMutedTypes] = useState(null);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadPreferences = async () => {
+      try {
+        const [preferences, settings] = await Promise.all([
+          getNotificationPreferences(studentId),
+          getAcademySettings(),
+        ]);
+        setMutedTypes(preferences.mutedAppTypes);
+        setRetentionDays(settings.notificationRetentionDays);
+      } catch (error) {
+        console.error('Failed to load notification preferences:', error);
+      }
+    };
+
+    loadPreferences();
+  }, [studentId]);
+
+  const handleToggle = async (type, enabled) => {
+    const next = enabled ? mutedTypes.filter(t => t !== type) : [...mutedTypes, type];
+    setSaving(true);
+    try {
+      await updateNotificationPreferences(studentId, { mutedAppTypes: next });
+      setMutedTypes(next);
+    } catch (error) {
+      console.error('Failed to update notification preferences:', error);
+      alert('설정 변경에 실패했습니다.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!mutedTypes) {
+    return <LoadingSpinner message="설정을 불러오는 중..." />;
+  }
+
+  return (
+    <div className="bg-white rounded-2xl border border-gray-200 p-6 mb-6">
+      <h3 className="font-semibold text-slate-900 mb-1">받을 알림</h3>
+      <p className="text-sm text-slate-500 mb-4">
+        끈 유형은 알림함에 새로 도착하지 않습니다. 보호자 문자 알림은 보호자 화면에서 설정합니다.
+      </p>
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        {Object.values(NOTIFICATION_TYPES).map(type => (
+          <label key={type} className="flex items-center gap-2 text-sm text-slate-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={!mutedTypes.includes(type)}
+              onChange={(e) => handleToggle(type, e.target.checked)}
+              disabled={saving}
+              className="w-4 h-4 text-[#00b6b2] rounded focus:ring-[#00b6b2]"
+            />
+            {NOTIFICATION_TYPE_LABELS[type]}
+          </label>
+        ))}
+      </div>
+      <p className="text-xs text-slate-400 mt-4">
+        읽은 알림은 {retentionDays}일 뒤 자동으로 삭제됩니다. 계속 두려면 보관하세요.
+      </p>
+    </div>
+  );
+}
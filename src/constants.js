@@ -42,8 +42,26 @@ export const ENROLLMENT_STATUS = {
   APPROVED: 'approved',
   REJECTED: 'rejected',
   CANCELLED: 'cancelled',
+  WAITLISTED: 'waitlisted',
+  LOTTERY: 'lottery',
 };
 
+// Who performed an enrollment status transition (enrollmentHistory.actorType)
+export const HISTORY_ACTOR_TYPE = {
+  STUDENT: 'student',
+  ADMIN: 'admin',
+  SYSTEM: 'system', // e.g., waitlist promotion
+};
+
+export const HISTORY_ACTOR_LABELS = {
+  student: '학생',
+  admin: '관리자',
+  system: '시스템',
+};
+
+// approvedBy marker for enrollments approved by an auto-approval rule
+export const AUTO_APPROVAL_ACTOR = 'auto-approval';
+
 // Status display configuration
 export const STATUS_CONFIG = {
   pending: {
@@ -66,4 +84,203 @@ export const STATUS_CONFIG = {
     color: 'bg-gray-100 text-gray-800',
     badgeColor: 'bg-gray-500',
   },
+  waitlisted: {
+    label: '대기 신청',
+    color: 'bg-orange-100 text-orange-800',
+    badgeColor: 'bg-orange-500',
+  },
+  lottery: {
+    label: '추첨 대기',
+    color: 'bg-purple-100 text-purple-800',
+    badgeColor: 'bg-purple-500',
+  },
+};
+
+// Statuses that a student still holds on a course (shown in schedule, block re-apply)
+export const ACTIVE_ENROLLMENT_STATUSES = ['pending', 'approved', 'waitlisted', 'lottery'];
+
+// Course seat allocation mode
+export const ALLOCATION_MODE = {
+  FCFS: 'fcfs', // 선착순
+  LOTTERY: 'lottery', // 추첨
+};
+
+// Enrollment change requests (정정기간)
+export const ENROLLMENT_CHANGE_TYPE = {
+  SWAP: 'swap', // 강좌 A → B 교체 (B 승인 시에만 A 취소)
+};
+
+export const ENROLLMENT_CHANGE_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled',
+};
+
+// Admin staff permissions (admins.permissions; mirrored by hasPermission() in firestore.rules)
+export const PERMISSIONS = {
+  VIEW_STUDENTS: 'viewStudents',
+  EDIT_STUDENTS: 'editStudents',
+  APPROVE_ENROLLMENTS: 'approveEnrollments',
+  MANAGE_COURSES: 'manageCourses',
+  MANAGE_SEASONS: 'manageSeasons',
+  MANAGE_ATTENDANCE: 'manageAttendance',
+  DELETE_DATA: 'deleteData',
+  MANAGE_ADMINS: 'manageAdmins',
+};
+
+export const PERMISSION_LABELS = {
+  viewStudents: '학생 조회',
+  editStudents: '학생 정보 수정',
+  approveEnrollments: '수강신청 승인',
+  manageCourses: '강좌 관리',
+  manageSeasons: '학기 관리',
+  manageAttendance: '출석 관리',
+  deleteData: '데이터 삭제',
+  manageAdmins: '관리자 관리',
+};
+
+// Admin invitations (adminInvites.status); invite links expire after ADMIN_INVITE_EXPIRY_DAYS
+export const ADMIN_INVITE_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  REVOKED: 'revoked',
+};
+
+export const ADMIN_INVITE_EXPIRY_DAYS = 7;
+
+// Student PIN login (limits mirrored in firestore.rules studentLoginAttempts)
+export const STUDENT_PIN_LENGTH = 6;
+export const STUDENT_LOGIN_MAX_ATTEMPTS = 5;
+export const STUDENT_LOGIN_LOCK_MINUTES = 15;
+
+// Guardian confirmation of a student's enrollment request (guardianConsents.status),
+// required when settings/academy.requireGuardianConsent is on
+export const GUARDIAN_CONSENT_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  DECLINED: 'declined',
+};
+
+// Outbound messages to guardians (messages collection, see src/lib/messagingService.js)
+export const MESSAGE_CHANNEL = {
+  SMS: 'sms',
+  KAKAO: 'kakao', // 카카오 알림톡
+  EMAIL: 'email',
+};
+
+export const MESSAGE_CHANNEL_LABELS = {
+  sms: 'SMS',
+  kakao: '알림톡',
+  email: '이메일',
+};
+
+export const MESSAGE_STATUS = {
+  QUEUED: 'queued',
+  SENT: 'sent',
+  FAILED: 'failed',
+  SKIPPED: 'skipped', // no recipient for the channel
+};
+
+export const MESSAGE_STATUS_CONFIG = {
+  queued: { label: '발송 대기', color: 'bg-slate-100 text-slate-700' },
+  sent: { label: '발송 완료', color: 'bg-green-100 text-green-800' },
+  failed: { label: '발송 실패', color: 'bg-red-100 text-red-800' },
+  skipped: { label: '수신처 없음', color: 'bg-yellow-100 text-yellow-800' },
+};
+
+// Delivery attempts per message (including the first) before it is marked failed
+export const MESSAGE_MAX_ATTEMPTS = 3;
+
+// Who an announcement goes to (announcements.targetType)
+export const ANNOUNCEMENT_TARGET = {
+  CLASS: 'class',
+  COURSE: 'course',
+  SEASON: 'season',
+  STUDENTS: 'students', // hand-picked list
+};
+
+export const ANNOUNCEMENT_TARGET_LABELS = {
+  class: '반',
+  course: '강좌 수강생',
+  season: '학기 수강생',
+  students: '직접 선택',
+};
+
+// Admins created before custom roles (role: 'admin' without permissions)
+export const DEFAULT_ADMIN_PERMISSIONS = [
+  'viewStudents',
+  'editStudents',
+  'approveEnrollments',
+  'manageCourses',
+  'manageSeasons',
+  'manageAttendance',
+];
+
+// Audit log target types (auditLogs.entityType)
+export const AUDIT_ENTITY = {
+  STUDENT: 'student',
+  COURSE: 'course',
+  SEASON: 'season',
+  CLASS: 'class',
+  ENROLLMENT: 'enrollment',
+  ATTENDANCE: 'attendance',
+  ADMIN: 'admin',
+  ROLE: 'role',
+  GUARDIAN: 'guardian',
+  SETTINGS: 'settings',
+  MESSAGE: 'message',
+  ANNOUNCEMENT: 'announcement',
+  COLLECTION: 'collection',
+};
+
+export const AUDIT_ENTITY_LABELS = {
+  student: '학생',
+  course: '강좌',
+  season: '학기',
+  class: '반',
+  enrollment: '수강신청',
+  attendance: '출석',
+  admin: '관리자',
+  role: '역할',
+  guardian: '보호자',
+  settings: '학원 설정',
+  message: '발송 메시지',
+  announcement: '공지',
+  collection: '컬렉션',
+};
+
+// Audit log actions (auditLogs.action)
+export const AUDIT_ACTION_LABELS = {
+  create: '생성',
+  batchCreate: '일괄 생성',
+  update: '수정',
+  delete: '삭제',
+  toggle: '활성 상태 변경',
+  archive: '보관',
+  unarchive: '보관 해제',
+  approve: '승인',
+  autoApprove: '자동 승인',
+  reject: '거절',
+  reopen: '재검토',
+  enroll: '관리자 등록',
+  approveSwap: '강좌 변경 승인',
+  rejectSwap: '강좌 변경 거절',
+  assign: '반 배정',
+  unassign: '반 배정 해제',
+  autoAssign: '자동 반 배정',
+  recalculate: '인원 재계산',
+  check: '출석 체크',
+  invite: '초대',
+  revokeInvite: '초대 취소',
+  acceptInvite: '초대 수락',
+  issuePin: 'PIN 발급',
+  linkStudents: '자녀 연결 변경',
+  retryMessage: '메시지 재발송',
+  sendAnnouncement: '공지 발송',
+  cleanupNotifications: '읽은 알림 정리',
+  changeRole: '역할 변경',
+  wipe: '전체 삭제',
+  deleteSeasonData: '학기 데이터 삭제',
+  integrityFix: '정합성 복구',
 };
@@ -2,11 +2,15 @@ import { createContext, useContext, useState, useEffect } from 'react';
 import { 
   onAuthStateChanged, 
   signInWithEmailAndPassword, 
-  signOut,
-  createUserWithEmailAndPassword
+  signOut
 } from 'firebase/auth';
-import { doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
+import { doc, getDoc } from 'firebase/firestore';
 import { auth, db } from '../lib/firebase';
+import { getInstructorByAuthUid, linkInstructorAccount } from '../lib/instructorService';
+import { getGuardian } from '../lib/guardianService';
+import { getPermissionsFor } from '../lib/roleService';
+import { createAdminInvite } from '../lib/adminInviteService';
+import { PERMISSIONS } from '../constants';
 
 const AuthContext = createContext(null);
 
@@ -20,22 +24,53 @@ export const useAuth = () => {
 
 export const AuthProvider = ({ children }) => {
   const [admin, setAdmin] = useState(null);
+  const [instructor, setInstructor] = useState(null);
+  const [guardian, setGuardian] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     const unsubscribe = onAuthStateChanged(auth, async (user) => {
-      if (user) {
+      if (user?.isAnonymous) {
+        // Anonymous sign-ins are student sessions (see StudentContext)
+        setAdmin(null);
+        setInstructor(null);
+        setGuardian(null);
+      } else if (user) {
         // Fetch admin data from Firestore
         const adminDoc = await getDoc(doc(db, 'admins', user.uid));
         if (adminDoc.exists()) {
           setAdmin({ uid: user.uid, email: user.email, ...adminDoc.data() });
+          setInstructor(null);
+          setGuardian(null);
         } else {
-          // User exists in auth but not in admins collection
           setAdmin(null);
-          await signOut(auth);
+          // Instructor portal accounts are linked from the instructors collection
+          const instructorData = await getInstructorByAuthUid(user.uid);
+          if (instructorData?.isActive) {
+            try {
+              await linkInstructorAccount(instructorData.id, user.uid);
+            } catch (error) {
+              console.error('Failed to link instructor account:', error);
+            }
+            setInstructor({ uid: user.uid, email: user.email, ...instructorData, role: 'instructor' });
+            setGuardian(null);
+          } else {
+            setInstructor(null);
+            // Guardian accounts are keyed by auth uid
+            const guardianData = await getGuardian(user.uid);
+            if (guardianData?.isActive) {
+              setGuardian({ uid: user.uid, email: user.email, ...guardianData, role: 'guardian' });
+            } else {
+              // User exists in auth but is neither admin, active instructor nor active guardian
+              setGuardian(null);
+              await signOut(auth);
+            }
+          }
         }
       } else {
         setAdmin(null);
+        setInstructor(null);
+        setGuardian(null);
       }
       setLoading(false);
     });
@@ -65,29 +100,69 @@ export const AuthProvider = ({ children }) => {
     setAdmin(null);
   };
 
-  const inviteAdmin = async (email, password, name, role = 'admin') => {
-    if (!admin || admin.role !== 'superadmin') {
+  const loginInstructor = async (email, password) => {
+    try {
+      const userCredential = await signInWithEmailAndPassword(auth, email, password);
+      const instructorData = await getInstructorByAuthUid(userCredential.user.uid);
+
+      if (!instructorData || !instructorData.isActive) {
+        await signOut(auth);
+        throw new Error('강사 계정이 아니거나 비활성화된 계정입니다.');
+      }
+
+      return { uid: userCredential.user.uid, ...instructorData, role: 'instructor' };
+    } catch (error) {
+      console.error('Instructor login error:', error);
+      throw error;
+    }
+  };
+
+  const logoutInstructor = async () => {
+    await signOut(auth);
+    setInstructor(null);
+  };
+
+  const loginGuardian = async (email, password) => {
+    try {
+      const userCredential = await signInWithEmailAndPassword(auth, email, password);
+      const guardianData = await getGuardian(userCredential.user.uid);
+
+      if (!guardianData || !guardianData.isActive) {
+        await signOut(auth);
+        throw new Error('보호자 계정이 아니거나 비활성화된 계정입니다.');
+      }
+
+      return { uid: userCredential.user.uid, ...guardianData, role: 'guardian' };
+    } catch (error) {
+      console.error('Guardian login error:', error);
+      throw error;
+    }
+  };
+
+  const logoutGuardian = async () => {
+    await signOut(auth);
+    setGuardian(null);
+  };
+
+  const permissions = getPermissionsFor(admin);
+  const hasPermission = (permission) => permissions.includes(permission);
+
+  /**
+   * Create a pending invite; the invitee sets their own password from the invite link
+   * @param {'superadmin' | 'admin'} role
+   * @param {Object|null} customRole - Custom role from the roles collection (admin only)
+   * @returns {Promise<string>} Invite token
+   */
+  const inviteAdmin = async (email, name, role = 'admin', customRole = null) => {
+    if (!hasPermission(PERMISSIONS.MANAGE_ADMINS)) {
       throw new Error('권한이 없습니다.');
     }
+    if (role === 'superadmin' && admin.role !== 'superadmin') {
+      throw new Error('최고 관리자만 최고 관리자 권한을 부여할 수 있습니다.');
+    }
     
     try {
-      // Note: This creates the user in the current session's context
-      // For production, you might want to use Firebase Admin SDK or Cloud Functions
-      const userCredential = await createUserWithEmailAndPassword(auth, email, password);
-      
-      await setDoc(doc(db, 'admins', userCredential.user.uid), {
-        email,
-        name,
-        role,
-        createdAt: serverTimestamp(),
-        invitedBy: admin.uid,
-      });
-      
-      // Sign out the newly created user and sign back in as current admin
-      // This is a workaround for client-side user creation
-      await signOut(auth);
-      
-      return { success: true, message: '관리자가 추가되었습니다.' };
+      return await createAdminInvite({ email, name, role, customRole }, admin.uid);
     } catch (error) {
       console.error('Invite admin error:', error);
       throw error;
@@ -100,8 +175,18 @@ export const AuthProvider = ({ children }) => {
     loginAdmin,
     logoutAdmin,
     inviteAdmin,
+    instructor,
+    loginInstructor,
+    logoutInstructor,
     isAuthenticated: !!admin,
     isSuperAdmin: admin?.role === 'superadmin',
+    permissions,
+    hasPermission,
+    isInstructor: !!instructor,
+    guardian,
+    loginGuardian,
+    logoutGuardian,
+    isGuardian: !!guardian,
   };
 
   return (
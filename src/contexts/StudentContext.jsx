@@ -1,7 +1,14 @@
 import { createContext, useContext, useState, useEffect } from 'react';
 import { doc, getDoc, onSnapshot, collection, query, where } from 'firebase/firestore';
-import { db } from '../lib/firebase';
-import { generateStudentId } from '../lib/utils';
+import { onAuthStateChanged } from 'firebase/auth';
+import { auth, db } from '../lib/firebase';
+import {
+  signInStudent,
+  signOutStudent,
+  getSessionStudentId,
+  changeStudentPin
+} from '../lib/studentAuthService';
+import { ACTIVE_ENROLLMENT_STATUSES } from '../constants';
 
 const StudentContext = createContext(null);
 
@@ -18,14 +25,29 @@ export const StudentProvider = ({ children }) => {
   const [enrollments, setEnrollments] = useState([]);
   const [loading, setLoading] = useState(true);
 
-  // Check for existing session on mount
+  // Student sessions are anonymous sign-ins linked through studentSessions/{uid}
   useEffect(() => {
-    const savedStudentId = sessionStorage.getItem('studentId');
-    if (savedStudentId) {
-      loadStudent(savedStudentId);
-    } else {
+    const unsubscribe = onAuthStateChanged(auth, async (user) => {
+      if (!user?.isAnonymous) {
+        setStudent(null);
+        setLoading(false);
+        return;
+      }
+
+      try {
+        const studentId = await getSessionStudentId(user.uid);
+        if (studentId) {
+          await loadStudent(studentId);
+          return;
+        }
+      } catch (error) {
+        console.error('Student session error:', error);
+        setStudent(null);
+      }
       setLoading(false);
-    }
+    });
+
+    return () => unsubscribe();
   }, []);
 
   // Subscribe to enrollments when student is logged in
@@ -38,7 +60,7 @@ export const StudentProvider = ({ children }) => {
     const enrollmentsQuery = query(
       collection(db, 'enrollments'),
       where('studentId', '==', student.id),
-      where('status', 'in', ['pending', 'approved'])
+      where('status', 'in', ACTIVE_ENROLLMENT_STATUSES)
     );
 
     const unsubscribe = onSnapshot(enrollmentsQuery, (snapshot) => {
@@ -47,6 +69,9 @@ export const StudentProvider = ({ children }) => {
         ...doc.data()
       }));
       setEnrollments(enrollmentData);
+    }, (error) => {
+      console.error('Enrollments subscription error:', error);
+      setEnrollments([]);
     });
 
     return () => unsubscribe();
@@ -58,7 +83,6 @@ export const StudentProvider = ({ children }) => {
       if (studentDoc.exists()) {
         const studentData = { id: studentId, ...studentDoc.data() };
         setStudent(studentData);
-        sessionStorage.setItem('studentId', studentId);
         return studentData;
       }
       return null;
@@ -70,38 +94,28 @@ export const StudentProvider = ({ children }) => {
     }
   };
 
-  const loginStudent = async (name, phone) => {
+  const loginStudent = async (name, phone, pin) => {
     setLoading(true);
     try {
-      const studentId = generateStudentId(name, phone);
-      const studentDoc = await getDoc(doc(db, 'students', studentId));
-      
-      if (!studentDoc.exists()) {
-        throw new Error('등록되지 않은 학생입니다. 관리자에게 문의하세요.');
-      }
-      
-      const studentData = { id: studentId, ...studentDoc.data() };
-      
-      if (!studentData.enrollmentOpen) {
-        throw new Error('수강신청이 마감되었습니다. 관리자에게 문의하세요.');
-      }
-      
-      setStudent(studentData);
-      sessionStorage.setItem('studentId', studentId);
-      
-      return studentData;
+      const studentId = await signInStudent(name, phone, pin);
+      return await loadStudent(studentId);
     } catch (error) {
       console.error('Student login error:', error);
-      throw error;
-    } finally {
       setLoading(false);
+      throw error;
     }
   };
 
-  const logoutStudent = () => {
+  const changePin = async (newPin) => {
+    if (!student) return;
+    await changeStudentPin(student.id, newPin);
+    await loadStudent(student.id);
+  };
+
+  const logoutStudent = async () => {
     setStudent(null);
     setEnrollments([]);
-    sessionStorage.removeItem('studentId');
+    await signOutStudent();
   };
 
   const refreshStudent = async () => {
@@ -116,8 +130,10 @@ export const StudentProvider = ({ children }) => {
     loading,
     loginStudent,
     logoutStudent,
+    changePin,
     refreshStudent,
     isLoggedIn: !!student,
+    pinChangeRequired: !!student?.pinChangeRequired,
   };
 
   return (
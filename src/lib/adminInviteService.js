@@ -0,0 +1,231 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  writeBatch,
+  Timestamp,
+  serverTimestamp
+} from 'firebase/firestore';
+import {
+  createUserWithEmailAndPassword,
+  signInWithEmailAndPassword,
+  signOut
+} from 'firebase/auth';
+import { auth, db, getAccountCreationAuth, getAccountCreationDb } from './firebase';
+import { assertPermission, buildRoleAssignment } from './roleService';
+import { appendAuditLog } from './auditLogService';
+import {
+  PERMISSIONS,
+  ADMIN_INVITE_STATUS,
+  ADMIN_INVITE_EXPIRY_DAYS,
+  AUDIT_ENTITY
+} from '../constants';
+
+/**
+ * Admin Invite Schema (adminInvites collection, document id = one-time token):
+ * {
+ *   id (token),
+ *   email: string (lowercase login email, e.g. newadmin@academy.local),
+ *   name: string,
+ *   role, roleId, roleName, permissions (as written to the admin document, see buildRoleAssignment),
+ *   status: 'pending' | 'accepted' | 'revoked',
+ *   expiresAt: timestamp,
+ *   invitedBy: string (admin uid),
+ *   createdAt: timestamp,
+ *   acceptedAt / acceptedUid, revokedAt / revokedBy
+ * }
+ * The invitee sets their own password at /admin/accept-invite?token=...,
+ * so the inviting admin's session is never touched.
+ */
+
+const generateToken = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+};
+
+export const isInviteExpired = (invite) =>
+  !!invite.expiresAt && invite.expiresAt.toDate() < new Date();
+
+/**
+ * Link the invitee opens to set their password
+ */
+export const getInviteLink = (token) =>
+  `${window.location.origin}/admin/accept-invite?token=${token}`;
+
+/**
+ * Create a pending invite
+ * @param {Object} inviteData - { email, name, role: 'superadmin' | 'admin', customRole }
+ * @returns {Promise<string>} Invite token
+ */
+export const createAdminInvite = async ({ email, name, role, customRole = null }, adminUid) => {
+  await assertPermission(PERMISSIONS.MANAGE_ADMINS);
+
+  const normalizedEmail = email.trim().toLowerCase();
+
+  const [adminsSnapshot, invitesSnapshot] = await Promise.all([
+    getDocs(query(collection(db, 'admins'), where('email', '==', normalizedEmail))),
+    getDocs(query(collection(db, 'adminInvites'), where('email', '==', normalizedEmail))),
+  ]);
+  if (!adminsSnapshot.empty) {
+    throw new Error('이미 사용 중인 아이디입니다.');
+  }
+  const pending = invitesSnapshot.docs
+    .map(d => d.data())
+    .find(i => i.status === ADMIN_INVITE_STATUS.PENDING && !isInviteExpired(i));
+  if (pending) {
+    throw new Error('이미 초대 대기 중인 아이디입니다. 기존 초대를 취소한 후 다시 시도해주세요.');
+  }
+
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + ADMIN_INVITE_EXPIRY_DAYS);
+
+  const token = generateToken();
+  const inviteData = {
+    email: normalizedEmail,
+    name: name.trim(),
+    ...buildRoleAssignment(role, customRole),
+    status: ADMIN_INVITE_STATUS.PENDING,
+    expiresAt: Timestamp.fromDate(expiresAt),
+    invitedBy: adminUid,
+    createdAt: serverTimestamp(),
+  };
+  const batch = writeBatch(db);
+  batch.set(doc(db, 'adminInvites', token), inviteData);
+  appendAuditLog(batch, {
+    action: 'invite',
+    entityType: AUDIT_ENTITY.ADMIN,
+    entityId: token,
+    label: inviteData.name,
+    after: inviteData,
+  });
+  await batch.commit();
+
+  return token;
+};
+
+/**
+ * Get invites still waiting for the invitee (newest first, expired ones included)
+ */
+export const getPendingAdminInvites = async () => {
+  const invitesQuery = query(
+    collection(db, 'adminInvites'),
+    where('status', '==', ADMIN_INVITE_STATUS.PENDING)
+  );
+  const snapshot = await getDocs(invitesQuery);
+  return snapshot.docs
+    .map(d => ({ id: d.id, ...d.data() }))
+    .sort((a, b) => (b.createdAt?.seconds || 0) - (a.createdAt?.seconds || 0));
+};
+
+/**
+ * Revoke a pending invite; its link stops working
+ */
+export const revokeAdminInvite = async (token, adminUid) => {
+  await assertPermission(PERMISSIONS.MANAGE_ADMINS);
+
+  const inviteDoc = await getDoc(doc(db, 'adminInvites', token));
+  if (!inviteDoc.exists() || inviteDoc.data().status !== ADMIN_INVITE_STATUS.PENDING) {
+    throw new Error('취소할 수 있는 초대가 아닙니다.');
+  }
+
+  const batch = writeBatch(db);
+  batch.update(doc(db, 'adminInvites', token), {
+    status: ADMIN_INVITE_STATUS.REVOKED,
+    revokedAt: serverTimestamp(),
+    revokedBy: adminUid,
+  });
+  appendAuditLog(batch, {
+    action: 'revokeInvite',
+    entityType: AUDIT_ENTITY.ADMIN,
+    entityId: token,
+    label: inviteDoc.data().name,
+    before: inviteDoc.data(),
+  });
+  await batch.commit();
+};
+
+/**
+ * Get an invite by token for the accept page
+ * @returns {Promise<Object>} Invite, only if it can still be accepted
+ */
+export const getAdminInvite = async (token) => {
+  const inviteDoc = token ? await getDoc(doc(db, 'adminInvites', token)) : null;
+
+  if (!inviteDoc?.exists()) {
+    throw new Error('유효하지 않은 초대 링크입니다.');
+  }
+
+  const invite = { id: inviteDoc.id, ...inviteDoc.data() };
+  if (invite.status === ADMIN_INVITE_STATUS.ACCEPTED) {
+    throw new Error('이미 수락된 초대입니다. 관리자 로그인을 이용해주세요.');
+  }
+  if (invite.status === ADMIN_INVITE_STATUS.REVOKED) {
+    throw new Error('취소된 초대입니다. 관리자에게 다시 요청해주세요.');
+  }
+  if (isInviteExpired(invite)) {
+    throw new Error('만료된 초대입니다. 관리자에게 다시 요청해주세요.');
+  }
+
+  return invite;
+};
+
+/**
+ * Accept an invite: create (or reuse) the invitee's login, write their admin document,
+ * then sign them in.
+ * The account is set up on the secondary app so the auth listener never sees a signed-in
+ * user without an admin document (it would sign them out).
+ * A removed admin whose login still exists is re-invited by entering their existing password.
+ */
+export const acceptAdminInvite = async (token, password) => {
+  const invite = await getAdminInvite(token);
+
+  const accountAuth = getAccountCreationAuth();
+  let credential;
+  try {
+    credential = await createUserWithEmailAndPassword(accountAuth, invite.email, password);
+  } catch (error) {
+    if (error.code !== 'auth/email-already-in-use') throw error;
+    try {
+      credential = await signInWithEmailAndPassword(accountAuth, invite.email, password);
+    } catch {
+      throw new Error('이미 가입된 아이디입니다. 기존 비밀번호를 입력해주세요.');
+    }
+  }
+
+  const { uid } = credential.user;
+  try {
+    const accountDb = getAccountCreationDb();
+    const batch = writeBatch(accountDb);
+    batch.set(doc(accountDb, 'admins', uid), {
+      email: invite.email,
+      name: invite.name,
+      role: invite.role,
+      roleId: invite.roleId,
+      roleName: invite.roleName,
+      permissions: invite.permissions,
+      inviteToken: token,
+      invitedBy: invite.invitedBy,
+      createdAt: serverTimestamp(),
+    });
+    batch.update(doc(accountDb, 'adminInvites', token), {
+      status: ADMIN_INVITE_STATUS.ACCEPTED,
+      acceptedAt: serverTimestamp(),
+      acceptedUid: uid,
+    });
+    appendAuditLog(batch, {
+      action: 'acceptInvite',
+      entityType: AUDIT_ENTITY.ADMIN,
+      entityId: uid,
+      label: invite.name,
+      after: { inviteToken: token, role: invite.role, roleName: invite.roleName },
+    }, { firestore: accountDb, actor: credential.user });
+    await batch.commit();
+  } finally {
+    await signOut(accountAuth);
+  }
+
+  await signInWithEmailAndPassword(auth, invite.email, password);
+};
@@ -0,0 +1,177 @@
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  limit,
+  writeBatch,
+  serverTimestamp,
+  getCountFromServer,
+  Timestamp
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { assertPermission } from './roleService';
+import { appendAuditLog } from './auditLogService';
+import { getStudentsByClass } from './classService';
+import { NOTIFICATION_TYPES, createBulkNotifications } from './notificationService';
+import {
+  PERMISSIONS,
+  AUDIT_ENTITY,
+  ANNOUNCEMENT_TARGET,
+  ANNOUNCEMENT_TARGET_LABELS,
+  ENROLLMENT_STATUS
+} from '../constants';
+
+/**
+ * Announcement Schema (announcements collection, admins only):
+ * {
+ *   id,
+ *   title, message,
+ *   targetType: 'class' | 'course' | 'season' | 'students',
+ *   targetId: string | null (class name, course ID or season ID),
+ *   targetLabel: string (shown in the history),
+ *   recipientIds: string[] (the resolved target),
+ *   recipientCount: number (students who got it; those who muted 'info' are left out),
+ *   pinned: boolean,
+ *   scheduledAt: timestamp | null (null = sent immediately),
+ *   createdBy: string (admin uid),
+ *   createdAt: timestamp
+ * }
+ * Each recipient gets an 'info' notification carrying announcementId, pinned and
+ * visibleAt (= scheduledAt). Notifications are written up front and hidden by
+ * notificationService until visibleAt, so scheduling needs no server job.
+ */
+
+const approvedStudentIds = async (field, value) => {
+  const enrollmentsQuery = query(
+    collection(db, 'enrollments'),
+    where(field, '==', value),
+    where('status', '==', ENROLLMENT_STATUS.APPROVED)
+  );
+  const snapshot = await getDocs(enrollmentsQuery);
+  return snapshot.docs.map(d => d.data().studentId);
+};
+
+/**
+ * Student IDs an announcement target resolves to (deduplicated)
+ * @param {Object} target - { type, id, studentIds } (studentIds for hand-picked lists)
+ */
+export const resolveAnnouncementRecipients = async ({ type, id, studentIds = [] }) => {
+  let ids;
+  switch (type) {
+    case ANNOUNCEMENT_TARGET.CLASS:
+      ids = (await getStudentsByClass(id)).map(s => s.id);
+      break;
+    case ANNOUNCEMENT_TARGET.COURSE:
+      ids = await approvedStudentIds('courseId', id);
+      break;
+    case ANNOUNCEMENT_TARGET.SEASON:
+      ids = await approvedStudentIds('seasonId', id);
+      break;
+    case ANNOUNCEMENT_TARGET.STUDENTS:
+      ids = studentIds;
+      break;
+    default:
+      throw new Error('공지 대상을 선택해주세요.');
+  }
+  return [...new Set(ids)];
+};
+
+/**
+ * Send (or schedule) an announcement to every student in the target
+ * @param {Object} announcement - { title, message, target: { type, id, label, studentIds }, pinned, scheduledAt: Date | null }
+ * @returns {Promise<{ announcementId: string, recipientCount: number }>}
+ */
+export const sendAnnouncement = async ({ title, message, target, pinned = false, scheduledAt = null }, adminUid) => {
+  await assertPermission(PERMISSIONS.EDIT_STUDENTS);
+
+  if (!title.trim() || !message.trim()) {
+    throw new Error('제목과 내용을 입력해주세요.');
+  }
+  if (scheduledAt && scheduledAt <= new Date()) {
+    throw new Error('예약 시간은 현재 이후여야 합니다.');
+  }
+
+  const recipientIds = await resolveAnnouncementRecipients(target);
+  if (recipientIds.length === 0) {
+    throw new Error('공지를 받을 학생이 없습니다.');
+  }
+
+  const visibleAt = scheduledAt ? Timestamp.fromDate(scheduledAt) : null;
+  const announcementRef = doc(collection(db, 'announcements'));
+  const trimmedTitle = title.trim();
+  const trimmedMessage = message.trim();
+
+  const recipientCount = await createBulkNotifications(recipientIds, {
+    type: NOTIFICATION_TYPES.INFO,
+    title: trimmedTitle,
+    message: trimmedMessage,
+    announcementId: announcementRef.id,
+    pinned,
+    visibleAt,
+  });
+
+  const announcementData = {
+    title: trimmedTitle,
+    message: trimmedMessage,
+    targetType: target.type,
+    targetId: target.id || null,
+    targetLabel: target.label || ANNOUNCEMENT_TARGET_LABELS[target.type],
+    recipientIds,
+    recipientCount,
+    pinned,
+    scheduledAt: visibleAt,
+    createdBy: adminUid,
+    createdAt: serverTimestamp(),
+  };
+  const batch = writeBatch(db);
+  batch.set(announcementRef, announcementData);
+
+  // The recipient list can be long; the audit entry keeps the count only
+  const { recipientIds: _recipientIds, ...auditedData } = announcementData;
+  appendAuditLog(batch, {
+    action: 'sendAnnouncement',
+    entityType: AUDIT_ENTITY.ANNOUNCEMENT,
+    entityId: announcementRef.id,
+    label: `${announcementData.title} → ${announcementData.targetLabel} (${recipientCount}명)`,
+    after: auditedData,
+  });
+  await batch.commit();
+
+  return { announcementId: announcementRef.id, recipientCount };
+};
+
+/**
+ * Get recent announcements (newest first)
+ */
+export const getAnnouncements = async (maxCount = 50) => {
+  const announcementsQuery = query(
+    collection(db, 'announcements'),
+    orderBy('createdAt', 'desc'),
+    limit(maxCount)
+  );
+
+  const snapshot = await getDocs(announcementsQuery);
+  return snapshot.docs.map(doc => ({
+    id: doc.id,
+    ...doc.data()
+  }));
+};
+
+/**
+ * Read receipts of an announcement: how many recipients have read it
+ * @returns {Promise<{ total: number, read: number }>}
+ */
+export const getAnnouncementReadStats = async (announcementId) => {
+  const recipientsQuery = query(
+    collection(db, 'notifications'),
+    where('announcementId', '==', announcementId)
+  );
+  const [total, read] = await Promise.all([
+    getCountFromServer(recipientsQuery),
+    getCountFromServer(query(recipientsQuery, where('read', '==', true))),
+  ]);
+  return { total: total.data().count, read: read.data().count };
+};
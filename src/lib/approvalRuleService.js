@@ -0,0 +1,126 @@
+import {
+  collection,
+  doc,
+  getDocs,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { assertPermission } from './roleService';
+import { PERMISSIONS } from '../constants';
+
+/**
+ * Approval Rule Schema (approvalRules collection):
+ * {
+ *   id,
+ *   name: string,
+ *   seasonId: string,
+ *   courseId: string | null (null = every course in the season),
+ *   conditions: {
+ *     classNames: string[] (empty = any class),
+ *     requireNoConflict: boolean,
+ *     minSeatsLeft: number | null (seats left before the request takes one)
+ *   },
+ *   isActive: boolean,
+ *   createdAt: timestamp,
+ *   createdBy: string (admin uid)
+ * }
+ */
+
+/**
+ * Create an auto-approval rule
+ */
+export const createApprovalRule = async (ruleData, adminUid) => {
+  await assertPermission(PERMISSIONS.APPROVE_ENROLLMENTS);
+
+  const docRef = await addDoc(collection(db, 'approvalRules'), {
+    name: ruleData.name,
+    seasonId: ruleData.seasonId,
+    courseId: ruleData.courseId || null,
+    conditions: {
+      classNames: ruleData.conditions?.classNames || [],
+      requireNoConflict: !!ruleData.conditions?.requireNoConflict,
+      minSeatsLeft: ruleData.conditions?.minSeatsLeft ?? null,
+    },
+    isActive: true,
+    createdAt: serverTimestamp(),
+    createdBy: adminUid,
+  });
+
+  return docRef.id;
+};
+
+/**
+ * Get auto-approval rules for a season
+ */
+export const getApprovalRules = async (seasonId) => {
+  const rulesQuery = query(
+    collection(db, 'approvalRules'),
+    where('seasonId', '==', seasonId)
+  );
+
+  const snapshot = await getDocs(rulesQuery);
+  const rules = snapshot.docs.map(doc => ({
+    id: doc.id,
+    ...doc.data()
+  }));
+
+  // Sort in memory
+  return rules.sort((a, b) => (a.createdAt?.seconds || 0) - (b.createdAt?.seconds || 0));
+};
+
+/**
+ * Update an auto-approval rule
+ */
+export const updateApprovalRule = async (ruleId, updates) => {
+  await assertPermission(PERMISSIONS.APPROVE_ENROLLMENTS);
+
+  await updateDoc(doc(db, 'approvalRules', ruleId), {
+    ...updates,
+    updatedAt: serverTimestamp(),
+  });
+};
+
+/**
+ * Toggle rule active status
+ */
+export const toggleApprovalRule = async (ruleId, isActive) => {
+  await assertPermission(PERMISSIONS.APPROVE_ENROLLMENTS);
+
+  await updateApprovalRule(ruleId, { isActive });
+};
+
+/**
+ * Delete an auto-approval rule
+ */
+export const deleteApprovalRule = async (ruleId) => {
+  await assertPermission(PERMISSIONS.APPROVE_ENROLLMENTS);
+
+  await deleteDoc(doc(db, 'approvalRules', ruleId));
+};
+
+/**
+ * Find the first active rule that approves a request.
+ * Course-scoped rules are tried before season-wide ones.
+ * @param {Array} rules - Rules of the request's season
+ * @param {Object} request - { courseId, className, hasConflict, seatsLeft }
+ * @returns {Object|null} Matching rule
+ */
+export const findMatchingRule = (rules, { courseId, className, hasConflict, seatsLeft }) => {
+  const candidates = rules
+    .filter(rule => rule.isActive && (!rule.courseId || rule.courseId === courseId))
+    .sort((a, b) => (a.courseId ? 0 : 1) - (b.courseId ? 0 : 1));
+
+  return candidates.find(rule => {
+    const { classNames = [], requireNoConflict, minSeatsLeft } = rule.conditions || {};
+
+    if (classNames.length > 0 && !classNames.includes(className)) return false;
+    if (requireNoConflict && hasConflict) return false;
+    if (minSeatsLeft != null && seatsLeft < minSeatsLeft) return false;
+    return true;
+  }) || null;
+};
@@ -3,8 +3,6 @@ import {
   doc, 
   getDoc, 
   getDocs, 
-  addDoc, 
-  updateDoc, 
   query,
   where,
   orderBy,
@@ -12,6 +10,9 @@ import {
   writeBatch
 } from 'firebase/firestore';
 import { db } from './firebase';
+import { appendAuditLog } from './auditLogService';
+import { queueAttendanceAlerts } from './messagingService';
+import { AUDIT_ENTITY } from '../constants';
 
 /**
  * Attendance Schema:
@@ -22,7 +23,7 @@ import { db } from './firebase';
  *   date: string (YYYY-MM-DD format),
  *   status: 'present' | 'absent' | 'late' | 'excused',
  *   note: string (optional),
- *   checkedBy: string (admin uid),
+ *   checkedBy: string (admin or instructor auth uid),
  *   checkedAt: timestamp
  * }
  */
@@ -41,6 +42,15 @@ export const ATTENDANCE_STATUS_CONFIG = {
   excused: { label: '사유', color: 'bg-blue-100 text-blue-800', badgeColor: 'bg-blue-500' },
 };
 
+// Guardians hear about these through the message queue; a queueing failure doesn't undo the save
+const notifyGuardians = async (courseId, date, changedRecords) => {
+  try {
+    await queueAttendanceAlerts(courseId, date, changedRecords);
+  } catch (error) {
+    console.error('Failed to queue attendance alerts:', error);
+  }
+};
+
 /**
  * Check attendance for a single student
  */
@@ -55,20 +65,35 @@ export const checkAttendance = async (courseId, studentId, date, status, note =
   
   const existingDocs = await getDocs(existingQuery);
   
+  const auditEntry = {
+    action: 'check',
+    entityType: AUDIT_ENTITY.ATTENDANCE,
+    label: `${studentId} · ${date}`,
+    after: { courseId, studentId, date, status, note },
+  };
+  
+  const batch = writeBatch(db);
+  
   if (!existingDocs.empty) {
     // Update existing record
-    const docRef = existingDocs.docs[0].ref;
-    await updateDoc(docRef, {
+    const existing = existingDocs.docs[0];
+    batch.update(existing.ref, {
       status,
       note,
       checkedBy: adminUid,
       checkedAt: serverTimestamp(),
     });
-    return { id: existingDocs.docs[0].id, updated: true };
+    appendAuditLog(batch, { ...auditEntry, entityId: existing.id, before: existing.data() });
+    await batch.commit();
+    if (existing.data().status !== status) {
+      await notifyGuardians(courseId, date, [{ studentId, status }]);
+    }
+    return { id: existing.id, updated: true };
   }
   
   // Create new record
-  const docRef = await addDoc(collection(db, 'attendance'), {
+  const docRef = doc(collection(db, 'attendance'));
+  batch.set(docRef, {
     courseId,
     studentId,
     date,
@@ -77,6 +102,9 @@ export const checkAttendance = async (courseId, studentId, date, status, note =
     checkedBy: adminUid,
     checkedAt: serverTimestamp(),
   });
+  appendAuditLog(batch, { ...auditEntry, entityId: docRef.id });
+  await batch.commit();
+  await notifyGuardians(courseId, date, [{ studentId, status }]);
   
   return { id: docRef.id, created: true };
 };
@@ -86,7 +114,7 @@ export const checkAttendance = async (courseId, studentId, date, status, note =
  * @param {string} courseId - Course ID
  * @param {string} date - Date in YYYY-MM-DD format
  * @param {Array} attendanceList - Array of { studentId, status, note }
- * @param {string} adminUid - Admin UID who is checking attendance
+ * @param {string} adminUid - Auth UID of the admin or assigned instructor checking attendance
  */
 export const bulkCheckAttendance = async (courseId, date, attendanceList, adminUid) => {
   const results = [];
@@ -133,7 +161,21 @@ export const bulkCheckAttendance = async (courseId, date, attendanceList, adminU
     }
   }
   
+  // One entry per session: previous and new status of every student in it
+  const toStatusMap = (entries) => Object.fromEntries(entries.map(e => [e.studentId, { status: e.status, note: e.note || '' }]));
+  appendAuditLog(batch, {
+    action: 'check',
+    entityType: AUDIT_ENTITY.ATTENDANCE,
+    entityId: courseId,
+    label: `${date} (${attendanceList.length}명)`,
+    before: toStatusMap(existingDocs.docs.map(d => d.data())),
+    after: { courseId, date, records: toStatusMap(attendanceList) },
+  });
+  
   await batch.commit();
+  await notifyGuardians(courseId, date, attendanceList.filter(
+    item => existingMap[item.studentId]?.data().status !== item.status
+  ));
   return results;
 };
 
@@ -0,0 +1,124 @@
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  writeBatch,
+  Timestamp,
+  serverTimestamp
+} from 'firebase/firestore';
+import { auth, db } from './firebase';
+
+/**
+ * Audit Log Schema (auditLogs collection, append-only, readable by superadmins only):
+ * {
+ *   id,
+ *   actorUid: string,
+ *   actorEmail: string | null,
+ *   action: string (AUDIT_ACTION_LABELS key),
+ *   entityType: string (AUDIT_ENTITY value),
+ *   entityId: string | null (null for bulk operations),
+ *   label: string | null (human readable target, e.g. student name),
+ *   before: Object | null (document before the change; null = created),
+ *   after: Object | null (written fields; null = deleted),
+ *   at: timestamp
+ * }
+ *
+ * Audit Head Schema (auditHeads collection, document id = actor uid, never readable):
+ * {
+ *   auditId: string (the actor's latest auditLogs entry),
+ *   at: timestamp
+ * }
+ * Written with every entry; firestore.rules accept privileged writes only when the same
+ * request moved the writer's head (an entry was appended alongside).
+ */
+
+const BATCH_LIMIT = 450; // Firestore batch limit is 500, leaves room for the audit entry and head
+
+/**
+ * Drop undefined values, which Firestore refuses to store.
+ * Timestamps and other class instances are kept as they are.
+ */
+const toSnapshot = (value) => {
+  if (value === undefined) return null;
+  if (Array.isArray(value)) return value.map(toSnapshot);
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, v]) => v !== undefined)
+        .map(([k, v]) => [k, toSnapshot(v)])
+    );
+  }
+  return value;
+};
+
+const buildEntry = ({ action, entityType, entityId = null, label = null, before = null, after = null }, actor) => ({
+  actorUid: actor?.uid || null,
+  actorEmail: actor?.email || null,
+  action,
+  entityType,
+  entityId,
+  label,
+  before: toSnapshot(before),
+  after: toSnapshot(after),
+  at: serverTimestamp(),
+});
+
+/**
+ * Append an audit entry through the caller's transaction or batch,
+ * so it commits together with the change it describes.
+ * @param {Object} writer - Firestore transaction or write batch
+ * @param {Object} entry - { action, entityType, entityId, label, before, after }
+ * @param {Object} options - { firestore, actor } when the writer belongs to another app
+ *   (getAccountCreationDb and the user signed in to it)
+ */
+export const appendAuditLog = (writer, entry, { firestore = db, actor = auth.currentUser } = {}) => {
+  const entryRef = doc(collection(firestore, 'auditLogs'));
+  writer.set(entryRef, buildEntry(entry, actor));
+  writer.set(doc(firestore, 'auditHeads', actor.uid), { auditId: entryRef.id, at: serverTimestamp() });
+};
+
+/**
+ * Commit writes together with their audit entry. More writes than one batch holds are
+ * split into batches that each carry the entry (numbered label; before/after only on the
+ * first), so no batch lands unlogged.
+ * A failed batch rethrows with error.committedWrites: how many leading writes did land.
+ * @param {Array<Function>} writes - (batch) => void, one document write each
+ * @param {Object} entry - { action, entityType, entityId, label, before, after }
+ */
+export const commitAuditedWrites = async (writes, entry) => {
+  const batchCount = Math.max(1, Math.ceil(writes.length / BATCH_LIMIT));
+
+  for (let i = 0; i < batchCount; i++) {
+    const batch = writeBatch(db);
+    writes.slice(i * BATCH_LIMIT, (i + 1) * BATCH_LIMIT).forEach(write => write(batch));
+    appendAuditLog(batch, batchCount === 1 ? entry : {
+      ...(i === 0 ? entry : { action: entry.action, entityType: entry.entityType, entityId: entry.entityId }),
+      label: `${entry.label || ''} (${i + 1}/${batchCount})`.trim(),
+    });
+    try {
+      await batch.commit();
+    } catch (error) {
+      error.committedWrites = i * BATCH_LIMIT;
+      throw error;
+    }
+  }
+};
+
+/**
+ * Get audit entries in a date range, newest first.
+ * Only the time range is queried (single-field index); filter by actor or entity
+ * in memory to avoid composite indexes.
+ * @param {Object} range - { startDate, endDate } (Date, optional)
+ */
+export const getAuditLogs = async ({ startDate = null, endDate = null } = {}) => {
+  const constraints = [];
+  if (startDate) constraints.push(where('at', '>=', Timestamp.fromDate(startDate)));
+  if (endDate) constraints.push(where('at', '<=', Timestamp.fromDate(endDate)));
+
+  const snapshot = await getDocs(query(collection(db, 'auditLogs'), ...constraints));
+  return snapshot.docs
+    .map(d => ({ id: d.id, ...d.data() }))
+    .sort((a, b) => (b.at?.seconds || 0) - (a.at?.seconds || 0));
+};
@@ -3,21 +3,26 @@ import {
   doc, 
   getDoc, 
   getDocs, 
-  addDoc, 
   updateDoc, 
-  deleteDoc,
   query,
   where,
   orderBy,
+  writeBatch,
   serverTimestamp 
 } from 'firebase/firestore';
 import { db } from './firebase';
+import { assertPermission } from './roleService';
+import { appendAuditLog, commitAuditedWrites } from './auditLogService';
+import { syncEnrollmentSnapshots } from './studentService';
+import { PERMISSIONS, AUDIT_ENTITY } from '../constants';
 
 /**
  * Create a new class (반)
  */
 export const createClass = async (classData, adminUid) => {
-  const docRef = await addDoc(collection(db, 'classes'), {
+  await assertPermission(PERMISSIONS.EDIT_STUDENTS);
+
+  const data = {
     name: classData.name,
     description: classData.description || '',
     capacity: classData.capacity || 30,
@@ -26,7 +31,18 @@ export const createClass = async (classData, adminUid) => {
     isActive: true,
     createdAt: serverTimestamp(),
     createdBy: adminUid,
+  };
+  const docRef = doc(collection(db, 'classes'));
+  const batch = writeBatch(db);
+  batch.set(docRef, data);
+  appendAuditLog(batch, {
+    action: 'create',
+    entityType: AUDIT_ENTITY.CLASS,
+    entityId: docRef.id,
+    label: classData.name,
+    after: data,
   });
+  await batch.commit();
   
   return docRef.id;
 };
@@ -99,30 +115,63 @@ export const getClass = async (classId) => {
 };
 
 /**
- * Update a class
+ * Update a class document and record the change with its previous values
  */
-export const updateClass = async (classId, updates) => {
-  await updateDoc(doc(db, 'classes', classId), {
+const updateClassAudited = async (classId, updates, action = 'update') => {
+  const before = await getClass(classId);
+  
+  const batch = writeBatch(db);
+  batch.update(doc(db, 'classes', classId), {
     ...updates,
     updatedAt: serverTimestamp(),
   });
+  appendAuditLog(batch, {
+    action,
+    entityType: AUDIT_ENTITY.CLASS,
+    entityId: classId,
+    label: before?.name || classId,
+    before,
+    after: updates,
+  });
+  await batch.commit();
+};
+
+/**
+ * Update a class
+ */
+export const updateClass = async (classId, updates) => {
+  await assertPermission(PERMISSIONS.EDIT_STUDENTS);
+
+  await updateClassAudited(classId, updates);
 };
 
 /**
  * Toggle class active status
  */
 export const toggleClassActive = async (classId, isActive) => {
-  await updateDoc(doc(db, 'classes', classId), {
-    isActive,
-    updatedAt: serverTimestamp(),
-  });
+  await assertPermission(PERMISSIONS.EDIT_STUDENTS);
+
+  await updateClassAudited(classId, { isActive }, 'toggle');
 };
 
 /**
  * Delete a class
  */
 export const deleteClass = async (classId) => {
-  await deleteDoc(doc(db, 'classes', classId));
+  await assertPermission(PERMISSIONS.DELETE_DATA);
+
+  const before = await getClass(classId);
+  
+  const batch = writeBatch(db);
+  batch.delete(doc(db, 'classes', classId));
+  appendAuditLog(batch, {
+    action: 'delete',
+    entityType: AUDIT_ENTITY.CLASS,
+    entityId: classId,
+    label: before?.name || classId,
+    before,
+  });
+  await batch.commit();
 };
 
 /**
@@ -162,49 +211,80 @@ export const getStudentsByClass = async (className) => {
 };
 
 /**
- * Assign a student to a class
+ * Set the class of one student and record the previous class
  */
-export const assignStudentToClass = async (studentId, className) => {
-  await updateDoc(doc(db, 'students', studentId), {
+const setStudentClassAudited = async (studentId, className, action) => {
+  const studentDoc = await getDoc(doc(db, 'students', studentId));
+  const student = studentDoc.exists() ? studentDoc.data() : null;
+  
+  const batch = writeBatch(db);
+  batch.update(doc(db, 'students', studentId), {
+    class: className,
+    updatedAt: serverTimestamp(),
+  });
+  appendAuditLog(batch, {
+    action,
+    entityType: AUDIT_ENTITY.STUDENT,
+    entityId: studentId,
+    label: student?.name || studentId,
+    before: { class: student?.class || '' },
+    after: { class: className },
+  });
+  await batch.commit();
+  await syncEnrollmentSnapshots(studentId, { studentClass: className });
+};
+
+/**
+ * Set the class of several students at once, with one audit entry for the change
+ */
+const setStudentsClassAudited = async (action, studentIds, className) => {
+  const writes = studentIds.map(id => batch => batch.update(doc(db, 'students', id), {
     class: className,
     updatedAt: serverTimestamp(),
+  }));
+  await commitAuditedWrites(writes, {
+    action,
+    entityType: AUDIT_ENTITY.STUDENT,
+    label: className ? `${studentIds.length}명 → ${className}` : `${studentIds.length}명`,
+    after: { studentIds, class: className },
   });
+  await Promise.all(studentIds.map(id => syncEnrollmentSnapshots(id, { studentClass: className })));
+};
+
+/**
+ * Assign a student to a class
+ */
+export const assignStudentToClass = async (studentId, className) => {
+  await assertPermission(PERMISSIONS.EDIT_STUDENTS);
+
+  await setStudentClassAudited(studentId, className, 'assign');
 };
 
 /**
  * Batch assign students to a class
  */
 export const batchAssignStudentsToClass = async (studentIds, className) => {
-  const promises = studentIds.map(id => 
-    updateDoc(doc(db, 'students', id), {
-      class: className,
-      updatedAt: serverTimestamp(),
-    })
-  );
-  await Promise.all(promises);
+  await assertPermission(PERMISSIONS.EDIT_STUDENTS);
+
+  await setStudentsClassAudited('assign', studentIds, className);
 };
 
 /**
  * Remove student from class (set to empty)
  */
 export const removeStudentFromClass = async (studentId) => {
-  await updateDoc(doc(db, 'students', studentId), {
-    class: '',
-    updatedAt: serverTimestamp(),
-  });
+  await assertPermission(PERMISSIONS.EDIT_STUDENTS);
+
+  await setStudentClassAudited(studentId, '', 'unassign');
 };
 
 /**
  * Batch remove students from class
  */
 export const batchRemoveStudentsFromClass = async (studentIds) => {
-  const promises = studentIds.map(id => 
-    updateDoc(doc(db, 'students', id), {
-      class: '',
-      updatedAt: serverTimestamp(),
-    })
-  );
-  await Promise.all(promises);
+  await assertPermission(PERMISSIONS.EDIT_STUDENTS);
+
+  await setStudentsClassAudited('unassign', studentIds, '');
 };
 
 /**
@@ -339,13 +419,19 @@ export const autoAssignStudents = async (method, students, classes, options = {}
  * Execute auto-assignment (apply the results)
  */
 export const executeAutoAssignment = async (assignments) => {
-  const promises = assignments.map(a => 
-    updateDoc(doc(db, 'students', a.studentId), {
-      class: a.className,
-      updatedAt: serverTimestamp(),
-    })
-  );
-  await Promise.all(promises);
+  await assertPermission(PERMISSIONS.EDIT_STUDENTS);
+
+  const writes = assignments.map(a => batch => batch.update(doc(db, 'students', a.studentId), {
+    class: a.className,
+    updatedAt: serverTimestamp(),
+  }));
+  await commitAuditedWrites(writes, {
+    action: 'autoAssign',
+    entityType: AUDIT_ENTITY.STUDENT,
+    label: `${assignments.length}명`,
+    after: { assignments: assignments.map(a => ({ studentId: a.studentId, class: a.className })) },
+  });
+  await Promise.all(assignments.map(a => syncEnrollmentSnapshots(a.studentId, { studentClass: a.className })));
   return assignments.length;
 };
 
@@ -353,6 +439,8 @@ export const executeAutoAssignment = async (assignments) => {
  * Recalculate student counts for all classes
  */
 export const recalculateClassCounts = async () => {
+  await assertPermission(PERMISSIONS.EDIT_STUDENTS);
+
   // Get all students
   const studentsSnapshot = await getDocs(collection(db, 'students'));
   const students = studentsSnapshot.docs.map(doc => doc.data());
@@ -369,15 +457,20 @@ export const recalculateClassCounts = async () => {
   const classesSnapshot = await getDocs(collection(db, 'classes'));
   
   // Update each class with correct count
-  const updates = classesSnapshot.docs.map(classDoc => {
+  const writes = classesSnapshot.docs.map(classDoc => {
     const className = classDoc.data().name;
     const count = classCounts[className] || 0;
-    return updateDoc(doc(db, 'classes', classDoc.id), {
+    return batch => batch.update(doc(db, 'classes', classDoc.id), {
       studentCount: count,
       updatedAt: serverTimestamp(),
     });
   });
   
-  await Promise.all(updates);
+  await commitAuditedWrites(writes, {
+    action: 'recalculate',
+    entityType: AUDIT_ENTITY.CLASS,
+    before: Object.fromEntries(classesSnapshot.docs.map(d => [d.data().name, d.data().studentCount || 0])),
+    after: classCounts,
+  });
   return classCounts;
 };
@@ -3,17 +3,22 @@ import {
   doc, 
   getDoc, 
   getDocs, 
-  addDoc, 
   updateDoc, 
-  deleteDoc,
   query,
   where,
   orderBy,
   onSnapshot,
+  writeBatch,
   serverTimestamp 
 } from 'firebase/firestore';
 import { db } from './firebase';
-import { getCategoryColor } from './utils';
+import { getCategoryColor, findRoomConflicts, findInstructorConflicts, formatSchedules } from './utils';
+import { getAllRooms } from './roomService';
+import { getAllInstructors } from './instructorService';
+import { ALLOCATION_MODE, PERMISSIONS, AUDIT_ENTITY, ENROLLMENT_STATUS } from '../constants';
+import { assertPermission } from './roleService';
+import { appendAuditLog, commitAuditedWrites } from './auditLogService';
+import { createCourseChangedNotifications } from './notificationService';
 
 /**
  * Normalize course data to always have schedules array
@@ -71,10 +76,86 @@ export const schedulesToLegacyFormat = (schedules) => {
   };
 };
 
+/**
+ * Refuse to schedule an instructor into overlapping periods within a season,
+ * and a room into overlapping periods unless the admin explicitly allows it
+ * @param {Object} options - { checkInstructor, checkRoom, allowRoomConflict }
+ */
+const assertScheduleAvailable = async (course, options) => {
+  const { checkInstructor = true, checkRoom = true, allowRoomConflict = false } = options;
+  if (!checkInstructor && (!checkRoom || allowRoomConflict)) return;
+  
+  const seasonCoursesQuery = query(
+    collection(db, 'courses'),
+    where('seasonId', '==', course.seasonId)
+  );
+  const snapshot = await getDocs(seasonCoursesQuery);
+  const seasonCourses = snapshot.docs.map(d => normalizeCourseSchedules({ id: d.id, ...d.data() }));
+  
+  const conflicts = checkInstructor ? findInstructorConflicts(course, seasonCourses) : [];
+  if (conflicts.length > 0) {
+    throw new Error(`${course.instructor} 강사의 다른 강좌와 시간이 겹칩니다: ${conflicts.map(c => c.title).join(', ')}`);
+  }
+  
+  const roomConflicts = checkRoom && !allowRoomConflict ? findRoomConflicts(course, seasonCourses) : [];
+  if (roomConflicts.length > 0) {
+    throw new Error(`강의실 중복: ${course.room} (${roomConflicts.map(c => c.title).join(', ')})`);
+  }
+};
+
+/**
+ * Changes students need to hear about (schedule, room, instructor) as "before → after" lines
+ */
+const describeCourseChanges = (current, updates) => {
+  const changes = [];
+  if (updates.schedules) {
+    const before = formatSchedules(current.schedules);
+    const after = formatSchedules(updates.schedules);
+    if (before !== after) changes.push(`시간: ${before} → ${after}`);
+  }
+  if (updates.room !== undefined && (updates.room || '') !== (current.room || '')) {
+    changes.push(`강의실: ${current.room || '미정'} → ${updates.room || '미정'}`);
+  }
+  if (updates.instructor !== undefined && (updates.instructor || '') !== (current.instructor || '')) {
+    changes.push(`강사: ${current.instructor || '미정'} → ${updates.instructor || '미정'}`);
+  }
+  return changes;
+};
+
+/**
+ * Notify everyone with a pending or approved enrollment in the course.
+ * Called after the course change commits, so a failed notification never rolls it back;
+ * the rules let whoever may change or delete a course send these.
+ */
+const notifyCourseEnrollees = async (courseId, courseName, message) => {
+  try {
+    const enrollmentsQuery = query(
+      collection(db, 'enrollments'),
+      where('courseId', '==', courseId),
+      where('status', 'in', [ENROLLMENT_STATUS.PENDING, ENROLLMENT_STATUS.APPROVED])
+    );
+    const snapshot = await getDocs(enrollmentsQuery);
+    const studentIds = [...new Set(snapshot.docs.map(d => d.data().studentId))];
+    await createCourseChangedNotifications(studentIds, courseName, courseId, message);
+  } catch (error) {
+    console.error('Failed to notify course enrollees:', error);
+  }
+};
+
+const closedCourseMessage = (title) =>
+  `"${title}" 강좌가 운영 중단되었습니다. 수강 일정은 학원에 문의해주세요.`;
+
 /**
  * Create a new course
+ * Refuses instructor and room double-bookings; a room conflict may be overridden explicitly.
+ * @param {Object} options - { allowRoomConflict: boolean }
  */
-export const createCourse = async (courseData, adminUid) => {
+export const createCourse = async (courseData, adminUid, options = {}) => {
+  await assertPermission(PERMISSIONS.MANAGE_COURSES);
+
+  const { allowRoomConflict = false } = options;
+  await assertScheduleAvailable(courseData, { allowRoomConflict });
+  
   const colorConfig = getCategoryColor(courseData.category);
   
   // Build schedules array from courseData
@@ -83,9 +164,12 @@ export const createCourse = async (courseData, adminUid) => {
   // Also store legacy fields for backward compatibility
   const legacyFormat = schedulesToLegacyFormat(schedules);
   
-  const docRef = await addDoc(collection(db, 'courses'), {
+  const docRef = doc(collection(db, 'courses'));
+  const batch = writeBatch(db);
+  batch.set(docRef, {
     title: courseData.title,
     instructor: courseData.instructor,
+    instructorId: courseData.instructorId || null,
     category: courseData.category,
     level: courseData.level,
     // Store both new and legacy format
@@ -94,8 +178,15 @@ export const createCourse = async (courseData, adminUid) => {
     startPeriod: legacyFormat.startPeriod,
     endPeriod: legacyFormat.endPeriod,
     room: courseData.room,
+    roomId: courseData.roomId || null,
     capacity: courseData.capacity,
     enrolled: 0,
+    waitlistCount: 0,
+    allocationMode: courseData.allocationMode || ALLOCATION_MODE.FCFS,
+    lotteryEntryCount: 0,
+    lotteryDrawnAt: null,
+    prerequisiteIds: courseData.prerequisiteIds || [],
+    corequisiteIds: courseData.corequisiteIds || [],
     description: courseData.description || '',
     seasonId: courseData.seasonId,
     isActive: true,
@@ -103,6 +194,14 @@ export const createCourse = async (courseData, adminUid) => {
     createdAt: serverTimestamp(),
     createdBy: adminUid,
   });
+  appendAuditLog(batch, {
+    action: 'create',
+    entityType: AUDIT_ENTITY.COURSE,
+    entityId: docRef.id,
+    label: courseData.title,
+    after: allowRoomConflict ? { ...courseData, roomConflictOverride: true } : courseData,
+  });
+  await batch.commit();
   
   return docRef.id;
 };
@@ -141,6 +240,23 @@ export const getCoursesBySeason = async (seasonId) => {
   }));
 };
 
+/**
+ * Get active courses taught by an instructor (for the instructor portal)
+ */
+export const getCoursesByInstructor = async (instructorId) => {
+  // Sort in JavaScript to avoid a composite index
+  const coursesQuery = query(
+    collection(db, 'courses'),
+    where('instructorId', '==', instructorId),
+    where('isActive', '==', true)
+  );
+
+  const snapshot = await getDocs(coursesQuery);
+  return snapshot.docs
+    .map(doc => normalizeCourseSchedules({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => (a.title || '').localeCompare(b.title || '', 'ko'));
+};
+
 /**
  * Get active courses for student view (with schedule normalization)
  */
@@ -216,9 +332,28 @@ export const getCourse = async (courseId) => {
 };
 
 /**
- * Update a course
+ * Update a course. Pending and approved enrollees are notified when the schedule,
+ * room or instructor changes, or when the course is deactivated.
+ * Refuses instructor and room double-bookings; a room conflict may be overridden explicitly.
+ * @param {Object} options - { allowRoomConflict: boolean }
  */
-export const updateCourse = async (courseId, updates) => {
+export const updateCourse = async (courseId, updates, options = {}) => {
+  await assertPermission(PERMISSIONS.MANAGE_COURSES);
+
+  const { allowRoomConflict = false } = options;
+  const current = await getCourse(courseId);
+
+  // Re-check the instructor's and the room's timetable when who, where or when changes
+  const merged = { ...current, ...updates, id: courseId };
+  if (merged.isActive !== false) {
+    await assertScheduleAvailable(merged, {
+      checkInstructor: !!(updates.schedules || updates.instructor || updates.instructorId || updates.seasonId),
+      checkRoom: !!(updates.schedules || updates.room !== undefined || updates.roomId !== undefined ||
+        updates.seasonId || updates.isActive),
+      allowRoomConflict,
+    });
+  }
+  
   // If category is being updated, update color as well
   if (updates.category) {
     const colorConfig = getCategoryColor(updates.category);
@@ -233,28 +368,85 @@ export const updateCourse = async (courseId, updates) => {
     updates.endPeriod = legacyFormat.endPeriod;
   }
   
-  await updateDoc(doc(db, 'courses', courseId), {
+  const batch = writeBatch(db);
+  batch.update(doc(db, 'courses', courseId), {
     ...updates,
     updatedAt: serverTimestamp(),
   });
+  appendAuditLog(batch, {
+    action: 'update',
+    entityType: AUDIT_ENTITY.COURSE,
+    entityId: courseId,
+    label: current?.title || courseId,
+    before: current,
+    after: allowRoomConflict ? { ...updates, roomConflictOverride: true } : updates,
+  });
+  await batch.commit();
+
+  if (current) {
+    const title = updates.title || current.title;
+    if (updates.isActive === false && current.isActive !== false) {
+      await notifyCourseEnrollees(courseId, title, closedCourseMessage(title));
+    } else {
+      const changes = describeCourseChanges(current, updates);
+      if (changes.length > 0) {
+        await notifyCourseEnrollees(courseId, title, `"${title}" 강좌 정보가 변경되었습니다. ${changes.join(', ')}`);
+      }
+    }
+  }
 };
 
 /**
- * Toggle course active status
+ * Toggle course active status (enrollees are notified on deactivation)
  */
 export const toggleCourseActive = async (courseId, isActive) => {
-  await updateDoc(doc(db, 'courses', courseId), {
+  await assertPermission(PERMISSIONS.MANAGE_COURSES);
+
+  const current = await getCourse(courseId);
+  
+  const batch = writeBatch(db);
+  batch.update(doc(db, 'courses', courseId), {
     isActive,
     updatedAt: serverTimestamp(),
   });
+  appendAuditLog(batch, {
+    action: 'toggle',
+    entityType: AUDIT_ENTITY.COURSE,
+    entityId: courseId,
+    label: current?.title || courseId,
+    before: { isActive: current?.isActive ?? null },
+    after: { isActive },
+  });
+  await batch.commit();
+
+  if (current && !isActive && current.isActive !== false) {
+    await notifyCourseEnrollees(courseId, current.title, closedCourseMessage(current.title));
+  }
 };
 
 /**
- * Delete a course
+ * Delete a course (enrollees are notified)
  */
 export const deleteCourse = async (courseId) => {
+  await assertPermission(PERMISSIONS.DELETE_DATA);
+
+  const current = await getCourse(courseId);
+  
   // Note: Consider checking for existing enrollments before deletion
-  await deleteDoc(doc(db, 'courses', courseId));
+  const batch = writeBatch(db);
+  batch.delete(doc(db, 'courses', courseId));
+  appendAuditLog(batch, {
+    action: 'delete',
+    entityType: AUDIT_ENTITY.COURSE,
+    entityId: courseId,
+    label: current?.title || courseId,
+    before: current,
+  });
+  await batch.commit();
+
+  if (current) {
+    await notifyCourseEnrollees(courseId, current.title, `"${current.title}" 강좌가 삭제되었습니다. 수강 일정은 학원에 문의해주세요.`);
+  }
 };
 
 /**
@@ -285,12 +477,26 @@ export const updateEnrolledCount = async (courseId, increment) => {
  * @returns {Array} Results with success/failure status for each course
  */
 export const batchCreateCourses = async (coursesData, adminUid, seasonId) => {
+  await assertPermission(PERMISSIONS.MANAGE_COURSES);
+
   const results = [];
+  const writes = [];
+  const queued = []; // results index of each row in writes, in order
+  
+  // Rooms must come from the registry and may not be double-booked,
+  // including by rows earlier in the same upload
+  const [rooms, instructors, seasonCoursesSnapshot] = await Promise.all([
+    getAllRooms(),
+    getAllInstructors(),
+    getDocs(query(collection(db, 'courses'), where('seasonId', '==', seasonId))),
+  ]);
+  const bookedCourses = seasonCoursesSnapshot.docs.map(d => normalizeCourseSchedules({ id: d.id, ...d.data() }));
   
   for (const courseData of coursesData) {
     try {
       // Validate required fields
-      if (!courseData.title || !courseData.instructor) {
+      const instructorName = (courseData.instructor || '').trim();
+      if (!courseData.title || !instructorName) {
         throw new Error('필수 항목 누락 (강좌명, 강사)');
       }
       
@@ -299,32 +505,70 @@ export const batchCreateCourses = async (coursesData, adminUid, seasonId) => {
         throw new Error('시간표 정보가 없습니다.');
       }
       
+      const roomName = (courseData.room || '').trim();
+      const room = roomName ? rooms.find(r => r.name === roomName) : null;
+      if (roomName && !room) {
+        throw new Error(`등록되지 않은 강의실입니다: ${roomName}`);
+      }
+      
+      // Linked to the instructor registry when the name matches; ad-hoc names stay plain text
+      const instructor = instructors.find(i => i.name === instructorName);
+      
+      const booking = {
+        schedules: courseData.schedules,
+        room: roomName,
+        roomId: room?.id || null,
+        instructor: instructorName,
+        instructorId: instructor?.id || null,
+        seasonId,
+      };
+      const roomConflicts = findRoomConflicts(booking, bookedCourses);
+      if (roomConflicts.length > 0) {
+        throw new Error(`강의실 중복: ${roomName} (${roomConflicts.map(c => c.title).join(', ')})`);
+      }
+      const instructorConflicts = findInstructorConflicts(booking, bookedCourses);
+      if (instructorConflicts.length > 0) {
+        throw new Error(`강사 시간 중복: ${instructorName} (${instructorConflicts.map(c => c.title).join(', ')})`);
+      }
+      
       const colorConfig = getCategoryColor(courseData.category || '수학');
       const legacyFormat = schedulesToLegacyFormat(courseData.schedules);
       
-      const docRef = await addDoc(collection(db, 'courses'), {
+      const docRef = doc(collection(db, 'courses'));
+      writes.push(batch => batch.set(docRef, {
         title: courseData.title,
-        instructor: courseData.instructor,
+        instructor: instructorName,
+        instructorId: booking.instructorId,
         category: courseData.category || '수학',
         level: courseData.level || '중급',
         schedules: courseData.schedules,
         day: legacyFormat.day,
         startPeriod: legacyFormat.startPeriod,
         endPeriod: legacyFormat.endPeriod,
-        room: courseData.room || '',
+        room: roomName,
+        roomId: booking.roomId,
         capacity: parseInt(courseData.capacity) || 20,
         enrolled: 0,
+        waitlistCount: 0,
+        allocationMode: ALLOCATION_MODE.FCFS,
+        lotteryEntryCount: 0,
+        lotteryDrawnAt: null,
+        prerequisiteIds: [],
+        corequisiteIds: [],
         description: courseData.description || '',
         seasonId: seasonId,
         isActive: true,
         color: `${colorConfig.bg} ${colorConfig.text}`,
         createdAt: serverTimestamp(),
         createdBy: adminUid,
-      });
+      }));
       
+      bookedCourses.push({ id: docRef.id, title: courseData.title, isActive: true, ...booking });
+      
+      // Reported as created once the commit below lands
+      queued.push(results.length);
       results.push({
         ...courseData,
-        success: true,
         courseId: docRef.id
       });
     } catch (error) {
@@ -336,5 +580,29 @@ export const batchCreateCourses = async (coursesData, adminUid, seasonId) => {
     }
   }
   
+  let committed = queued.length;
+  let commitError = null;
+  if (queued.length > 0) {
+    const courseIds = queued.map(index => results[index].courseId);
+    try {
+      await commitAuditedWrites(writes, {
+        action: 'batchCreate',
+        entityType: AUDIT_ENTITY.COURSE,
+        label: `${courseIds.length}개 강좌`,
+        after: { seasonId, courseIds },
+      });
+    } catch (error) {
+      committed = error.committedWrites || 0;
+      commitError = error;
+    }
+  }
+  
+  queued.forEach((resultIndex, i) => {
+    const { courseId, ...row } = results[resultIndex];
+    results[resultIndex] = i < committed
+      ? { ...row, success: true, courseId }
+      : { ...row, success: false, error: `저장 실패: ${commitError.message}` };
+  });
+  
   return results;
 };
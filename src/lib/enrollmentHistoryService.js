@@ -0,0 +1,104 @@
+import { 
+  collection, 
+  doc, 
+  getDocs, 
+  query,
+  where,
+  serverTimestamp 
+} from 'firebase/firestore';
+import { auth, db } from './firebase';
+
+/**
+ * Enrollment History Schema (enrollmentHistory collection, append-only):
+ * {
+ *   id,
+ *   enrollmentId,
+ *   studentId,
+ *   courseId,
+ *   seasonId,
+ *   fromStatus: string | null (null = created),
+ *   toStatus: string,
+ *   actorType: 'student' | 'admin' | 'system',
+ *   actorId: string (auth uid of the writer: admin, or the student's session),
+ *   reason: string | null,
+ *   ruleId / swapId / lotteryDrawId: string (optional context),
+ *   at: timestamp
+ * }
+ */
+
+/**
+ * Append a status transition to the enrollment history.
+ * Written through the caller's transaction or batch so the entry commits
+ * together with the status change it describes. The actor is always the
+ * signed-in writer (firestore.rules refuses anything else).
+ * @param {Object} writer - Firestore transaction or write batch
+ * @param {Object} enrollment - { id, studentId, courseId, seasonId }
+ * @param {Object} entry - { fromStatus, toStatus, actorType, reason, ...context }
+ */
+export const appendEnrollmentHistory = (writer, enrollment, entry) => {
+  const { fromStatus = null, toStatus, actorType, reason = null, ...context } = entry;
+  
+  writer.set(doc(collection(db, 'enrollmentHistory')), {
+    enrollmentId: enrollment.id,
+    studentId: enrollment.studentId,
+    courseId: enrollment.courseId,
+    seasonId: enrollment.seasonId || null,
+    fromStatus,
+    toStatus,
+    actorType,
+    actorId: auth.currentUser?.uid ?? null,
+    reason,
+    ...context,
+    at: serverTimestamp(),
+  });
+};
+
+/**
+ * Sort history entries oldest first (in memory to avoid composite indexes)
+ */
+const sortByTime = (entries) => 
+  entries.sort((a, b) => (a.at?.seconds || 0) - (b.at?.seconds || 0));
+
+/**
+ * Get all history entries for a student
+ */
+export const getStudentEnrollmentHistory = async (studentId) => {
+  const historyQuery = query(
+    collection(db, 'enrollmentHistory'),
+    where('studentId', '==', studentId)
+  );
+  
+  const snapshot = await getDocs(historyQuery);
+  return sortByTime(snapshot.docs.map(doc => ({
+    id: doc.id,
+    ...doc.data()
+  })));
+};
+
+/**
+ * Get all history entries for a course
+ */
+export const getCourseEnrollmentHistory = async (courseId) => {
+  const historyQuery = query(
+    collection(db, 'enrollmentHistory'),
+    where('courseId', '==', courseId)
+  );
+  
+  const snapshot = await getDocs(historyQuery);
+  return sortByTime(snapshot.docs.map(doc => ({
+    id: doc.id,
+    ...doc.data()
+  })));
+};
+
+/**
+ * Group history entries by enrollment ID
+ * @returns {Object} { [enrollmentId]: entries[] }
+ */
+export const groupHistoryByEnrollment = (entries) => {
+  const grouped = {};
+  entries.forEach(entry => {
+    (grouped[entry.enrollmentId] = grouped[entry.enrollmentId] || []).push(entry);
+  });
+  return grouped;
+};
@@ -9,19 +9,512 @@ import {
   where,
   orderBy,
   runTransaction,
+  writeBatch,
   serverTimestamp,
   onSnapshot
 } from 'firebase/firestore';
 import { db } from './firebase';
-import { ENROLLMENT_STATUS } from '../constants';
+import { 
+  ENROLLMENT_STATUS, 
+  ACTIVE_ENROLLMENT_STATUSES, 
+  ALLOCATION_MODE,
+  ENROLLMENT_CHANGE_TYPE,
+  ENROLLMENT_CHANGE_STATUS,
+  AUTO_APPROVAL_ACTOR,
+  HISTORY_ACTOR_TYPE,
+  GUARDIAN_CONSENT_STATUS,
+  PERMISSIONS,
+  AUDIT_ENTITY
+} from '../constants';
+import { 
+  createApprovalNotification,
+  createWaitlistPromotionNotification,
+  createSwapApprovalNotification,
+  createSwapRejectionNotification,
+  createAdminEnrollmentNotification,
+  createReopenNotification 
+} from './notificationService';
+import { getServerTime } from './serverTime';
+import { getApprovalRules, findMatchingRule } from './approvalRuleService';
+import { normalizeCourseSchedules } from './courseService';
+import { appendEnrollmentHistory } from './enrollmentHistoryService';
+import { appendAuditLog } from './auditLogService';
+import { getAcademySettings } from './settingsService';
+import { 
+  getRegistrationWindow, 
+  getRegistrationPhase, 
+  REGISTRATION_PHASE, 
+  formatDateTime, 
+  isWithinChangePeriod,
+  getLoadLimits,
+  checkLoadLimits,
+  getMissingRequisites,
+  formatMissingRequisites,
+  checkConflicts,
+  getDetailedConflicts 
+} from './utils';
+import { assertPermission } from './roleService';
+import { buildStudentSnapshot } from './studentService';
+
+/**
+ * Ensure the season's registration window (per-class override aware) is open.
+ * Uses Firestore server time; firestore.rules enforces the same window.
+ * @returns {{ season: Object, student: Object|undefined }}
+ */
+const assertRegistrationOpen = async (studentId, seasonId) => {
+  const [seasonDoc, studentDoc, serverNow] = await Promise.all([
+    getDoc(doc(db, 'seasons', seasonId)),
+    getDoc(doc(db, 'students', studentId)),
+    getServerTime(),
+  ]);
+  
+  if (!seasonDoc.exists()) {
+    throw new Error('학기를 찾을 수 없습니다.');
+  }
+  
+  const registrationWindow = getRegistrationWindow(seasonDoc.data(), studentDoc.data()?.class);
+  const phase = getRegistrationPhase(registrationWindow, serverNow);
+  
+  if (phase === REGISTRATION_PHASE.BEFORE) {
+    throw new Error(`수강신청 기간이 아닙니다. (${formatDateTime(registrationWindow.openAt)} 시작)`);
+  }
+  if (phase === REGISTRATION_PHASE.CLOSED) {
+    throw new Error(`수강신청이 마감되었습니다. (${formatDateTime(registrationWindow.closeAt)} 마감)`);
+  }
+  
+  return { season: seasonDoc.data(), student: studentDoc.data() };
+};
+
+/**
+ * Ensure the student's resulting course load stays within the season's limits
+ * (max courses, max periods per week, per-category min/max).
+ * @param {string[]} excludeEnrollmentIds - Enrollments being given up (e.g., a swap's course A)
+ */
+const assertLoadLimits = async (studentId, courseIds, seasonId, season, student, excludeEnrollmentIds = []) => {
+  const limits = getLoadLimits(season, student?.class);
+  if (!limits) return;
+  
+  const enrollmentsQuery = query(
+    collection(db, 'enrollments'),
+    where('studentId', '==', studentId),
+    where('status', 'in', ACTIVE_ENROLLMENT_STATUSES)
+  );
+  const enrollmentsSnapshot = await getDocs(enrollmentsQuery);
+  const heldCourseIds = enrollmentsSnapshot.docs
+    .filter(d => !excludeEnrollmentIds.includes(d.id))
+    .map(d => d.data())
+    .filter(e => !e.seasonId || e.seasonId === seasonId)
+    .map(e => e.courseId);
+  
+  const allCourseIds = [...new Set([...heldCourseIds, ...courseIds])];
+  const courseDocs = await Promise.all(
+    allCourseIds.map(courseId => getDoc(doc(db, 'courses', courseId)))
+  );
+  const courses = courseDocs.filter(d => d.exists()).map(d => d.data());
+  
+  const violations = checkLoadLimits(courses, limits);
+  if (violations.length > 0) {
+    throw new Error(`수강 한도를 벗어났습니다. ${violations.join(' / ')}`);
+  }
+};
+
+/**
+ * When the academy requires guardian consent, a student with a linked guardian may only
+ * submit courses their guardian confirmed for the season. firestore.rules enforces the same.
+ */
+const assertGuardianConsent = async (studentId, courseIds, seasonId, student) => {
+  if (!student?.guardianIds?.length) return;
+
+  const settings = await getAcademySettings();
+  if (!settings.requireGuardianConsent) return;
+
+  const consentQuery = query(
+    collection(db, 'guardianConsents'),
+    where('studentId', '==', studentId),
+    where('seasonId', '==', seasonId)
+  );
+  const consent = (await getDocs(consentQuery)).docs[0]?.data();
+
+  if (consent?.status !== GUARDIAN_CONSENT_STATUS.CONFIRMED) {
+    throw new Error('보호자 확인 후 신청할 수 있습니다.');
+  }
+  if (courseIds.some(courseId => !consent.courseIds.includes(courseId))) {
+    throw new Error('보호자가 확인하지 않은 강좌가 있습니다. 보호자 확인을 다시 요청해주세요.');
+  }
+};
+
+/**
+ * Load what a student has completed / holds, for requisite checks.
+ * Co-requisites requested in the same submission count as held.
+ * @param {string[]} excludeEnrollmentIds - Enrollments being given up (e.g., a swap's course A)
+ */
+const getRequisiteContext = async (studentId, seasonId, requestedCourseIds, excludeEnrollmentIds = []) => {
+  // Single-field query; statuses and seasons are filtered in JavaScript
+  const enrollmentsQuery = query(
+    collection(db, 'enrollments'),
+    where('studentId', '==', studentId)
+  );
+  const snapshot = await getDocs(enrollmentsQuery);
+  const enrollments = snapshot.docs
+    .filter(d => !excludeEnrollmentIds.includes(d.id))
+    .map(d => d.data());
+  
+  return {
+    completedCourseIds: enrollments
+      .filter(e => e.status === ENROLLMENT_STATUS.APPROVED)
+      .map(e => e.courseId),
+    heldCourseIds: [
+      ...enrollments
+        .filter(e => ACTIVE_ENROLLMENT_STATUSES.includes(e.status) && (!e.seasonId || e.seasonId === seasonId))
+        .map(e => e.courseId),
+      ...requestedCourseIds,
+    ],
+  };
+};
+
+/**
+ * Ensure a course's prerequisites / co-requisites are met
+ */
+const assertRequisites = async (courseData, requisiteContext) => {
+  const missing = getMissingRequisites(courseData, requisiteContext);
+  if (missing.prerequisites.length === 0 && missing.corequisites.length === 0) return;
+  
+  const missingIds = [...new Set([...missing.prerequisites, ...missing.corequisites])];
+  const courseDocs = await Promise.all(missingIds.map(id => getDoc(doc(db, 'courses', id))));
+  const titles = {};
+  courseDocs.forEach(d => { titles[d.id] = d.exists() ? d.data().title : '삭제된 강좌'; });
+  
+  const messages = formatMissingRequisites(missing, id => titles[id]);
+  throw new Error(`${courseData.title}: ${messages.join(' / ')}`);
+};
+
+/**
+ * Get the courses on a student's timetable for a season (pending + approved)
+ * @param {string[]} excludeEnrollmentIds - Enrollments to leave out (e.g., the one being approved)
+ */
+const getScheduledCourses = async (studentId, seasonId, excludeEnrollmentIds = []) => {
+  const enrollmentsQuery = query(
+    collection(db, 'enrollments'),
+    where('studentId', '==', studentId),
+    where('status', 'in', [ENROLLMENT_STATUS.PENDING, ENROLLMENT_STATUS.APPROVED])
+  );
+  const snapshot = await getDocs(enrollmentsQuery);
+  const courseIds = snapshot.docs
+    .filter(d => !excludeEnrollmentIds.includes(d.id))
+    .map(d => d.data())
+    .filter(e => !seasonId || !e.seasonId || e.seasonId === seasonId)
+    .map(e => e.courseId);
+  
+  const courseDocs = await Promise.all(courseIds.map(id => getDoc(doc(db, 'courses', id))));
+  return courseDocs
+    .filter(d => d.exists())
+    .map(d => normalizeCourseSchedules({ id: d.id, ...d.data() }));
+};
+
+/**
+ * Ensure a course does not overlap the student's timetable.
+ * The error lists each overlapping course and slot (getDetailedConflicts).
+ */
+const assertNoTimeConflict = (course, scheduledCourses) => {
+  const normalized = normalizeCourseSchedules(course);
+  const conflicts = checkConflicts(normalized, scheduledCourses);
+  if (conflicts.length === 0) return;
+  
+  const details = conflicts.map(other => {
+    const slots = getDetailedConflicts(normalized, other).map(c => 
+      c.overlapStart === c.overlapEnd 
+        ? `${c.day} ${c.overlapStart}교시` 
+        : `${c.day} ${c.overlapStart}~${c.overlapEnd}교시`
+    );
+    return `"${other.title}"와(과) ${slots.join(', ')} 중복`;
+  });
+  
+  throw new Error(`${course.title}: 시간이 겹치는 강좌가 있습니다. (${details.join(' / ')})`);
+};
+
+/**
+ * Build a new enrollment document
+ * @param {Object} extra - status-specific fields plus the student snapshot (buildStudentSnapshot)
+ */
+const buildEnrollmentData = (courseId, studentId, seasonId, status, extra = {}) => ({
+  courseId,
+  studentId,
+  seasonId,
+  status,
+  enrolledAt: serverTimestamp(),
+  approvedAt: null,
+  approvedBy: null,
+  rejectedAt: null,
+  rejectedBy: null,
+  rejectionReason: null,
+  ...extra,
+});
+
+/**
+ * Tag a course counter update with the enrollment that caused it;
+ * firestore.rules checks a student's counter changes against that enrollment
+ */
+const seatChange = (enrollmentRef, status) => ({ enrollmentId: enrollmentRef.id, status });
+
+/**
+ * A request waits when the course is full, or while others are queued: a seat freed by a
+ * cancellation stays with the waitlist until promoteDueWaitlists() fills it (FIFO)
+ * @param {boolean} skipWaitlist - admin reopening a request ahead of the queue
+ */
+const joinsWaitlist = (courseData, skipWaitlist = false) => {
+  const hasSeat = (courseData.enrolled || 0) < courseData.capacity;
+  const hasQueue = (courseData.waitlistCount || 0) > 0;
+  return !hasSeat || (hasQueue && !skipWaitlist);
+};
+
+/**
+ * Create an enrollment and its first history entry in the same transaction
+ * @param {Object} historyEntry - { actorType, reason, ...context }
+ */
+const setNewEnrollment = (transaction, enrollmentRef, enrollmentData, historyEntry) => {
+  transaction.set(enrollmentRef, enrollmentData);
+  appendEnrollmentHistory(transaction, { id: enrollmentRef.id, ...enrollmentData }, {
+    toStatus: enrollmentData.status,
+    ...historyEntry,
+  });
+};
+
+/**
+ * Audit log label for an enrollment: "<studentId> · <course title>"
+ */
+const enrollmentLabel = (enrollment, courseDoc) => 
+  `${enrollment.studentId} · ${courseDoc?.exists() ? courseDoc.data().title : enrollment.courseId}`;
+
+/**
+ * Get waitlisted enrollments for a course, ordered by waitlist position
+ */
+const getWaitlistedEnrollments = async (courseId) => {
+  // Query without orderBy to avoid composite index requirement
+  const waitlistQuery = query(
+    collection(db, 'enrollments'),
+    where('courseId', '==', courseId),
+    where('status', '==', ENROLLMENT_STATUS.WAITLISTED)
+  );
+  
+  const snapshot = await getDocs(waitlistQuery);
+  const results = snapshot.docs.map(doc => ({
+    id: doc.id,
+    ...doc.data()
+  }));
+  
+  results.sort((a, b) => (a.waitlistPosition || 0) - (b.waitlistPosition || 0));
+  return results;
+};
+
+/**
+ * Transaction read phase for releasing an enrollment's seat.
+ * Firestore transactions require all reads before any write, so callers
+ * read the context first and apply it with applySeatRelease().
+ * @param {Array|null} waitlist - Result of getWaitlistedEnrollments() for the course;
+ *   null when the caller may not read other students' enrollments (student cancellation)
+ */
+const readSeatRelease = async (transaction, enrollmentRef, courseId, waitlist) => {
+  const enrollmentDoc = await transaction.get(enrollmentRef);
+  
+  if (!enrollmentDoc.exists()) {
+    throw new Error('신청 내역을 찾을 수 없습니다.');
+  }
+  
+  const courseRef = doc(db, 'courses', courseId);
+  const courseDoc = await transaction.get(courseRef);
+  
+  // Re-read the waitlist inside the transaction so promotion stays consistent
+  const waitlistDocs = waitlist && await Promise.all(
+    waitlist.map(w => transaction.get(doc(db, 'enrollments', w.id)))
+  );
+  const queue = waitlistDocs && waitlistDocs.filter(d => 
+    d.exists() && 
+    d.id !== enrollmentRef.id && 
+    d.data().status === ENROLLMENT_STATUS.WAITLISTED
+  );
+  
+  return { enrollmentRef, enrollmentDoc, courseId, courseRef, courseDoc, queue };
+};
+
+/**
+ * Promote a waitlisted enrollment to pending (transaction write + history)
+ * @returns {Object} Promoted enrollment info for notifyPromotion()
+ */
+const promoteFromWaitlist = (transaction, waitlistedDoc, courseId, courseData) => {
+  transaction.update(waitlistedDoc.ref, {
+    status: ENROLLMENT_STATUS.PENDING,
+    waitlistPosition: null,
+    promotedAt: serverTimestamp(),
+  });
+  appendEnrollmentHistory(transaction, { id: waitlistedDoc.id, ...waitlistedDoc.data() }, {
+    fromStatus: ENROLLMENT_STATUS.WAITLISTED,
+    toStatus: ENROLLMENT_STATUS.PENDING,
+    actorType: HISTORY_ACTOR_TYPE.SYSTEM,
+    reason: '대기 순번 도래',
+  });
+  
+  return {
+    enrollmentId: waitlistedDoc.id,
+    studentId: waitlistedDoc.data().studentId,
+    courseId,
+    courseTitle: courseData.title,
+  };
+};
+
+/**
+ * Renumber the remaining waitlist (1-based, no gaps)
+ */
+const renumberWaitlist = (transaction, queue) => {
+  queue.forEach((d, index) => {
+    if (d.data().waitlistPosition !== index + 1) {
+      transaction.update(d.ref, { waitlistPosition: index + 1 });
+    }
+  });
+};
+
+/**
+ * Transaction write phase for releasing an enrollment's seat.
+ * If it held a seat, the first waitlisted student is promoted to pending;
+ * remaining waitlist positions are renumbered. Both transitions are recorded in history.
+ * Without a waitlist (queue null) the seat is only freed; promoteWaitlist() fills it later.
+ * @param {Object} historyEntry - { actorType, reason, ...context }
+ * @returns {Object|null} Promoted enrollment info, if any
+ */
+const applySeatRelease = (transaction, context, statusUpdates, historyEntry) => {
+  const { enrollmentRef, enrollmentDoc, courseId, courseRef, courseDoc } = context;
+  const enrollmentData = enrollmentDoc.data();
+  let queue = context.queue;
+  let promotedEnrollment = null;
+  
+  if (courseDoc.exists()) {
+    const courseData = courseDoc.data();
+    const heldSeat = enrollmentData.status === ENROLLMENT_STATUS.PENDING || 
+      enrollmentData.status === ENROLLMENT_STATUS.APPROVED;
+    let enrolled = courseData.enrolled || 0;
+    
+    if (heldSeat) {
+      enrolled = Math.max(0, enrolled - 1);
+      
+      if (queue?.length > 0 && enrolled < courseData.capacity) {
+        const [next, ...rest] = queue;
+        promotedEnrollment = promoteFromWaitlist(transaction, next, courseId, courseData);
+        enrolled += 1;
+        queue = rest;
+      }
+    }
+    
+    const courseUpdates = { enrolled, lastSeatChange: seatChange(enrollmentRef, statusUpdates.status) };
+    
+    if (queue) {
+      renumberWaitlist(transaction, queue);
+      courseUpdates.waitlistCount = queue.length;
+    } else if (enrollmentData.status === ENROLLMENT_STATUS.WAITLISTED) {
+      // Positions behind it close up at the next promoteWaitlist()
+      courseUpdates.waitlistCount = Math.max(0, (courseData.waitlistCount || 0) - 1);
+    }
+    
+    // Withdrawn lottery entry (before the draw)
+    if (enrollmentData.status === ENROLLMENT_STATUS.LOTTERY) {
+      courseUpdates.lotteryEntryCount = Math.max(0, (courseData.lotteryEntryCount || 0) - 1);
+    }
+    
+    transaction.update(courseRef, courseUpdates);
+  }
+  
+  transaction.update(enrollmentRef, {
+    ...statusUpdates,
+    waitlistPosition: null,
+  });
+  appendEnrollmentHistory(transaction, { id: enrollmentRef.id, ...enrollmentData }, {
+    fromStatus: enrollmentData.status,
+    toStatus: statusUpdates.status,
+    ...historyEntry,
+  });
+  
+  return promotedEnrollment;
+};
+
+/**
+ * Notify a student promoted off the waitlist (best effort)
+ */
+const notifyPromotion = async (promoted) => {
+  if (!promoted) return;
+  
+  try {
+    await createWaitlistPromotionNotification(
+      promoted.studentId,
+      promoted.courseTitle || '강좌',
+      promoted.courseId
+    );
+  } catch (error) {
+    console.error('Waitlist promotion notification failed:', error);
+  }
+};
+
+/**
+ * Move an enrollment out of its active state (reject / cancel).
+ * Frees its seat and promotes the next waitlisted student in one transaction.
+ * Students may not read other students' enrollments, so their cancellations only free
+ * the seat; open staff sessions fill it shortly after (promoteDueWaitlists).
+ * @param {Object|null} auditEntry - { action, ... } for admin actions; committed with the release
+ * @returns {Promise<Object|null>} Promoted enrollment info, if any
+ */
+const releaseEnrollment = async (enrollmentId, statusUpdates, historyEntry, auditEntry = null) => {
+  const enrollmentRef = doc(db, 'enrollments', enrollmentId);
+  const snapshot = await getDoc(enrollmentRef);
+  
+  if (!snapshot.exists()) {
+    throw new Error('신청 내역을 찾을 수 없습니다.');
+  }
+  
+  const { courseId } = snapshot.data();
+  const waitlist = historyEntry.actorType === HISTORY_ACTOR_TYPE.STUDENT
+    ? null
+    : await getWaitlistedEnrollments(courseId);
+  
+  const promoted = await runTransaction(db, async (transaction) => {
+    const context = await readSeatRelease(transaction, enrollmentRef, courseId, waitlist);
+    const promotedEnrollment = applySeatRelease(transaction, context, statusUpdates, historyEntry);
+    if (auditEntry) {
+      appendAuditLog(transaction, {
+        entityType: AUDIT_ENTITY.ENROLLMENT,
+        entityId: enrollmentId,
+        label: enrollmentLabel(context.enrollmentDoc.data(), context.courseDoc),
+        before: context.enrollmentDoc.data(),
+        after: statusUpdates,
+        ...auditEntry,
+      });
+    }
+    return promotedEnrollment;
+  });
+  
+  await notifyPromotion(promoted);
+  return promoted;
+};
 
 /**
  * Submit enrollment request (batch - multiple courses at once)
+ * Full courses put the student on the waitlist instead of failing.
+ * Lottery courses collect entries until an admin runs the draw (lotteryService).
+ * Prerequisites / co-requisites are checked per course.
+ * Pending requests are checked against the auto-approval rules by runAutoApprovals().
+ * With the academy's guardian consent setting on, guardians must confirm the courses first.
  */
 export const submitEnrollmentRequest = async (studentId, courseIds, seasonId) => {
   const results = [];
+  const submittedBy = { actorType: HISTORY_ACTOR_TYPE.STUDENT };
+  
+  const { season, student } = await assertRegistrationOpen(studentId, seasonId);
+  await assertLoadLimits(studentId, courseIds, seasonId, season, student);
+  await assertGuardianConsent(studentId, courseIds, seasonId, student);
+  const studentSnapshot = buildStudentSnapshot(student);
+  const requisiteContext = await getRequisiteContext(studentId, seasonId, courseIds);
+  
+  const scheduledCourses = await getScheduledCourses(studentId, seasonId);
   
   for (const courseId of courseIds) {
+    let scheduledCourse = null;
+    
     try {
       const result = await runTransaction(db, async (transaction) => {
         // Get course document
@@ -34,9 +527,9 @@ export const submitEnrollmentRequest = async (studentId, courseIds, seasonId) =>
         
         const courseData = courseDoc.data();
         
-        // Check capacity (pending + approved count toward capacity)
-        if (courseData.enrolled >= courseData.capacity) {
-          throw new Error(`${courseData.title}: 수강 인원이 마감되었습니다.`);
+        // The registration window checked above is this season's; rules hold the course to it too
+        if ((courseData.seasonId || null) !== seasonId) {
+          throw new Error(`${courseData.title}: 이번 학기 강좌가 아닙니다.`);
         }
         
         // Check for existing enrollment
@@ -44,7 +537,7 @@ export const submitEnrollmentRequest = async (studentId, courseIds, seasonId) =>
           collection(db, 'enrollments'),
           where('studentId', '==', studentId),
           where('courseId', '==', courseId),
-          where('status', 'in', ['pending', 'approved'])
+          where('status', 'in', ACTIVE_ENROLLMENT_STATUSES)
         );
         const existingDocs = await getDocs(existingQuery);
         
@@ -52,29 +545,182 @@ export const submitEnrollmentRequest = async (studentId, courseIds, seasonId) =>
           throw new Error(`${courseData.title}: 이미 신청한 강좌입니다.`);
         }
         
-        // Create enrollment
+        await assertRequisites(courseData, requisiteContext);
+        assertNoTimeConflict(courseData, scheduledCourses);
+        
         const enrollmentRef = doc(collection(db, 'enrollments'));
-        transaction.set(enrollmentRef, {
-          courseId,
-          studentId,
-          seasonId,
-          status: ENROLLMENT_STATUS.PENDING,
-          enrolledAt: serverTimestamp(),
-          approvedAt: null,
-          approvedBy: null,
-          rejectedAt: null,
-          rejectedBy: null,
-          rejectionReason: null,
-        });
+        
+        // Lottery course: collect entries without a capacity check until the draw
+        if (courseData.allocationMode === ALLOCATION_MODE.LOTTERY && !courseData.lotteryDrawnAt) {
+          setNewEnrollment(transaction, enrollmentRef, buildEnrollmentData(
+            courseId, studentId, seasonId, ENROLLMENT_STATUS.LOTTERY, studentSnapshot
+          ), submittedBy);
+          
+          transaction.update(courseRef, {
+            lotteryEntryCount: (courseData.lotteryEntryCount || 0) + 1,
+            lastSeatChange: seatChange(enrollmentRef, ENROLLMENT_STATUS.LOTTERY),
+          });
+          
+          return { courseId, success: true, enrollmentId: enrollmentRef.id, lottery: true };
+        }
+        
+        // Check capacity (pending + approved count toward capacity)
+        // Full course, or others already waiting: join the waitlist at the next position
+        if (joinsWaitlist(courseData)) {
+          const waitlistPosition = (courseData.waitlistCount || 0) + 1;
+          
+          setNewEnrollment(transaction, enrollmentRef, buildEnrollmentData(
+            courseId, studentId, seasonId, ENROLLMENT_STATUS.WAITLISTED, { ...studentSnapshot, waitlistPosition }
+          ), submittedBy);
+          
+          transaction.update(courseRef, {
+            waitlistCount: waitlistPosition,
+            lastSeatChange: seatChange(enrollmentRef, ENROLLMENT_STATUS.WAITLISTED),
+          });
+          
+          return { 
+            courseId, 
+            success: true, 
+            enrollmentId: enrollmentRef.id, 
+            waitlisted: true, 
+            waitlistPosition,
+          };
+        }
+        
+        // Create enrollment (auto-approval rules are applied by runAutoApprovals in an admin session)
+        setNewEnrollment(transaction, enrollmentRef, buildEnrollmentData(
+          courseId, studentId, seasonId, ENROLLMENT_STATUS.PENDING, {
+            ...studentSnapshot,
+            awaitingAutoApproval: true,
+          }
+        ), submittedBy);
         
         // Increment enrolled count
         transaction.update(courseRef, {
           enrolled: courseData.enrolled + 1,
+          lastSeatChange: seatChange(enrollmentRef, ENROLLMENT_STATUS.PENDING),
+        });
+        
+        scheduledCourse = normalizeCourseSchedules({ id: courseId, ...courseData });
+        return { 
+          courseId, 
+          success: true, 
+          enrollmentId: enrollmentRef.id,
+        };
+      });
+      
+      // Later courses in this submission are conflict-checked against this one
+      if (scheduledCourse) {
+        scheduledCourses.push(scheduledCourse);
+      }
+      
+      results.push(result);
+    } catch (error) {
+      results.push({ courseId, success: false, error: error.message });
+    }
+  }
+  
+  return results;
+};
+
+/**
+ * Enroll a student directly on their behalf (front desk), already approved.
+ * Skips the registration window and requisite checks but never allows time conflicts.
+ * A full course can be overridden only with a recorded justification.
+ * @param {Object} options - { overrideCapacity: boolean, justification: string }
+ * @returns {Promise<Array>} Per-course results like submitEnrollmentRequest
+ */
+export const adminEnrollStudent = async (studentId, courseIds, adminUid, options = {}) => {
+  await assertPermission(PERMISSIONS.APPROVE_ENROLLMENTS);
+
+  const { overrideCapacity = false, justification = '' } = options;
+  
+  if (overrideCapacity && !justification.trim()) {
+    throw new Error('정원 초과 등록 사유를 입력해주세요.');
+  }
+  
+  const results = [];
+  const [scheduledCourses, studentDoc] = await Promise.all([
+    getScheduledCourses(studentId, null),
+    getDoc(doc(db, 'students', studentId)),
+  ]);
+  const studentSnapshot = buildStudentSnapshot(studentDoc.data());
+  
+  for (const courseId of courseIds) {
+    let scheduledCourse = null;
+    
+    try {
+      const result = await runTransaction(db, async (transaction) => {
+        const courseRef = doc(db, 'courses', courseId);
+        const courseDoc = await transaction.get(courseRef);
+        
+        if (!courseDoc.exists()) {
+          throw new Error('강좌를 찾을 수 없습니다.');
+        }
+        
+        const courseData = courseDoc.data();
+        
+        const existingQuery = query(
+          collection(db, 'enrollments'),
+          where('studentId', '==', studentId),
+          where('courseId', '==', courseId),
+          where('status', 'in', ACTIVE_ENROLLMENT_STATUSES)
+        );
+        const existingDocs = await getDocs(existingQuery);
+        
+        if (!existingDocs.empty) {
+          throw new Error(`${courseData.title}: 이미 신청한 강좌입니다.`);
+        }
+        
+        assertNoTimeConflict(
+          courseData, 
+          scheduledCourses.filter(c => !c.seasonId || c.seasonId === courseData.seasonId)
+        );
+        
+        const isFull = (courseData.enrolled || 0) >= courseData.capacity;
+        if (isFull && !overrideCapacity) {
+          throw new Error(`${courseData.title}: 정원이 마감되었습니다.`);
+        }
+        
+        const enrollmentRef = doc(collection(db, 'enrollments'));
+        const enrollmentData = buildEnrollmentData(
+          courseId, studentId, courseData.seasonId || null, ENROLLMENT_STATUS.APPROVED, {
+            ...studentSnapshot,
+            approvedAt: serverTimestamp(),
+            approvedBy: adminUid,
+            adminCreated: true,
+            createdBy: adminUid,
+            capacityOverride: isFull ? { justification: justification.trim() } : null,
+          }
+        );
+        setNewEnrollment(transaction, enrollmentRef, enrollmentData, {
+          actorType: HISTORY_ACTOR_TYPE.ADMIN,
+          reason: isFull ? `관리자 등록 (정원 초과: ${justification.trim()})` : '관리자 등록',
+        });
+        appendAuditLog(transaction, {
+          action: 'enroll',
+          entityType: AUDIT_ENTITY.ENROLLMENT,
+          entityId: enrollmentRef.id,
+          label: `${studentId} · ${courseData.title}`,
+          after: enrollmentData,
+        });
+        
+        transaction.update(courseRef, {
+          enrolled: (courseData.enrolled || 0) + 1,
         });
         
-        return { courseId, success: true, enrollmentId: enrollmentRef.id };
+        scheduledCourse = normalizeCourseSchedules({ id: courseId, ...courseData });
+        return { courseId, success: true, enrollmentId: enrollmentRef.id, overCapacity: isFull };
       });
       
+      scheduledCourses.push(scheduledCourse);
+      
+      try {
+        await createAdminEnrollmentNotification(studentId, scheduledCourse.title, courseId);
+      } catch (error) {
+        console.error('Admin enrollment notification failed:', error);
+      }
+      
       results.push(result);
     } catch (error) {
       results.push({ courseId, success: false, error: error.message });
@@ -85,14 +731,14 @@ export const submitEnrollmentRequest = async (studentId, courseIds, seasonId) =>
 };
 
 /**
- * Get active enrollments for a student (pending or approved only)
+ * Get active enrollments for a student (pending, approved or waitlisted)
  */
 export const getStudentEnrollments = async (studentId) => {
   // Query without orderBy to avoid composite index requirement with 'in' filter
   const enrollmentsQuery = query(
     collection(db, 'enrollments'),
     where('studentId', '==', studentId),
-    where('status', 'in', ['pending', 'approved'])
+    where('status', 'in', ACTIVE_ENROLLMENT_STATUSES)
   );
   
   const snapshot = await getDocs(enrollmentsQuery);
@@ -118,7 +764,7 @@ export const subscribeToStudentEnrollments = (studentId, callback) => {
   const enrollmentsQuery = query(
     collection(db, 'enrollments'),
     where('studentId', '==', studentId),
-    where('status', 'in', ['pending', 'approved'])
+    where('status', 'in', ACTIVE_ENROLLMENT_STATUSES)
   );
   
   return onSnapshot(enrollmentsQuery, (snapshot) => {
@@ -195,92 +841,447 @@ export const getAllEnrollments = async (filters = {}) => {
 };
 
 /**
- * Approve an enrollment request
+ * Approve a pending enrollment (transaction write + history + audit)
+ * Refuses if it is no longer pending or would overlap the student's other pending/approved courses.
+ * The student's enrollments are re-read inside the transaction, so concurrent approvals
+ * for the same student retry against each other's result.
+ * @param {Object} approval - { approvedBy, extra, historyEntry, auditAction }
  */
-export const approveEnrollment = async (enrollmentId, adminUid) => {
+const applyApproval = async (enrollmentId, approval) => {
+  const { approvedBy, extra = {}, historyEntry, auditAction } = approval;
   const enrollmentRef = doc(db, 'enrollments', enrollmentId);
+  const snapshot = await getDoc(enrollmentRef);
+  
+  if (!snapshot.exists()) {
+    throw new Error('신청 내역을 찾을 수 없습니다.');
+  }
+  
+  const activeSnapshot = await getDocs(query(
+    collection(db, 'enrollments'),
+    where('studentId', '==', snapshot.data().studentId),
+    where('status', 'in', [ENROLLMENT_STATUS.PENDING, ENROLLMENT_STATUS.APPROVED])
+  ));
+  const otherRefs = activeSnapshot.docs.filter(d => d.id !== enrollmentId).map(d => d.ref);
   
-  await updateDoc(enrollmentRef, {
-    status: ENROLLMENT_STATUS.APPROVED,
-    approvedAt: serverTimestamp(),
-    approvedBy: adminUid,
-  });
-};
-
-/**
- * Reject an enrollment request
- */
-export const rejectEnrollment = async (enrollmentId, adminUid, reason) => {
   await runTransaction(db, async (transaction) => {
-    const enrollmentRef = doc(db, 'enrollments', enrollmentId);
     const enrollmentDoc = await transaction.get(enrollmentRef);
-    
     if (!enrollmentDoc.exists()) {
       throw new Error('신청 내역을 찾을 수 없습니다.');
     }
     
-    const enrollmentData = enrollmentDoc.data();
+    const enrollment = enrollmentDoc.data();
+    if (enrollment.status !== ENROLLMENT_STATUS.PENDING) {
+      throw new Error('이미 처리된 신청입니다.');
+    }
     
-    // Decrement enrolled count
-    const courseRef = doc(db, 'courses', enrollmentData.courseId);
-    const courseDoc = await transaction.get(courseRef);
+    const courseDoc = await transaction.get(doc(db, 'courses', enrollment.courseId));
+    const otherDocs = await Promise.all(otherRefs.map(ref => transaction.get(ref)));
+    const otherCourseIds = otherDocs
+      .filter(d => d.exists())
+      .map(d => d.data())
+      .filter(e => e.status === ENROLLMENT_STATUS.PENDING || e.status === ENROLLMENT_STATUS.APPROVED)
+      .filter(e => !enrollment.seasonId || !e.seasonId || e.seasonId === enrollment.seasonId)
+      .map(e => e.courseId)
+      .filter(courseId => courseId !== enrollment.courseId);
+    const otherCourseDocs = await Promise.all(
+      otherCourseIds.map(courseId => transaction.get(doc(db, 'courses', courseId)))
+    );
     
     if (courseDoc.exists()) {
-      const currentEnrolled = courseDoc.data().enrolled || 0;
-      transaction.update(courseRef, {
-        enrolled: Math.max(0, currentEnrolled - 1),
-      });
+      assertNoTimeConflict(
+        { id: courseDoc.id, ...courseDoc.data() }, 
+        otherCourseDocs
+          .filter(d => d.exists())
+          .map(d => normalizeCourseSchedules({ id: d.id, ...d.data() }))
+      );
     }
     
-    // Update enrollment status
-    transaction.update(enrollmentRef, {
-      status: ENROLLMENT_STATUS.REJECTED,
-      rejectedAt: serverTimestamp(),
-      rejectedBy: adminUid,
-      rejectionReason: reason,
+    const updates = {
+      status: ENROLLMENT_STATUS.APPROVED,
+      approvedAt: serverTimestamp(),
+      approvedBy,
+      awaitingAutoApproval: false,
+      ...extra,
+    };
+    transaction.update(enrollmentRef, updates);
+    appendEnrollmentHistory(transaction, { id: enrollmentId, ...enrollment }, {
+      fromStatus: enrollment.status,
+      toStatus: ENROLLMENT_STATUS.APPROVED,
+      ...historyEntry,
+    });
+    appendAuditLog(transaction, {
+      action: auditAction,
+      entityType: AUDIT_ENTITY.ENROLLMENT,
+      entityId: enrollmentId,
+      label: enrollmentLabel(enrollment, courseDoc),
+      before: enrollment,
+      after: { status: ENROLLMENT_STATUS.APPROVED, ...extra },
     });
   });
 };
 
+/**
+ * Approve an enrollment request
+ * Refuses if it would overlap the student's other pending/approved courses
+ */
+export const approveEnrollment = async (enrollmentId, adminUid) => {
+  await assertPermission(PERMISSIONS.APPROVE_ENROLLMENTS);
+
+  await applyApproval(enrollmentId, {
+    approvedBy: adminUid,
+    historyEntry: { actorType: HISTORY_ACTOR_TYPE.ADMIN },
+    auditAction: 'approve',
+  });
+};
+
+// How often open staff sessions run promoteDueWaitlists() and runAutoApprovals()
+export const ENROLLMENT_SWEEP_POLL_MS = 60 * 1000;
+
+/**
+ * Apply the season's auto-approval rules to newly submitted requests.
+ * Runs in staff sessions (students cannot be trusted to approve themselves): each request
+ * submitted since the last run is checked once; matching ones are approved and the student
+ * notified, the rest stay in the pending queue for manual review.
+ * Seats left is measured before the request took its seat; time conflicts are re-checked on approval.
+ * @returns {Promise<number>} Number of requests approved
+ */
+export const runAutoApprovals = async () => {
+  await assertPermission(PERMISSIONS.APPROVE_ENROLLMENTS);
+
+  const snapshot = await getDocs(query(
+    collection(db, 'enrollments'),
+    where('awaitingAutoApproval', '==', true)
+  ));
+  
+  const rulesBySeason = {};
+  const coursesById = {};
+  let approved = 0;
+  
+  for (const enrollmentDoc of snapshot.docs) {
+    const enrollment = enrollmentDoc.data();
+    
+    try {
+      if (enrollment.status !== ENROLLMENT_STATUS.PENDING) {
+        await updateDoc(enrollmentDoc.ref, { awaitingAutoApproval: false });
+        continue;
+      }
+      
+      rulesBySeason[enrollment.seasonId] = rulesBySeason[enrollment.seasonId] ||
+        (await getApprovalRules(enrollment.seasonId)).filter(rule => rule.isActive);
+      if (!coursesById[enrollment.courseId]) {
+        const courseDoc = await getDoc(doc(db, 'courses', enrollment.courseId));
+        coursesById[enrollment.courseId] = courseDoc.exists() ? courseDoc.data() : {};
+      }
+      const course = coursesById[enrollment.courseId];
+      
+      const rule = findMatchingRule(rulesBySeason[enrollment.seasonId], {
+        courseId: enrollment.courseId,
+        className: enrollment.studentClass,
+        hasConflict: false,
+        seatsLeft: (course.capacity || 0) - (course.enrolled || 0) + 1,
+      });
+      
+      if (!rule) {
+        await updateDoc(enrollmentDoc.ref, { awaitingAutoApproval: false });
+        continue;
+      }
+      
+      await applyApproval(enrollmentDoc.id, {
+        approvedBy: AUTO_APPROVAL_ACTOR,
+        extra: { autoApprovalRuleId: rule.id },
+        historyEntry: {
+          actorType: HISTORY_ACTOR_TYPE.SYSTEM,
+          reason: `자동 승인 (${rule.name})`,
+          ruleId: rule.id,
+        },
+        auditAction: 'autoApprove',
+      });
+      approved++;
+      
+      try {
+        await createApprovalNotification(enrollment.studentId, course.title || '강좌', enrollment.courseId);
+      } catch (error) {
+        console.error('Auto-approval notification failed:', error);
+      }
+    } catch (error) {
+      // e.g. a time conflict appeared since submission: leave it for manual review
+      console.error('Auto-approval failed:', error);
+      await updateDoc(enrollmentDoc.ref, { awaitingAutoApproval: false })
+        .catch(updateError => console.error('Auto-approval flag update failed:', updateError));
+    }
+  }
+  
+  return approved;
+};
+
+/**
+ * Reject an enrollment request
+ * Frees the seat and promotes the first waitlisted student, if any
+ */
+export const rejectEnrollment = async (enrollmentId, adminUid, reason) => {
+  await assertPermission(PERMISSIONS.APPROVE_ENROLLMENTS);
+
+  return releaseEnrollment(enrollmentId, {
+    status: ENROLLMENT_STATUS.REJECTED,
+    rejectedAt: serverTimestamp(),
+    rejectedBy: adminUid,
+    rejectionReason: reason,
+  }, {
+    actorType: HISTORY_ACTOR_TYPE.ADMIN,
+    reason,
+  }, { action: 'reject' });
+};
+
 /**
  * Cancel an enrollment (by student, within change period)
+ * Frees the seat and promotes the first waitlisted student, if any
  */
 export const cancelEnrollment = async (enrollmentId) => {
-  await runTransaction(db, async (transaction) => {
-    const enrollmentRef = doc(db, 'enrollments', enrollmentId);
-    const enrollmentDoc = await transaction.get(enrollmentRef);
+  return releaseEnrollment(enrollmentId, {
+    status: ENROLLMENT_STATUS.CANCELLED,
+    cancelledAt: serverTimestamp(),
+  }, {
+    actorType: HISTORY_ACTOR_TYPE.STUDENT,
+  });
+};
+
+/**
+ * Fill a course's free seats from its waitlist and close up the remaining positions
+ * (seats freed by student cancellations wait for this, see promoteDueWaitlists)
+ * @returns {Promise<number>} Number of promoted students
+ */
+export const promoteWaitlist = async (courseId) => {
+  await assertPermission(PERMISSIONS.APPROVE_ENROLLMENTS);
+
+  const courseRef = doc(db, 'courses', courseId);
+  const waitlist = await getWaitlistedEnrollments(courseId);
+  
+  const promoted = await runTransaction(db, async (transaction) => {
+    const courseDoc = await transaction.get(courseRef);
+    if (!courseDoc.exists()) {
+      throw new Error('강좌를 찾을 수 없습니다.');
+    }
     
-    if (!enrollmentDoc.exists()) {
-      throw new Error('신청 내역을 찾을 수 없습니다.');
+    const waitlistDocs = await Promise.all(
+      waitlist.map(w => transaction.get(doc(db, 'enrollments', w.id)))
+    );
+    let queue = waitlistDocs.filter(d => 
+      d.exists() && d.data().status === ENROLLMENT_STATUS.WAITLISTED
+    );
+    
+    const courseData = courseDoc.data();
+    let enrolled = courseData.enrolled || 0;
+    const promotedEnrollments = [];
+    
+    while (queue.length > 0 && enrolled < courseData.capacity) {
+      const [next, ...rest] = queue;
+      promotedEnrollments.push(promoteFromWaitlist(transaction, next, courseId, courseData));
+      enrolled += 1;
+      queue = rest;
     }
     
-    const enrollmentData = enrollmentDoc.data();
+    renumberWaitlist(transaction, queue);
+    transaction.update(courseRef, {
+      enrolled,
+      waitlistCount: queue.length,
+    });
+    
+    return promotedEnrollments;
+  });
+  
+  for (const enrollment of promoted) {
+    await notifyPromotion(enrollment);
+  }
+  return promoted.length;
+};
+
+/**
+ * Promote waitlisted students into seats freed by student cancellations.
+ * Runs in staff sessions alongside runAutoApprovals: the cancelling student may not read
+ * (or write history for) the enrollment being promoted.
+ * @returns {Promise<number>} Number of promoted students
+ */
+export const promoteDueWaitlists = async () => {
+  await assertPermission(PERMISSIONS.APPROVE_ENROLLMENTS);
+
+  const snapshot = await getDocs(query(
+    collection(db, 'courses'),
+    where('waitlistCount', '>', 0)
+  ));
+  
+  let promoted = 0;
+  for (const courseDoc of snapshot.docs) {
+    const { enrolled = 0, capacity = 0 } = courseDoc.data();
+    if (enrolled >= capacity) continue;
     
-    // Decrement enrolled count
-    const courseRef = doc(db, 'courses', enrollmentData.courseId);
+    try {
+      promoted += await promoteWaitlist(courseDoc.id);
+    } catch (error) {
+      console.error('Waitlist promotion failed:', error);
+    }
+  }
+  
+  return promoted;
+};
+
+/**
+ * Batch reject enrollments with a shared reason.
+ * Runs one at a time: rejections of the same course contend on its enrolled count.
+ * @returns {Promise<Array>} [{ enrollmentId, success, error }]
+ */
+export const batchRejectEnrollments = async (enrollmentIds, adminUid, reason) => {
+  const results = [];
+  
+  for (const enrollmentId of enrollmentIds) {
+    try {
+      await rejectEnrollment(enrollmentId, adminUid, reason);
+      results.push({ enrollmentId, success: true, error: null });
+    } catch (error) {
+      results.push({ enrollmentId, success: false, error: error.message });
+    }
+  }
+  
+  return results;
+};
+
+/**
+ * Re-open a rejected or cancelled enrollment, e.g. after a mistaken rejection.
+ * It goes back to pending only if a seat is free and nobody is waiting for one;
+ * otherwise it joins the end of the waitlist, unless the admin explicitly lets it
+ * skip the queue (a free seat is still required). The slot must still be free.
+ * The student is notified; the request reappears in the pending queue marked as re-opened.
+ * @param {Object} options - { skipWaitlist: boolean }
+ * @returns {Promise<{ waitlisted: boolean, waitlistPosition: number|null }>}
+ */
+export const reopenEnrollment = async (enrollmentId, adminUid, reason = '', options = {}) => {
+  await assertPermission(PERMISSIONS.APPROVE_ENROLLMENTS);
+
+  const { skipWaitlist = false } = options;
+
+  const enrollmentRef = doc(db, 'enrollments', enrollmentId);
+  const snapshot = await getDoc(enrollmentRef);
+  
+  if (!snapshot.exists()) {
+    throw new Error('신청 내역을 찾을 수 없습니다.');
+  }
+  
+  const { studentId, courseId, seasonId } = snapshot.data();
+  
+  const activeQuery = query(
+    collection(db, 'enrollments'),
+    where('studentId', '==', studentId),
+    where('courseId', '==', courseId),
+    where('status', 'in', ACTIVE_ENROLLMENT_STATUSES)
+  );
+  const [activeDocs, scheduledCourses] = await Promise.all([
+    getDocs(activeQuery),
+    getScheduledCourses(studentId, seasonId),
+  ]);
+  
+  if (!activeDocs.empty) {
+    throw new Error('이미 같은 강좌에 진행 중인 신청이 있습니다.');
+  }
+  
+  const result = await runTransaction(db, async (transaction) => {
+    const enrollmentDoc = await transaction.get(enrollmentRef);
+    const courseRef = doc(db, 'courses', courseId);
     const courseDoc = await transaction.get(courseRef);
     
-    if (courseDoc.exists()) {
-      const currentEnrolled = courseDoc.data().enrolled || 0;
-      transaction.update(courseRef, {
-        enrolled: Math.max(0, currentEnrolled - 1),
-      });
+    const enrollment = enrollmentDoc.data();
+    if (![ENROLLMENT_STATUS.REJECTED, ENROLLMENT_STATUS.CANCELLED].includes(enrollment.status)) {
+      throw new Error('반려 또는 취소된 신청만 다시 열 수 있습니다.');
+    }
+    if (!courseDoc.exists()) {
+      throw new Error('강좌를 찾을 수 없습니다.');
     }
     
-    // Update enrollment status
+    const courseData = courseDoc.data();
+    assertNoTimeConflict(courseData, scheduledCourses.filter(c => c.id !== courseId));
+    
+    const hasQueue = (courseData.waitlistCount || 0) > 0;
+    const waitlisted = joinsWaitlist(courseData, skipWaitlist);
+    const status = waitlisted ? ENROLLMENT_STATUS.WAITLISTED : ENROLLMENT_STATUS.PENDING;
+    const waitlistPosition = waitlisted ? (courseData.waitlistCount || 0) + 1 : null;
+    
     transaction.update(enrollmentRef, {
-      status: ENROLLMENT_STATUS.CANCELLED,
-      cancelledAt: serverTimestamp(),
+      status,
+      waitlistPosition,
+      rejectedAt: null,
+      rejectedBy: null,
+      rejectionReason: null,
+      cancelledAt: null,
+      reopenedAt: serverTimestamp(),
+      reopenedBy: adminUid,
+    });
+    appendEnrollmentHistory(transaction, { id: enrollmentId, ...enrollment }, {
+      fromStatus: enrollment.status,
+      toStatus: status,
+      actorType: HISTORY_ACTOR_TYPE.ADMIN,
+      reason: hasQueue && !waitlisted ? `${reason || '재검토'} (대기 순번 건너뜀)` : (reason || '재검토'),
+    });
+    appendAuditLog(transaction, {
+      action: 'reopen',
+      entityType: AUDIT_ENTITY.ENROLLMENT,
+      entityId: enrollmentId,
+      label: enrollmentLabel(enrollment, courseDoc),
+      before: enrollment,
+      after: { status, waitlistPosition, skipWaitlist: hasQueue && !waitlisted, reason: reason || null },
     });
+    transaction.update(courseRef, waitlisted ? {
+      waitlistCount: waitlistPosition,
+      lastSeatChange: seatChange(enrollmentRef, status),
+    } : {
+      enrolled: (courseData.enrolled || 0) + 1,
+      lastSeatChange: seatChange(enrollmentRef, status),
+    });
+    
+    return { courseTitle: courseData.title, waitlisted, waitlistPosition };
   });
+  
+  try {
+    await createReopenNotification(studentId, result.courseTitle, courseId, result.waitlistPosition);
+  } catch (error) {
+    console.error('Reopen notification failed:', error);
+  }
+  
+  return { waitlisted: result.waitlisted, waitlistPosition: result.waitlistPosition };
+};
+
+/**
+ * Get rejected and cancelled enrollments (most recent first), for re-opening
+ */
+export const getClosedEnrollments = async () => {
+  const closedQuery = query(
+    collection(db, 'enrollments'),
+    where('status', 'in', [ENROLLMENT_STATUS.REJECTED, ENROLLMENT_STATUS.CANCELLED])
+  );
+  
+  const snapshot = await getDocs(closedQuery);
+  const results = snapshot.docs.map(doc => ({
+    id: doc.id,
+    ...doc.data()
+  }));
+  
+  const closedAt = (e) => {
+    const at = e.rejectedAt || e.cancelledAt;
+    return at?.toMillis?.() || (at?.seconds || 0) * 1000;
+  };
+  return results.sort((a, b) => closedAt(b) - closedAt(a));
 };
 
 /**
  * Batch approve enrollments
  */
 export const batchApproveEnrollments = async (enrollmentIds, adminUid) => {
-  const promises = enrollmentIds.map(id => approveEnrollment(id, adminUid));
-  await Promise.all(promises);
+  const settled = await Promise.allSettled(
+    enrollmentIds.map(id => approveEnrollment(id, adminUid))
+  );
+  
+  return settled.map((outcome, i) => ({
+    enrollmentId: enrollmentIds[i],
+    success: outcome.status === 'fulfilled',
+    error: outcome.status === 'rejected' ? outcome.reason.message : null,
+  }));
 };
 
 /**
@@ -327,3 +1328,328 @@ export const getStudentAllEnrollments = async (studentId) => {
     ...doc.data()
   }));
 };
+
+/**
+ * Enrollment Change Schema (enrollmentChanges collection):
+ * {
+ *   id,
+ *   type: 'swap',
+ *   studentId,
+ *   seasonId,
+ *   fromEnrollmentId,
+ *   fromCourseId,
+ *   fromCourseTitle,
+ *   toCourseId,
+ *   toCourseTitle,
+ *   status: 'pending' | 'approved' | 'rejected' | 'cancelled',
+ *   requestedAt: timestamp,
+ *   processedAt: timestamp,
+ *   processedBy: string (admin uid),
+ *   rejectionReason: string,
+ *   toEnrollmentId: string (created on approval)
+ * }
+ */
+
+/**
+ * Request a course swap (A → B) during the change period.
+ * Nothing changes until an admin approves; course A is only given up if B is granted.
+ */
+export const requestCourseSwap = async (studentId, fromEnrollmentId, toCourseId) => {
+  const [studentDoc, fromDoc, toCourseDoc] = await Promise.all([
+    getDoc(doc(db, 'students', studentId)),
+    getDoc(doc(db, 'enrollments', fromEnrollmentId)),
+    getDoc(doc(db, 'courses', toCourseId)),
+  ]);
+  
+  if (!studentDoc.exists() || !isWithinChangePeriod(studentDoc.data())) {
+    throw new Error('수강신청 변경 기간이 아닙니다.');
+  }
+  
+  if (!fromDoc.exists() || fromDoc.data().studentId !== studentId) {
+    throw new Error('신청 내역을 찾을 수 없습니다.');
+  }
+  
+  const fromData = fromDoc.data();
+  if (fromData.status !== ENROLLMENT_STATUS.APPROVED && fromData.status !== ENROLLMENT_STATUS.PENDING) {
+    throw new Error('수강 중인 강좌만 변경할 수 있습니다.');
+  }
+  
+  if (!toCourseDoc.exists() || !toCourseDoc.data().isActive) {
+    throw new Error('변경할 강좌를 찾을 수 없습니다.');
+  }
+  
+  const toCourse = toCourseDoc.data();
+  if (fromData.courseId === toCourseId) {
+    throw new Error('같은 강좌로는 변경할 수 없습니다.');
+  }
+  if (toCourse.allocationMode === ALLOCATION_MODE.LOTTERY && !toCourse.lotteryDrawnAt) {
+    throw new Error(`${toCourse.title}: 추첨 강좌는 추첨 전에 변경 신청할 수 없습니다.`);
+  }
+  
+  // Already holding the target course?
+  const existingQuery = query(
+    collection(db, 'enrollments'),
+    where('studentId', '==', studentId),
+    where('courseId', '==', toCourseId),
+    where('status', 'in', ACTIVE_ENROLLMENT_STATUSES)
+  );
+  const existingDocs = await getDocs(existingQuery);
+  if (!existingDocs.empty) {
+    throw new Error(`${toCourse.title}: 이미 신청한 강좌입니다.`);
+  }
+  
+  // One open swap per enrollment (filtered by student: rules only let students read their own)
+  const openSwapQuery = query(
+    collection(db, 'enrollmentChanges'),
+    where('studentId', '==', studentId),
+    where('fromEnrollmentId', '==', fromEnrollmentId),
+    where('status', '==', ENROLLMENT_CHANGE_STATUS.PENDING)
+  );
+  const openSwaps = await getDocs(openSwapQuery);
+  if (!openSwaps.empty) {
+    throw new Error('이미 처리 대기 중인 변경 신청이 있습니다.');
+  }
+  
+  const fromCourseDoc = await getDoc(doc(db, 'courses', fromData.courseId));
+  
+  const changeRef = await addDoc(collection(db, 'enrollmentChanges'), {
+    type: ENROLLMENT_CHANGE_TYPE.SWAP,
+    studentId,
+    seasonId: fromData.seasonId || toCourse.seasonId || null,
+    fromEnrollmentId,
+    fromCourseId: fromData.courseId,
+    fromCourseTitle: fromCourseDoc.exists() ? fromCourseDoc.data().title : '',
+    toCourseId,
+    toCourseTitle: toCourse.title,
+    status: ENROLLMENT_CHANGE_STATUS.PENDING,
+    requestedAt: serverTimestamp(),
+    processedAt: null,
+    processedBy: null,
+    rejectionReason: null,
+    toEnrollmentId: null,
+  });
+  
+  return changeRef.id;
+};
+
+/**
+ * Approve a course swap in a single transaction:
+ * cancel A (promoting A's waitlist) and create an approved enrollment in B.
+ * Fails without touching A if B has no free seat, or if B breaks the season's load limits
+ * or B's requisites as a new request would (A left out of both checks).
+ */
+export const approveCourseSwap = async (changeId, adminUid) => {
+  await assertPermission(PERMISSIONS.APPROVE_ENROLLMENTS);
+
+  const changeRef = doc(db, 'enrollmentChanges', changeId);
+  const changeSnapshot = await getDoc(changeRef);
+  
+  if (!changeSnapshot.exists()) {
+    throw new Error('변경 신청을 찾을 수 없습니다.');
+  }
+  
+  const { fromEnrollmentId, fromCourseId, toCourseId, studentId, seasonId } = changeSnapshot.data();
+  const fromRef = doc(db, 'enrollments', fromEnrollmentId);
+  const toCourseRef = doc(db, 'courses', toCourseId);
+  const [waitlist, scheduledCourses, studentDoc] = await Promise.all([
+    getWaitlistedEnrollments(fromCourseId),
+    // Timetable without the course being given up
+    getScheduledCourses(studentId, seasonId, [fromEnrollmentId]),
+    getDoc(doc(db, 'students', studentId)),
+  ]);
+  const student = studentDoc.data();
+  
+  const result = await runTransaction(db, async (transaction) => {
+    // Reads
+    const changeDoc = await transaction.get(changeRef);
+    const release = await readSeatRelease(transaction, fromRef, fromCourseId, waitlist);
+    const toCourseDoc = await transaction.get(toCourseRef);
+    const seasonDoc = seasonId ? await transaction.get(doc(db, 'seasons', seasonId)) : null;
+    
+    const change = changeDoc.data();
+    if (change.status !== ENROLLMENT_CHANGE_STATUS.PENDING) {
+      throw new Error('이미 처리된 변경 신청입니다.');
+    }
+    
+    const fromData = release.enrollmentDoc.data();
+    if (fromData.status !== ENROLLMENT_STATUS.APPROVED && fromData.status !== ENROLLMENT_STATUS.PENDING) {
+      throw new Error('기존 강좌 신청이 더 이상 유효하지 않습니다.');
+    }
+    
+    if (!toCourseDoc.exists()) {
+      throw new Error('변경할 강좌를 찾을 수 없습니다.');
+    }
+    
+    const toCourse = toCourseDoc.data();
+    if ((toCourse.enrolled || 0) >= toCourse.capacity) {
+      throw new Error(`${toCourse.title}: 정원이 마감되어 변경할 수 없습니다.`);
+    }
+    
+    assertNoTimeConflict({ id: toCourseId, ...toCourse }, scheduledCourses);
+    
+    // Same limits and requisites as submitEnrollmentRequest, without the course being given up
+    if (seasonDoc?.exists()) {
+      await assertLoadLimits(studentId, [toCourseId], seasonId, seasonDoc.data(), student, [fromEnrollmentId]);
+    }
+    await assertRequisites(
+      toCourse,
+      await getRequisiteContext(studentId, seasonId, [toCourseId], [fromEnrollmentId])
+    );
+    
+    // Writes
+    const toEnrollmentRef = doc(collection(db, 'enrollments'));
+    const swappedBy = {
+      actorType: HISTORY_ACTOR_TYPE.ADMIN,
+      reason: '강좌 변경 승인',
+      swapId: changeId,
+    };
+    setNewEnrollment(transaction, toEnrollmentRef, buildEnrollmentData(
+      toCourseId, change.studentId, change.seasonId, ENROLLMENT_STATUS.APPROVED, {
+        ...buildStudentSnapshot(student),
+        approvedAt: serverTimestamp(),
+        approvedBy: adminUid,
+        swapId: changeId,
+      }
+    ), swappedBy);
+    transaction.update(toCourseRef, {
+      enrolled: (toCourse.enrolled || 0) + 1,
+    });
+    
+    const promoted = applySeatRelease(transaction, release, {
+      status: ENROLLMENT_STATUS.CANCELLED,
+      cancelledAt: serverTimestamp(),
+      swapId: changeId,
+    }, swappedBy);
+    
+    transaction.update(changeRef, {
+      status: ENROLLMENT_CHANGE_STATUS.APPROVED,
+      processedAt: serverTimestamp(),
+      processedBy: adminUid,
+      toEnrollmentId: toEnrollmentRef.id,
+    });
+    appendAuditLog(transaction, {
+      action: 'approveSwap',
+      entityType: AUDIT_ENTITY.ENROLLMENT,
+      entityId: fromEnrollmentId,
+      label: enrollmentLabel(fromData, release.courseDoc),
+      before: { ...fromData, swapId: changeId },
+      after: { status: ENROLLMENT_STATUS.CANCELLED, toEnrollmentId: toEnrollmentRef.id, toCourseId },
+    });
+    
+    return {
+      promoted,
+      studentId: change.studentId,
+      fromTitle: release.courseDoc.exists() ? release.courseDoc.data().title : '강좌',
+      toTitle: toCourse.title,
+    };
+  });
+  
+  await notifyPromotion(result.promoted);
+  
+  try {
+    await createSwapApprovalNotification(result.studentId, result.fromTitle, result.toTitle, toCourseId);
+  } catch (error) {
+    console.error('Swap approval notification failed:', error);
+  }
+};
+
+/**
+ * Reject a course swap (course A is kept as-is)
+ */
+export const rejectCourseSwap = async (changeId, adminUid, reason) => {
+  await assertPermission(PERMISSIONS.APPROVE_ENROLLMENTS);
+
+  const changeRef = doc(db, 'enrollmentChanges', changeId);
+  const changeDoc = await getDoc(changeRef);
+  
+  if (!changeDoc.exists()) {
+    throw new Error('변경 신청을 찾을 수 없습니다.');
+  }
+  
+  const change = changeDoc.data();
+  if (change.status !== ENROLLMENT_CHANGE_STATUS.PENDING) {
+    throw new Error('이미 처리된 변경 신청입니다.');
+  }
+  
+  const batch = writeBatch(db);
+  batch.update(changeRef, {
+    status: ENROLLMENT_CHANGE_STATUS.REJECTED,
+    processedAt: serverTimestamp(),
+    processedBy: adminUid,
+    rejectionReason: reason,
+  });
+  appendAuditLog(batch, {
+    action: 'rejectSwap',
+    entityType: AUDIT_ENTITY.ENROLLMENT,
+    entityId: change.fromEnrollmentId,
+    label: `${change.studentId} · ${change.fromCourseTitle || change.fromCourseId} → ${change.toCourseTitle || change.toCourseId}`,
+    before: change,
+    after: { status: ENROLLMENT_CHANGE_STATUS.REJECTED, rejectionReason: reason },
+  });
+  await batch.commit();
+  
+  try {
+    await createSwapRejectionNotification(
+      change.studentId,
+      change.fromCourseTitle || '강좌',
+      change.toCourseTitle || '강좌',
+      change.toCourseId,
+      reason
+    );
+  } catch (error) {
+    console.error('Swap rejection notification failed:', error);
+  }
+};
+
+/**
+ * Withdraw a pending course swap (by student)
+ */
+export const cancelCourseSwap = async (changeId) => {
+  await updateDoc(doc(db, 'enrollmentChanges', changeId), {
+    status: ENROLLMENT_CHANGE_STATUS.CANCELLED,
+    cancelledAt: serverTimestamp(),
+  });
+};
+
+/**
+ * Subscribe to pending course swaps (for admin)
+ */
+export const subscribeToPendingCourseSwaps = (callback) => {
+  const changesQuery = query(
+    collection(db, 'enrollmentChanges'),
+    where('status', '==', ENROLLMENT_CHANGE_STATUS.PENDING)
+  );
+  
+  return onSnapshot(changesQuery, (snapshot) => {
+    const changes = snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+    
+    // Sort by requestedAt in JavaScript (ascending order)
+    changes.sort((a, b) => (a.requestedAt?.seconds || 0) - (b.requestedAt?.seconds || 0));
+    callback(changes);
+  });
+};
+
+/**
+ * Subscribe to a student's pending course swaps
+ */
+export const subscribeToStudentCourseSwaps = (studentId, callback) => {
+  const changesQuery = query(
+    collection(db, 'enrollmentChanges'),
+    where('studentId', '==', studentId),
+    where('status', '==', ENROLLMENT_CHANGE_STATUS.PENDING)
+  );
+  
+  return onSnapshot(changesQuery, (snapshot) => {
+    const changes = snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+    callback(changes);
+  }, (error) => {
+    console.error('subscribeToStudentCourseSwaps error:', error);
+    callback([]);
+  });
+};
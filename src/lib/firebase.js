@@ -1,4 +1,4 @@
-import { initializeApp } from 'firebase/app';
+import { initializeApp, getApps } from 'firebase/app';
 import { getAuth } from 'firebase/auth';
 import { getFirestore } from 'firebase/firestore';
 
@@ -14,4 +14,20 @@ const firebaseConfig = {
 const app = initializeApp(firebaseConfig);
 export const auth = getAuth(app);
 export const db = getFirestore(app);
+
+const getAccountCreationApp = () =>
+  getApps().find(a => a.name === 'account-creation') ||
+  initializeApp(firebaseConfig, 'account-creation');
+
+/**
+ * Auth on a secondary app instance, for creating login accounts (admins, instructors)
+ * without replacing the signed-in staff member's session
+ */
+export const getAccountCreationAuth = () => getAuth(getAccountCreationApp());
+
+/**
+ * Firestore on the secondary app: writes are made as the user signed in to
+ * getAccountCreationAuth(), e.g. an invitee setting up their own admin document
+ */
+export const getAccountCreationDb = () => getFirestore(getAccountCreationApp());
 export default app;
@@ -0,0 +1,243 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  query,
+  where,
+  writeBatch,
+  arrayUnion,
+  arrayRemove,
+  onSnapshot,
+  serverTimestamp
+} from 'firebase/firestore';
+import { createUserWithEmailAndPassword, signOut } from 'firebase/auth';
+import { db, getAccountCreationAuth } from './firebase';
+import { assertPermission } from './roleService';
+import { appendAuditLog } from './auditLogService';
+import { PERMISSIONS, AUDIT_ENTITY, GUARDIAN_CONSENT_STATUS } from '../constants';
+
+/**
+ * Guardian Schema (guardians collection, document id = guardian's auth uid):
+ * {
+ *   name: string,
+ *   phone: string,
+ *   loginId: string (login `${loginId}@academy.local`),
+ *   studentIds: string[] (linked children, siblings included),
+ *   isActive: boolean,
+ *   createdAt: timestamp,
+ *   createdBy: string (admin uid)
+ * }
+ * students.guardianIds mirrors the links so firestore.rules can tell whether a student
+ * has a guardian (rules can't query guardians by student).
+ *
+ * Guardian Consent Schema (guardianConsents collection, document id = `${studentId}_${seasonId}`):
+ * {
+ *   studentId, seasonId,
+ *   courseIds: string[] (courses the student wants to submit),
+ *   status: 'pending' | 'confirmed' | 'declined',
+ *   requestedAt: timestamp,
+ *   respondedAt: timestamp | null,
+ *   respondedBy: string | null (guardian uid)
+ * }
+ * Guardians only read their children's data; confirming a consent is the one thing they write.
+ */
+
+const sortByName = (guardians) => guardians.sort((a, b) => a.name.localeCompare(b.name, 'ko'));
+
+export const getConsentId = (studentId, seasonId) => `${studentId}_${seasonId}`;
+
+/**
+ * Create a guardian login linked to one or more students.
+ * Uses a secondary auth instance so the admin stays signed in.
+ * @param {Object} guardianData - { name, phone, loginId, password, studentIds }
+ * @returns {Promise<string>} Guardian ID (auth uid)
+ */
+export const createGuardian = async ({ name, phone, loginId, password, studentIds }, adminUid) => {
+  await assertPermission(PERMISSIONS.EDIT_STUDENTS);
+
+  if (loginId.length < 3) {
+    throw new Error('아이디는 3자 이상이어야 합니다.');
+  }
+  if (password.length < 6) {
+    throw new Error('비밀번호는 6자 이상이어야 합니다.');
+  }
+  if (studentIds.length === 0) {
+    throw new Error('연결할 학생을 선택해주세요.');
+  }
+
+  const accountAuth = getAccountCreationAuth();
+  let credential;
+  try {
+    credential = await createUserWithEmailAndPassword(accountAuth, `${loginId}@academy.local`, password);
+  } catch (error) {
+    if (error.code === 'auth/email-already-in-use') {
+      throw new Error('이미 사용 중인 아이디입니다.');
+    }
+    throw error;
+  }
+  await signOut(accountAuth);
+
+  const guardianId = credential.user.uid;
+  const guardianData = {
+    name: name.trim(),
+    phone: phone || '',
+    loginId,
+    studentIds,
+    isActive: true,
+    createdAt: serverTimestamp(),
+    createdBy: adminUid,
+  };
+
+  const batch = writeBatch(db);
+  batch.set(doc(db, 'guardians', guardianId), guardianData);
+  studentIds.forEach(studentId => {
+    batch.update(doc(db, 'students', studentId), { guardianIds: arrayUnion(guardianId) });
+  });
+  appendAuditLog(batch, {
+    action: 'create',
+    entityType: AUDIT_ENTITY.GUARDIAN,
+    entityId: guardianId,
+    label: guardianData.name,
+    after: guardianData,
+  });
+  await batch.commit();
+
+  return guardianId;
+};
+
+/**
+ * Get all guardians (sorted by name)
+ */
+export const getAllGuardians = async () => {
+  const snapshot = await getDocs(collection(db, 'guardians'));
+  return sortByName(snapshot.docs.map(doc => ({
+    id: doc.id,
+    ...doc.data()
+  })));
+};
+
+/**
+ * Get a guardian by auth uid
+ */
+export const getGuardian = async (guardianId) => {
+  const guardianDoc = await getDoc(doc(db, 'guardians', guardianId));
+  if (!guardianDoc.exists()) {
+    return null;
+  }
+  return { id: guardianId, ...guardianDoc.data() };
+};
+
+/**
+ * Update a guardian. Changed studentIds are mirrored to students.guardianIds.
+ */
+export const updateGuardian = async (guardianId, updates) => {
+  await assertPermission(PERMISSIONS.EDIT_STUDENTS);
+
+  const before = await getGuardian(guardianId);
+  if (!before) {
+    throw new Error('보호자를 찾을 수 없습니다.');
+  }
+  if (updates.studentIds?.length === 0) {
+    throw new Error('연결할 학생을 선택해주세요.');
+  }
+
+  const batch = writeBatch(db);
+  if (updates.studentIds) {
+    updates.studentIds
+      .filter(id => !before.studentIds.includes(id))
+      .forEach(id => batch.update(doc(db, 'students', id), { guardianIds: arrayUnion(guardianId) }));
+    before.studentIds
+      .filter(id => !updates.studentIds.includes(id))
+      .forEach(id => batch.update(doc(db, 'students', id), { guardianIds: arrayRemove(guardianId) }));
+  }
+  batch.update(doc(db, 'guardians', guardianId), {
+    ...updates,
+    updatedAt: serverTimestamp(),
+  });
+  appendAuditLog(batch, {
+    action: updates.studentIds ? 'linkStudents' : 'update',
+    entityType: AUDIT_ENTITY.GUARDIAN,
+    entityId: guardianId,
+    label: before.name,
+    before,
+    after: updates,
+  });
+  await batch.commit();
+};
+
+/**
+ * Delete a guardian and unlink their children.
+ * The login itself remains in Firebase Auth but is signed out (no guardian document).
+ */
+export const deleteGuardian = async (guardianId) => {
+  await assertPermission(PERMISSIONS.DELETE_DATA);
+
+  const before = await getGuardian(guardianId);
+  if (!before) return;
+
+  const batch = writeBatch(db);
+  before.studentIds.forEach(id => {
+    batch.update(doc(db, 'students', id), { guardianIds: arrayRemove(guardianId) });
+  });
+  batch.delete(doc(db, 'guardians', guardianId));
+  appendAuditLog(batch, {
+    action: 'delete',
+    entityType: AUDIT_ENTITY.GUARDIAN,
+    entityId: guardianId,
+    label: before.name,
+    before,
+  });
+  await batch.commit();
+};
+
+/**
+ * Ask the student's guardians to confirm the courses they want to submit.
+ * Replaces any earlier request for the season.
+ */
+export const requestGuardianConsent = async (studentId, seasonId, courseIds) => {
+  await setDoc(doc(db, 'guardianConsents', getConsentId(studentId, seasonId)), {
+    studentId,
+    seasonId,
+    courseIds,
+    status: GUARDIAN_CONSENT_STATUS.PENDING,
+    requestedAt: serverTimestamp(),
+    respondedAt: null,
+    respondedBy: null,
+  });
+};
+
+/**
+ * Subscribe to a student's consent requests (newest first, at most one per season).
+ * Queried by studentId so the rules can check access before a request exists.
+ */
+export const subscribeToStudentConsents = (studentId, callback) => {
+  const consentsQuery = query(
+    collection(db, 'guardianConsents'),
+    where('studentId', '==', studentId)
+  );
+
+  return onSnapshot(consentsQuery, (snapshot) => {
+    const consents = snapshot.docs
+      .map(d => ({ id: d.id, ...d.data() }))
+      .sort((a, b) => (b.requestedAt?.seconds || 0) - (a.requestedAt?.seconds || 0));
+    callback(consents);
+  }, (error) => {
+    console.error('subscribeToStudentConsents error:', error);
+    callback([]);
+  });
+};
+
+/**
+ * Guardian's answer to a pending consent request
+ * @param {boolean} confirmed - true confirms the courses, false declines them
+ */
+export const respondToGuardianConsent = async (consentId, guardianId, confirmed) => {
+  await updateDoc(doc(db, 'guardianConsents', consentId), {
+    status: confirmed ? GUARDIAN_CONSENT_STATUS.CONFIRMED : GUARDIAN_CONSENT_STATUS.DECLINED,
+    respondedAt: serverTimestamp(),
+    respondedBy: guardianId,
+  });
+};
@@ -0,0 +1,180 @@
+import {
+  collection,
+  doc,
+  getDocs,
+  addDoc,
+  deleteDoc,
+  setDoc,
+  query,
+  where,
+  writeBatch,
+  serverTimestamp
+} from 'firebase/firestore';
+import { createUserWithEmailAndPassword, signOut } from 'firebase/auth';
+import { db, getAccountCreationAuth } from './firebase';
+import { assertPermission } from './roleService';
+import { appendAuditLog } from './auditLogService';
+import { PERMISSIONS, AUDIT_ENTITY } from '../constants';
+
+/**
+ * Instructor Schema (instructors collection):
+ * {
+ *   id,
+ *   name: string (copied to courses.instructor for display),
+ *   phone: string,
+ *   email: string,
+ *   availability: [{ day, startPeriod, endPeriod }] (empty = any time),
+ *   loginId: string | null (portal login, `${loginId}@academy.local`),
+ *   authUid: string | null,
+ *   isActive: boolean,
+ *   createdAt: timestamp,
+ *   createdBy: string (admin uid)
+ * }
+ * Courses reference an instructor by instructorId and keep the name in `instructor`.
+ *
+ * instructorAccounts/{authUid}: { instructorId } lets firestore.rules recognize a signed-in
+ * instructor (rules can't query instructors by authUid). The instructor writes it on sign-in.
+ */
+
+const sortByName = (instructors) => instructors.sort((a, b) => a.name.localeCompare(b.name, 'ko'));
+
+const normalizeAvailability = (availability = []) => availability.map(window => ({
+  day: window.day,
+  startPeriod: parseInt(window.startPeriod),
+  endPeriod: parseInt(window.endPeriod),
+}));
+
+/**
+ * Create an instructor
+ */
+export const createInstructor = async (instructorData, adminUid) => {
+  await assertPermission(PERMISSIONS.MANAGE_COURSES);
+
+  const name = instructorData.name.trim();
+  const existing = await getAllInstructors();
+  if (existing.some(i => i.name === name)) {
+    throw new Error('이미 등록된 강사입니다.');
+  }
+
+  const docRef = await addDoc(collection(db, 'instructors'), {
+    name,
+    phone: instructorData.phone || '',
+    email: instructorData.email || '',
+    availability: normalizeAvailability(instructorData.availability),
+    loginId: null,
+    authUid: null,
+    isActive: true,
+    createdAt: serverTimestamp(),
+    createdBy: adminUid,
+  });
+
+  return docRef.id;
+};
+
+/**
+ * Get all instructors (sorted by name)
+ */
+export const getAllInstructors = async () => {
+  const snapshot = await getDocs(collection(db, 'instructors'));
+  return sortByName(snapshot.docs.map(doc => ({
+    id: doc.id,
+    ...doc.data()
+  })));
+};
+
+/**
+ * Get the instructor linked to a portal login
+ */
+export const getInstructorByAuthUid = async (authUid) => {
+  const instructorQuery = query(
+    collection(db, 'instructors'),
+    where('authUid', '==', authUid)
+  );
+
+  const snapshot = await getDocs(instructorQuery);
+  if (snapshot.empty) return null;
+  return { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+};
+
+/**
+ * Link the signed-in instructor's auth account for firestore.rules (idempotent)
+ */
+export const linkInstructorAccount = async (instructorId, authUid) => {
+  await setDoc(doc(db, 'instructorAccounts', authUid), { instructorId });
+};
+
+/**
+ * Update an instructor. A new name is copied to the courses they teach.
+ */
+export const updateInstructor = async (instructorId, updates) => {
+  await assertPermission(PERMISSIONS.MANAGE_COURSES);
+
+  const batch = writeBatch(db);
+
+  if (updates.availability) {
+    updates.availability = normalizeAvailability(updates.availability);
+  }
+
+  if (updates.name) {
+    updates.name = updates.name.trim();
+    const existing = await getAllInstructors();
+    if (existing.some(i => i.id !== instructorId && i.name === updates.name)) {
+      throw new Error('이미 등록된 강사입니다.');
+    }
+
+    const coursesQuery = query(
+      collection(db, 'courses'),
+      where('instructorId', '==', instructorId)
+    );
+    const coursesSnapshot = await getDocs(coursesQuery);
+    const renamedCourses = coursesSnapshot.docs.filter(d => d.data().instructor !== updates.name);
+    renamedCourses.forEach(d => batch.update(d.ref, { instructor: updates.name }));
+    if (renamedCourses.length > 0) {
+      appendAuditLog(batch, {
+        action: 'update',
+        entityType: AUDIT_ENTITY.COURSE,
+        label: `강사 이름 변경: ${updates.name}`,
+        after: { instructor: updates.name, courseIds: renamedCourses.map(d => d.id) },
+      });
+    }
+  }
+
+  batch.update(doc(db, 'instructors', instructorId), {
+    ...updates,
+    updatedAt: serverTimestamp(),
+  });
+  await batch.commit();
+};
+
+/**
+ * Delete an instructor (courses keep the name as plain text)
+ */
+export const deleteInstructor = async (instructorId) => {
+  await assertPermission(PERMISSIONS.MANAGE_COURSES);
+
+  await deleteDoc(doc(db, 'instructors', instructorId));
+};
+
+/**
+ * Create a portal login for an instructor.
+ * Uses a secondary auth instance so the admin stays signed in.
+ */
+export const createInstructorAccount = async (instructorId, loginId, password) => {
+  await assertPermission(PERMISSIONS.MANAGE_COURSES);
+
+  if (loginId.length < 3) {
+    throw new Error('아이디는 3자 이상이어야 합니다.');
+  }
+  if (password.length < 6) {
+    throw new Error('비밀번호는 6자 이상이어야 합니다.');
+  }
+
+  const accountAuth = getAccountCreationAuth();
+  const credential = await createUserWithEmailAndPassword(accountAuth, `${loginId}@academy.local`, password);
+  await signOut(accountAuth);
+
+  await updateInstructor(instructorId, {
+    loginId,
+    authUid: credential.user.uid,
+  });
+};
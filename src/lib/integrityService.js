@@ -0,0 +1,204 @@
+import {
+  collection,
+  doc,
+  getDocs,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { ENROLLMENT_STATUS, PERMISSIONS, AUDIT_ENTITY } from '../constants';
+import { assertPermission } from './roleService';
+import { commitAuditedWrites } from './auditLogService';
+
+// Statuses that hold a seat in courses.enrolled
+const SEAT_HOLDING_STATUSES = [ENROLLMENT_STATUS.PENDING, ENROLLMENT_STATUS.APPROVED];
+
+/**
+ * Integrity Report:
+ * {
+ *   enrolledCounts: [{ courseId, title, stored, actual }],
+ *   classCounts: [{ classId, name, stored, actual }],
+ *   orphanEnrollments: [{ id, studentId, courseId, missing: 'student' | 'course' }],
+ *   orphanNotifications: [{ id, studentId, title }],
+ *   expiringAnnouncements: [{ id, studentId, title }],
+ *   unflaggedNotifications: [{ id, studentId, title }],
+ *   orphanAttendance: [{ id, studentId, courseId, date, missing: 'student' | 'course' }],
+ *   staleStudentSnapshots: [{ id, studentId, stored, actual: { studentName, studentClass } }],
+ *   checkedAt: Date
+ * }
+ * Only mismatching counts are listed.
+ */
+
+const getAll = async (collectionName) => {
+  const snapshot = await getDocs(collection(db, collectionName));
+  return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+};
+
+/**
+ * Recompute derived counters and find orphaned records (read-only preview).
+ * Notifications are checked against students only: they intentionally outlive the course they mention.
+ */
+export const checkDataIntegrity = async () => {
+  const [courses, students, classes, enrollments, notifications, attendance] = await Promise.all([
+    getAll('courses'),
+    getAll('students'),
+    getAll('classes'),
+    getAll('enrollments'),
+    getAll('notifications'),
+    getAll('attendance'),
+  ]);
+
+  const studentIds = new Set(students.map(s => s.id));
+  const courseIds = new Set(courses.map(c => c.id));
+  const missingOf = (record) => {
+    if (!studentIds.has(record.studentId)) return 'student';
+    if (!courseIds.has(record.courseId)) return 'course';
+    return null;
+  };
+
+  // Orphans first so they are not counted as taking a seat
+  const orphanEnrollments = enrollments
+    .map(e => ({ id: e.id, studentId: e.studentId, courseId: e.courseId, missing: missingOf(e) }))
+    .filter(e => e.missing);
+  const orphanEnrollmentIds = new Set(orphanEnrollments.map(e => e.id));
+
+  const seatCounts = {};
+  enrollments
+    .filter(e => !orphanEnrollmentIds.has(e.id) && SEAT_HOLDING_STATUSES.includes(e.status))
+    .forEach(e => { seatCounts[e.courseId] = (seatCounts[e.courseId] || 0) + 1; });
+
+  const enrolledCounts = courses
+    .map(c => ({ courseId: c.id, title: c.title, stored: c.enrolled || 0, actual: seatCounts[c.id] || 0 }))
+    .filter(c => c.stored !== c.actual)
+    .sort((a, b) => (a.title || '').localeCompare(b.title || '', 'ko'));
+
+  // Same counting as recalculateClassCounts (classService)
+  const studentsPerClass = {};
+  students
+    .filter(s => s.class)
+    .forEach(s => { studentsPerClass[s.class] = (studentsPerClass[s.class] || 0) + 1; });
+
+  const classCounts = classes
+    .map(c => ({ classId: c.id, name: c.name, stored: c.studentCount || 0, actual: studentsPerClass[c.name] || 0 }))
+    .filter(c => c.stored !== c.actual)
+    .sort((a, b) => (a.name || '').localeCompare(b.name || '', 'ko'));
+
+  const orphanNotifications = notifications
+    .filter(n => !studentIds.has(n.studentId))
+    .map(n => ({ id: n.id, studentId: n.studentId, title: n.title }));
+
+  // Read before announcements stopped expiring: TTL would drop them from the read receipts
+  const expiringAnnouncements = notifications
+    .filter(n => studentIds.has(n.studentId) && n.announcementId && n.expiresAt)
+    .map(n => ({ id: n.id, studentId: n.studentId, title: n.title }));
+
+  // Written before notifications got archived: false; the student's list queries on it
+  const unflaggedNotifications = notifications
+    .filter(n => studentIds.has(n.studentId) && typeof n.archived !== 'boolean')
+    .map(n => ({ id: n.id, studentId: n.studentId, title: n.title }));
+
+  const orphanAttendance = attendance
+    .map(a => ({ id: a.id, studentId: a.studentId, courseId: a.courseId, date: a.date, missing: missingOf(a) }))
+    .filter(a => a.missing);
+
+  // Enrollments carry the student's name and class for instructors, who may not read students
+  const studentsById = new Map(students.map(s => [s.id, s]));
+  const staleStudentSnapshots = enrollments
+    .filter(e => !orphanEnrollmentIds.has(e.id))
+    .map(e => {
+      const student = studentsById.get(e.studentId);
+      return {
+        id: e.id,
+        studentId: e.studentId,
+        stored: { studentName: e.studentName ?? null, studentClass: e.studentClass ?? null },
+        actual: { studentName: student.name || '', studentClass: student.class || '' },
+      };
+    })
+    .filter(e => e.stored.studentName !== e.actual.studentName || e.stored.studentClass !== e.actual.studentClass);
+
+  return {
+    enrolledCounts,
+    classCounts,
+    orphanEnrollments,
+    orphanNotifications,
+    expiringAnnouncements,
+    unflaggedNotifications,
+    orphanAttendance,
+    staleStudentSnapshots,
+    checkedAt: new Date(),
+  };
+};
+
+/**
+ * Count the fixes a report would apply
+ */
+export const countIntegrityIssues = (report) => {
+  if (!report) return 0;
+  return report.enrolledCounts.length +
+    report.classCounts.length +
+    report.orphanEnrollments.length +
+    report.orphanNotifications.length +
+    report.expiringAnnouncements.length +
+    report.unflaggedNotifications.length +
+    report.orphanAttendance.length +
+    report.staleStudentSnapshots.length;
+};
+
+/**
+ * Apply a report from checkDataIntegrity: set recomputed counts, refresh enrollment
+ * student snapshots, stop announcement notifications from expiring, flag legacy notifications
+ * as not archived and delete orphans.
+ * Re-run the check first if the data may have changed since the preview.
+ * @returns {Promise<number>} Number of documents written
+ */
+export const applyIntegrityFixes = async (report) => {
+  await assertPermission(PERMISSIONS.DELETE_DATA);
+
+  const writes = [];
+
+  for (const c of report.enrolledCounts) {
+    writes.push(b => b.update(doc(db, 'courses', c.courseId), {
+      enrolled: c.actual,
+      updatedAt: serverTimestamp(),
+    }));
+  }
+
+  for (const c of report.classCounts) {
+    writes.push(b => b.update(doc(db, 'classes', c.classId), {
+      studentCount: c.actual,
+      updatedAt: serverTimestamp(),
+    }));
+  }
+
+  for (const e of report.orphanEnrollments) {
+    writes.push(b => b.delete(doc(db, 'enrollments', e.id)));
+  }
+
+  for (const n of report.orphanNotifications) {
+    writes.push(b => b.delete(doc(db, 'notifications', n.id)));
+  }
+
+  for (const n of report.expiringAnnouncements) {
+    writes.push(b => b.update(doc(db, 'notifications', n.id), { expiresAt: null }));
+  }
+
+  for (const n of report.unflaggedNotifications) {
+    writes.push(b => b.update(doc(db, 'notifications', n.id), { archived: false }));
+  }
+
+  for (const a of report.orphanAttendance) {
+    writes.push(b => b.delete(doc(db, 'attendance', a.id)));
+  }
+
+  for (const e of report.staleStudentSnapshots) {
+    writes.push(b => b.update(doc(db, 'enrollments', e.id), e.actual));
+  }
+
+  await commitAuditedWrites(writes, {
+    action: 'integrityFix',
+    entityType: AUDIT_ENTITY.COLLECTION,
+    label: `${writes.length}건`,
+    before: report,
+  });
+
+  return writes.length;
+};
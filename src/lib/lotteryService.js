@@ -0,0 +1,384 @@
+import { 
+  collection, 
+  doc, 
+  getDoc, 
+  getDocs, 
+  query,
+  where,
+  runTransaction,
+  serverTimestamp 
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { ENROLLMENT_STATUS, ALLOCATION_MODE, HISTORY_ACTOR_TYPE, PERMISSIONS } from '../constants';
+import { createApprovalNotification, createLotteryWaitlistNotification } from './notificationService';
+import { appendEnrollmentHistory } from './enrollmentHistoryService';
+import { assertPermission } from './roleService';
+
+/**
+ * Lottery Draw Schema (lotteryDraws collection, kept for audit):
+ * {
+ *   id,
+ *   courseId,
+ *   seasonId,
+ *   seed: string,
+ *   algorithm: 'fnv1a-mulberry32-fisher-yates',
+ *   entryIds: string[] (enrollment IDs in canonical input order),
+ *   ranking: [{ enrollmentId, studentId, rank, result: 'approved' | 'waitlisted', waitlistPosition }],
+ *   seatsAvailable: number,
+ *   status: 'applying' | 'completed' (legacy draws without it are completed),
+ *   appliedCount: number (ranking entries already written to their enrollments),
+ *   drawnAt: timestamp,
+ *   drawnBy: string (admin uid),
+ *   completedAt: timestamp | null
+ * }
+ */
+
+export const LOTTERY_ALGORITHM = 'fnv1a-mulberry32-fisher-yates';
+
+export const LOTTERY_DRAW_STATUS = {
+  APPLYING: 'applying',
+  COMPLETED: 'completed',
+};
+
+// Ranking entries applied per transaction (2 writes each, plus the course and the draw record)
+const APPLY_CHUNK_SIZE = 200;
+
+/**
+ * Hash a seed string to an unsigned 32-bit integer (FNV-1a)
+ */
+const hashSeed = (seed) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Deterministic PRNG (mulberry32) returning floats in [0, 1)
+ */
+const mulberry32 = (state) => () => {
+  state = (state + 0x6d2b79f5) >>> 0;
+  let t = state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+/**
+ * Generate a random, human-readable seed (e.g., "7f3a-91c2-0b4e")
+ */
+export const generateLotterySeed = () => {
+  const bytes = new Uint8Array(6);
+  crypto.getRandomValues(bytes);
+  const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 4)}-${hex.slice(4, 8)}-${hex.slice(8, 12)}`;
+};
+
+/**
+ * Rank lottery entries reproducibly
+ * Entries are sorted into canonical order first, so the same seed and
+ * the same set of entries always produce the same ranking.
+ * @param {Array<string>} entryIds - Enrollment IDs
+ * @param {string} seed - Draw seed
+ * @returns {Array<string>} Enrollment IDs in ranked order (winners first)
+ */
+export const rankLotteryEntries = (entryIds, seed) => {
+  const ranked = [...entryIds].sort();
+  const random = mulberry32(hashSeed(String(seed)));
+  
+  // Fisher-Yates shuffle
+  for (let i = ranked.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [ranked[i], ranked[j]] = [ranked[j], ranked[i]];
+  }
+  
+  return ranked;
+};
+
+/**
+ * Verify a stored draw by replaying it from its seed and entries
+ * @returns {boolean} true if the stored ranking matches the replay
+ */
+export const verifyLotteryDraw = (draw) => {
+  const replayed = rankLotteryEntries(draw.entryIds || [], draw.seed);
+  const stored = (draw.ranking || []).map(r => r.enrollmentId);
+  return replayed.length === stored.length && replayed.every((id, i) => id === stored[i]);
+};
+
+/**
+ * Get lottery-mode courses (optionally for a season)
+ */
+export const getLotteryCourses = async (seasonId = null) => {
+  const coursesQuery = query(
+    collection(db, 'courses'),
+    where('allocationMode', '==', ALLOCATION_MODE.LOTTERY)
+  );
+  
+  const snapshot = await getDocs(coursesQuery);
+  const courses = snapshot.docs.map(doc => ({
+    id: doc.id,
+    ...doc.data()
+  }));
+  
+  // Filter season in memory to avoid composite index
+  return seasonId ? courses.filter(c => c.seasonId === seasonId) : courses;
+};
+
+/**
+ * Get a stored lottery draw
+ */
+export const getLotteryDraw = async (drawId) => {
+  const drawDoc = await getDoc(doc(db, 'lotteryDraws', drawId));
+  if (!drawDoc.exists()) {
+    return null;
+  }
+  return { id: drawId, ...drawDoc.data() };
+};
+
+/**
+ * Close entry collection: mark the course as drawn under a draw ID.
+ * A course already marked is resumed under its existing ID as long as that draw
+ * never completed (e.g. the admin's session ended mid-draw).
+ * @returns {Promise<{ courseData: Object, drawRef: Object, draw: Object|null }>}
+ */
+const lockLotteryCourse = (courseRef) => runTransaction(db, async (transaction) => {
+  const courseDoc = await transaction.get(courseRef);
+  
+  if (!courseDoc.exists()) {
+    throw new Error('강좌를 찾을 수 없습니다.');
+  }
+  
+  const courseData = courseDoc.data();
+  
+  if (courseData.allocationMode !== ALLOCATION_MODE.LOTTERY) {
+    throw new Error('추첨 방식 강좌가 아닙니다.');
+  }
+  
+  if (courseData.lotteryDrawnAt && courseData.lotteryDrawId) {
+    const drawRef = doc(db, 'lotteryDraws', courseData.lotteryDrawId);
+    const drawDoc = await transaction.get(drawRef);
+    const draw = drawDoc.exists() ? drawDoc.data() : null;
+    if (draw && (draw.status || LOTTERY_DRAW_STATUS.COMPLETED) === LOTTERY_DRAW_STATUS.COMPLETED) {
+      throw new Error('이미 추첨이 완료된 강좌입니다.');
+    }
+    return { courseData, drawRef, draw };
+  }
+  if (courseData.lotteryDrawnAt) {
+    throw new Error('이미 추첨이 완료된 강좌입니다.');
+  }
+  
+  const drawRef = doc(collection(db, 'lotteryDraws'));
+  transaction.update(courseRef, {
+    lotteryDrawnAt: serverTimestamp(),
+    lotteryDrawId: drawRef.id,
+  });
+  
+  return { courseData, drawRef, draw: null };
+});
+
+/**
+ * Rank the course's entries and store the draw record, reserving the winners' seats
+ * and the waitlist places on the course in the same transaction.
+ * Entries are re-read inside the transaction, so ones withdrawn meanwhile are left out.
+ */
+const recordLotteryDraw = async (courseRef, drawRef, seed, adminUid) => {
+  const entriesSnapshot = await getDocs(query(
+    collection(db, 'enrollments'),
+    where('courseId', '==', courseRef.id),
+    where('status', '==', ENROLLMENT_STATUS.LOTTERY)
+  ));
+  
+  return runTransaction(db, async (transaction) => {
+    const courseDoc = await transaction.get(courseRef);
+    const drawDoc = await transaction.get(drawRef);
+    const entryDocs = await Promise.all(entriesSnapshot.docs.map(d => transaction.get(d.ref)));
+    
+    if (drawDoc.exists()) {
+      throw new Error('다른 관리자가 이미 추첨을 진행 중입니다. 잠시 후 결과를 확인해주세요.');
+    }
+    
+    const courseData = courseDoc.data();
+    const entriesById = {};
+    entryDocs
+      .filter(d => d.exists() && d.data().status === ENROLLMENT_STATUS.LOTTERY)
+      .forEach(d => { entriesById[d.id] = d.data(); });
+    
+    const entryIds = Object.keys(entriesById).sort();
+    const rankedIds = rankLotteryEntries(entryIds, seed);
+    const seatsAvailable = Math.max(0, (courseData.capacity || 0) - (courseData.enrolled || 0));
+    const waitlistBase = courseData.waitlistCount || 0;
+    
+    const ranking = rankedIds.map((enrollmentId, index) => {
+      const won = index < seatsAvailable;
+      return {
+        enrollmentId,
+        studentId: entriesById[enrollmentId].studentId,
+        rank: index + 1,
+        result: won ? ENROLLMENT_STATUS.APPROVED : ENROLLMENT_STATUS.WAITLISTED,
+        waitlistPosition: won ? null : waitlistBase + (index - seatsAvailable) + 1,
+      };
+    });
+    const winnerCount = ranking.filter(r => r.result === ENROLLMENT_STATUS.APPROVED).length;
+    
+    const draw = {
+      courseId: courseRef.id,
+      seasonId: courseData.seasonId || null,
+      courseTitle: courseData.title,
+      seed: String(seed),
+      algorithm: LOTTERY_ALGORITHM,
+      entryIds,
+      ranking,
+      seatsAvailable,
+      status: ranking.length > 0 ? LOTTERY_DRAW_STATUS.APPLYING : LOTTERY_DRAW_STATUS.COMPLETED,
+      appliedCount: 0,
+      drawnAt: serverTimestamp(),
+      drawnBy: adminUid,
+      completedAt: ranking.length > 0 ? null : serverTimestamp(),
+    };
+    transaction.set(drawRef, draw);
+    transaction.update(courseRef, {
+      enrolled: (courseData.enrolled || 0) + winnerCount,
+      waitlistCount: waitlistBase + (ranking.length - winnerCount),
+      lotteryEntryCount: 0,
+      updatedAt: serverTimestamp(),
+    });
+    
+    return draw;
+  });
+};
+
+/**
+ * Write the next chunk of a recorded draw to its enrollments (one transaction per chunk).
+ * Entries withdrawn after the draw was recorded give back the seat or waitlist place reserved for them.
+ * @returns {Promise<{ draw: Object, applied: Array }>} Updated draw and the ranking entries written
+ */
+const applyLotteryChunk = (courseRef, drawRef, adminUid) => runTransaction(db, async (transaction) => {
+  const drawDoc = await transaction.get(drawRef);
+  const draw = drawDoc.data();
+  const chunk = draw.ranking.slice(draw.appliedCount, draw.appliedCount + APPLY_CHUNK_SIZE);
+  const courseDoc = await transaction.get(courseRef);
+  const entryDocs = await Promise.all(
+    chunk.map(entry => transaction.get(doc(db, 'enrollments', entry.enrollmentId)))
+  );
+  
+  const applied = [];
+  let releasedSeats = 0;
+  let releasedPlaces = 0;
+  
+  chunk.forEach((entry, i) => {
+    const entryDoc = entryDocs[i];
+    if (!entryDoc.exists() || entryDoc.data().status !== ENROLLMENT_STATUS.LOTTERY) {
+      if (entry.result === ENROLLMENT_STATUS.APPROVED) releasedSeats++;
+      else releasedPlaces++;
+      return;
+    }
+    
+    if (entry.result === ENROLLMENT_STATUS.APPROVED) {
+      transaction.update(entryDoc.ref, {
+        status: ENROLLMENT_STATUS.APPROVED,
+        approvedAt: serverTimestamp(),
+        approvedBy: adminUid,
+        lotteryRank: entry.rank,
+        lotteryDrawId: drawRef.id,
+      });
+    } else {
+      transaction.update(entryDoc.ref, {
+        status: ENROLLMENT_STATUS.WAITLISTED,
+        waitlistPosition: entry.waitlistPosition,
+        lotteryRank: entry.rank,
+        lotteryDrawId: drawRef.id,
+      });
+    }
+    appendEnrollmentHistory(transaction, { id: entryDoc.id, ...entryDoc.data() }, {
+      fromStatus: ENROLLMENT_STATUS.LOTTERY,
+      toStatus: entry.result,
+      actorType: HISTORY_ACTOR_TYPE.ADMIN,
+      reason: `추첨 ${entry.rank}순위 (시드 ${draw.seed})`,
+      lotteryDrawId: drawRef.id,
+    });
+    applied.push(entry);
+  });
+  
+  if (releasedSeats > 0 || releasedPlaces > 0) {
+    const courseData = courseDoc.data();
+    transaction.update(courseRef, {
+      enrolled: Math.max(0, (courseData.enrolled || 0) - releasedSeats),
+      waitlistCount: Math.max(0, (courseData.waitlistCount || 0) - releasedPlaces),
+      updatedAt: serverTimestamp(),
+    });
+  }
+  
+  const appliedCount = draw.appliedCount + chunk.length;
+  const completed = appliedCount >= draw.ranking.length;
+  const progress = {
+    appliedCount,
+    status: completed ? LOTTERY_DRAW_STATUS.COMPLETED : LOTTERY_DRAW_STATUS.APPLYING,
+    completedAt: completed ? serverTimestamp() : null,
+  };
+  transaction.update(drawRef, progress);
+  
+  return { draw: { ...draw, ...progress }, applied };
+});
+
+/**
+ * Run the lottery draw for a course
+ * 1. Closes entry collection (marks the course as drawn) in a transaction
+ * 2. Ranks all entries with the seeded shuffle and stores the seed and results in lotteryDraws,
+ *    reserving seats (top N, N = free seats) and waitlist places in the same transaction
+ * 3. Approves the winners and waitlists the rest in ranked order, in chunked transactions
+ *    that record their progress on the draw
+ * 4. Notifies every entrant written in this run
+ * Calling it again for a course whose draw never completed resumes it: an unrecorded draw
+ * is ranked again with the given seed, a recorded one continues with its stored ranking.
+ * @param {string} courseId - Course ID
+ * @param {string} seed - Draw seed (stored for audit/replay; ignored when resuming a recorded draw)
+ * @param {string} adminUid - Admin running the draw
+ * @returns {Promise<Object>} Stored draw record
+ */
+export const runLotteryDraw = async (courseId, seed, adminUid) => {
+  await assertPermission(PERMISSIONS.APPROVE_ENROLLMENTS);
+
+  const courseRef = doc(db, 'courses', courseId);
+  
+  // Close entry collection first so late submissions fall back to first-come-first-served
+  const { courseData, drawRef, draw: recordedDraw } = await lockLotteryCourse(courseRef);
+  
+  let draw = recordedDraw;
+  if (!draw) {
+    if (!seed || !String(seed).trim()) {
+      throw new Error('추첨 시드를 입력해주세요.');
+    }
+    draw = await recordLotteryDraw(courseRef, drawRef, seed, adminUid);
+  }
+  
+  const applied = [];
+  while (draw.status === LOTTERY_DRAW_STATUS.APPLYING) {
+    const result = await applyLotteryChunk(courseRef, drawRef, adminUid);
+    draw = result.draw;
+    applied.push(...result.applied);
+  }
+  
+  // Notify everyone (failures are logged, the draw itself is already committed)
+  const courseName = courseData.title || '강좌';
+  const notificationResults = await Promise.allSettled(
+    applied.map(entry => 
+      entry.result === ENROLLMENT_STATUS.APPROVED
+        ? createApprovalNotification(entry.studentId, courseName, courseId)
+        : createLotteryWaitlistNotification(entry.studentId, courseName, courseId, entry.waitlistPosition)
+    )
+  );
+  const failedNotifications = notificationResults.filter(r => r.status === 'rejected').length;
+  if (failedNotifications > 0) {
+    console.error(`Lottery notifications failed: ${failedNotifications}건`);
+  }
+  
+  return {
+    id: drawRef.id,
+    ...draw,
+    drawnAt: draw.drawnAt?.toDate ? draw.drawnAt : new Date(),
+    winnerCount: draw.ranking.filter(r => r.result === ENROLLMENT_STATUS.APPROVED).length,
+    waitlistedCount: draw.ranking.filter(r => r.result === ENROLLMENT_STATUS.WAITLISTED).length,
+  };
+};
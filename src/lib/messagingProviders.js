@@ -0,0 +1,72 @@
+import { auth } from './firebase';
+import { MESSAGE_CHANNEL } from '../constants';
+
+/**
+ * Messaging provider interface (one provider per channel):
+ * {
+ *   name: string (stored on each message for the delivery log),
+ *   send: async ({ to, subject, text, templateCode, variables }) => ({ providerMessageId })
+ * }
+ * send() throws when the message was not accepted; messagingService retries it.
+ *
+ * Without VITE_MESSAGING_ENDPOINT every channel uses a console stub, so alerts can be
+ * developed offline. With it, messages are POSTed to that relay (which holds the SMS,
+ * 알림톡 and email credentials; they never ship to the browser). Each request carries the
+ * sender's Firebase ID token (Authorization: Bearer); the relay must verify it and check
+ * that the uid is an admin with editStudents before sending anything.
+ */
+
+const createConsoleProvider = (channel) => ({
+  name: `console-${channel}`,
+  send: async ({ to, subject, text, templateCode }) => {
+    console.info(`[messaging:${channel}] → ${to}`, { subject, templateCode, text });
+    return { providerMessageId: `console-${channel}-${Date.now()}` };
+  },
+});
+
+const createRelayProvider = (channel, endpoint) => ({
+  name: `relay-${channel}`,
+  send: async (message) => {
+    if (!auth.currentUser) {
+      throw new Error('로그인이 필요합니다.');
+    }
+    const idToken = await auth.currentUser.getIdToken();
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${idToken}`,
+      },
+      body: JSON.stringify({ channel, ...message }),
+    });
+    if (!response.ok) {
+      throw new Error(`메시지 서버 오류 (${response.status})`);
+    }
+    const result = await response.json();
+    return { providerMessageId: result.id || null };
+  },
+});
+
+const relayEndpoint = import.meta.env.VITE_MESSAGING_ENDPOINT;
+
+const providers = Object.fromEntries(
+  Object.values(MESSAGE_CHANNEL).map(channel => [
+    channel,
+    relayEndpoint ? createRelayProvider(channel, relayEndpoint) : createConsoleProvider(channel),
+  ])
+);
+
+/**
+ * Replace the provider of a channel (e.g. a vendor SDK wrapper)
+ */
+export const registerMessagingProvider = (channel, provider) => {
+  providers[channel] = provider;
+};
+
+export const getMessagingProvider = (channel) => {
+  const provider = providers[channel];
+  if (!provider) {
+    throw new Error(`지원하지 않는 발송 채널입니다: ${channel}`);
+  }
+  return provider;
+};
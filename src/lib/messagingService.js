@@ -0,0 +1,319 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  updateDoc,
+  query,
+  where,
+  orderBy,
+  limit,
+  runTransaction,
+  writeBatch,
+  Timestamp,
+  serverTimestamp
+} from 'firebase/firestore';
+import { auth, db } from './firebase';
+import { getMessagingProvider } from './messagingProviders';
+import { getAcademySettings } from './settingsService';
+import { getNotificationPreferences, ATTENDANCE_ALERT_TYPE } from './notificationService';
+import { assertPermission } from './roleService';
+import { appendAuditLog } from './auditLogService';
+import {
+  MESSAGE_CHANNEL,
+  MESSAGE_STATUS,
+  MESSAGE_MAX_ATTEMPTS,
+  PERMISSIONS,
+  AUDIT_ENTITY
+} from '../constants';
+
+/**
+ * Message Schema (messages collection, readable by admins only; also the delivery queue):
+ * {
+ *   id,
+ *   event: 'absent' | 'late',
+ *   channel: 'sms' | 'kakao' | 'email',
+ *   provider: string (provider name, e.g. console-sms),
+ *   studentId, studentName, courseId, date,
+ *   to: string (guardian phone or email),
+ *   templateCode, subject, text,
+ *   status: 'queued' | 'sent' | 'failed' | 'skipped',
+ *   attempts: number,
+ *   nextAttemptAt: timestamp (queued: earliest next delivery attempt),
+ *   claimedBy: string | null (auth uid of the staff tab delivering it),
+ *   claimedAt: timestamp | null,
+ *   lastError: string | null,
+ *   providerMessageId: string | null,
+ *   createdBy: string (auth uid of whoever checked attendance),
+ *   createdAt, sentAt, updatedAt: timestamp
+ * }
+ * Checking attendance only queues a message (studentId, course, date). Staff sessions with
+ * editStudents drain the queue (processMessageQueue): they look up the guardian's contact,
+ * apply opt-outs and send, backing off between failed attempts. A queued message survives
+ * closed tabs and is picked up by the next staff session.
+ * Staff turn alerts off per student with students.absenceAlertsOptOut, guardians with
+ * notificationPreferences.mutedMessageTypes. Recipients come from
+ * students.guardianPhone (SMS, 알림톡) and students.guardianEmail (email).
+ */
+
+// 알림톡 template codes must match the templates registered with Kakao
+const MESSAGE_TEMPLATES = {
+  absent: {
+    templateCode: 'ATTENDANCE_ABSENT',
+    subject: '[ETOOS247.ICHEON] 결석 안내',
+    text: '[ETOOS247.ICHEON] {studentName} 학생이 {date} {courseTitle} 수업에 결석했습니다. 문의사항은 학원으로 연락해주세요.',
+  },
+  late: {
+    templateCode: 'ATTENDANCE_LATE',
+    subject: '[ETOOS247.ICHEON] 지각 안내',
+    text: '[ETOOS247.ICHEON] {studentName} 학생이 {date} {courseTitle} 수업에 지각했습니다.',
+  },
+};
+
+// Delay before attempt n + 1 grows with n (1, 2, 4 ... minutes)
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+
+// A claimed message whose tab went away is taken over after this long
+const CLAIM_TIMEOUT_MS = 2 * 60 * 1000;
+
+// How often staff sessions look for due messages (see App.jsx AdminLayout)
+export const MESSAGE_QUEUE_POLL_MS = 60 * 1000;
+
+const renderTemplate = (text, variables) =>
+  text.replace(/\{(\w+)\}/g, (match, key) => variables[key] ?? match);
+
+const recipientOf = (student, channel) =>
+  (channel === MESSAGE_CHANNEL.EMAIL ? student.guardianEmail : student.guardianPhone) || '';
+
+const toMillis = (timestamp) => timestamp?.toMillis?.() || 0;
+
+/**
+ * Whether a queued message may be attempted now (due and not held by another session)
+ */
+const isDeliverable = (message, now) =>
+  message.status === MESSAGE_STATUS.QUEUED &&
+  toMillis(message.nextAttemptAt) <= now &&
+  (!message.claimedBy || toMillis(message.claimedAt) + CLAIM_TIMEOUT_MS <= now);
+
+/**
+ * Claim a queued message for this session so two open staff tabs don't both send it
+ * @returns {Promise<Object|null>} The message data, or null if it was taken or is not due
+ */
+const claimMessage = (messageRef) => runTransaction(db, async (transaction) => {
+  const messageDoc = await transaction.get(messageRef);
+  const message = messageDoc.data();
+  if (!message || !isDeliverable(message, Date.now())) return null;
+
+  transaction.update(messageRef, {
+    claimedBy: auth.currentUser?.uid || null,
+    claimedAt: serverTimestamp(),
+  });
+  return message;
+});
+
+/**
+ * Fill in the recipient and text from the student record, applying opt-outs.
+ * @returns {Promise<Object>} Fields to store; status 'skipped' when nothing should be sent
+ */
+const resolveMessage = async (message) => {
+  const [studentDoc, courseDoc, preferences] = await Promise.all([
+    getDoc(doc(db, 'students', message.studentId)),
+    getDoc(doc(db, 'courses', message.courseId)),
+    getNotificationPreferences(message.studentId),
+  ]);
+  const student = studentDoc.data();
+  const template = MESSAGE_TEMPLATES[message.event];
+  const variables = {
+    studentName: student?.name || '',
+    date: message.date,
+    courseTitle: courseDoc.data()?.title || '',
+  };
+  const optedOut = !student || student.absenceAlertsOptOut ||
+    preferences.mutedMessageTypes.includes(ATTENDANCE_ALERT_TYPE);
+  const to = optedOut ? '' : recipientOf(student, message.channel);
+
+  return {
+    studentName: variables.studentName,
+    to,
+    templateCode: template.templateCode,
+    variables,
+    subject: renderTemplate(template.subject, variables),
+    text: renderTemplate(template.text, variables),
+    ...(to ? {} : { status: MESSAGE_STATUS.SKIPPED, lastError: optedOut ? '수신 거부' : null }),
+  };
+};
+
+/**
+ * Make one delivery attempt for a claimed message and record the outcome.
+ * A failure reschedules it with a growing delay until MESSAGE_MAX_ATTEMPTS is reached.
+ * @returns {Promise<boolean>} Whether the message was sent
+ */
+const deliverMessage = async (messageRef, message) => {
+  const resolved = message.to ? {} : await resolveMessage(message);
+  const released = { claimedBy: null, claimedAt: null, updatedAt: serverTimestamp() };
+
+  if (resolved.status === MESSAGE_STATUS.SKIPPED) {
+    await updateDoc(messageRef, { ...resolved, ...released });
+    return false;
+  }
+
+  const outgoing = { ...message, ...resolved };
+  const provider = getMessagingProvider(outgoing.channel);
+  const attempts = (message.attempts || 0) + 1;
+
+  try {
+    const { providerMessageId } = await provider.send({
+      to: outgoing.to,
+      subject: outgoing.subject,
+      text: outgoing.text,
+      templateCode: outgoing.templateCode,
+      variables: outgoing.variables,
+    });
+    await updateDoc(messageRef, {
+      ...resolved,
+      ...released,
+      status: MESSAGE_STATUS.SENT,
+      provider: provider.name,
+      attempts,
+      lastError: null,
+      providerMessageId: providerMessageId || null,
+      sentAt: serverTimestamp(),
+    });
+    return true;
+  } catch (error) {
+    const exhausted = attempts >= MESSAGE_MAX_ATTEMPTS;
+    await updateDoc(messageRef, {
+      ...resolved,
+      ...released,
+      status: exhausted ? MESSAGE_STATUS.FAILED : MESSAGE_STATUS.QUEUED,
+      provider: provider.name,
+      attempts,
+      lastError: error.message,
+      nextAttemptAt: exhausted
+        ? null
+        : Timestamp.fromMillis(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (attempts - 1)),
+    });
+    return false;
+  }
+};
+
+/**
+ * Queue alerts to guardians about absences and late arrivals just recorded for a course session.
+ * Only pass students whose status changed, so re-saving a session doesn't resend.
+ * Delivery happens in processMessageQueue().
+ * @param {Array} records - [{ studentId, status }] with status 'absent' or 'late'
+ */
+export const queueAttendanceAlerts = async (courseId, date, records) => {
+  const alertRecords = records.filter(r => MESSAGE_TEMPLATES[r.status]);
+  if (alertRecords.length === 0) return;
+
+  const settings = await getAcademySettings();
+  if (!settings.absenceAlertsEnabled) return;
+
+  const batch = writeBatch(db);
+  alertRecords.forEach(({ studentId, status }) => {
+    batch.set(doc(collection(db, 'messages')), {
+      event: status,
+      channel: settings.absenceAlertChannel,
+      provider: null,
+      studentId,
+      studentName: null,
+      courseId,
+      date,
+      to: null,
+      status: MESSAGE_STATUS.QUEUED,
+      attempts: 0,
+      nextAttemptAt: serverTimestamp(),
+      claimedBy: null,
+      claimedAt: null,
+      lastError: null,
+      providerMessageId: null,
+      createdBy: auth.currentUser?.uid || null,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    });
+  });
+  await batch.commit();
+};
+
+/**
+ * Deliver every queued message that is due. Called periodically by staff sessions
+ * with editStudents; messages claimed by another open session are left to it.
+ * @returns {Promise<number>} Number of messages sent
+ */
+export const processMessageQueue = async () => {
+  await assertPermission(PERMISSIONS.EDIT_STUDENTS);
+
+  // Single-field query; due dates and claims are checked in memory
+  const queuedQuery = query(
+    collection(db, 'messages'),
+    where('status', '==', MESSAGE_STATUS.QUEUED)
+  );
+  const snapshot = await getDocs(queuedQuery);
+  const now = Date.now();
+  let sent = 0;
+
+  for (const messageDoc of snapshot.docs) {
+    if (!isDeliverable(messageDoc.data(), now)) continue;
+
+    const message = await claimMessage(messageDoc.ref);
+    if (message && await deliverMessage(messageDoc.ref, message)) {
+      sent += 1;
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Get the most recent messages (newest first)
+ */
+export const getRecentMessages = async (maxCount = 300) => {
+  const messagesQuery = query(
+    collection(db, 'messages'),
+    orderBy('createdAt', 'desc'),
+    limit(maxCount)
+  );
+
+  const snapshot = await getDocs(messagesQuery);
+  return snapshot.docs.map(doc => ({
+    id: doc.id,
+    ...doc.data()
+  }));
+};
+
+/**
+ * Try a failed (or stuck queued) message again right away, with a fresh set of attempts
+ * @returns {Promise<boolean>} Whether the message was sent
+ */
+export const retryMessage = async (messageId) => {
+  await assertPermission(PERMISSIONS.EDIT_STUDENTS);
+
+  const messageRef = doc(db, 'messages', messageId);
+  const messageDoc = await getDoc(messageRef);
+  const message = messageDoc.data();
+  if (!message || ![MESSAGE_STATUS.FAILED, MESSAGE_STATUS.QUEUED].includes(message.status)) {
+    throw new Error('재발송할 수 있는 메시지가 아닙니다.');
+  }
+
+  const batch = writeBatch(db);
+  batch.update(messageRef, {
+    status: MESSAGE_STATUS.QUEUED,
+    attempts: 0,
+    nextAttemptAt: serverTimestamp(),
+    claimedBy: null,
+    claimedAt: null,
+    updatedAt: serverTimestamp(),
+  });
+  appendAuditLog(batch, {
+    action: 'retryMessage',
+    entityType: AUDIT_ENTITY.MESSAGE,
+    entityId: messageId,
+    label: `${message.studentName || message.studentId} · ${message.date}`,
+    before: { status: message.status, attempts: message.attempts, lastError: message.lastError },
+  });
+  await batch.commit();
+
+  const claimed = await claimMessage(messageRef);
+  return claimed ? deliverMessage(messageRef, claimed) : false;
+};
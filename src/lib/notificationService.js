@@ -1,17 +1,49 @@
 import { 
   collection, 
   doc, 
+  getDoc,
+  setDoc,
   addDoc, 
   updateDoc, 
+  deleteDoc,
   query,
   where,
   orderBy,
+  limit,
+  startAfter,
   serverTimestamp,
   onSnapshot,
   writeBatch,
-  getDocs
+  getDocs,
+  Timestamp
 } from 'firebase/firestore';
 import { db } from './firebase';
+import { getAcademySettings } from './settingsService';
+import { assertPermission } from './roleService';
+import { commitAuditedWrites } from './auditLogService';
+import { PERMISSIONS, AUDIT_ENTITY } from '../constants';
+
+/**
+ * Notification Schema (notifications collection):
+ * {
+ *   studentId, type, title, message,
+ *   courseId, courseName (optional),
+ *   announcementId, pinned, visibleAt (announcements, see announcementService),
+ *   read: boolean, readAt: timestamp,
+ *   archived: boolean (false on creation; the main list queries on it),
+ *   archivedAt: timestamp (kept out of the main list, never expires),
+ *   expiresAt: timestamp | null (set when read; a Firestore TTL policy deletes the document;
+ *     never set on announcements, whose read receipts count these documents),
+ *   createdAt: timestamp
+ * }
+ *
+ * Notification Preferences Schema (notificationPreferences collection, document id = studentId):
+ * {
+ *   mutedAppTypes: string[] (types kept out of the student's 알림함; edited by the student),
+ *   mutedMessageTypes: string[] (guardian messages turned off, e.g. 'attendance'; edited by guardians),
+ *   updatedAt: timestamp
+ * }
+ */
 
 /**
  * Notification Types
@@ -20,24 +52,66 @@ export const NOTIFICATION_TYPES = {
   APPROVAL: 'approval',
   REJECTION: 'rejection',
   INFO: 'info',
+  COURSE_CHANGED: 'course_changed',
+};
+
+export const NOTIFICATION_TYPE_LABELS = {
+  approval: '승인',
+  rejection: '반려',
+  info: '안내',
+  course_changed: '강좌 변경',
+};
+
+// Guardian messages (messagingService) are only sent for attendance alerts
+export const ATTENDANCE_ALERT_TYPE = 'attendance';
+
+export const NOTIFICATION_PAGE_SIZE = 20;
+
+const BATCH_LIMIT = 450; // Firestore batch limit is 500
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get a student's notification preferences (nothing muted when never saved)
+ */
+export const getNotificationPreferences = async (studentId) => {
+  const preferencesDoc = await getDoc(doc(db, 'notificationPreferences', studentId));
+  return { mutedAppTypes: [], mutedMessageTypes: [], ...preferencesDoc.data() };
+};
+
+/**
+ * Update a student's notification preferences
+ * @param {Object} updates - { mutedAppTypes } (student) or { mutedMessageTypes } (guardian)
+ */
+export const updateNotificationPreferences = async (studentId, updates) => {
+  await setDoc(doc(db, 'notificationPreferences', studentId), {
+    ...updates,
+    updatedAt: serverTimestamp(),
+  }, { merge: true });
 };
 
 /**
- * Create a new notification
+ * Create a new notification (skipped when the student muted the type)
  * @param {string} studentId - Student ID
- * @param {string} type - Notification type ('approval' | 'rejection' | 'info')
+ * @param {string} type - Notification type ('approval' | 'rejection' | 'info' | 'course_changed')
  * @param {string} title - Notification title
  * @param {string} message - Notification message
  * @param {Object} courseInfo - Optional course info { courseId, courseName }
- * @returns {Promise<string>} - Created notification ID
+ * @returns {Promise<string|null>} - Created notification ID, null when muted
  */
 export const createNotification = async (studentId, type, title, message, courseInfo = null) => {
+  const preferences = await getNotificationPreferences(studentId);
+  if (preferences.mutedAppTypes.includes(type)) {
+    return null;
+  }
+
   const notificationData = {
     studentId,
     type,
     title,
     message,
     read: false,
+    archived: false,
     createdAt: serverTimestamp(),
   };
 
@@ -52,23 +126,108 @@ export const createNotification = async (studentId, type, title, message, course
 };
 
 /**
- * Get all notifications for a student
- * @param {string} studentId - Student ID
- * @returns {Promise<Array>} - Array of notifications
+ * Create the same notification for many students in batches (admin only).
+ * Students who muted the type are left out.
+ * @param {Array<string>} studentIds - Recipients
+ * @param {Object} notification - { type, title, message, ...extra fields }
+ * @returns {Promise<number>} - Number of notifications written
  */
-export const getStudentNotifications = async (studentId) => {
-  const notificationsQuery = query(
-    collection(db, 'notifications'),
-    where('studentId', '==', studentId),
-    orderBy('createdAt', 'desc')
+export const createBulkNotifications = async (studentIds, notification) => {
+  const mutedQuery = query(
+    collection(db, 'notificationPreferences'),
+    where('mutedAppTypes', 'array-contains', notification.type)
   );
+  const mutedSnapshot = await getDocs(mutedQuery);
+  const mutedIds = new Set(mutedSnapshot.docs.map(d => d.id));
+  const recipients = studentIds.filter(id => !mutedIds.has(id));
 
-  const snapshot = await getDocs(notificationsQuery);
-  return snapshot.docs.map(doc => ({
+  for (let i = 0; i < recipients.length; i += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    recipients.slice(i, i + BATCH_LIMIT).forEach(studentId => {
+      batch.set(doc(collection(db, 'notifications')), {
+        ...notification,
+        studentId,
+        read: false,
+        archived: false,
+        createdAt: serverTimestamp(),
+      });
+    });
+    await batch.commit();
+  }
+  return recipients.length;
+};
+
+/**
+ * A student's notifications outside the archive, newest first. Always filtered by studentId:
+ * firestore.rules only let students read their own
+ * (composite index: studentId + archived + createdAt desc).
+ */
+const studentNotificationsQuery = (studentId, ...constraints) => query(
+  collection(db, 'notifications'),
+  where('studentId', '==', studentId),
+  where('archived', '==', false),
+  orderBy('createdAt', 'desc'),
+  ...constraints
+);
+
+// Scheduled announcements stay hidden until visibleAt; expired ones until TTL deletes them
+const isVisible = (data) => {
+  const now = new Date();
+  return (!data.visibleAt || data.visibleAt.toDate() <= now) &&
+    (!data.expiresAt || data.expiresAt.toDate() > now);
+};
+
+// Pinned announcements first, then newest first (shown time = publish time)
+const toSortedNotifications = (docs) => docs
+  .filter(doc => isVisible(doc.data()))
+  .map(doc => ({
     id: doc.id,
     ...doc.data(),
-    createdAt: doc.data().createdAt?.toDate?.() || new Date(),
-  }));
+    createdAt: (doc.data().visibleAt || doc.data().createdAt)?.toDate?.() || new Date(),
+  }))
+  .sort((a, b) => (b.pinned === true) - (a.pinned === true) || b.createdAt - a.createdAt);
+
+/**
+ * Get one page of a student's notifications (archived ones excluded).
+ * Keeps reading while scheduled or expired documents leave the page short.
+ * @param {string} studentId - Student ID
+ * @param {Object} options - { pageSize, after } (after = lastDoc of the previous page)
+ * @returns {Promise<{ notifications: Array, lastDoc: Object|null, hasMore: boolean }>}
+ */
+export const getStudentNotifications = async (studentId, { pageSize = NOTIFICATION_PAGE_SIZE, after = null } = {}) => {
+  const docs = [];
+  let lastDoc = after;
+  let hasMore = true;
+
+  while (hasMore && docs.length < pageSize) {
+    const constraints = lastDoc ? [startAfter(lastDoc), limit(pageSize)] : [limit(pageSize)];
+    const snapshot = await getDocs(studentNotificationsQuery(studentId, ...constraints));
+    docs.push(...snapshot.docs.filter(d => isVisible(d.data())));
+    lastDoc = snapshot.docs[snapshot.docs.length - 1] || lastDoc;
+    hasMore = snapshot.size === pageSize;
+  }
+
+  return {
+    notifications: toSortedNotifications(docs),
+    lastDoc: lastDoc || null,
+    hasMore,
+  };
+};
+
+// When a read notification expires (academy setting notificationRetentionDays).
+// Announcements never expire: getAnnouncementReadStats counts their documents.
+const readExpiry = async (data) => {
+  if (data.announcementId) return null;
+  const { notificationRetentionDays } = await getAcademySettings();
+  return Timestamp.fromMillis(Date.now() + notificationRetentionDays * DAY_MS);
+};
+
+const getNotificationData = async (notificationRef) => {
+  const snapshot = await getDoc(notificationRef);
+  if (!snapshot.exists()) {
+    throw new Error('알림을 찾을 수 없습니다.');
+  }
+  return snapshot.data();
 };
 
 /**
@@ -77,8 +236,11 @@ export const getStudentNotifications = async (studentId) => {
  */
 export const markAsRead = async (notificationId) => {
   const notificationRef = doc(db, 'notifications', notificationId);
+  const data = await getNotificationData(notificationRef);
   await updateDoc(notificationRef, {
     read: true,
+    readAt: serverTimestamp(),
+    expiresAt: await readExpiry(data),
   });
 };
 
@@ -94,17 +256,60 @@ export const markAllAsRead = async (studentId) => {
   );
 
   const snapshot = await getDocs(notificationsQuery);
+  const visibleDocs = snapshot.docs.filter(doc => isVisible(doc.data()));
   
-  if (snapshot.empty) return;
+  if (visibleDocs.length === 0) return;
 
+  const expiresAt = await readExpiry({});
   const batch = writeBatch(db);
-  snapshot.docs.forEach(doc => {
-    batch.update(doc.ref, { read: true });
+  visibleDocs.forEach(doc => {
+    batch.update(doc.ref, {
+      read: true,
+      readAt: serverTimestamp(),
+      expiresAt: doc.data().announcementId ? null : expiresAt,
+    });
   });
 
   await batch.commit();
 };
 
+/**
+ * Archive a notification: moved out of the main list and kept (never expires)
+ * @param {string} notificationId - Notification ID
+ */
+export const archiveNotification = async (notificationId) => {
+  await updateDoc(doc(db, 'notifications', notificationId), {
+    archived: true,
+    archivedAt: serverTimestamp(),
+    read: true,
+    readAt: serverTimestamp(),
+    expiresAt: null,
+  });
+};
+
+/**
+ * Move an archived notification back to the main list (expires like any read one
+ * unless it is an announcement)
+ * @param {string} notificationId - Notification ID
+ */
+export const unarchiveNotification = async (notificationId) => {
+  const notificationRef = doc(db, 'notifications', notificationId);
+  const data = await getNotificationData(notificationRef);
+  await updateDoc(notificationRef, {
+    archived: false,
+    archivedAt: null,
+    expiresAt: await readExpiry(data),
+  });
+};
+
+/**
+ * Delete a notification (students delete their own)
+ * @param {string} notificationId - Notification ID
+ */
+export const deleteNotification = async (notificationId) => {
+  await deleteDoc(doc(db, 'notifications', notificationId));
+};
+
 /**
  * Get unread notification count for a student
  * @param {string} studentId - Student ID
@@ -118,29 +323,47 @@ export const getUnreadCount = async (studentId) => {
   );
 
   const snapshot = await getDocs(unreadQuery);
-  return snapshot.size;
+  return snapshot.docs.filter(doc => isVisible(doc.data())).length;
 };
 
 /**
- * Subscribe to notifications (real-time listener)
+ * Subscribe to a student's latest notifications (real-time listener, archived excluded).
+ * Raise maxCount to load more.
+ * @param {string} studentId - Student ID
+ * @param {Function} callback - Receives (notifications, { hasMore })
+ * @param {number} maxCount - Number of latest notifications to watch
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToNotifications = (studentId, callback, maxCount = NOTIFICATION_PAGE_SIZE) => {
+  return onSnapshot(studentNotificationsQuery(studentId, limit(maxCount)), (snapshot) => {
+    callback(
+      toSortedNotifications(snapshot.docs),
+      { hasMore: snapshot.size === maxCount }
+    );
+  }, (error) => {
+    console.error('subscribeToNotifications error:', error);
+    callback([], { hasMore: false });
+  });
+};
+
+/**
+ * Subscribe to a student's archived notifications (sorted in memory)
  * @param {string} studentId - Student ID
  * @param {Function} callback - Callback function receiving notifications array
  * @returns {Function} - Unsubscribe function
  */
-export const subscribeToNotifications = (studentId, callback) => {
-  const notificationsQuery = query(
+export const subscribeToArchivedNotifications = (studentId, callback) => {
+  const archivedQuery = query(
     collection(db, 'notifications'),
     where('studentId', '==', studentId),
-    orderBy('createdAt', 'desc')
+    where('archived', '==', true)
   );
 
-  return onSnapshot(notificationsQuery, (snapshot) => {
-    const notifications = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data(),
-      createdAt: doc.data().createdAt?.toDate?.() || new Date(),
-    }));
-    callback(notifications);
+  return onSnapshot(archivedQuery, (snapshot) => {
+    callback(toSortedNotifications(snapshot.docs));
+  }, (error) => {
+    console.error('subscribeToArchivedNotifications error:', error);
+    callback([]);
   });
 };
 
@@ -158,10 +381,44 @@ export const subscribeToUnreadCount = (studentId, callback) => {
   );
 
   return onSnapshot(unreadQuery, (snapshot) => {
-    callback(snapshot.size);
+    callback(snapshot.docs.filter(doc => isVisible(doc.data())).length);
+  }, (error) => {
+    console.error('subscribeToUnreadCount error:', error);
+    callback(0);
   });
 };
 
+/**
+ * Delete read notifications older than the retention period right away (not archived,
+ * not announcements).
+ * The TTL policy on expiresAt does this within a day for new ones; this also covers
+ * notifications read before expiresAt existed.
+ * @returns {Promise<number>} - Number of deleted notifications
+ */
+export const cleanupReadNotifications = async () => {
+  await assertPermission(PERMISSIONS.DELETE_DATA);
+
+  const { notificationRetentionDays } = await getAcademySettings();
+  const cutoff = Date.now() - notificationRetentionDays * DAY_MS;
+
+  const readQuery = query(collection(db, 'notifications'), where('read', '==', true));
+  const snapshot = await getDocs(readQuery);
+  const expiredDocs = snapshot.docs.filter(d => {
+    const data = d.data();
+    const readAt = (data.readAt || data.createdAt)?.toMillis?.() || 0;
+    return !data.archived && !data.announcementId && readAt < cutoff;
+  });
+
+  await commitAuditedWrites(expiredDocs.map(d => batch => batch.delete(d.ref)), {
+    action: 'cleanupNotifications',
+    entityType: AUDIT_ENTITY.COLLECTION,
+    entityId: 'notifications',
+    label: `읽은 알림 ${expiredDocs.length}건 (${notificationRetentionDays}일 경과)`,
+  });
+
+  return expiredDocs.length;
+};
+
 /**
  * Create enrollment approval notification
  * @param {string} studentId - Student ID
@@ -194,3 +451,124 @@ export const createRejectionNotification = async (studentId, courseName, courseI
     { courseId, courseName }
   );
 };
+
+/**
+ * Create waitlist promotion notification
+ * @param {string} studentId - Student ID
+ * @param {string} courseName - Course name
+ * @param {string} courseId - Course ID
+ */
+export const createWaitlistPromotionNotification = async (studentId, courseName, courseId) => {
+  return createNotification(
+    studentId,
+    NOTIFICATION_TYPES.INFO,
+    '대기 순번 도래',
+    `"${courseName}" 강좌에 자리가 생겨 대기에서 신청 대기 상태로 전환되었습니다. 관리자 승인 후 수강 확정됩니다.`,
+    { courseId, courseName }
+  );
+};
+
+/**
+ * Create lottery result notification for entrants who were not drawn
+ * @param {string} studentId - Student ID
+ * @param {string} courseName - Course name
+ * @param {string} courseId - Course ID
+ * @param {number} waitlistPosition - Waitlist position after the draw
+ */
+export const createLotteryWaitlistNotification = async (studentId, courseName, courseId, waitlistPosition) => {
+  return createNotification(
+    studentId,
+    NOTIFICATION_TYPES.INFO,
+    '추첨 결과 안내',
+    `"${courseName}" 추첨 결과 대기 ${waitlistPosition}번으로 배정되었습니다. 자리가 나면 순서대로 안내해 드립니다.`,
+    { courseId, courseName }
+  );
+};
+
+/**
+ * Create course swap approval notification
+ * @param {string} studentId - Student ID
+ * @param {string} fromCourseName - Course given up
+ * @param {string} toCourseName - Course granted
+ * @param {string} toCourseId - Course ID granted
+ */
+export const createSwapApprovalNotification = async (studentId, fromCourseName, toCourseName, toCourseId) => {
+  return createNotification(
+    studentId,
+    NOTIFICATION_TYPES.APPROVAL,
+    '강좌 변경 승인',
+    `"${fromCourseName}" → "${toCourseName}" 강좌 변경이 승인되었습니다.`,
+    { courseId: toCourseId, courseName: toCourseName }
+  );
+};
+
+/**
+ * Create course swap rejection notification
+ * @param {string} studentId - Student ID
+ * @param {string} fromCourseName - Course kept
+ * @param {string} toCourseName - Course requested
+ * @param {string} toCourseId - Course ID requested
+ * @param {string} reason - Rejection reason
+ */
+export const createSwapRejectionNotification = async (studentId, fromCourseName, toCourseName, toCourseId, reason) => {
+  return createNotification(
+    studentId,
+    NOTIFICATION_TYPES.REJECTION,
+    '강좌 변경 반려',
+    `"${fromCourseName}" → "${toCourseName}" 강좌 변경이 반려되었습니다. 기존 강좌는 유지됩니다. 사유: ${reason}`,
+    { courseId: toCourseId, courseName: toCourseName }
+  );
+};
+
+/**
+ * Create notification for an enrollment made by staff on the student's behalf
+ * @param {string} studentId - Student ID
+ * @param {string} courseName - Course name
+ * @param {string} courseId - Course ID
+ */
+export const createAdminEnrollmentNotification = async (studentId, courseName, courseId) => {
+  return createNotification(
+    studentId,
+    NOTIFICATION_TYPES.APPROVAL,
+    '수강 등록 완료',
+    `관리자가 "${courseName}" 강좌에 수강 등록했습니다. 시간표에서 확인해주세요.`,
+    { courseId, courseName }
+  );
+};
+
+/**
+ * Create notification for a rejected/cancelled enrollment put back under review
+ * @param {string} studentId - Student ID
+ * @param {string} courseName - Course name
+ * @param {string} courseId - Course ID
+ * @param {number|null} waitlistPosition - Set when it was re-opened onto the waitlist
+ */
+export const createReopenNotification = async (studentId, courseName, courseId, waitlistPosition = null) => {
+  return createNotification(
+    studentId,
+    NOTIFICATION_TYPES.INFO,
+    '수강 신청 재검토',
+    waitlistPosition
+      ? `"${courseName}" 강좌 신청이 다시 열려 대기 ${waitlistPosition}번으로 등록되었습니다. 자리가 나면 알려드립니다.`
+      : `"${courseName}" 강좌 신청이 다시 승인 대기 상태로 변경되었습니다. 결과를 기다려주세요.`,
+    { courseId, courseName }
+  );
+};
+
+/**
+ * Tell students enrolled in a course that its schedule, room or instructor changed,
+ * or that it was closed.
+ * @param {Array<string>} studentIds - Recipients
+ * @param {string} courseName - Course name
+ * @param {string} courseId - Course ID
+ * @param {string} message - What changed (before → after)
+ */
+export const createCourseChangedNotifications = async (studentIds, courseName, courseId, message) => {
+  await createBulkNotifications(studentIds, {
+    type: NOTIFICATION_TYPES.COURSE_CHANGED,
+    title: '강좌 변경 안내',
+    message,
+    courseId,
+    courseName,
+  });
+};
@@ -0,0 +1,64 @@
+import {
+  collection,
+  doc,
+  getDocs,
+  addDoc,
+  deleteDoc,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { assertPermission } from './roleService';
+import { PERMISSIONS } from '../constants';
+
+/**
+ * Rejection Template Schema (rejectionTemplates collection):
+ * {
+ *   id,
+ *   text: string (reason sent to the student),
+ *   createdAt: timestamp,
+ *   createdBy: string (admin uid)
+ * }
+ */
+
+/**
+ * Get preset rejection reasons (oldest first)
+ */
+export const getRejectionTemplates = async () => {
+  const snapshot = await getDocs(collection(db, 'rejectionTemplates'));
+  const templates = snapshot.docs.map(doc => ({
+    id: doc.id,
+    ...doc.data()
+  }));
+
+  // Sort in memory
+  return templates.sort((a, b) => (a.createdAt?.seconds || 0) - (b.createdAt?.seconds || 0));
+};
+
+/**
+ * Add a preset rejection reason
+ */
+export const createRejectionTemplate = async (text, adminUid) => {
+  await assertPermission(PERMISSIONS.APPROVE_ENROLLMENTS);
+
+  const trimmed = text.trim();
+  if (!trimmed) {
+    throw new Error('반려 사유를 입력해주세요.');
+  }
+
+  const docRef = await addDoc(collection(db, 'rejectionTemplates'), {
+    text: trimmed,
+    createdAt: serverTimestamp(),
+    createdBy: adminUid,
+  });
+
+  return docRef.id;
+};
+
+/**
+ * Delete a preset rejection reason
+ */
+export const deleteRejectionTemplate = async (templateId) => {
+  await assertPermission(PERMISSIONS.APPROVE_ENROLLMENTS);
+
+  await deleteDoc(doc(db, 'rejectionTemplates', templateId));
+};
@@ -0,0 +1,216 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  writeBatch,
+  serverTimestamp
+} from 'firebase/firestore';
+import { auth, db } from './firebase';
+import { appendAuditLog } from './auditLogService';
+import { PERMISSIONS, DEFAULT_ADMIN_PERMISSIONS, AUDIT_ENTITY } from '../constants';
+
+/**
+ * Role Schema (roles collection):
+ * {
+ *   id,
+ *   name: string,
+ *   permissions: string[] (PERMISSIONS values),
+ *   createdAt: timestamp,
+ *   createdBy: string (admin uid)
+ * }
+ * Admins reference a role by roleId and keep a copy of its name and permissions
+ * (admins.roleName, admins.permissions) so security rules can check them with a single read.
+ */
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+/**
+ * Effective permissions of an admin document
+ */
+export const getPermissionsFor = (adminData) => {
+  if (!adminData) return [];
+  if (adminData.role === 'superadmin') return ALL_PERMISSIONS;
+  return adminData.permissions || DEFAULT_ADMIN_PERMISSIONS;
+};
+
+const getCurrentAdminData = async () => {
+  const user = auth.currentUser;
+  if (!user) return null;
+
+  const adminDoc = await getDoc(doc(db, 'admins', user.uid));
+  return adminDoc.exists() ? adminDoc.data() : null;
+};
+
+/**
+ * Throw unless the signed-in admin has the permission.
+ * Security rules enforce the same matrix; this gives a readable error first.
+ */
+export const assertPermission = async (permission) => {
+  const adminData = await getCurrentAdminData();
+  if (!getPermissionsFor(adminData).includes(permission)) {
+    throw new Error('권한이 없습니다.');
+  }
+};
+
+/**
+ * Get all custom roles (sorted by name)
+ */
+export const getAllRoles = async () => {
+  const snapshot = await getDocs(collection(db, 'roles'));
+  return snapshot.docs
+    .map(d => ({ id: d.id, ...d.data() }))
+    .sort((a, b) => a.name.localeCompare(b.name, 'ko'));
+};
+
+/**
+ * Create a custom role
+ */
+export const createRole = async (name, permissions, adminUid) => {
+  await assertPermission(PERMISSIONS.MANAGE_ADMINS);
+
+  const trimmed = name.trim();
+  const existing = await getAllRoles();
+  if (existing.some(r => r.name === trimmed)) {
+    throw new Error('이미 있는 역할 이름입니다.');
+  }
+
+  const docRef = doc(collection(db, 'roles'));
+  const batch = writeBatch(db);
+  batch.set(docRef, {
+    name: trimmed,
+    permissions,
+    createdAt: serverTimestamp(),
+    createdBy: adminUid,
+  });
+  appendAuditLog(batch, {
+    action: 'create',
+    entityType: AUDIT_ENTITY.ROLE,
+    entityId: docRef.id,
+    label: trimmed,
+    after: { name: trimmed, permissions },
+  });
+  await batch.commit();
+
+  return docRef.id;
+};
+
+/**
+ * Update a custom role. New permissions are copied to every admin holding it,
+ * including the editor (rules allow that self-update only as a copy of the role).
+ */
+export const updateRole = async (roleId, { name, permissions }) => {
+  await assertPermission(PERMISSIONS.MANAGE_ADMINS);
+
+  const trimmed = name.trim();
+  const existing = await getAllRoles();
+  if (existing.some(r => r.id !== roleId && r.name === trimmed)) {
+    throw new Error('이미 있는 역할 이름입니다.');
+  }
+
+  const batch = writeBatch(db);
+  batch.update(doc(db, 'roles', roleId), {
+    name: trimmed,
+    permissions,
+    updatedAt: serverTimestamp(),
+  });
+
+  const adminsQuery = query(collection(db, 'admins'), where('roleId', '==', roleId));
+  const adminsSnapshot = await getDocs(adminsQuery);
+  adminsSnapshot.docs.forEach(d => batch.update(d.ref, { roleName: trimmed, permissions }));
+
+  const before = existing.find(r => r.id === roleId);
+  appendAuditLog(batch, {
+    action: 'update',
+    entityType: AUDIT_ENTITY.ROLE,
+    entityId: roleId,
+    label: trimmed,
+    before: before && { name: before.name, permissions: before.permissions },
+    after: { name: trimmed, permissions, adminUids: adminsSnapshot.docs.map(d => d.id) },
+  });
+
+  await batch.commit();
+};
+
+/**
+ * Delete a custom role (only when no admin holds it)
+ */
+export const deleteRole = async (roleId) => {
+  await assertPermission(PERMISSIONS.MANAGE_ADMINS);
+
+  const adminsQuery = query(collection(db, 'admins'), where('roleId', '==', roleId));
+  const adminsSnapshot = await getDocs(adminsQuery);
+  if (!adminsSnapshot.empty) {
+    throw new Error('이 역할이 배정된 관리자가 있습니다. 다른 역할로 변경한 후 삭제해주세요.');
+  }
+
+  const roleDoc = await getDoc(doc(db, 'roles', roleId));
+  const batch = writeBatch(db);
+  batch.delete(doc(db, 'roles', roleId));
+  appendAuditLog(batch, {
+    action: 'delete',
+    entityType: AUDIT_ENTITY.ROLE,
+    entityId: roleId,
+    label: roleDoc.exists() ? roleDoc.data().name : roleId,
+    before: roleDoc.exists() ? roleDoc.data() : null,
+  });
+  await batch.commit();
+};
+
+/**
+ * Fields stored on an admin document for a role choice.
+ * @param {'superadmin' | 'admin'} role
+ * @param {Object|null} customRole - Role from the roles collection (admin only)
+ */
+export const buildRoleAssignment = (role, customRole = null) => {
+  if (role === 'superadmin') {
+    return { role, roleId: null, roleName: null, permissions: ALL_PERMISSIONS };
+  }
+  return {
+    role: 'admin',
+    roleId: customRole?.id || null,
+    roleName: customRole?.name || null,
+    permissions: customRole ? customRole.permissions : DEFAULT_ADMIN_PERMISSIONS,
+  };
+};
+
+/**
+ * Change the role of an existing admin
+ */
+export const updateAdminRole = async (adminUid, role, customRole = null) => {
+  const currentAdmin = await getCurrentAdminData();
+  if (!getPermissionsFor(currentAdmin).includes(PERMISSIONS.MANAGE_ADMINS)) {
+    throw new Error('권한이 없습니다.');
+  }
+  if (role === 'superadmin' && currentAdmin.role !== 'superadmin') {
+    throw new Error('최고 관리자만 최고 관리자 권한을 부여할 수 있습니다.');
+  }
+  if (adminUid === auth.currentUser.uid) {
+    throw new Error('자신의 권한은 변경할 수 없습니다.');
+  }
+
+  const targetDoc = await getDoc(doc(db, 'admins', adminUid));
+  const target = targetDoc.exists() ? targetDoc.data() : null;
+  if (target?.role === 'superadmin' && currentAdmin.role !== 'superadmin') {
+    throw new Error('최고 관리자의 권한은 최고 관리자만 변경할 수 있습니다.');
+  }
+  const assignment = buildRoleAssignment(role, customRole);
+  const batch = writeBatch(db);
+  batch.update(doc(db, 'admins', adminUid), assignment);
+  appendAuditLog(batch, {
+    action: 'changeRole',
+    entityType: AUDIT_ENTITY.ADMIN,
+    entityId: adminUid,
+    label: target?.name || adminUid,
+    before: target && {
+      role: target.role,
+      roleId: target.roleId || null,
+      roleName: target.roleName || null,
+      permissions: getPermissionsFor(target),
+    },
+    after: assignment,
+  });
+  await batch.commit();
+};
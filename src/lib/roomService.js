@@ -0,0 +1,130 @@
+import {
+  collection,
+  doc,
+  getDocs,
+  addDoc,
+  deleteDoc,
+  query,
+  where,
+  writeBatch,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { assertPermission } from './roleService';
+import { appendAuditLog } from './auditLogService';
+import { PERMISSIONS, AUDIT_ENTITY } from '../constants';
+
+/**
+ * Room Schema (rooms collection):
+ * {
+ *   id,
+ *   name: string (e.g., '301호'; copied to courses.room for display),
+ *   capacity: number,
+ *   equipment: string[] (e.g., ['프로젝터', '화이트보드']),
+ *   isActive: boolean,
+ *   createdAt: timestamp,
+ *   createdBy: string (admin uid)
+ * }
+ * Courses reference a room by roomId and keep its name in `room`.
+ */
+
+const sortByName = (rooms) => rooms.sort((a, b) => a.name.localeCompare(b.name, 'ko', { numeric: true }));
+
+/**
+ * Create a room
+ */
+export const createRoom = async (roomData, adminUid) => {
+  await assertPermission(PERMISSIONS.MANAGE_COURSES);
+
+  const name = roomData.name.trim();
+  const existing = await getAllRooms();
+  if (existing.some(r => r.name === name)) {
+    throw new Error('이미 등록된 강의실입니다.');
+  }
+
+  const docRef = await addDoc(collection(db, 'rooms'), {
+    name,
+    capacity: parseInt(roomData.capacity) || 0,
+    equipment: roomData.equipment || [],
+    isActive: true,
+    createdAt: serverTimestamp(),
+    createdBy: adminUid,
+  });
+
+  return docRef.id;
+};
+
+/**
+ * Get all rooms (sorted by name)
+ */
+export const getAllRooms = async () => {
+  const snapshot = await getDocs(collection(db, 'rooms'));
+  return sortByName(snapshot.docs.map(doc => ({
+    id: doc.id,
+    ...doc.data()
+  })));
+};
+
+/**
+ * Get active rooms (sorted by name)
+ */
+export const getActiveRooms = async () => {
+  const roomsQuery = query(
+    collection(db, 'rooms'),
+    where('isActive', '==', true)
+  );
+
+  const snapshot = await getDocs(roomsQuery);
+  return sortByName(snapshot.docs.map(doc => ({
+    id: doc.id,
+    ...doc.data()
+  })));
+};
+
+/**
+ * Update a room. A new name is copied to the courses booked into it.
+ */
+export const updateRoom = async (roomId, updates) => {
+  await assertPermission(PERMISSIONS.MANAGE_COURSES);
+
+  const batch = writeBatch(db);
+
+  if (updates.name) {
+    updates.name = updates.name.trim();
+    const existing = await getAllRooms();
+    if (existing.some(r => r.id !== roomId && r.name === updates.name)) {
+      throw new Error('이미 등록된 강의실입니다.');
+    }
+
+    const coursesQuery = query(
+      collection(db, 'courses'),
+      where('roomId', '==', roomId)
+    );
+    const coursesSnapshot = await getDocs(coursesQuery);
+    const renamedCourses = coursesSnapshot.docs.filter(d => d.data().room !== updates.name);
+    renamedCourses.forEach(d => batch.update(d.ref, { room: updates.name }));
+    if (renamedCourses.length > 0) {
+      appendAuditLog(batch, {
+        action: 'update',
+        entityType: AUDIT_ENTITY.COURSE,
+        label: `강의실 이름 변경: ${updates.name}`,
+        after: { room: updates.name, courseIds: renamedCourses.map(d => d.id) },
+      });
+    }
+  }
+
+  batch.update(doc(db, 'rooms', roomId), {
+    ...updates,
+    updatedAt: serverTimestamp(),
+  });
+  await batch.commit();
+};
+
+/**
+ * Delete a room (courses keep the room name as plain text)
+ */
+export const deleteRoom = async (roomId) => {
+  await assertPermission(PERMISSIONS.MANAGE_COURSES);
+
+  await deleteDoc(doc(db, 'rooms', roomId));
+};
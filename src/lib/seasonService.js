@@ -3,9 +3,6 @@ import {
   doc, 
   getDoc, 
   getDocs, 
-  addDoc, 
-  updateDoc, 
-  deleteDoc,
   query,
   where,
   orderBy,
@@ -13,11 +10,16 @@ import {
   serverTimestamp 
 } from 'firebase/firestore';
 import { db } from './firebase';
+import { assertPermission } from './roleService';
+import { appendAuditLog, commitAuditedWrites } from './auditLogService';
+import { PERMISSIONS, AUDIT_ENTITY } from '../constants';
 
 /**
  * Create a new season
  */
 export const createSeason = async (seasonData, adminUid) => {
+  await assertPermission(PERMISSIONS.MANAGE_SEASONS);
+
   // 정정기간: 학기 시작일부터 7일
   const changePeriodDays = seasonData.changePeriodDays ?? 7;
   let changePeriodEnd = null;
@@ -27,12 +29,16 @@ export const createSeason = async (seasonData, adminUid) => {
     changePeriodEnd.setDate(changePeriodEnd.getDate() + changePeriodDays);
   }
   
-  const docRef = await addDoc(collection(db, 'seasons'), {
+  const data = {
     name: seasonData.name,
     startDate: seasonData.startDate,
     endDate: seasonData.endDate,
     changePeriodDays: changePeriodDays,
     changePeriodEnd: changePeriodEnd,
+    // 수강신청 기간 (null = 제한 없음), registrationWindows: { [반 이름]: { openAt, closeAt } }
+    registrationOpenAt: seasonData.registrationOpenAt || null,
+    registrationCloseAt: seasonData.registrationCloseAt || null,
+    registrationWindows: seasonData.registrationWindows || {},
     isActive: seasonData.isActive ?? true,
     isArchived: false,
     archivedAt: null,
@@ -40,7 +46,18 @@ export const createSeason = async (seasonData, adminUid) => {
     stats: null,
     createdAt: serverTimestamp(),
     createdBy: adminUid,
+  };
+  const docRef = doc(collection(db, 'seasons'));
+  const batch = writeBatch(db);
+  batch.set(docRef, data);
+  appendAuditLog(batch, {
+    action: 'create',
+    entityType: AUDIT_ENTITY.SEASON,
+    entityId: docRef.id,
+    label: seasonData.name,
+    after: data,
   });
+  await batch.commit();
   
   return docRef.id;
 };
@@ -102,32 +119,123 @@ export const getSeason = async (seasonId) => {
 };
 
 /**
- * Update a season
+ * Update a season document and record the change with its previous values
  */
-export const updateSeason = async (seasonId, updates) => {
-  await updateDoc(doc(db, 'seasons', seasonId), {
+const updateSeasonAudited = async (seasonId, updates, action = 'update') => {
+  const before = await getSeason(seasonId);
+  
+  const batch = writeBatch(db);
+  batch.update(doc(db, 'seasons', seasonId), {
     ...updates,
     updatedAt: serverTimestamp(),
   });
+  appendAuditLog(batch, {
+    action,
+    entityType: AUDIT_ENTITY.SEASON,
+    entityId: seasonId,
+    label: before?.name || seasonId,
+    before,
+    after: updates,
+  });
+  await batch.commit();
+};
+
+/**
+ * Update a season
+ */
+export const updateSeason = async (seasonId, updates) => {
+  await assertPermission(PERMISSIONS.MANAGE_SEASONS);
+
+  await updateSeasonAudited(seasonId, updates);
+};
+
+/**
+ * Set registration window for a season
+ * @param {string} seasonId - Season ID
+ * @param {Date|null} openAt - Default open time
+ * @param {Date|null} closeAt - Default close time
+ * @param {Object} classWindows - Per-class overrides { [className]: { openAt, closeAt } }
+ */
+export const setRegistrationWindow = async (seasonId, openAt, closeAt, classWindows = {}) => {
+  await assertPermission(PERMISSIONS.MANAGE_SEASONS);
+
+  if (openAt && closeAt && openAt >= closeAt) {
+    throw new Error('신청 마감 시각은 시작 시각 이후여야 합니다.');
+  }
+  
+  for (const [className, range] of Object.entries(classWindows)) {
+    if (range.openAt && range.closeAt && range.openAt >= range.closeAt) {
+      throw new Error(`${className}: 신청 마감 시각은 시작 시각 이후여야 합니다.`);
+    }
+  }
+  
+  // An override with neither bound set means "use the season window": don't store it
+  const overrides = Object.fromEntries(
+    Object.entries(classWindows).filter(([, range]) => range.openAt || range.closeAt)
+  );
+  
+  await updateSeasonAudited(seasonId, {
+    registrationOpenAt: openAt || null,
+    registrationCloseAt: closeAt || null,
+    registrationWindows: overrides,
+  });
+};
+
+/**
+ * Set per-student course load limits for a season
+ * @param {string} seasonId - Season ID
+ * @param {Object} loadLimits - Season default { maxCourses, maxPeriodsPerWeek, categoryLimits: { [category]: { min, max } } }
+ * @param {Object} classLoadLimits - Per-class overrides { [className]: { ...same shape } }
+ */
+export const setLoadLimits = async (seasonId, loadLimits, classLoadLimits = {}) => {
+  await assertPermission(PERMISSIONS.MANAGE_SEASONS);
+
+  const validate = (limits, label) => {
+    for (const [category, range] of Object.entries(limits.categoryLimits || {})) {
+      if (range.min != null && range.max != null && range.min > range.max) {
+        throw new Error(`${label}${category}: 최소 과목 수가 최대 과목 수보다 클 수 없습니다.`);
+      }
+    }
+  };
+  
+  validate(loadLimits, '');
+  Object.entries(classLoadLimits).forEach(([className, limits]) => validate(limits, `${className} `));
+  
+  await updateSeasonAudited(seasonId, {
+    loadLimits,
+    classLoadLimits,
+  });
 };
 
 /**
  * Toggle season active status
  */
 export const toggleSeasonActive = async (seasonId, isActive) => {
-  await updateDoc(doc(db, 'seasons', seasonId), {
-    isActive,
-    updatedAt: serverTimestamp(),
-  });
+  await assertPermission(PERMISSIONS.MANAGE_SEASONS);
+
+  await updateSeasonAudited(seasonId, { isActive }, 'toggle');
 };
 
 /**
  * Delete a season (also updates related courses)
  */
 export const deleteSeason = async (seasonId) => {
+  await assertPermission(PERMISSIONS.DELETE_DATA);
+
+  const season = await getSeason(seasonId);
+  
   // Note: In production, you might want to prevent deletion if courses exist
   // or cascade delete courses as well
-  await deleteDoc(doc(db, 'seasons', seasonId));
+  const batch = writeBatch(db);
+  batch.delete(doc(db, 'seasons', seasonId));
+  appendAuditLog(batch, {
+    action: 'delete',
+    entityType: AUDIT_ENTITY.SEASON,
+    entityId: seasonId,
+    label: season?.name || seasonId,
+    before: season,
+  });
+  await batch.commit();
 };
 
 /**
@@ -169,18 +277,19 @@ export const getSeasonStats = async (seasonId) => {
  * Archive a season - mark as archived and save stats
  */
 export const archiveSeason = async (seasonId, adminUid) => {
+  await assertPermission(PERMISSIONS.MANAGE_SEASONS);
+
   // First, get the current stats
   const stats = await getSeasonStats(seasonId);
   
   // Update the season document
-  await updateDoc(doc(db, 'seasons', seasonId), {
+  await updateSeasonAudited(seasonId, {
     isArchived: true,
     isActive: false, // Archived seasons should not be active
     archivedAt: serverTimestamp(),
     archivedBy: adminUid,
     stats: stats,
-    updatedAt: serverTimestamp(),
-  });
+  }, 'archive');
 
   return stats;
 };
@@ -189,13 +298,14 @@ export const archiveSeason = async (seasonId, adminUid) => {
  * Unarchive a season
  */
 export const unarchiveSeason = async (seasonId) => {
-  await updateDoc(doc(db, 'seasons', seasonId), {
+  await assertPermission(PERMISSIONS.MANAGE_SEASONS);
+
+  await updateSeasonAudited(seasonId, {
     isArchived: false,
     archivedAt: null,
     archivedBy: null,
     // Keep the stats for reference
-    updatedAt: serverTimestamp(),
-  });
+  }, 'unarchive');
 };
 
 /**
@@ -253,6 +363,8 @@ export const isSeasonArchived = async (seasonId) => {
  * Keeps the season record with stats as historical reference
  */
 export const deleteArchivedSeasonData = async (seasonId) => {
+  await assertPermission(PERMISSIONS.DELETE_DATA);
+
   const season = await getSeason(seasonId);
   
   if (!season) {
@@ -262,8 +374,6 @@ export const deleteArchivedSeasonData = async (seasonId) => {
   if (!season.isArchived) {
     throw new Error('아카이브된 학기만 데이터를 삭제할 수 있습니다.');
   }
-
-  const batch = writeBatch(db);
   
   // Get all courses for this season
   const coursesQuery = query(
@@ -279,40 +389,26 @@ export const deleteArchivedSeasonData = async (seasonId) => {
   );
   const enrollmentsSnapshot = await getDocs(enrollmentsQuery);
   
-  // Add all deletions to batch (Firestore batch limit is 500)
-  let deleteCount = 0;
-  const BATCH_LIMIT = 450; // Leave some room
-  
-  // Delete enrollments
-  for (const enrollmentDoc of enrollmentsSnapshot.docs) {
-    if (deleteCount >= BATCH_LIMIT) {
-      await batch.commit();
-      deleteCount = 0;
-    }
-    batch.delete(enrollmentDoc.ref);
-    deleteCount++;
-  }
-  
-  // Delete courses
-  for (const courseDoc of coursesSnapshot.docs) {
-    if (deleteCount >= BATCH_LIMIT) {
-      await batch.commit();
-      deleteCount = 0;
-    }
-    batch.delete(courseDoc.ref);
-    deleteCount++;
-  }
-  
-  // Commit remaining deletes
-  if (deleteCount > 0) {
-    await batch.commit();
-  }
+  // Delete enrollments and courses, then mark the season's data as deleted
+  const writes = [
+    ...enrollmentsSnapshot.docs.map(d => batch => batch.delete(d.ref)),
+    ...coursesSnapshot.docs.map(d => batch => batch.delete(d.ref)),
+    batch => batch.update(doc(db, 'seasons', seasonId), {
+      dataDeleted: true,
+      dataDeletedAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    }),
+  ];
 
-  // Update season to mark data as deleted
-  await updateDoc(doc(db, 'seasons', seasonId), {
-    dataDeleted: true,
-    dataDeletedAt: serverTimestamp(),
-    updatedAt: serverTimestamp(),
+  await commitAuditedWrites(writes, {
+    action: 'deleteSeasonData',
+    entityType: AUDIT_ENTITY.SEASON,
+    entityId: seasonId,
+    label: season.name,
+    before: {
+      courses: coursesSnapshot.docs.map(d => ({ id: d.id, ...d.data() })),
+      enrollmentCount: enrollmentsSnapshot.size,
+    },
   });
 
   return {
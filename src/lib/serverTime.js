@@ -0,0 +1,52 @@
+import { doc, setDoc, getDoc, serverTimestamp } from 'firebase/firestore';
+import { auth, db } from './firebase';
+
+/**
+ * Server time probe
+ * Firestore has no "current time" read, so each signed-in client writes serverTimestamp()
+ * to its own probe doc (serverTime/{auth uid}) and reads it back.
+ * The offset against the local clock is cached for the session.
+ */
+
+let cachedOffset = null;
+
+/**
+ * Get the offset (ms) between Firestore server time and the local clock
+ * @param {boolean} forceRefresh - Re-measure even if cached
+ * @returns {Promise<number>} serverTime - localTime in ms
+ */
+export const getServerTimeOffset = async (forceRefresh = false) => {
+  if (cachedOffset !== null && !forceRefresh) {
+    return cachedOffset;
+  }
+  
+  // One probe doc per signed-in user (firestore.rules refuses anyone else's)
+  const uid = auth.currentUser?.uid;
+  if (!uid) {
+    throw new Error('서버 시간을 확인할 수 없습니다.');
+  }
+  
+  const probeRef = doc(db, 'serverTime', uid);
+  const requestedAt = Date.now();
+  await setDoc(probeRef, { now: serverTimestamp() });
+  const snapshot = await getDoc(probeRef);
+  const respondedAt = Date.now();
+  
+  const serverNow = snapshot.data()?.now?.toMillis?.();
+  if (!serverNow) {
+    throw new Error('서버 시간을 확인할 수 없습니다.');
+  }
+  
+  // Assume the server stamped the write halfway through the round trip
+  cachedOffset = serverNow - Math.round((requestedAt + respondedAt) / 2);
+  return cachedOffset;
+};
+
+/**
+ * Get current Firestore server time
+ * @returns {Promise<Date>}
+ */
+export const getServerTime = async (forceRefresh = false) => {
+  const offset = await getServerTimeOffset(forceRefresh);
+  return new Date(Date.now() + offset);
+};
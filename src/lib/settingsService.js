@@ -0,0 +1,59 @@
+import { doc, getDoc, writeBatch, serverTimestamp } from 'firebase/firestore';
+import { db } from './firebase';
+import { assertPermission } from './roleService';
+import { appendAuditLog } from './auditLogService';
+import { PERMISSIONS, AUDIT_ENTITY, MESSAGE_CHANNEL } from '../constants';
+
+/**
+ * Academy Settings Schema (settings/academy, readable by any signed-in user):
+ * {
+ *   requireGuardianConsent: boolean (students with a linked guardian need their
+ *     confirmation before submitting enrollment requests; mirrored in firestore.rules),
+ *   absenceAlertsEnabled: boolean (message guardians when a student is absent or late),
+ *   absenceAlertChannel: 'sms' | 'kakao' | 'email',
+ *   notificationRetentionDays: number (read notifications are deleted this many days after reading),
+ *   updatedAt: timestamp,
+ *   updatedBy: string (admin uid)
+ * }
+ */
+
+const DEFAULT_ACADEMY_SETTINGS = {
+  requireGuardianConsent: false,
+  absenceAlertsEnabled: true,
+  absenceAlertChannel: MESSAGE_CHANNEL.SMS,
+  notificationRetentionDays: 30,
+};
+
+const academySettingsRef = () => doc(db, 'settings', 'academy');
+
+/**
+ * Get the academy-wide settings (defaults when never saved)
+ */
+export const getAcademySettings = async () => {
+  const settingsDoc = await getDoc(academySettingsRef());
+  return { ...DEFAULT_ACADEMY_SETTINGS, ...settingsDoc.data() };
+};
+
+/**
+ * Update academy-wide settings
+ */
+export const updateAcademySettings = async (updates, adminUid) => {
+  await assertPermission(PERMISSIONS.APPROVE_ENROLLMENTS);
+
+  const before = await getAcademySettings();
+  const batch = writeBatch(db);
+  batch.set(academySettingsRef(), {
+    ...updates,
+    updatedAt: serverTimestamp(),
+    updatedBy: adminUid,
+  }, { merge: true });
+  appendAuditLog(batch, {
+    action: 'update',
+    entityType: AUDIT_ENTITY.SETTINGS,
+    entityId: 'academy',
+    label: '학원 설정',
+    before,
+    after: updates,
+  });
+  await batch.commit();
+};
@@ -0,0 +1,216 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  deleteDoc,
+  writeBatch,
+  increment,
+  query,
+  where,
+  serverTimestamp
+} from 'firebase/firestore';
+import { signInAnonymously, signOut } from 'firebase/auth';
+import { auth, db } from './firebase';
+import { generateStudentId } from './utils';
+import { assertPermission } from './roleService';
+import { appendAuditLog } from './auditLogService';
+import {
+  PERMISSIONS,
+  AUDIT_ENTITY,
+  STUDENT_PIN_LENGTH,
+  STUDENT_LOGIN_MAX_ATTEMPTS,
+  STUDENT_LOGIN_LOCK_MINUTES
+} from '../constants';
+
+/**
+ * Student sign-in uses anonymous Firebase Auth linked to the student document,
+ * so firestore.rules can tell which student is writing.
+ *
+ * studentCredentials/{studentId} (never readable by clients):
+ *   { pinHash, issuedAt, issuedBy, changedAt }
+ * studentLoginAttempts/{studentId} (never readable by clients):
+ *   { uid, pinHash (the guess), count, at }
+ * studentSessions/{authUid}:
+ *   { studentId, createdAt }
+ * students/{studentId} also carries pinIssuedAt and pinChangeRequired (first-login reset).
+ *
+ * A PIN guess is first written to studentLoginAttempts, which the rules count and lock
+ * after STUDENT_LOGIN_MAX_ATTEMPTS within STUDENT_LOGIN_LOCK_MINUTES. The session is then
+ * created only if the rules find the recorded guess equal to the stored hash.
+ */
+
+// Students can't read their own record before signing in, so an unknown student,
+// a missing PIN and a lockout look the same to the login page
+const LOGIN_BLOCKED_MESSAGE = `로그인할 수 없습니다. 이름과 연락처를 확인하고, PIN을 발급받지 않았다면 관리자에게 문의하세요. PIN을 ${STUDENT_LOGIN_MAX_ATTEMPTS}회 잘못 입력한 경우 ${STUDENT_LOGIN_LOCK_MINUTES}분 후 다시 시도할 수 있습니다.`;
+
+/**
+ * SHA-256 of the PIN, salted with the student ID
+ */
+export const hashPin = async (studentId, pin) => {
+  const data = new TextEncoder().encode(`${studentId}:${pin}`);
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+};
+
+export const generatePin = () => {
+  const values = crypto.getRandomValues(new Uint32Array(STUDENT_PIN_LENGTH));
+  return Array.from(values, v => v % 10).join('');
+};
+
+export const isValidPin = (pin) => new RegExp(`^\\d{${STUDENT_PIN_LENGTH}}$`).test(pin);
+
+/**
+ * Issue (or re-issue) a student's PIN. Also clears a login lockout and signs out
+ * every existing session, which was opened with the previous PIN.
+ * @param {boolean} requireChange - Student must set their own PIN after the first login
+ */
+export const issueStudentPin = async (studentId, pin, requireChange, adminUid) => {
+  await assertPermission(PERMISSIONS.EDIT_STUDENTS);
+
+  if (!isValidPin(pin)) {
+    throw new Error(`PIN은 숫자 ${STUDENT_PIN_LENGTH}자리여야 합니다.`);
+  }
+
+  const studentDoc = await getDoc(doc(db, 'students', studentId));
+  if (!studentDoc.exists()) {
+    throw new Error('학생을 찾을 수 없습니다.');
+  }
+
+  const sessionsSnapshot = await getDocs(
+    query(collection(db, 'studentSessions'), where('studentId', '==', studentId))
+  );
+
+  const batch = writeBatch(db);
+  sessionsSnapshot.docs.forEach(d => batch.delete(d.ref));
+  batch.set(doc(db, 'studentCredentials', studentId), {
+    pinHash: await hashPin(studentId, pin),
+    issuedAt: serverTimestamp(),
+    issuedBy: adminUid,
+    changedAt: null,
+  });
+  batch.set(doc(db, 'studentLoginAttempts', studentId), {
+    uid: null,
+    pinHash: null,
+    count: 0,
+    at: serverTimestamp(),
+  });
+  batch.update(doc(db, 'students', studentId), {
+    pinIssuedAt: serverTimestamp(),
+    pinChangeRequired: requireChange,
+    updatedAt: serverTimestamp(),
+  });
+  // The PIN itself is never logged
+  appendAuditLog(batch, {
+    action: 'issuePin',
+    entityType: AUDIT_ENTITY.STUDENT,
+    entityId: studentId,
+    label: studentDoc.data().name,
+    after: { pinChangeRequired: requireChange, revokedSessions: sessionsSnapshot.size },
+  });
+  await batch.commit();
+};
+
+/**
+ * Record a PIN guess. The rules count it and refuse once the student is locked out
+ * (or has no PIN).
+ */
+const recordLoginAttempt = async (studentId, uid, pinHash) => {
+  const attemptRef = doc(db, 'studentLoginAttempts', studentId);
+  const attempt = { uid, pinHash, at: serverTimestamp() };
+
+  try {
+    // Within the lockout window: one more attempt
+    await setDoc(attemptRef, { ...attempt, count: increment(1) }, { merge: true });
+  } catch {
+    try {
+      // Window elapsed since the last attempt: counting starts over
+      await setDoc(attemptRef, { ...attempt, count: 1 }, { merge: true });
+    } catch {
+      throw new Error(LOGIN_BLOCKED_MESSAGE);
+    }
+  }
+};
+
+/**
+ * Sign a student in with name, guardian phone (last 4 digits) and PIN
+ * @returns {Promise<string>} Student ID
+ */
+export const signInStudent = async (name, phone, pin) => {
+  const studentId = generateStudentId(name, phone);
+
+  const user = auth.currentUser?.isAnonymous
+    ? auth.currentUser
+    : (await signInAnonymously(auth)).user;
+
+  const pinHash = await hashPin(studentId, pin);
+  await recordLoginAttempt(studentId, user.uid, pinHash);
+
+  try {
+    const batch = writeBatch(db);
+    batch.set(doc(db, 'studentSessions', user.uid), {
+      studentId,
+      createdAt: serverTimestamp(),
+    });
+    batch.update(doc(db, 'studentLoginAttempts', studentId), {
+      pinHash: null,
+      count: 0,
+    });
+    await batch.commit();
+  } catch {
+    throw new Error(`PIN이 올바르지 않습니다. ${STUDENT_LOGIN_MAX_ATTEMPTS}회 연속으로 틀리면 ${STUDENT_LOGIN_LOCK_MINUTES}분간 로그인이 제한됩니다.`);
+  }
+
+  // Readable only now that the session exists
+  const studentDoc = await getDoc(doc(db, 'students', studentId));
+  if (!studentDoc.data()?.enrollmentOpen) {
+    await signOutStudent();
+    throw new Error('수강신청이 마감되었습니다. 관리자에게 문의하세요.');
+  }
+
+  return studentId;
+};
+
+/**
+ * Student ID linked to the signed-in anonymous user, if any
+ */
+export const getSessionStudentId = async (uid) => {
+  const sessionDoc = await getDoc(doc(db, 'studentSessions', uid));
+  return sessionDoc.exists() ? sessionDoc.data().studentId : null;
+};
+
+/**
+ * Set a new PIN for the signed-in student (first-login reset or voluntary change)
+ */
+export const changeStudentPin = async (studentId, newPin) => {
+  if (!isValidPin(newPin)) {
+    throw new Error(`PIN은 숫자 ${STUDENT_PIN_LENGTH}자리여야 합니다.`);
+  }
+
+  const batch = writeBatch(db);
+  batch.update(doc(db, 'studentCredentials', studentId), {
+    pinHash: await hashPin(studentId, newPin),
+    changedAt: serverTimestamp(),
+  });
+  batch.update(doc(db, 'students', studentId), {
+    pinChangeRequired: false,
+    pinChangedAt: serverTimestamp(),
+  });
+  await batch.commit();
+};
+
+/**
+ * End the student session and the anonymous sign-in behind it
+ */
+export const signOutStudent = async () => {
+  const user = auth.currentUser;
+  if (!user?.isAnonymous) return;
+
+  try {
+    await deleteDoc(doc(db, 'studentSessions', user.uid));
+  } catch (error) {
+    console.error('Failed to delete student session:', error);
+  }
+  await signOut(auth);
+};
@@ -3,16 +3,19 @@ import {
   doc, 
   getDoc, 
   getDocs, 
-  setDoc, 
   updateDoc, 
-  deleteDoc,
   query,
   where,
   orderBy,
-  serverTimestamp 
+  writeBatch,
+  serverTimestamp,
+  increment
 } from 'firebase/firestore';
 import { db } from './firebase';
 import { generateStudentId } from './utils';
+import { assertPermission } from './roleService';
+import { appendAuditLog, commitAuditedWrites } from './auditLogService';
+import { PERMISSIONS, AUDIT_ENTITY, ENROLLMENT_STATUS } from '../constants';
 
 /**
  * Check if a student already exists
@@ -31,7 +34,10 @@ export const checkStudentExists = async (name, phone) => {
  * @returns {Array} Results with success/failure status for each student
  */
 export const batchCreateStudents = async (studentsData, adminUid, duplicateAction = 'skip') => {
+  await assertPermission(PERMISSIONS.EDIT_STUDENTS);
+
   const results = [];
+  const writes = [];
   
   for (const studentData of studentsData) {
     try {
@@ -55,13 +61,13 @@ export const batchCreateStudents = async (studentsData, adminUid, duplicateActio
           });
           continue;
         } else if (action === 'overwrite') {
-          await updateDoc(doc(db, 'students', studentId), {
+          writes.push(batch => batch.update(doc(db, 'students', studentId), {
             name: studentData.name,
             phone: studentData.phone,
             birthDate: studentData.birthDate || '',
             class: studentData.class || '',
             updatedAt: serverTimestamp(),
-          });
+          }));
           results.push({
             ...studentData,
             studentId,
@@ -73,7 +79,7 @@ export const batchCreateStudents = async (studentsData, adminUid, duplicateActio
       }
       
       // Create new student
-      await setDoc(doc(db, 'students', studentId), {
+      writes.push(batch => batch.set(doc(db, 'students', studentId), {
         name: studentData.name,
         phone: studentData.phone,
         birthDate: studentData.birthDate || '',
@@ -83,7 +89,7 @@ export const batchCreateStudents = async (studentsData, adminUid, duplicateActio
         changeEndDate: null,
         createdAt: serverTimestamp(),
         createdBy: adminUid,
-      });
+      }));
       
       results.push({
         ...studentData,
@@ -100,6 +106,20 @@ export const batchCreateStudents = async (studentsData, adminUid, duplicateActio
     }
   }
   
+  const created = results.filter(r => r.created).map(r => r.studentId);
+  const overwritten = results.filter(r => r.overwritten);
+  if (writes.length > 0) {
+    await commitAuditedWrites(writes, {
+      action: 'batchCreate',
+      entityType: AUDIT_ENTITY.STUDENT,
+      label: `${writes.length}명`,
+      after: { created, overwritten: overwritten.map(r => r.studentId) },
+    });
+  }
+  for (const r of overwritten) {
+    await syncEnrollmentSnapshots(r.studentId, buildStudentSnapshot(r));
+  }
+  
   return results;
 };
 
@@ -128,6 +148,8 @@ export const checkBatchDuplicates = async (studentsData) => {
  * Create a new student
  */
 export const createStudent = async (studentData, adminUid) => {
+  await assertPermission(PERMISSIONS.EDIT_STUDENTS);
+
   const studentId = generateStudentId(studentData.name, studentData.phone);
   
   // Check if student already exists
@@ -136,7 +158,7 @@ export const createStudent = async (studentData, adminUid) => {
     throw new Error('이미 등록된 학생입니다.');
   }
   
-  await setDoc(doc(db, 'students', studentId), {
+  const data = {
     name: studentData.name,
     phone: studentData.phone,
     birthDate: studentData.birthDate || '',
@@ -146,7 +168,17 @@ export const createStudent = async (studentData, adminUid) => {
     changeEndDate: null,
     createdAt: serverTimestamp(),
     createdBy: adminUid,
+  };
+  const batch = writeBatch(db);
+  batch.set(doc(db, 'students', studentId), data);
+  appendAuditLog(batch, {
+    action: 'create',
+    entityType: AUDIT_ENTITY.STUDENT,
+    entityId: studentId,
+    label: studentData.name,
+    after: data,
   });
+  await batch.commit();
   
   return studentId;
 };
@@ -179,33 +211,82 @@ export const getStudent = async (studentId) => {
 };
 
 /**
- * Update student information
+ * Name and class copied onto each enrollment: instructors build rosters from these
+ * because they may not read student records
  */
-export const updateStudent = async (studentId, updates) => {
-  await updateDoc(doc(db, 'students', studentId), {
+export const buildStudentSnapshot = (student) => ({
+  studentName: student?.name || '',
+  studentClass: student?.class || '',
+});
+
+/**
+ * Refresh the snapshot on a student's enrollments after their name or class changes
+ * @param {Object} snapshot - { studentName?, studentClass? } (only the changed fields)
+ */
+export const syncEnrollmentSnapshots = async (studentId, snapshot) => {
+  if (Object.keys(snapshot).length === 0) return;
+
+  const enrollmentsSnapshot = await getDocs(query(
+    collection(db, 'enrollments'),
+    where('studentId', '==', studentId)
+  ));
+  await Promise.all(enrollmentsSnapshot.docs.map(d => updateDoc(d.ref, snapshot)));
+};
+
+/**
+ * Update a student document and record the change with its previous values
+ */
+const updateStudentAudited = async (studentId, updates) => {
+  const before = await getStudent(studentId);
+  
+  const batch = writeBatch(db);
+  batch.update(doc(db, 'students', studentId), {
     ...updates,
     updatedAt: serverTimestamp(),
   });
+  appendAuditLog(batch, {
+    action: 'update',
+    entityType: AUDIT_ENTITY.STUDENT,
+    entityId: studentId,
+    label: before?.name || studentId,
+    before,
+    after: updates,
+  });
+  await batch.commit();
+  
+  const snapshot = {};
+  if ('name' in updates) snapshot.studentName = updates.name || '';
+  if ('class' in updates) snapshot.studentClass = updates.class || '';
+  await syncEnrollmentSnapshots(studentId, snapshot);
+};
+
+/**
+ * Update student information
+ */
+export const updateStudent = async (studentId, updates) => {
+  await assertPermission(PERMISSIONS.EDIT_STUDENTS);
+
+  await updateStudentAudited(studentId, updates);
 };
 
 /**
  * Set enrollment status for a student
  */
 export const setEnrollmentStatus = async (studentId, isOpen) => {
-  await updateDoc(doc(db, 'students', studentId), {
-    enrollmentOpen: isOpen,
-    updatedAt: serverTimestamp(),
-  });
+  await assertPermission(PERMISSIONS.EDIT_STUDENTS);
+
+  await updateStudentAudited(studentId, { enrollmentOpen: isOpen });
 };
 
 /**
  * Set change period for a student
  */
 export const setChangePeriod = async (studentId, startDate, endDate) => {
-  await updateDoc(doc(db, 'students', studentId), {
+  await assertPermission(PERMISSIONS.EDIT_STUDENTS);
+
+  await updateStudentAudited(studentId, {
     changeStartDate: startDate,
     changeEndDate: endDate,
-    updatedAt: serverTimestamp(),
   });
 };
 
@@ -213,33 +294,88 @@ export const setChangePeriod = async (studentId, startDate, endDate) => {
  * Batch update enrollment status for all students
  */
 export const batchSetEnrollmentStatus = async (studentIds, isOpen) => {
-  const promises = studentIds.map(id => 
-    updateDoc(doc(db, 'students', id), {
+  await assertPermission(PERMISSIONS.EDIT_STUDENTS);
+
+  const writes = studentIds.map(id => batch => 
+    batch.update(doc(db, 'students', id), {
       enrollmentOpen: isOpen,
       updatedAt: serverTimestamp(),
     })
   );
-  await Promise.all(promises);
+  
+  await commitAuditedWrites(writes, {
+    action: 'update',
+    entityType: AUDIT_ENTITY.STUDENT,
+    label: `${studentIds.length}명`,
+    after: { studentIds, enrollmentOpen: isOpen },
+  });
 };
 
 /**
  * Batch set change period for multiple students
  */
 export const batchSetChangePeriod = async (studentIds, startDate, endDate) => {
-  const promises = studentIds.map(id => 
-    updateDoc(doc(db, 'students', id), {
+  await assertPermission(PERMISSIONS.EDIT_STUDENTS);
+
+  const writes = studentIds.map(id => batch => 
+    batch.update(doc(db, 'students', id), {
       changeStartDate: startDate,
       changeEndDate: endDate,
       updatedAt: serverTimestamp(),
     })
   );
-  await Promise.all(promises);
+  
+  await commitAuditedWrites(writes, {
+    action: 'update',
+    entityType: AUDIT_ENTITY.STUDENT,
+    label: `${studentIds.length}명`,
+    after: { studentIds, changeStartDate: startDate, changeEndDate: endDate },
+  });
 };
 
 /**
- * Delete a student
+ * Course counter writes giving back what deleted enrollments held: seats (pending / approved),
+ * waitlist places and lottery entries, never below zero (as applySeatRelease does for one).
+ * Freed seats go to the waitlist at the next promoteDueWaitlists().
+ */
+const buildSeatReleaseWrites = async (enrollments) => {
+  const counterOf = {
+    [ENROLLMENT_STATUS.PENDING]: 'enrolled',
+    [ENROLLMENT_STATUS.APPROVED]: 'enrolled',
+    [ENROLLMENT_STATUS.WAITLISTED]: 'waitlistCount',
+    [ENROLLMENT_STATUS.LOTTERY]: 'lotteryEntryCount',
+  };
+  const heldByCourse = {};
+  enrollments.forEach(({ courseId, status }) => {
+    const field = counterOf[status];
+    if (!courseId || !field) return;
+    heldByCourse[courseId] = heldByCourse[courseId] || {};
+    heldByCourse[courseId][field] = (heldByCourse[courseId][field] || 0) + 1;
+  });
+
+  const writes = [];
+  for (const [courseId, held] of Object.entries(heldByCourse)) {
+    const courseDoc = await getDoc(doc(db, 'courses', courseId));
+    if (!courseDoc.exists()) continue;
+
+    const course = courseDoc.data();
+    const updates = {};
+    Object.entries(held).forEach(([field, count]) => {
+      updates[field] = increment(-Math.min(count, course[field] || 0));
+    });
+    writes.push(batch => batch.update(courseDoc.ref, updates));
+  }
+  return writes;
+};
+
+/**
+ * Delete a student together with their enrollments, releasing what those held
  */
 export const deleteStudent = async (studentId) => {
+  await assertPermission(PERMISSIONS.DELETE_DATA);
+
+  const student = await getStudent(studentId);
+
   // Also delete all enrollments for this student
   const enrollmentsQuery = query(
     collection(db, 'enrollments'),
@@ -247,10 +383,22 @@ export const deleteStudent = async (studentId) => {
   );
   
   const enrollmentsSnapshot = await getDocs(enrollmentsQuery);
-  const deletePromises = enrollmentsSnapshot.docs.map(doc => deleteDoc(doc.ref));
+  const seatReleases = await buildSeatReleaseWrites(enrollmentsSnapshot.docs.map(d => d.data()));
+  const writes = [
+    // Counters first, so they land in the first batch even when the delete is split
+    ...seatReleases,
+    ...enrollmentsSnapshot.docs.map(d => batch => batch.delete(d.ref)),
+    batch => batch.delete(doc(db, 'students', studentId)),
+  ];
   
-  await Promise.all([
-    ...deletePromises,
-    deleteDoc(doc(db, 'students', studentId))
-  ]);
+  await commitAuditedWrites(writes, {
+    action: 'delete',
+    entityType: AUDIT_ENTITY.STUDENT,
+    entityId: studentId,
+    label: student?.name || studentId,
+    before: student && {
+      ...student,
+      enrollments: enrollmentsSnapshot.docs.map(d => ({ id: d.id, ...d.data() })),
+    },
+  });
 };
@@ -138,6 +138,69 @@ export const checkConflicts = (newCourse, enrolledCourses) => {
   return conflicts;
 };
 
+/**
+ * Whether two courses are booked into the same room.
+ * Courses picked from the room registry carry a roomId; older ones only the free-text name.
+ */
+const isSameRoom = (course1, course2) => {
+  if (course1.roomId && course2.roomId) return course1.roomId === course2.roomId;
+  return !!course1.room && course1.room === course2.room;
+};
+
+/**
+ * Find active courses of the same season booked into the same room at an overlapping time
+ */
+export const findRoomConflicts = (course, courses) => {
+  if (!course.room && !course.roomId) return [];
+  
+  return checkConflicts(course, courses.filter(other =>
+    other.id !== course.id &&
+    other.isActive !== false &&
+    other.seasonId === course.seasonId &&
+    isSameRoom(course, other)
+  ));
+};
+
+/**
+ * Whether two courses are taught by the same instructor.
+ * Courses linked to the instructor registry carry an instructorId; older ones only the name.
+ */
+const isSameInstructor = (course1, course2) => {
+  if (course1.instructorId && course2.instructorId) return course1.instructorId === course2.instructorId;
+  const name1 = (course1.instructor || '').trim();
+  return !!name1 && name1 === (course2.instructor || '').trim();
+};
+
+/**
+ * Find active courses of the same season whose instructor teaches at an overlapping time
+ */
+export const findInstructorConflicts = (course, courses) => {
+  if (!course.instructorId && !(course.instructor || '').trim()) return [];
+  
+  return checkConflicts(course, courses.filter(other =>
+    other.id !== course.id &&
+    other.isActive !== false &&
+    other.seasonId === course.seasonId &&
+    isSameInstructor(course, other)
+  ));
+};
+
+/**
+ * Get the course's schedule slots that fall outside an instructor's availability.
+ * An empty availability means no restriction.
+ * @param {Array} availability - [{ day, startPeriod, endPeriod }]
+ */
+export const getSlotsOutsideAvailability = (course, availability = []) => {
+  if (availability.length === 0) return [];
+  
+  const slots = course.schedules?.length > 0 ? course.schedules : getLegacyScheduleSlots(course);
+  return slots.filter(slot => !availability.some(window =>
+    window.day === slot.day &&
+    window.startPeriod <= slot.startPeriod &&
+    window.endPeriod >= slot.endPeriod
+  ));
+};
+
 /**
  * Get detailed conflict information between two courses
  * Returns array of conflicting slot pairs
@@ -180,6 +243,197 @@ export const isWithinChangePeriod = (student) => {
   return now >= start && now <= end;
 };
 
+/**
+ * Registration window phases
+ */
+export const REGISTRATION_PHASE = {
+  UNSET: 'unset',
+  BEFORE: 'before',
+  OPEN: 'open',
+  CLOSED: 'closed',
+};
+
+/**
+ * Convert Firestore Timestamp / Date / string to Date (null-safe)
+ */
+const toDateOrNull = (value) => {
+  if (!value) return null;
+  return value.toDate ? value.toDate() : new Date(value);
+};
+
+/**
+ * Resolve the registration window that applies to a student's class (반)
+ * Per-class overrides in season.registrationWindows take precedence over the season default
+ * @returns {{ openAt: Date|null, closeAt: Date|null, className: string|null }}
+ */
+export const getRegistrationWindow = (season, className) => {
+  if (!season) {
+    return { openAt: null, closeAt: null, className: null };
+  }
+  
+  const override = className ? season.registrationWindows?.[className] : null;
+  if (override && (override.openAt || override.closeAt)) {
+    return {
+      openAt: toDateOrNull(override.openAt),
+      closeAt: toDateOrNull(override.closeAt),
+      className,
+    };
+  }
+  
+  return {
+    openAt: toDateOrNull(season.registrationOpenAt),
+    closeAt: toDateOrNull(season.registrationCloseAt),
+    className: null,
+  };
+};
+
+/**
+ * Get the registration phase of a window at a given (server) time
+ * A window with neither bound set is treated as always open (UNSET)
+ */
+export const getRegistrationPhase = (range, now) => {
+  if (!range || (!range.openAt && !range.closeAt)) {
+    return REGISTRATION_PHASE.UNSET;
+  }
+  if (range.openAt && now < range.openAt) {
+    return REGISTRATION_PHASE.BEFORE;
+  }
+  if (range.closeAt && now > range.closeAt) {
+    return REGISTRATION_PHASE.CLOSED;
+  }
+  return REGISTRATION_PHASE.OPEN;
+};
+
+/**
+ * Format remaining milliseconds as countdown (e.g., "2일 03:15:09", "00:04:59")
+ */
+export const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (n) => String(n).padStart(2, '0');
+  
+  const clock = `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+  return days > 0 ? `${days}일 ${clock}` : clock;
+};
+
+/**
+ * Resolve course load limits for a student's class (반)
+ * Per-class overrides in season.classLoadLimits take precedence field by field
+ * over season.loadLimits; category limits are merged per category.
+ * @returns {{ maxCourses: number|null, maxPeriodsPerWeek: number|null, categoryLimits: Object }|null}
+ */
+export const getLoadLimits = (season, className) => {
+  if (!season) return null;
+  
+  const base = season.loadLimits || {};
+  const override = (className && season.classLoadLimits?.[className]) || {};
+  const pick = (key) => override[key] ?? base[key] ?? null;
+  
+  const limits = {
+    maxCourses: pick('maxCourses'),
+    maxPeriodsPerWeek: pick('maxPeriodsPerWeek'),
+    categoryLimits: { ...base.categoryLimits },
+  };
+  
+  Object.entries(override.categoryLimits || {}).forEach(([category, range]) => {
+    limits.categoryLimits[category] = { ...limits.categoryLimits[category], ...range };
+  });
+  
+  const hasCategoryLimits = Object.values(limits.categoryLimits)
+    .some(range => range?.min != null || range?.max != null);
+  if (limits.maxCourses == null && limits.maxPeriodsPerWeek == null && !hasCategoryLimits) {
+    return null;
+  }
+  
+  return limits;
+};
+
+/**
+ * Count class periods per week for a course (multi-schedule aware)
+ */
+export const countWeeklyPeriods = (course) => {
+  const slots = course.schedules?.length > 0 ? course.schedules : getLegacyScheduleSlots(course);
+  return slots.reduce((sum, slot) => sum + (slot.endPeriod - slot.startPeriod + 1), 0);
+};
+
+/**
+ * Check a course load (existing enrollments + requested courses) against load limits
+ * @returns {string[]} Violation messages (empty when within limits)
+ */
+export const checkLoadLimits = (courses, limits) => {
+  if (!limits) return [];
+  
+  const violations = [];
+  
+  if (limits.maxCourses != null && courses.length > limits.maxCourses) {
+    violations.push(`최대 ${limits.maxCourses}과목까지 신청할 수 있습니다. (현재 ${courses.length}과목)`);
+  }
+  
+  if (limits.maxPeriodsPerWeek != null) {
+    const periods = courses.reduce((sum, course) => sum + countWeeklyPeriods(course), 0);
+    if (periods > limits.maxPeriodsPerWeek) {
+      violations.push(`주당 최대 ${limits.maxPeriodsPerWeek}교시까지 수강할 수 있습니다. (현재 ${periods}교시)`);
+    }
+  }
+  
+  Object.entries(limits.categoryLimits || {}).forEach(([category, range]) => {
+    const count = courses.filter(course => course.category === category).length;
+    if (range?.max != null && count > range.max) {
+      violations.push(`${category}: 최대 ${range.max}과목까지 신청할 수 있습니다. (현재 ${count}과목)`);
+    }
+    if (range?.min != null && count < range.min) {
+      violations.push(`${category}: 최소 ${range.min}과목 이상 신청해야 합니다. (현재 ${count}과목)`);
+    }
+  });
+  
+  return violations;
+};
+
+/**
+ * Find unmet prerequisites / co-requisites for a course
+ * - prerequisiteIds (earlier seasons): satisfied by an approved enrollment in ANY listed course,
+ *   so the same course offered in several past seasons can be listed together
+ * - corequisiteIds (same season): EVERY listed course must be held or requested together
+ * @param {Object} course - Course with prerequisiteIds / corequisiteIds
+ * @param {Object} context - { completedCourseIds: string[], heldCourseIds: string[] }
+ * @returns {{ prerequisites: string[], corequisites: string[] }} Missing course IDs
+ */
+export const getMissingRequisites = (course, { completedCourseIds = [], heldCourseIds = [] }) => {
+  const prerequisiteIds = course.prerequisiteIds || [];
+  const corequisiteIds = course.corequisiteIds || [];
+  
+  const prerequisiteMet = prerequisiteIds.length === 0 || 
+    prerequisiteIds.some(id => completedCourseIds.includes(id));
+  
+  return {
+    prerequisites: prerequisiteMet ? [] : prerequisiteIds,
+    corequisites: corequisiteIds.filter(id => !heldCourseIds.includes(id)),
+  };
+};
+
+/**
+ * Build user-facing messages for missing requisites
+ * @param {Object} missing - Result of getMissingRequisites()
+ * @param {Function} titleOf - Resolves a course ID to its title
+ * @returns {string[]}
+ */
+export const formatMissingRequisites = (missing, titleOf) => {
+  const messages = [];
+  
+  if (missing.prerequisites.length > 0) {
+    const titles = [...new Set(missing.prerequisites.map(titleOf))];
+    messages.push(`선수 강좌를 먼저 수강해야 합니다: ${titles.join(' 또는 ')}`);
+  }
+  if (missing.corequisites.length > 0) {
+    messages.push(`함께 신청해야 하는 강좌가 있습니다: ${missing.corequisites.map(titleOf).join(', ')}`);
+  }
+  
+  return messages;
+};
+
 /**
  * Format date for display
  */
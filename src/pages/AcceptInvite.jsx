@@ -0,0 +1,175 @@
+import { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { Lock, ArrowRight, User } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { getAdminInvite, acceptAdminInvite } from '../lib/adminInviteService';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+
+/**
+ * Invite acceptance: the invitee sets their own password and is signed in as an admin
+ */
+export default function AcceptInvite() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [invite, setInvite] = useState(null);
+  const [inviteError, setInviteError] = useState('');
+  const [password, setPassword] = useState('');
+  const [passwordConfirm, setPasswordConfirm] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [accepted, setAccepted] = useState(false);
+
+  const navigate = useNavigate();
+  const { isAuthenticated } = useAuth();
+
+  useEffect(() => {
+    const loadInvite = async () => {
+      try {
+        setInvite(await getAdminInvite(token));
+      } catch (err) {
+        setInviteError(err.message);
+      }
+    };
+
+    loadInvite();
+  }, [token]);
+
+  // The auth listener loads the new admin document after sign-in
+  useEffect(() => {
+    if (accepted && isAuthenticated) {
+      navigate('/admin/dashboard', { replace: true });
+    }
+  }, [accepted, isAuthenticated, navigate]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password.length < 6) {
+      setError('비밀번호는 6자 이상이어야 합니다.');
+      return;
+    }
+    if (password !== passwordConfirm) {
+      setError('비밀번호가 일치하지 않습니다.');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await acceptAdminInvite(token, password);
+      setAccepted(true);
+    } catch (err) {
+      console.error('Accept invite error:', err);
+      if (err.code === 'auth/weak-password') {
+        setError('비밀번호는 6자 이상이어야 합니다.');
+      } else {
+        setError(err.message || '초대 수락에 실패했습니다.');
+      }
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-50 flex flex-col items-center justify-center p-4">
+      <div className="w-full max-w-md space-y-8 animate-fade-in-up">
+        <div className="text-center">
+          <img src="/logo.png" alt="ETOOS247.ICHEON" className="mx-auto w-24 h-24 object-contain mb-4" />
+          <h2 className="text-3xl font-bold tracking-tight text-slate-900">
+            ETOOS247<span className="text-[#00b6b2]">.ICHEON</span>
+          </h2>
+          <p className="mt-2 text-slate-500">관리자 초대 수락</p>
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-xl p-8 border border-gray-100">
+          {inviteError ? (
+            <div className="text-red-500 text-sm text-center font-medium bg-red-50 py-3 px-4 rounded-lg">
+              {inviteError}
+            </div>
+          ) : !invite ? (
+            <LoadingSpinner message="초대 확인 중..." />
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <p className="text-sm text-slate-600">
+                <strong>{invite.name}</strong>님, 사용할 비밀번호를 설정해주세요.
+              </p>
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">아이디</label>
+                  <div className="relative">
+                    <input
+                      type="text"
+                      readOnly
+                      value={invite.email.replace('@academy.local', '')}
+                      className="block w-full rounded-xl border-gray-200 bg-slate-100 px-4 py-3 text-slate-500 outline-none"
+                    />
+                    <User className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-400 w-4 h-4" />
+                  </div>
+                </div>
+                <div>
+                  <label htmlFor="password" className="block text-sm font-medium text-slate-700 mb-1">
+                    비밀번호
+                  </label>
+                  <div className="relative">
+                    <input
+                      id="password"
+                      type="password"
+                      required
+                      className="block w-full rounded-xl border-gray-200 bg-slate-50 px-4 py-3 text-slate-900 focus:border-[#00b6b2] focus:bg-white focus:ring-2 focus:ring-[#00b6b2]/20 transition-all outline-none"
+                      placeholder="6자 이상"
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      disabled={submitting}
+                    />
+                    <Lock className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-400 w-4 h-4" />
+                  </div>
+                </div>
+                <div>
+                  <label htmlFor="passwordConfirm" className="block text-sm font-medium text-slate-700 mb-1">
+                    비밀번호 확인
+                  </label>
+                  <div className="relative">
+                    <input
+                      id="passwordConfirm"
+                      type="password"
+                      required
+                      className="block w-full rounded-xl border-gray-200 bg-slate-50 px-4 py-3 text-slate-900 focus:border-[#00b6b2] focus:bg-white focus:ring-2 focus:ring-[#00b6b2]/20 transition-all outline-none"
+                      placeholder="••••••••"
+                      value={passwordConfirm}
+                      onChange={(e) => setPasswordConfirm(e.target.value)}
+                      disabled={submitting}
+                    />
+                    <Lock className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-400 w-4 h-4" />
+                  </div>
+                </div>
+              </div>
+
+              {error && (
+                <div className="text-red-500 text-sm text-center font-medium bg-red-50 py-2 rounded-lg">
+                  {error}
+                </div>
+              )}
+
+              <button
+                type="submit"
+                disabled={submitting}
+                className="group relative flex w-full justify-center rounded-xl bg-slate-900 py-3.5 px-4 text-sm font-bold text-white hover:bg-[#00b6b2] focus:outline-none focus:ring-2 focus:ring-[#00b6b2] focus:ring-offset-2 transition-all duration-200 shadow-lg hover:shadow-[#00b6b2]/30 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {submitting ? '설정 중...' : '비밀번호 설정하고 시작하기'}
+                {!submitting && <ArrowRight className="ml-2 h-4 w-4 group-hover:translate-x-1 transition-transform" />}
+              </button>
+            </form>
+          )}
+        </div>
+
+        <div className="text-center">
+          <Link
+            to="/admin"
+            className="text-sm text-slate-400 hover:text-[#00b6b2] transition-colors"
+          >
+            ← 관리자 로그인으로 이동
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
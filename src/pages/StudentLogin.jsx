@@ -1,16 +1,20 @@
 import { useState } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
-import { Lock, ArrowRight, Settings } from 'lucide-react';
+import { Lock, ArrowRight, Settings, GraduationCap, KeyRound, Users } from 'lucide-react';
 import { useStudent } from '../contexts/StudentContext';
+import { STUDENT_PIN_LENGTH } from '../constants';
+
+const inputClassName = 'block w-full rounded-xl border-gray-200 bg-slate-50 px-4 py-3 text-slate-900 focus:border-[#00b6b2] focus:bg-white focus:ring-2 focus:ring-[#00b6b2]/20 transition-all outline-none tracking-widest';
 
 export default function StudentLogin() {
   const [name, setName] = useState('');
   const [phone, setPhone] = useState('');
+  const [pin, setPin] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   
   const navigate = useNavigate();
-  const { loginStudent } = useStudent();
+  const { loginStudent, pinChangeRequired } = useStudent();
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -24,15 +28,23 @@ export default function StudentLogin() {
       setError('휴대폰 번호 뒷자리 4자리를 입력해주세요.');
       return;
     }
+    if (pin.length !== STUDENT_PIN_LENGTH) {
+      setError(`PIN ${STUDENT_PIN_LENGTH}자리를 입력해주세요.`);
+      return;
+    }
     
     setLoading(true);
     
     try {
-      await loginStudent(name.trim(), phone);
-      navigate('/student/courses');
+      const studentData = await loginStudent(name.trim(), phone, pin);
+      // A PIN issued with a first-login reset is replaced before entering
+      if (!studentData?.pinChangeRequired) {
+        navigate('/student/courses');
+      }
     } catch (err) {
       setError(err.message);
     } finally {
+      setPin('');
       setLoading(false);
     }
   };
@@ -45,9 +57,14 @@ export default function StudentLogin() {
           <h2 className="text-3xl font-bold tracking-tight text-slate-900">
             ETOOS247<span className="text-[#00b6b2]">.ICHEON</span>
           </h2>
-          <p className="mt-2 text-slate-500">수강신청을 위해 학생 정보를 입력해주세요.</p>
+          <p className="mt-2 text-slate-500">
+            {pinChangeRequired ? '사용할 새 PIN을 설정해주세요.' : '수강신청을 위해 학생 정보를 입력해주세요.'}
+          </p>
         </div>
 
+        {pinChangeRequired ? (
+          <PinChangeForm onDone={() => navigate('/student/courses')} />
+        ) : (
         <form onSubmit={handleSubmit} className="mt-8 space-y-6 relative z-10">
           <div className="space-y-4">
             <div>
@@ -78,7 +95,7 @@ export default function StudentLogin() {
                   inputMode="numeric"
                   maxLength={4}
                   required
-                  className="block w-full rounded-xl border-gray-200 bg-slate-50 px-4 py-3 text-slate-900 focus:border-[#00b6b2] focus:bg-white focus:ring-2 focus:ring-[#00b6b2]/20 transition-all outline-none tracking-widest"
+                  className={inputClassName}
                   placeholder="●●●●"
                   value={phone}
                   onChange={(e) => setPhone(e.target.value.replace(/[^0-9]/g, ''))}
@@ -87,6 +104,28 @@ export default function StudentLogin() {
                 <Lock className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-400 w-4 h-4" />
               </div>
             </div>
+            <div>
+              <label htmlFor="pin" className="block text-sm font-medium text-slate-700 mb-1">
+                PIN
+              </label>
+              <div className="relative">
+                <input
+                  id="pin"
+                  name="pin"
+                  type="password"
+                  inputMode="numeric"
+                  maxLength={STUDENT_PIN_LENGTH}
+                  required
+                  className={inputClassName}
+                  placeholder={'●'.repeat(STUDENT_PIN_LENGTH)}
+                  value={pin}
+                  onChange={(e) => setPin(e.target.value.replace(/[^0-9]/g, ''))}
+                  disabled={loading}
+                />
+                <KeyRound className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-400 w-4 h-4" />
+              </div>
+              <p className="mt-1 text-xs text-slate-400">PIN은 학원에서 발급받을 수 있습니다.</p>
+            </div>
           </div>
 
           {error && (
@@ -104,16 +143,128 @@ export default function StudentLogin() {
             {!loading && <ArrowRight className="ml-2 h-4 w-4 group-hover:translate-x-1 transition-transform" />}
           </button>
         </form>
+        )}
         
-        <div className="border-t border-slate-100 pt-6 mt-6 flex justify-center">
+        <div className="border-t border-slate-100 pt-6 mt-6 flex justify-center gap-4">
           <Link 
             to="/admin"
             className="text-xs text-slate-400 hover:text-[#00b6b2] flex items-center gap-1 transition-colors"
           >
-            <Settings className="w-3 h-3" /> 관리자(선생님) 로그인
+            <Settings className="w-3 h-3" /> 관리자 로그인
+          </Link>
+          <Link
+            to="/instructor"
+            className="text-xs text-slate-400 hover:text-[#00b6b2] flex items-center gap-1 transition-colors"
+          >
+            <GraduationCap className="w-3 h-3" /> 강사 로그인
+          </Link>
+          <Link
+            to="/guardian"
+            className="text-xs text-slate-400 hover:text-[#00b6b2] flex items-center gap-1 transition-colors"
+          >
+            <Users className="w-3 h-3" /> 보호자 로그인
           </Link>
         </div>
       </div>
     </div>
   );
 }
+
+/**
+ * First-login PIN reset (shown while the student's pinChangeRequired flag is set)
+ */
+function PinChangeForm({ onDone }) {
+  const [pin, setPin] = useState('');
+  const [pinConfirm, setPinConfirm] = useState('');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const { changePin, logoutStudent } = useStudent();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (pin.length !== STUDENT_PIN_LENGTH) {
+      setError(`PIN은 숫자 ${STUDENT_PIN_LENGTH}자리여야 합니다.`);
+      return;
+    }
+    if (pin !== pinConfirm) {
+      setError('PIN이 일치하지 않습니다.');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await changePin(pin);
+      onDone();
+    } catch (err) {
+      console.error('Change PIN error:', err);
+      setError(err.message || 'PIN 변경에 실패했습니다.');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-8 space-y-6 relative z-10">
+      <div className="space-y-4">
+        <div>
+          <label htmlFor="newPin" className="block text-sm font-medium text-slate-700 mb-1">
+            새 PIN
+          </label>
+          <input
+            id="newPin"
+            type="password"
+            inputMode="numeric"
+            maxLength={STUDENT_PIN_LENGTH}
+            required
+            className={inputClassName}
+            placeholder={`숫자 ${STUDENT_PIN_LENGTH}자리`}
+            value={pin}
+            onChange={(e) => setPin(e.target.value.replace(/[^0-9]/g, ''))}
+            disabled={saving}
+          />
+        </div>
+        <div>
+          <label htmlFor="newPinConfirm" className="block text-sm font-medium text-slate-700 mb-1">
+            새 PIN 확인
+          </label>
+          <input
+            id="newPinConfirm"
+            type="password"
+            inputMode="numeric"
+            maxLength={STUDENT_PIN_LENGTH}
+            required
+            className={inputClassName}
+            placeholder={'●'.repeat(STUDENT_PIN_LENGTH)}
+            value={pinConfirm}
+            onChange={(e) => setPinConfirm(e.target.value.replace(/[^0-9]/g, ''))}
+            disabled={saving}
+          />
+        </div>
+      </div>
+
+      {error && (
+        <div className="text-red-500 text-sm text-center font-medium bg-red-50 py-2 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      <button
+        type="submit"
+        disabled={saving}
+        className="group relative flex w-full justify-center rounded-xl bg-slate-900 py-3.5 px-4 text-sm font-bold text-white hover:bg-[#00b6b2] focus:outline-none focus:ring-2 focus:ring-[#00b6b2] focus:ring-offset-2 transition-all duration-200 shadow-lg hover:shadow-[#00b6b2]/30 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {saving ? '저장 중...' : 'PIN 변경하고 입장하기'}
+        {!saving && <ArrowRight className="ml-2 h-4 w-4 group-hover:translate-x-1 transition-transform" />}
+      </button>
+      <button
+        type="button"
+        onClick={logoutStudent}
+        disabled={saving}
+        className="w-full text-sm text-slate-400 hover:text-slate-600 transition-colors"
+      >
+        다른 학생으로 로그인
+      </button>
+    </form>
+  );
+}
@@ -0,0 +1,384 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  setDoc,
+  updateDoc,
+  where,
+  writeBatch,
+  serverTimestamp,
+  Timestamp
+} from 'firebase/firestore';
+import { UID, createTestEnvironment, seed, auditedBatch } from './setup.js';
+
+let testEnv;
+
+before(async () => {
+  testEnv = await createTestEnvironment();
+});
+
+after(async () => {
+  await testEnv?.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await seed(testEnv);
+});
+
+const dbAs = (uid) => testEnv.authenticatedContext(uid).firestore();
+
+const enrollmentsOf = (db, studentId) =>
+  getDocs(query(collection(db, 'enrollments'), where('studentId', '==', studentId)));
+
+// A student's own request for course c1, together with the seat it takes
+const requestSeat = (db, studentId, snapshot) => {
+  const batch = writeBatch(db);
+  batch.set(doc(db, 'enrollments', 'e2'), {
+    studentId,
+    courseId: 'c1',
+    seasonId: 'season1',
+    status: 'pending',
+    ...snapshot,
+    enrolledAt: serverTimestamp(),
+  });
+  batch.update(doc(db, 'courses', 'c1'), {
+    enrolled: 2,
+    lastSeatChange: { enrollmentId: 'e2', status: 'pending' },
+  });
+  return batch.commit();
+};
+
+// Cancelling approved enrollment e1 gives its seat back in the same write
+const cancelE1 = (db) => {
+  const batch = writeBatch(db);
+  batch.update(doc(db, 'enrollments', 'e1'), { status: 'cancelled', cancelledAt: serverTimestamp() });
+  batch.update(doc(db, 'courses', 'c1'), {
+    enrolled: 0,
+    lastSeatChange: { enrollmentId: 'e1', status: 'cancelled' },
+  });
+  return batch.commit();
+};
+
+describe('anonymous visitor', () => {
+  it('reads the public course list', async () => {
+    const db = testEnv.unauthenticatedContext().firestore();
+    await assertSucceeds(getDoc(doc(db, 'courses/c1')));
+  });
+
+  it('cannot read students, enrollments or notifications', async () => {
+    const db = testEnv.unauthenticatedContext().firestore();
+    await assertFails(getDoc(doc(db, 'students/s1')));
+    await assertFails(enrollmentsOf(db, 's1'));
+    await assertFails(getDoc(doc(db, 'notifications/n1')));
+  });
+
+  it('cannot write course counters or audit entries', async () => {
+    const db = testEnv.unauthenticatedContext().firestore();
+    await assertFails(updateDoc(doc(db, 'courses/c1'), { enrolled: 0 }));
+    await assertFails(setDoc(doc(db, 'auditLogs/forged'), { actorUid: null, at: serverTimestamp() }));
+  });
+});
+
+describe("another student's session", () => {
+  it("cannot read the student's record, enrollments or notifications", async () => {
+    const db = dbAs(UID.OTHER);
+    await assertFails(getDoc(doc(db, 'students/s1')));
+    await assertFails(enrollmentsOf(db, 's1'));
+    await assertFails(getDoc(doc(db, 'notifications/n1')));
+  });
+
+  it('cannot request or cancel seats in the student\'s name', async () => {
+    const db = dbAs(UID.OTHER);
+    await assertFails(requestSeat(db, 's1', { studentName: '김철수', studentClass: 'A반' }));
+    await assertFails(cancelE1(db));
+  });
+
+  it("cannot probe the student's server-time document", async () => {
+    const db = dbAs(UID.OTHER);
+    await assertFails(setDoc(doc(db, 'serverTime', UID.STUDENT), { now: serverTimestamp() }));
+    await assertFails(getDoc(doc(db, 'serverTime', UID.STUDENT)));
+  });
+});
+
+describe('owning student', () => {
+  it('reads their own record and enrollments', async () => {
+    const db = dbAs(UID.STUDENT);
+    await assertSucceeds(getDoc(doc(db, 'students/s1')));
+    await assertSucceeds(enrollmentsOf(db, 's1'));
+  });
+
+  it('requests a seat together with the course counter moving by one', async () => {
+    const db = dbAs(UID.STUDENT);
+    await assertSucceeds(requestSeat(db, 's1', { studentName: '김철수', studentClass: 'A반' }));
+  });
+
+  it('joins the waitlist instead of taking a freed seat while others are waiting', async () => {
+    await testEnv.withSecurityRulesDisabled((context) =>
+      updateDoc(doc(context.firestore(), 'courses/c1'), { waitlistCount: 1 }));
+    const db = dbAs(UID.STUDENT);
+    await assertFails(requestSeat(db, 's1', { studentName: '김철수', studentClass: 'A반' }));
+
+    const batch = writeBatch(db);
+    batch.set(doc(db, 'enrollments/e2'), {
+      studentId: 's1', courseId: 'c1', seasonId: 'season1', status: 'waitlisted', waitlistPosition: 2,
+      studentName: '김철수', studentClass: 'A반',
+    });
+    batch.update(doc(db, 'courses/c1'), { waitlistCount: 2, lastSeatChange: { enrollmentId: 'e2', status: 'waitlisted' } });
+    await assertSucceeds(batch.commit());
+  });
+
+  it('cannot request seats while a temporary PIN is still to be replaced', async () => {
+    await testEnv.withSecurityRulesDisabled((context) =>
+      updateDoc(doc(context.firestore(), 'students/s1'), { pinChangeRequired: true }));
+    const db = dbAs(UID.STUDENT);
+    await assertSucceeds(getDoc(doc(db, 'students/s1')));
+    await assertFails(requestSeat(db, 's1', { studentName: '김철수', studentClass: 'A반' }));
+    await assertFails(cancelE1(db));
+  });
+
+  it('cannot request a seat without the counter, or move the counter alone', async () => {
+    const db = dbAs(UID.STUDENT);
+    await assertFails(setDoc(doc(db, 'enrollments/e2'), {
+      studentId: 's1', courseId: 'c1', seasonId: 'season1', status: 'pending', studentName: '김철수', studentClass: 'A반',
+    }));
+    await assertFails(updateDoc(doc(db, 'courses/c1'), { enrolled: 0 }));
+  });
+
+  it('cannot create an approved enrollment or approve their own request', async () => {
+    const db = dbAs(UID.STUDENT);
+    await assertFails(setDoc(doc(db, 'enrollments/e3'), {
+      studentId: 's1', courseId: 'c1', seasonId: 'season1', status: 'approved', studentName: '김철수', studentClass: 'A반',
+    }));
+    await assertFails(updateDoc(doc(db, 'enrollments/e1'), { status: 'approved', approvedBy: UID.STUDENT }));
+  });
+
+  it("cannot pass another season's id to get around a closed registration window", async () => {
+    const db = dbAs(UID.STUDENT);
+    const batch = writeBatch(db);
+    batch.set(doc(db, 'enrollments/e2'), {
+      studentId: 's1', courseId: 'c0', seasonId: 'season1', status: 'pending', studentName: '김철수', studentClass: 'A반',
+    });
+    batch.update(doc(db, 'courses/c0'), { enrolled: 1, lastSeatChange: { enrollmentId: 'e2', status: 'pending' } });
+    await assertFails(batch.commit());
+  });
+
+  it('cannot forge the roster name on a request', async () => {
+    const db = dbAs(UID.STUDENT);
+    await assertFails(requestSeat(db, 's1', { studentName: '다른이름', studentClass: 'A반' }));
+  });
+
+  it('cancels their own enrollment, giving the seat back', async () => {
+    await assertSucceeds(cancelE1(dbAs(UID.STUDENT)));
+  });
+
+  it('marks notifications read; announcements never get an expiry', async () => {
+    const db = dbAs(UID.STUDENT);
+    const expiresAt = Timestamp.fromMillis(Date.now() + 86400000);
+    await assertSucceeds(updateDoc(doc(db, 'notifications/n1'), { read: true, readAt: serverTimestamp(), expiresAt }));
+    await assertFails(updateDoc(doc(db, 'notifications/n2'), { read: true, readAt: serverTimestamp(), expiresAt }));
+    await assertSucceeds(updateDoc(doc(db, 'notifications/n2'), { read: true, readAt: serverTimestamp(), expiresAt: null }));
+  });
+
+  it('cannot write audit entries, or history attributed to an admin', async () => {
+    const db = dbAs(UID.STUDENT);
+    await assertFails(auditedBatch(db, UID.STUDENT, { action: 'update', entityType: 'student' }).commit());
+    await assertFails(setDoc(doc(db, 'enrollmentHistory/h1'), {
+      enrollmentId: 'e1', studentId: 's1', courseId: 'c1', toStatus: 'approved',
+      actorType: 'admin', actorId: UID.SUPERADMIN, at: serverTimestamp(),
+    }));
+  });
+});
+
+describe('guardian', () => {
+  it("reads their child's record, enrollments and notifications", async () => {
+    const db = dbAs(UID.GUARDIAN);
+    await assertSucceeds(getDoc(doc(db, 'students/s1')));
+    await assertSucceeds(enrollmentsOf(db, 's1'));
+    await assertSucceeds(getDoc(doc(db, 'notifications/n1')));
+  });
+
+  it('cannot read other students', async () => {
+    const db = dbAs(UID.GUARDIAN);
+    await assertFails(getDoc(doc(db, 'students/s2')));
+    await assertFails(enrollmentsOf(db, 's2'));
+  });
+
+  it('cannot edit the child\'s record or enrollments', async () => {
+    const db = dbAs(UID.GUARDIAN);
+    await assertFails(updateDoc(doc(db, 'students/s1'), { class: 'B반' }));
+    await assertFails(cancelE1(db));
+  });
+});
+
+describe('instructor', () => {
+  const attendanceEntry = { action: 'check', entityType: 'attendance', after: { courseId: 'c1' } };
+  const attendanceRecord = { courseId: 'c1', studentId: 's1', date: '2026-10-19', status: 'present', note: '' };
+
+  it('reads the roster of their own course but never student records', async () => {
+    const db = dbAs(UID.INSTRUCTOR);
+    await assertSucceeds(getDocs(query(collection(db, 'enrollments'), where('courseId', '==', 'c1'))));
+    await assertFails(getDoc(doc(db, 'students/s1')));
+    await assertFails(enrollmentsOf(db, 's1'));
+  });
+
+  it('checks attendance for their course together with an audit entry', async () => {
+    const db = dbAs(UID.INSTRUCTOR);
+    const batch = auditedBatch(db, UID.INSTRUCTOR, attendanceEntry);
+    batch.set(doc(db, 'attendance/a1'), attendanceRecord);
+    await assertSucceeds(batch.commit());
+  });
+
+  it('cannot check attendance without an audit entry', async () => {
+    const db = dbAs(UID.INSTRUCTOR);
+    await assertFails(setDoc(doc(db, 'attendance/a1'), attendanceRecord));
+  });
+});
+
+describe('admin with a limited role', () => {
+  it('reads students and processes enrollments', async () => {
+    const db = dbAs(UID.STAFF);
+    await assertSucceeds(getDoc(doc(db, 'students/s1')));
+    await assertSucceeds(updateDoc(doc(db, 'enrollments/e1'), { status: 'rejected' }));
+  });
+
+  it('cannot edit students, delete data or change roles even with an audit entry', async () => {
+    const db = dbAs(UID.STAFF);
+
+    const editBatch = auditedBatch(db, UID.STAFF, { action: 'update', entityType: 'student', entityId: 's1' });
+    editBatch.update(doc(db, 'students/s1'), { class: 'B반' });
+    await assertFails(editBatch.commit());
+
+    const deleteBatch = auditedBatch(db, UID.STAFF, { action: 'delete', entityType: 'course', entityId: 'c1' });
+    deleteBatch.delete(doc(db, 'courses/c1'));
+    await assertFails(deleteBatch.commit());
+
+    const roleBatch = auditedBatch(db, UID.STAFF, { action: 'create', entityType: 'role' });
+    roleBatch.set(doc(db, 'roles/r1'), { name: '전권', permissions: ['manageAdmins'] });
+    await assertFails(roleBatch.commit());
+  });
+
+  it('cannot read the audit log', async () => {
+    await assertFails(getDocs(collection(dbAs(UID.STAFF), 'auditLogs')));
+  });
+});
+
+describe('admin who only deletes data', () => {
+  it('deletes a course and notifies its enrollees afterwards', async () => {
+    const db = dbAs(UID.CLEANER);
+    const batch = auditedBatch(db, UID.CLEANER, { action: 'delete', entityType: 'course', entityId: 'c1' });
+    batch.delete(doc(db, 'courses/c1'));
+    await assertSucceeds(batch.commit());
+
+    await assertSucceeds(getDocs(query(collection(db, 'enrollments'), where('courseId', '==', 'c1'))));
+    await assertSucceeds(getDocs(query(collection(db, 'notificationPreferences'),
+      where('mutedAppTypes', 'array-contains', 'course_changed'))));
+    await assertSucceeds(setDoc(doc(db, 'notifications/n3'), {
+      studentId: 's1', type: 'course_changed', title: '강좌 변경 안내', message: '', courseId: 'c1', read: false, archived: false,
+    }));
+  });
+});
+
+describe('admin who manages admins', () => {
+  it('cannot demote or re-role a superadmin', async () => {
+    const db = dbAs(UID.MANAGER);
+    const batch = auditedBatch(db, UID.MANAGER, { action: 'changeRole', entityType: 'admin', entityId: UID.SUPERADMIN });
+    batch.update(doc(db, 'admins', UID.SUPERADMIN), {
+      role: 'admin', roleId: 'role-manager', roleName: '실장', permissions: ['viewStudents', 'manageAdmins'],
+    });
+    await assertFails(batch.commit());
+  });
+
+  it('edits a role they hold, copying it onto their own document', async () => {
+    const db = dbAs(UID.MANAGER);
+    const permissions = ['viewStudents', 'editStudents', 'manageAdmins'];
+    const batch = auditedBatch(db, UID.MANAGER, { action: 'update', entityType: 'role', entityId: 'role-manager' });
+    batch.update(doc(db, 'roles/role-manager'), { name: '교무실장', permissions });
+    batch.update(doc(db, 'admins', UID.MANAGER), { roleName: '교무실장', permissions });
+    await assertSucceeds(batch.commit());
+  });
+
+  it('revokes an invite only together with an audit entry', async () => {
+    await testEnv.withSecurityRulesDisabled((context) =>
+      setDoc(doc(context.firestore(), 'adminInvites/tok1'), {
+        email: 'new@academy.test', role: 'admin', status: 'pending', invitedBy: UID.SUPERADMIN,
+        expiresAt: Timestamp.fromMillis(Date.now() + 86400000),
+      }));
+    const db = dbAs(UID.MANAGER);
+    const revoke = { status: 'revoked', revokedAt: serverTimestamp(), revokedBy: UID.MANAGER };
+    await assertFails(updateDoc(doc(db, 'adminInvites/tok1'), revoke));
+
+    const batch = auditedBatch(db, UID.MANAGER, { action: 'revokeInvite', entityType: 'admin', entityId: 'tok1' });
+    batch.update(doc(db, 'adminInvites/tok1'), revoke);
+    await assertSucceeds(batch.commit());
+  });
+
+  it('cannot change their own permissions apart from the role', async () => {
+    const db = dbAs(UID.MANAGER);
+    const batch = auditedBatch(db, UID.MANAGER, { action: 'update', entityType: 'role', entityId: 'role-manager' });
+    batch.update(doc(db, 'admins', UID.MANAGER), { permissions: ['viewStudents', 'manageAdmins', 'deleteData'] });
+    await assertFails(batch.commit());
+  });
+});
+
+describe('superadmin', () => {
+  const newStudent = { name: '최민수', phone: '01055556666', class: '', enrollmentOpen: true };
+
+  it('creates a student together with an audit entry', async () => {
+    const db = dbAs(UID.SUPERADMIN);
+    const batch = auditedBatch(db, UID.SUPERADMIN, { action: 'create', entityType: 'student', entityId: 's3' });
+    batch.set(doc(db, 'students/s3'), newStudent);
+    await assertSucceeds(batch.commit());
+  });
+
+  it('cannot make privileged writes without an audit entry', async () => {
+    const db = dbAs(UID.SUPERADMIN);
+    await assertFails(setDoc(doc(db, 'students/s3'), newStudent));
+    await assertFails(updateDoc(doc(db, 'seasons/season1'), { name: '이름 변경' }));
+    await assertFails(updateDoc(doc(db, 'courses/c1'), { title: '수학 심화 II' }));
+
+    const batch = writeBatch(db);
+    batch.delete(doc(db, 'courses/c1'));
+    await assertFails(batch.commit());
+  });
+
+  it('edits a course together with an audit entry', async () => {
+    const db = dbAs(UID.SUPERADMIN);
+    const batch = auditedBatch(db, UID.SUPERADMIN, { action: 'update', entityType: 'course', entityId: 'c1' });
+    batch.update(doc(db, 'courses/c1'), { title: '수학 심화 II' });
+    await assertSucceeds(batch.commit());
+  });
+
+  it('cannot reuse an earlier audit entry for a later write', async () => {
+    const db = dbAs(UID.SUPERADMIN);
+    const first = auditedBatch(db, UID.SUPERADMIN, { action: 'create', entityType: 'student', entityId: 's3' });
+    first.set(doc(db, 'students/s3'), newStudent);
+    await assertSucceeds(first.commit());
+
+    let earlier;
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      earlier = (await getDoc(doc(context.firestore(), 'auditHeads', UID.SUPERADMIN))).data().auditId;
+    });
+    const replay = writeBatch(db);
+    replay.set(doc(db, 'auditHeads', UID.SUPERADMIN), { auditId: earlier, at: serverTimestamp() });
+    replay.delete(doc(db, 'students/s3'));
+    await assertFails(replay.commit());
+  });
+
+  it('deletes a course together with an audit entry and reads the log', async () => {
+    const db = dbAs(UID.SUPERADMIN);
+    const batch = auditedBatch(db, UID.SUPERADMIN, { action: 'delete', entityType: 'course', entityId: 'c1' });
+    batch.delete(doc(db, 'courses/c1'));
+    await assertSucceeds(batch.commit());
+    await assertSucceeds(getDocs(collection(db, 'auditLogs')));
+  });
+
+  it('cannot write audit entries in another admin\'s name', async () => {
+    const db = dbAs(UID.SUPERADMIN);
+    await assertFails(auditedBatch(db, UID.STAFF, { action: 'update', entityType: 'student' }).commit());
+  });
+});
@@ -0,0 +1,140 @@
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { collection, doc, setDoc, writeBatch, serverTimestamp, Timestamp } from 'firebase/firestore';
+
+/**
+ * Shared fixtures for the firestore.rules tests (run with `npm run test:rules`).
+ * Every test starts from the same seeded academy; the roles below sign in as:
+ *   SUPERADMIN  - superadmin (every permission)
+ *   STAFF       - admin with a custom role: viewStudents + approveEnrollments
+ *   MANAGER     - admin holding role-manager: viewStudents + manageAdmins
+ *   CLEANER     - admin with a custom role: deleteData only
+ *   STUDENT     - anonymous session linked to student s1
+ *   OTHER       - anonymous session linked to student s2
+ *   GUARDIAN    - active guardian of s1
+ *   INSTRUCTOR  - instructor i1, who teaches course c1
+ */
+
+export const PROJECT_ID = 'demo-academy-os';
+
+export const UID = {
+  SUPERADMIN: 'superadmin-uid',
+  STAFF: 'staff-uid',
+  MANAGER: 'manager-uid',
+  CLEANER: 'cleaner-uid',
+  STUDENT: 'student-s1-uid',
+  OTHER: 'student-s2-uid',
+  GUARDIAN: 'guardian-uid',
+  INSTRUCTOR: 'instructor-uid',
+};
+
+export const createTestEnvironment = () => initializeTestEnvironment({
+  projectId: PROJECT_ID,
+  firestore: { rules: readFileSync(new URL('../../firestore.rules', import.meta.url), 'utf8') },
+});
+
+const FIXTURES = {
+  [`admins/${UID.SUPERADMIN}`]: { role: 'superadmin', email: 'owner@academy.test', name: '원장' },
+  [`admins/${UID.STAFF}`]: {
+    role: 'admin',
+    email: 'staff@academy.test',
+    name: '교무',
+    roleId: 'role-staff',
+    roleName: '교무',
+    permissions: ['viewStudents', 'approveEnrollments'],
+  },
+  [`admins/${UID.MANAGER}`]: {
+    role: 'admin',
+    email: 'manager@academy.test',
+    name: '실장',
+    roleId: 'role-manager',
+    roleName: '실장',
+    permissions: ['viewStudents', 'manageAdmins'],
+  },
+  [`admins/${UID.CLEANER}`]: {
+    role: 'admin',
+    email: 'cleaner@academy.test',
+    name: '정리',
+    roleId: 'role-cleaner',
+    roleName: '정리',
+    permissions: ['deleteData'],
+  },
+  'roles/role-manager': { name: '실장', permissions: ['viewStudents', 'manageAdmins'] },
+  'students/s1': { name: '김철수', phone: '01011112222', class: 'A반', guardianIds: [UID.GUARDIAN], enrollmentOpen: true },
+  'students/s2': { name: '이영희', phone: '01033334444', class: 'B반', guardianIds: [], enrollmentOpen: true },
+  [`studentSessions/${UID.STUDENT}`]: { studentId: 's1' },
+  [`studentSessions/${UID.OTHER}`]: { studentId: 's2' },
+  [`guardians/${UID.GUARDIAN}`]: { name: '김보호', studentIds: ['s1'], isActive: true },
+  'instructors/i1': { name: '박강사', authUid: UID.INSTRUCTOR },
+  'seasons/season1': { name: '2026 가을학기', registrationOpenAt: null, registrationCloseAt: null, registrationWindows: {} },
+  'seasons/season0': {
+    name: '2026 여름학기',
+    registrationOpenAt: Timestamp.fromDate(new Date('2026-05-01')),
+    registrationCloseAt: Timestamp.fromDate(new Date('2026-05-31')),
+    registrationWindows: {},
+  },
+  'courses/c0': {
+    title: '여름 특강',
+    instructorId: 'i1',
+    seasonId: 'season0',
+    capacity: 10,
+    enrolled: 0,
+    waitlistCount: 0,
+    allocationMode: 'fcfs',
+    isActive: true,
+  },
+  'courses/c1': {
+    title: '수학 심화',
+    instructorId: 'i1',
+    seasonId: 'season1',
+    capacity: 10,
+    enrolled: 1,
+    waitlistCount: 0,
+    allocationMode: 'fcfs',
+    isActive: true,
+  },
+  'enrollments/e1': {
+    studentId: 's1',
+    courseId: 'c1',
+    seasonId: 'season1',
+    status: 'approved',
+    studentName: '김철수',
+    studentClass: 'A반',
+  },
+  'notifications/n1': { studentId: 's1', type: 'approval', title: '승인', message: '', read: false, archived: false },
+  'notifications/n2': {
+    studentId: 's1',
+    type: 'info',
+    title: '공지',
+    message: '',
+    announcementId: 'ann1',
+    read: false,
+    archived: false,
+  },
+};
+
+export const seed = (testEnv) => testEnv.withSecurityRulesDisabled(async (context) => {
+  const db = context.firestore();
+  await Promise.all(Object.entries(FIXTURES).map(([path, data]) => setDoc(doc(db, path), data)));
+});
+
+/**
+ * A write batch that already carries an audit entry and the writer's audit head,
+ * as appendAuditLog (src/lib/auditLogService.js) adds them
+ */
+export const auditedBatch = (db, uid, entry) => {
+  const batch = writeBatch(db);
+  const entryRef = doc(collection(db, 'auditLogs'));
+  batch.set(entryRef, {
+    actorUid: uid,
+    actorEmail: null,
+    entityId: null,
+    label: null,
+    before: null,
+    after: null,
+    ...entry,
+    at: serverTimestamp(),
+  });
+  batch.set(doc(db, 'auditHeads', uid), { auditId: entryRef.id, at: serverTimestamp() });
+  return batch;
+};